@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+
+// Files under `root`, at the relative path their key names
+export const createDiskFileStorage = ({ root }) => {
+  const pathOf = (key) => {
+    const file = path.resolve(root, key);
+    // Keys come from the routes, but never let one point outside the root
+    if (!file.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid file key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    kind: 'disk',
+
+    async save(key, data) {
+      const file = pathOf(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Written to a temporary file first, so a crash never leaves half a file
+      await fs.promises.writeFile(`${file}.tmp`, data);
+      await fs.promises.rename(`${file}.tmp`, file);
+    },
+
+    async read(key) {
+      try {
+        const handle = await fs.promises.open(pathOf(key));
+        return handle.createReadStream();
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Folders left empty go too; removing one that is not empty just fails
+    async delete(keys) {
+      await Promise.all(keys.map(async (key) => {
+        const file = pathOf(key);
+        await fs.promises.rm(file, { force: true });
+        await fs.promises.rmdir(path.dirname(file)).catch(() => {});
+      }));
+    },
+
+    async clear() {
+      await fs.promises.rm(root, { recursive: true, force: true });
+    }
+  };
+};
@@ -0,0 +1,31 @@
+import path from 'path';
+import { createDiskFileStorage } from './disk.js';
+import { createMemoryFileStorage } from './memory.js';
+
+// Attachment contents are kept apart from the repositories, behind this
+// small interface, so another backend (a cloud bucket, say) only needs a
+// new implementation. FILE_STORAGE picks one:
+//   disk    (default) files under UPLOAD_DIR (default data/uploads)
+//   memory  in this process only; the default when STORAGE=memory, whose
+//           records are lost on restart anyway
+//
+// Files are named by key, a relative path such as "<taskId>/<uuid>":
+//   save(key, buffer)
+//   read(key)     a readable stream, or null when there is no such file
+//   delete(keys)  files that are already gone are skipped
+//   clear()       removes every file, for tests
+
+export const FILE_STORAGE_KINDS = ['disk', 'memory'];
+
+export const createFileStorage = (kind, { root } = {}) => {
+  if (kind === 'disk') return createDiskFileStorage({ root: path.resolve(root) });
+  if (kind === 'memory') return createMemoryFileStorage();
+  throw new Error(`FILE_STORAGE must be one of: ${FILE_STORAGE_KINDS.join(', ')}`);
+};
+
+// eslint-disable-next-line no-undef
+const { STORAGE, FILE_STORAGE = STORAGE === 'memory' ? 'memory' : 'disk', UPLOAD_DIR } = process.env;
+
+const files = createFileStorage(FILE_STORAGE, { root: UPLOAD_DIR || 'data/uploads' });
+
+export default files;
@@ -0,0 +1,27 @@
+import { Readable } from 'stream';
+
+// Files in this process only, for tests and demos
+export const createMemoryFileStorage = () => {
+  const files = new Map();
+
+  return {
+    kind: 'memory',
+
+    async save(key, data) {
+      // eslint-disable-next-line no-undef
+      files.set(key, Buffer.from(data));
+    },
+
+    async read(key) {
+      return files.has(key) ? Readable.from([files.get(key)]) : null;
+    },
+
+    async delete(keys) {
+      keys.forEach(key => files.delete(key));
+    },
+
+    async clear() {
+      files.clear();
+    }
+  };
+};
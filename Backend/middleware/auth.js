@@ -0,0 +1,39 @@
+import jwt from 'jsonwebtoken';
+import { sendError } from '../utils/errors.js';
+
+// eslint-disable-next-line no-undef
+const { JWT_SECRET: SECRET, NODE_ENV } = process.env;
+
+// The fallback is public, so anyone could sign tokens with it: production
+// refuses to start without a real secret
+if (!SECRET && NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+const JWT_SECRET = SECRET || 'dev-only-secret-change-me';
+// eslint-disable-next-line no-undef
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+export const signToken = (user) => jwt.sign(
+  { sub: user._id.toString(), username: user.username },
+  JWT_SECRET,
+  { expiresIn: JWT_EXPIRES_IN }
+);
+
+// Rejects the request unless it carries a valid "Authorization: Bearer <token>"
+// header, and exposes the authenticated user as req.user
+export const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendError(res, 401, 'Authentication required');
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = { id: payload.sub, username: payload.username };
+    next();
+  } catch {
+    sendError(res, 401, 'Invalid or expired token');
+  }
+};
@@ -0,0 +1,11 @@
+import storage from '../repositories/index.js';
+import { sendError } from '../utils/errors.js';
+
+// Answers 503 while the storage is unreachable instead of letting queries
+// buffer and time out, so clients can tell "try again later" from a bad request
+export const requireDatabase = (req, res, next) => {
+  if (!storage.isReady()) {
+    return sendError(res, 503, 'Database unavailable');
+  }
+  next();
+};
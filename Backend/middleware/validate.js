@@ -0,0 +1,40 @@
+import { sendError, validationError } from '../utils/errors.js';
+import { validateValue, coerceParameter } from '../utils/schema.js';
+
+// Checks a request against its route's schemas before the handler runs:
+//   validate({
+//     summary: 'Create a list',
+//     params: { id: { type: 'string', format: 'objectId' } },
+//     query: { limit: { type: 'integer', minimum: 1 } },
+//     body: { type: 'object', required: ['name'], properties: { ... } }
+//   })
+// params and query map names to schemas; query parameters are optional
+// unless listed in `requiredQuery`. Invalid requests get a 400 with the
+// VALIDATION_FAILED code and one detail per problem. The spec is kept on the
+// middleware so utils/openapi.js can describe the route from it.
+export const validate = (spec) => {
+  const checkParameters = (schemas = {}, values, location, required = []) => Object.entries(schemas)
+    .flatMap(([name, schema]) => {
+      if (values[name] === undefined) {
+        return location === 'params' || required.includes(name)
+          ? [{ field: name, in: location, message: 'is required' }]
+          : [];
+      }
+      return validateValue(schema, coerceParameter(schema, values[name]), name)
+        .map(detail => ({ ...detail, in: location }));
+    });
+
+  const middleware = (req, res, next) => {
+    const details = [
+      ...checkParameters(spec.params, req.params, 'params'),
+      ...checkParameters(spec.query, req.query, 'query', spec.requiredQuery),
+      ...(spec.body ? validateValue(spec.body, req.body ?? {}).map(detail => ({ ...detail, in: 'body' })) : [])
+    ];
+    if (details.length > 0) {
+      return sendError(res, 400, validationError(details));
+    }
+    next();
+  };
+  middleware.apiSpec = spec;
+  return middleware;
+};
@@ -0,0 +1,42 @@
+import { workspaces } from '../repositories/index.js';
+import { sendError, validationError } from '../utils/errors.js';
+import { personalScope, workspaceScope, hasRole } from '../utils/workspaces.js';
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// Header that picks the workspace a request works in; without it, requests
+// work on the user's own tasks
+export const WORKSPACE_HEADER = 'X-Workspace';
+
+// Exposes where the request's tasks, lists and tags live as req.scope (see
+// utils/workspaces.js). Workspaces the user is not a member of are answered
+// like missing ones.
+export const resolveScope = async (req, res, next) => {
+  const id = req.get(WORKSPACE_HEADER);
+  if (!id) {
+    req.scope = personalScope(req.user.id);
+    return next();
+  }
+  if (!OBJECT_ID.test(id)) {
+    return sendError(res, 400, validationError([{ field: WORKSPACE_HEADER, in: 'header', message: 'must be an id' }]));
+  }
+
+  try {
+    const workspace = await workspaces.findById(id);
+    if (!workspace || !workspace.members.some(member => member.user === req.user.id)) {
+      return sendError(res, 404, 'Workspace not found');
+    }
+    req.scope = workspaceScope(req.user.id, workspace);
+    next();
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+};
+
+// Answers 403 unless the user has at least `role` in the request's scope
+export const requireRole = (role) => (req, res, next) => {
+  if (!hasRole(req.scope.role, role)) {
+    return sendError(res, 403, `This needs the ${role} role in the workspace`);
+  }
+  next();
+};
@@ -0,0 +1,70 @@
+import Task from './models/Task.js';
+import List from './models/List.js';
+import View from './models/View.js';
+
+// Idempotent data migrations, run once the database connection opens.
+// Each one only touches documents that still need it.
+const migrations = [
+  {
+    name: 'backfill task positions',
+    // Matches the schema default so manual order starts out newest-first
+    run: () => Task.updateMany(
+      { position: { $exists: false } },
+      [{ $set: { position: { $multiply: [{ $toLong: '$createdAt' }, -1] } } }]
+    )
+  },
+  {
+    name: 'important flag to priority',
+    // Starred tasks become high priority; the rest get the "none" default
+    run: () => Task.updateMany(
+      { $or: [{ important: { $exists: true } }, { priority: { $exists: false } }] },
+      [
+        { $set: { priority: { $cond: [{ $eq: ['$important', true] }, 'high', { $ifNull: ['$priority', 'none'] }] } } },
+        { $unset: 'important' }
+      ]
+    )
+  },
+  {
+    name: 'backfill completedAt',
+    // The last update is the closest record there is of when a task was done
+    run: () => Task.updateMany(
+      { completedAt: { $exists: false } },
+      [{ $set: { completedAt: { $cond: ['$completed', '$updatedAt', null] } } }]
+    )
+  },
+  {
+    name: 'names unique per workspace',
+    // Drops the per-user unique name indexes, which would stop anyone from
+    // naming a workspace list or view like one of their own, and the text
+    // index led by owner, which searches within a workspace cannot use
+    run: async () => {
+      await List.syncIndexes();
+      await View.syncIndexes();
+      await Task.syncIndexes();
+      return { modifiedCount: 0 };
+    }
+  },
+  {
+    name: 'search notes',
+    // A collection has one text index, so any older one (over titles alone,
+    // or led by owner, which workspace searches cannot use) is replaced by
+    // the one over titles and notes with no keys before them
+    run: async () => {
+      await Task.syncIndexes();
+      return { modifiedCount: 0 };
+    }
+  }
+];
+
+export const runMigrations = async () => {
+  for (const migration of migrations) {
+    try {
+      const result = await migration.run();
+      if (result.modifiedCount > 0) {
+        console.log(`Migration "${migration.name}": updated ${result.modifiedCount} documents`);
+      }
+    } catch (error) {
+      console.error(`Migration "${migration.name}" failed:`, error.message);
+    }
+  }
+};
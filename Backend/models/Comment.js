@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// A comment on a task. Replies point at the comment they answer; threads are
+// one level deep, so a reply to a reply joins the thread of its parent.
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  // Users the text @mentions who could see the task when it was written
+  mentions: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'User',
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Null until the author edits the comment
+  editedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+commentSchema.index({ task: 1, createdAt: 1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
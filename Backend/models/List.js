@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// List Schema - a named group of tasks ("Sprint", "Personal", ...)
+const listSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // null for the owner's own lists, or the workspace sharing the list
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Names are unique among a user's own lists and among a workspace's lists
+listSchema.index({ owner: 1, workspace: 1, name: 1 }, { unique: true });
+listSchema.index(
+  { workspace: 1, name: 1 },
+  { unique: true, partialFilterExpression: { workspace: { $type: 'objectId' } } }
+);
+
+listSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const List = mongoose.model('List', listSchema);
+
+export default List;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['mention'];
+
+// Something another user did that concerns `user`, such as @mentioning them
+// in a comment. The excerpt is kept so the notification still reads well
+// after the comment is edited.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
@@ -0,0 +1,243 @@
+import mongoose from 'mongoose';
+import { FREQUENCIES } from '../utils/recurrence.js';
+import { PRIORITIES, isImportant } from '../../shared/priorities.js';
+
+// Checklist item embedded in a task; array order is display order
+const subtaskSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// File attached to a task; the contents are kept in file storage (see
+// fileStorage/index.js) under `key`
+const attachmentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Repeat rule; see utils/recurrence.js for how the next due date is found
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  daysOfWeek: {
+    type: [Number],
+    default: undefined
+  },
+  dayOfMonth: Number,
+  tzOffset: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Task Schema
+const taskSchema = new mongoose.Schema({
+  // Who created the task
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // null for the owner's own tasks; otherwise every member of the workspace
+  // shares the task
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // The member responsible for the task, if any
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Longer description in Markdown; empty when there is none
+  notes: {
+    type: String,
+    default: '',
+    maxlength: 20000
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  // When the task was last completed; null while it is open
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  priority: {
+    type: String,
+    enum: PRIORITIES,
+    default: 'none'
+  },
+  // null means the task is in the Inbox rather than a named list
+  list: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'List',
+    default: null
+  },
+  // Due dates without a time are stored as the end of that day in the
+  // client's time zone, so "overdue" is always a plain dueDate < now check
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  hasDueTime: {
+    type: Boolean,
+    default: false
+  },
+  reminderAt: {
+    type: Date,
+    default: null
+  },
+  subtasks: {
+    type: [subtaskSchema],
+    default: []
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  },
+  // Kept up to date by routes/comments.js, so task lists need not count
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // Lowercase tag names without the leading '#'
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Manual sort key (ascending). Moves place a task halfway between its new
+  // neighbours, so only the moved task is written; new tasks go on top.
+  position: {
+    type: Number,
+    default: () => -Date.now()
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // The occurrence created when this recurring task was completed, so
+  // completing it again after reopening does not create another
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Set when the task is moved to the trash; trashed tasks are left out of
+  // every view except the trash itself
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+taskSchema.virtual('subtaskProgress').get(function() {
+  const subtasks = this.subtasks || [];
+  return {
+    done: subtasks.filter(subtask => subtask.completed).length,
+    total: subtasks.length
+  };
+});
+
+// Kept for clients written before priority levels replaced the flag
+taskSchema.virtual('important').get(function() {
+  return isImportant(this.priority);
+});
+
+taskSchema.set('toJSON', { virtuals: true });
+
+taskSchema.index({ owner: 1, position: 1 });
+taskSchema.index({ owner: 1, tags: 1 });
+// Listings match owner and deletedAt, then filter and sort; the _id keys
+// match the tie-breaker GET /api/tasks sorts by for stable pages
+taskSchema.index({ owner: 1, deletedAt: 1, createdAt: -1, _id: 1 });
+taskSchema.index({ owner: 1, deletedAt: 1, updatedAt: -1, _id: 1 });
+taskSchema.index({ owner: 1, deletedAt: 1, position: 1, _id: 1 });
+// Overdue, today and upcoming views
+taskSchema.index({ owner: 1, deletedAt: 1, dueDate: 1, createdAt: -1 });
+// Pending and completed filters, a single list, and the important filter
+taskSchema.index({ owner: 1, deletedAt: 1, completed: 1, createdAt: -1 });
+taskSchema.index({ owner: 1, deletedAt: 1, list: 1, createdAt: -1 });
+taskSchema.index({ owner: 1, deletedAt: 1, priority: 1, createdAt: -1 });
+// Completions over time, for analytics
+taskSchema.index({ owner: 1, deletedAt: 1, completedAt: 1 });
+// A workspace's tasks, newest first and by assignee
+taskSchema.index({ workspace: 1, deletedAt: 1, createdAt: -1, _id: 1 });
+taskSchema.index({ workspace: 1, deletedAt: 1, assignee: 1, createdAt: -1 });
+// Search pre-filter over titles and notes; no language, so words are matched
+// as typed rather than stemmed or dropped as stop words. MongoDB only runs
+// $text with an equality match on every key before the text ones, and
+// workspace tasks are matched by workspace rather than owner, so the index
+// has no such keys.
+taskSchema.index({ text: 'text', notes: 'text' }, { default_language: 'none' });
+
+taskSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  if (this.isModified('completed') && !this.isModified('completedAt')) {
+    this.completedAt = this.completed ? new Date() : null;
+  }
+  next();
+});
+
+const Task = mongoose.model('Task', taskSchema);
+
+export default Task;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One entry per changed field. Entries are only ever inserted: there are no
+// routes that edit them, and update queries are rejected outright.
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  field: {
+    type: String,
+    required: true
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+taskHistorySchema.index({ task: 1, changedAt: 1 });
+
+taskHistorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Task history is append-only'));
+});
+
+// Appends entries ({ field, oldValue, newValue }) for one task
+taskHistorySchema.statics.record = function(task, owner, changes) {
+  if (changes.length === 0) return Promise.resolve([]);
+  const changedAt = new Date();
+  return this.insertMany(changes.map(change => ({ task, owner, changedAt, ...change })));
+};
+
+// Appends entries ({ task, field, oldValue, newValue }) spanning many tasks,
+// for operations that update tasks in bulk
+taskHistorySchema.statics.recordBulk = function(owner, entries) {
+  if (entries.length === 0) return Promise.resolve([]);
+  const changedAt = new Date();
+  return this.insertMany(entries.map(entry => ({ owner, changedAt, ...entry })));
+};
+
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+
+export default TaskHistory;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { TASK_FILTERS, SORT_OPTIONS } from '../utils/taskQuery.js';
+
+// View Schema - a named combination of the task list's filter, search, sort,
+// list and tag selection, saved so it can be reopened in one click
+const viewSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Views belong to one member in one workspace, or to the owner's own tasks
+  // when null
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  filter: {
+    type: String,
+    enum: TASK_FILTERS,
+    default: 'all'
+  },
+  search: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  // null keeps the default order of the filter
+  sort: {
+    type: String,
+    enum: [...Object.keys(SORT_OPTIONS), null],
+    default: null
+  },
+  // Same values as the `list` parameter of GET /api/tasks: null for every
+  // list, 'none' for the Inbox, or a list id
+  list: {
+    type: String,
+    default: null
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  tagMode: {
+    type: String,
+    enum: ['any', 'all'],
+    default: 'any'
+  },
+  // Same values as the `assignee` parameter of GET /api/tasks
+  assignee: {
+    type: String,
+    default: null
+  },
+  // Pinned views are shown above the task list
+  pinned: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+viewSchema.index({ owner: 1, workspace: 1, name: 1 }, { unique: true });
+
+viewSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const View = mongoose.model('View', viewSchema);
+
+export default View;
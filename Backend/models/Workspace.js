@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { ROLES } from '../utils/workspaces.js';
+
+// A person's place in a workspace; see utils/workspaces.js for what each
+// role may do
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An invitation link; whoever opens it before it expires joins with its role
+const inviteSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+// Workspace Schema - tasks, lists and tags shared by a team
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  },
+  invites: {
+    type: [inviteSchema],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+workspaceSchema.index({ 'invites.token': 1 });
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+export default Workspace;
@@ -0,0 +1,64 @@
+// Server-Sent Events hub. Each signed-in browser tab keeps one stream open
+// (routes/events.js) and mutating routes call broadcast() so the user's
+// other tabs and devices, and the other members of a workspace, can update
+// without reloading.
+
+// userId -> Set of open responses
+const streams = new Map();
+// `${userId}/${workspace}` -> origins of the events a pending stats.changed
+// follows
+const pendingStats = new Map();
+
+// Several events in quick succession only produce one stats.changed
+const STATS_DEBOUNCE = 250;
+
+const send = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+export const subscribe = (userId, res) => {
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(res);
+};
+
+export const unsubscribe = (userId, res) => {
+  const userStreams = streams.get(userId);
+  if (!userStreams) return;
+  userStreams.delete(res);
+  if (userStreams.size === 0) streams.delete(userId);
+};
+
+export const publish = (userId, type, data) => {
+  const userStreams = streams.get(userId);
+  if (!userStreams) return;
+  userStreams.forEach(res => send(res, type, data));
+};
+
+// One per workspace, tagged like the events it follows; it only carries an
+// origin when all of them came from that one tab
+const scheduleStatsChanged = (userId, workspace, origin) => {
+  const key = `${userId}/${workspace}`;
+  if (pendingStats.has(key)) {
+    pendingStats.get(key).add(origin);
+    return;
+  }
+  const origins = new Set([origin]);
+  pendingStats.set(key, origins);
+  setTimeout(() => {
+    pendingStats.delete(key);
+    publish(userId, 'stats.changed', { workspace, origin: origins.size === 1 ? origin : null });
+  }, STATS_DEBOUNCE);
+};
+
+// Publishes an event for everyone who shares the request's tasks (the user,
+// or the members of the workspace), tagged with the workspace it happened in
+// and the tab that caused it (the X-Client-Id header) so that tab can skip
+// its own changes. Every mutation can move the counts, so a stats.changed
+// follows.
+export const broadcast = (req, type, data = {}, recipients = req.scope?.members || [req.user.id]) => {
+  const event = { ...data, workspace: req.scope?.workspace ?? null, origin: req.get('X-Client-Id') || null };
+  for (const userId of recipients) {
+    publish(userId, type, event);
+    scheduleStatsChanged(userId, event.workspace, event.origin);
+  }
+};
@@ -0,0 +1,37 @@
+import { isImportant } from '../../shared/priorities.js';
+
+// Helpers shared by the storage implementations
+
+// Tasks as repositories return them, whatever the storage: plain objects
+// with string ids, Date dates, and the fields derived from the stored ones
+export const toTaskRecord = (task) => {
+  const subtasks = task.subtasks || [];
+  return {
+    ...task,
+    // Tasks saved before attachments existed have none
+    attachments: task.attachments || [],
+    // Kept for clients written before priority levels replaced the flag
+    important: isImportant(task.priority),
+    subtaskProgress: {
+      done: subtasks.filter(subtask => subtask.completed).length,
+      total: subtasks.length
+    }
+  };
+};
+
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// Resolves a list reference from a request to the id of a list matching
+// `match` (the user's own lists, or a workspace's). Returns undefined when
+// absent, null for the Inbox ('' / 'none' / null), and throws when there is
+// no such list.
+export const resolveOwnedListId = async (lists, match, value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'none') return null;
+
+  const exists = OBJECT_ID.test(String(value)) && await lists.exists(match, String(value));
+  if (!exists) {
+    throw new Error('List not found');
+  }
+  return String(value);
+};
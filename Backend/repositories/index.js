@@ -0,0 +1,54 @@
+import path from 'path';
+import { createMongoStorage } from './mongo/index.js';
+import { createMemoryStorage } from './memory/index.js';
+
+// Every route reads and writes through these repositories rather than the
+// Mongoose models, so the API also runs without MongoDB. STORAGE picks the
+// implementation:
+//   mongo   (default) MongoDB at MONGODB_URI
+//   memory  in this process only; everything is lost on restart
+//   file    in memory, saved to the JSON file at STORAGE_FILE
+//           (default data/taskmanager.json), for demos
+//
+// Both implementations take queries in MongoDB's query language, as built by
+// utils/taskQuery.js, and return plain records: string ids, Date dates.
+//   users       findById, findByIds, findCredentials, create
+//   workspaces  find, findById, findByInvite, create, update, addMember,
+//               setMemberRole, removeMember, addInvite, removeInvite, delete
+//   lists       find, findOne, exists, create, rename, delete, deleteMany,
+//               resolveOwnedId
+//   views       find, findOne, create, update, delete, deleteMany, resetList
+//   tasks       find, findOne, exists, count, list, create, createMany,
+//               updateOne, updateMany, setPositions, renumberPositions,
+//               addTag, pullTags, pushAttachment, pullAttachment,
+//               pushSubtask, setSubtask, pullSubtask, deleteMany,
+//               countByList, tagCounts, stats, activity
+//   history     record, recordBulk, forTask, deleteForTasks
+//   comments    forTask, findOne, count, create, update, delete,
+//               deleteForTasks
+//   notifications  find, countUnread, createMany, markRead,
+//               deleteForComments, deleteForTasks
+// Lists and views take a match of owner and workspace first, as do the
+// task methods that do not take a query (see utils/workspaces.js).
+// Writes that would duplicate a unique name throw DuplicateError.
+
+export const STORAGE_KINDS = ['mongo', 'memory', 'file'];
+
+export const createStorage = (kind, { mongoUri, file } = {}) => {
+  if (kind === 'mongo') return createMongoStorage({ uri: mongoUri });
+  if (kind === 'memory') return createMemoryStorage();
+  if (kind === 'file') return createMemoryStorage({ file: path.resolve(file) });
+  throw new Error(`STORAGE must be one of: ${STORAGE_KINDS.join(', ')}`);
+};
+
+// eslint-disable-next-line no-undef
+const { STORAGE = 'mongo', MONGODB_URI, STORAGE_FILE } = process.env;
+
+const storage = createStorage(STORAGE, {
+  mongoUri: MONGODB_URI || 'mongodb://localhost:27017/taskmanager',
+  file: STORAGE_FILE || 'data/taskmanager.json'
+});
+
+export const { users, workspaces, lists, views, tasks, history, comments, notifications } = storage;
+
+export default storage;
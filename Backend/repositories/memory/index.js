@@ -0,0 +1,452 @@
+import { createStore, newId, copy } from './store.js';
+import { matches, sortBy } from './match.js';
+import { createTaskRepository } from './tasks.js';
+import { resolveOwnedListId } from '../common.js';
+import { DuplicateError } from '../../utils/errors.js';
+
+// Storage in memory, for tests and demos; with `file`, every change is also
+// written to that JSON file and read back on the next start
+
+// Users without their password hash, which only findCredentials returns
+const publicUser = (user) => {
+  const record = copy(user);
+  delete record.passwordHash;
+  return record;
+};
+
+export const createMemoryStorage = ({ file } = {}) => {
+  const store = createStore({ file });
+  let ready = false;
+
+  // Rejects a name that another record matching `match` already has
+  const assertUnique = (collection, match, name, id) => {
+    if (store.data[collection].some(record => matches(record, match) && record.name === name && record._id !== id)) {
+      throw new DuplicateError();
+    }
+  };
+
+  const users = {
+    async findById(id) {
+      const user = store.data.users.find(candidate => candidate._id === String(id));
+      return user ? publicUser(user) : null;
+    },
+
+    async findByIds(ids) {
+      const wanted = new Set(ids.map(String));
+      return store.data.users.filter(user => wanted.has(user._id)).map(publicUser);
+    },
+
+    async findCredentials(username) {
+      const user = store.data.users.find(candidate => candidate.username === username);
+      return user ? { user: publicUser(user), passwordHash: user.passwordHash } : null;
+    },
+
+    async create({ username, passwordHash }) {
+      if (store.data.users.some(user => user.username === username)) {
+        throw new DuplicateError();
+      }
+      const user = { _id: newId(), username, passwordHash, createdAt: new Date() };
+      store.data.users.push(user);
+      store.save();
+      return publicUser(user);
+    }
+  };
+
+  // Lists and views are found by a match of their owner and workspace
+  // (see personalScope and workspaceScope in utils/workspaces.js)
+  const findMatching = (collection, match, id) =>
+    store.data[collection].find(record => record._id === String(id) && matches(record, match));
+
+  const lists = {
+    async find(match, { sort = { createdAt: 1 } } = {}) {
+      return store.data.lists.filter(list => matches(list, match)).sort(sortBy(sort)).map(copy);
+    },
+
+    async findOne(match, id) {
+      const list = findMatching('lists', match, id);
+      return list ? copy(list) : null;
+    },
+
+    async exists(match, id) {
+      return Boolean(findMatching('lists', match, id));
+    },
+
+    async create(match, name, createdBy) {
+      assertUnique('lists', match, name.trim());
+      const now = new Date();
+      const list = {
+        _id: newId(),
+        owner: String(createdBy),
+        workspace: null,
+        ...copy(match),
+        name: name.trim(),
+        createdAt: now,
+        updatedAt: now
+      };
+      store.data.lists.push(list);
+      store.save();
+      return copy(list);
+    },
+
+    async rename(match, id, name) {
+      const list = findMatching('lists', match, id);
+      if (!list) return null;
+      assertUnique('lists', match, name.trim(), list._id);
+      Object.assign(list, { name: name.trim(), updatedAt: new Date() });
+      store.save();
+      return copy(list);
+    },
+
+    async delete(match, id) {
+      const list = findMatching('lists', match, id);
+      store.data.lists = store.data.lists.filter(other => other !== list);
+      store.save();
+    },
+
+    async deleteMany(match) {
+      store.data.lists = store.data.lists.filter(list => !matches(list, match));
+      store.save();
+    },
+
+    resolveOwnedId: (match, value) => resolveOwnedListId(lists, match, value)
+  };
+
+  const VIEW_DEFAULTS = {
+    workspace: null,
+    filter: 'all',
+    search: '',
+    sort: null,
+    list: null,
+    tags: [],
+    tagMode: 'any',
+    assignee: null,
+    pinned: false
+  };
+
+  const views = {
+    async find(match) {
+      return store.data.views
+        .filter(view => matches(view, match))
+        .sort(sortBy({ pinned: -1, createdAt: 1 }))
+        .map(copy);
+    },
+
+    async findOne(match, id) {
+      const view = findMatching('views', match, id);
+      return view ? copy(view) : null;
+    },
+
+    async create(match, fields) {
+      assertUnique('views', match, fields.name);
+      const now = new Date();
+      const view = { _id: newId(), ...VIEW_DEFAULTS, ...copy(match), ...copy(fields), createdAt: now, updatedAt: now };
+      store.data.views.push(view);
+      store.save();
+      return copy(view);
+    },
+
+    async update(match, id, fields) {
+      const view = findMatching('views', match, id);
+      if (!view) return null;
+      if (fields.name !== undefined) assertUnique('views', match, fields.name, view._id);
+      Object.assign(view, copy(fields), { updatedAt: new Date() });
+      store.save();
+      return copy(view);
+    },
+
+    async delete(match, id) {
+      const view = findMatching('views', match, id);
+      if (!view) return false;
+      store.data.views = store.data.views.filter(other => other !== view);
+      store.save();
+      return true;
+    },
+
+    async deleteMany(match) {
+      store.data.views = store.data.views.filter(view => !matches(view, match));
+      store.save();
+    },
+
+    // Views of a deleted list fall back to every list, whoever saved them
+    async resetList(listId) {
+      const reset = store.data.views.filter(view => view.list === String(listId));
+      for (const view of reset) Object.assign(view, { list: null, updatedAt: new Date() });
+      if (reset.length > 0) store.save();
+      return reset.length;
+    }
+  };
+
+  // Applies `change` to the workspace; null when there is none or `change`
+  // returns false
+  const changeWorkspace = (id, change) => {
+    const workspace = store.data.workspaces.find(candidate => candidate._id === String(id));
+    if (!workspace || !change(workspace)) return null;
+    workspace.updatedAt = new Date();
+    store.save();
+    return copy(workspace);
+  };
+
+  const isMember = (workspace, user) => workspace.members.some(member => member.user === String(user));
+
+  const hasOtherOwner = (workspace, user) =>
+    workspace.members.some(member => member.role === 'owner' && member.user !== String(user));
+
+  const workspaces = {
+    // The workspaces the user is a member of, oldest first
+    async find(user) {
+      return store.data.workspaces
+        .filter(workspace => workspace.members.some(member => member.user === String(user)))
+        .sort(sortBy({ createdAt: 1 }))
+        .map(copy);
+    },
+
+    async findById(id) {
+      const workspace = store.data.workspaces.find(candidate => candidate._id === String(id));
+      return workspace ? copy(workspace) : null;
+    },
+
+    async findByInvite(token) {
+      const workspace = store.data.workspaces.find(candidate =>
+        candidate.invites.some(invite => invite.token === String(token)));
+      return workspace ? copy(workspace) : null;
+    },
+
+    async create(fields) {
+      const now = new Date();
+      const workspace = { _id: newId(), members: [], invites: [], ...copy(fields), createdAt: now, updatedAt: now };
+      workspace.name = workspace.name.trim();
+      store.data.workspaces.push(workspace);
+      store.save();
+      return copy(workspace);
+    },
+
+    async update(id, fields) {
+      const workspace = store.data.workspaces.find(candidate => candidate._id === String(id));
+      if (!workspace) return null;
+      Object.assign(workspace, copy(fields), { updatedAt: new Date() });
+      if (typeof fields.name === 'string') workspace.name = fields.name.trim();
+      store.save();
+      return copy(workspace);
+    },
+
+    async addMember(id, member) {
+      return changeWorkspace(id, workspace => !isMember(workspace, member.user) && workspace.members.push(copy(member)));
+    },
+
+    async setMemberRole(id, user, role) {
+      return changeWorkspace(id, workspace => {
+        if (!isMember(workspace, user) || (role !== 'owner' && !hasOtherOwner(workspace, user))) return false;
+        workspace.members = workspace.members.map(member => (member.user === String(user) ? { ...member, role } : member));
+        return true;
+      });
+    },
+
+    async removeMember(id, user) {
+      return changeWorkspace(id, workspace => {
+        if (!isMember(workspace, user) || !hasOtherOwner(workspace, user)) return false;
+        workspace.members = workspace.members.filter(member => member.user !== String(user));
+        return true;
+      });
+    },
+
+    async addInvite(id, invite, now = new Date()) {
+      return changeWorkspace(id, workspace => {
+        workspace.invites = [...workspace.invites.filter(other => other.expiresAt > now), copy(invite)];
+        return true;
+      });
+    },
+
+    async removeInvite(id, token) {
+      return changeWorkspace(id, workspace => {
+        const invites = workspace.invites.filter(invite => invite.token !== String(token));
+        if (invites.length === workspace.invites.length) return false;
+        workspace.invites = invites;
+        return true;
+      });
+    },
+
+    async delete(id) {
+      store.data.workspaces = store.data.workspaces.filter(workspace => workspace._id !== String(id));
+      store.save();
+    }
+  };
+
+  const history = {
+    async record(task, owner, changes) {
+      return history.recordBulk(owner, changes.map(change => ({ task, ...change })));
+    },
+
+    async recordBulk(owner, entries) {
+      if (entries.length === 0) return [];
+      const changedAt = new Date();
+      const records = entries.map(entry => ({
+        _id: newId(),
+        owner: String(owner),
+        changedAt,
+        ...copy(entry),
+        task: String(entry.task),
+        oldValue: copy(entry.oldValue ?? null),
+        newValue: copy(entry.newValue ?? null)
+      }));
+      store.data.history.push(...records);
+      store.save();
+      return records.map(copy);
+    },
+
+    async forTask(task) {
+      return store.data.history
+        .filter(entry => matches(entry, { task: String(task) }))
+        .sort(sortBy({ changedAt: 1, _id: 1 }))
+        .map(copy);
+    },
+
+    async deleteForTasks(ids) {
+      const removed = new Set(ids.map(String));
+      store.data.history = store.data.history.filter(entry => !removed.has(entry.task));
+      store.save();
+    }
+  };
+
+  const comments = {
+    async forTask(task) {
+      return store.data.comments
+        .filter(comment => comment.task === String(task))
+        .sort(sortBy({ createdAt: 1, _id: 1 }))
+        .map(copy);
+    },
+
+    async findOne(task, id) {
+      const comment = store.data.comments.find(candidate => candidate.task === String(task) && candidate._id === String(id));
+      return comment ? copy(comment) : null;
+    },
+
+    async count(task) {
+      return store.data.comments.filter(comment => comment.task === String(task)).length;
+    },
+
+    async create(fields) {
+      const comment = {
+        _id: newId(),
+        parent: null,
+        mentions: [],
+        createdAt: new Date(),
+        editedAt: null,
+        ...copy(fields)
+      };
+      comment.text = comment.text.trim();
+      store.data.comments.push(comment);
+      store.save();
+      return copy(comment);
+    },
+
+    async update(id, fields) {
+      const comment = store.data.comments.find(candidate => candidate._id === String(id));
+      if (!comment) return null;
+      Object.assign(comment, copy(fields));
+      if (typeof fields.text === 'string') comment.text = fields.text.trim();
+      store.save();
+      return copy(comment);
+    },
+
+    // Deletes the comment and its replies; resolves to the ids deleted
+    async delete(id) {
+      const ids = store.data.comments
+        .filter(comment => comment._id === String(id) || comment.parent === String(id))
+        .map(comment => comment._id);
+      store.data.comments = store.data.comments.filter(comment => !ids.includes(comment._id));
+      store.save();
+      return ids;
+    },
+
+    async deleteForTasks(ids) {
+      const removed = new Set(ids.map(String));
+      store.data.comments = store.data.comments.filter(comment => !removed.has(comment.task));
+      store.save();
+    }
+  };
+
+  const notifications = {
+    // The user's notifications, newest first
+    async find(user, { limit = 50 } = {}) {
+      return store.data.notifications
+        .filter(notification => notification.user === String(user))
+        .sort(sortBy({ createdAt: -1, _id: -1 }))
+        .slice(0, limit)
+        .map(copy);
+    },
+
+    async countUnread(user) {
+      return store.data.notifications
+        .filter(notification => notification.user === String(user) && notification.readAt === null).length;
+    },
+
+    async createMany(records) {
+      const now = new Date();
+      const created = records.map(record => ({
+        _id: newId(),
+        comment: null,
+        workspace: null,
+        excerpt: '',
+        readAt: null,
+        createdAt: now,
+        ...copy(record)
+      }));
+      store.data.notifications.push(...created);
+      if (created.length > 0) store.save();
+      return created.map(copy);
+    },
+
+    // Marks the user's unread notifications read, or only those in `ids`;
+    // resolves to how many changed
+    async markRead(user, ids) {
+      const wanted = ids && new Set(ids.map(String));
+      const unread = store.data.notifications.filter(notification =>
+        notification.user === String(user) && notification.readAt === null && (!wanted || wanted.has(notification._id)));
+      const now = new Date();
+      for (const notification of unread) notification.readAt = now;
+      if (unread.length > 0) store.save();
+      return unread.length;
+    },
+
+    async deleteForComments(ids) {
+      const removed = new Set(ids.map(String));
+      store.data.notifications = store.data.notifications.filter(notification => !removed.has(notification.comment));
+      store.save();
+    },
+
+    async deleteForTasks(ids) {
+      const removed = new Set(ids.map(String));
+      store.data.notifications = store.data.notifications.filter(notification => !removed.has(notification.task));
+      store.save();
+    }
+  };
+
+  return {
+    kind: file ? 'file' : 'memory',
+
+    async connect() {
+      store.load();
+      ready = true;
+    },
+
+    isReady: () => ready,
+
+    async close() {
+      ready = false;
+    },
+
+    // Removes every record; for tests
+    async clear() {
+      store.clear();
+    },
+
+    users,
+    lists,
+    views,
+    workspaces,
+    history,
+    comments,
+    notifications,
+    tasks: createTaskRepository(store)
+  };
+};
@@ -0,0 +1,120 @@
+// The part of MongoDB's query language the routes build (see
+// utils/taskQuery.js and utils/search.js), evaluated against plain objects:
+//   field equality (null also matches a missing field; array fields match
+//   any element), $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $all, $exists,
+//   $regex with $options, $not, and at the top level $and, $or, $nor and
+//   $text (any of the words, whole words, ignoring case, in the fields of
+//   the tasks' text index)
+
+// ObjectIds compare as their hex strings, dates as their times
+const normalize = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+const isMissing = (value) => value === null || value === undefined;
+
+const equals = (a, b) => {
+  if (isMissing(a) || isMissing(b)) return isMissing(a) && isMissing(b);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => equals(item, b[index]));
+  }
+  return normalize(a) === normalize(b);
+};
+
+// Array fields match when any element does, or when the whole array does
+const anyValue = (value, test) => (Array.isArray(value) ? value.some(test) || test(value) : test(value));
+
+// Order of types when sorting, as MongoDB orders them
+const TYPE_ORDER = ['missing', 'number', 'string', 'object', 'boolean', 'date'];
+
+const typeOf = (value) => {
+  if (isMissing(value)) return 'missing';
+  if (value instanceof Date) return 'date';
+  if (typeof value === 'object' && typeof value.toHexString === 'function') return 'string';
+  return ['number', 'string', 'boolean'].includes(typeof value) ? typeof value : 'object';
+};
+
+// -1, 0 or 1, for sorting; values of different types order by type
+export const compareValues = (a, b) => {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) return Math.sign(TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB));
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right || typeA === 'missing') return 0;
+  return left < right ? -1 : 1;
+};
+
+// Range operators only compare values of the same type, so { $lt: date }
+// never matches a null date
+const compareSameType = (value, bound, test) =>
+  !isMissing(value) && typeOf(value) === typeOf(bound) && test(compareValues(value, bound));
+
+export const getPath = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+const OPERATORS = {
+  $eq: (value, operand) => anyValue(value, item => equals(item, operand)),
+  $ne: (value, operand) => !OPERATORS.$eq(value, operand),
+  $gt: (value, operand) => anyValue(value, item => compareSameType(item, operand, order => order > 0)),
+  $gte: (value, operand) => anyValue(value, item => compareSameType(item, operand, order => order >= 0)),
+  $lt: (value, operand) => anyValue(value, item => compareSameType(item, operand, order => order < 0)),
+  $lte: (value, operand) => anyValue(value, item => compareSameType(item, operand, order => order <= 0)),
+  $in: (value, operand) => operand.some(option => OPERATORS.$eq(value, option)),
+  $nin: (value, operand) => !OPERATORS.$in(value, operand),
+  $all: (value, operand) => Array.isArray(value) && operand.every(option => value.some(item => equals(item, option))),
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand)
+};
+
+const regexOf = ({ $regex, $options = '' }) => ($regex instanceof RegExp ? $regex : new RegExp($regex, $options));
+
+const isOperatorObject = (condition) => condition !== null &&
+  typeof condition === 'object' &&
+  !(condition instanceof Date) &&
+  !Array.isArray(condition) &&
+  typeof condition.toHexString !== 'function' &&
+  Object.keys(condition).some(key => key.startsWith('$'));
+
+const matchesCondition = (value, condition) => {
+  if (condition instanceof RegExp) return matchesCondition(value, { $regex: condition });
+  if (!isOperatorObject(condition)) return OPERATORS.$eq(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$options') return true;
+    if (operator === '$regex') {
+      const regex = regexOf(condition);
+      return anyValue(value, item => typeof item === 'string' && regex.test(item));
+    }
+    if (operator === '$not') return !matchesCondition(value, operand);
+    if (!OPERATORS[operator]) throw new Error(`Unsupported query operator ${operator}`);
+    return OPERATORS[operator](value, operand);
+  });
+};
+
+const WORD_SPLIT = /[^\p{L}\p{N}_]+/u;
+
+const TEXT_FIELDS = ['text', 'notes'];
+
+const matchesText = (doc, { $search }) => {
+  const words = new Set(TEXT_FIELDS.flatMap(field => String(doc[field] || '').toLowerCase().split(WORD_SPLIT)));
+  return $search.toLowerCase().split(/\s+/).filter(Boolean).some(word => words.has(word));
+};
+
+export const matches = (doc, query = {}) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$nor') return !condition.some(part => matches(doc, part));
+  if (key === '$text') return matchesText(doc, condition);
+  if (key.startsWith('$')) throw new Error(`Unsupported query operator ${key}`);
+  return matchesCondition(getPath(doc, key), condition);
+});
+
+// Comparator for a MongoDB sort specification ({ field: 1 | -1, ... })
+export const sortBy = (sort) => (a, b) => {
+  for (const [field, direction] of Object.entries(sort)) {
+    const order = compareValues(getPath(a, field), getPath(b, field));
+    if (order !== 0) return order * direction;
+  }
+  return 0;
+};
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Plain arrays of records, one per collection, optionally saved to a JSON
+// file after every change. Records are copied in and out, so callers never
+// hold references into the store.
+
+export const COLLECTIONS = ['users', 'workspaces', 'tasks', 'lists', 'views', 'history', 'comments', 'notifications'];
+
+// 24 hex digits like a MongoDB ObjectId (seconds, then random bytes), so ids
+// look and sort the same whichever storage made them
+export const newId = () => Math.floor(Date.now() / 1000).toString(16).padStart(8, '0') +
+  crypto.randomBytes(8).toString('hex');
+
+// Deep copy; ObjectIds from queries are stored as their hex strings
+export const copy = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value && typeof value.toHexString === 'function') return value.toHexString();
+  if (Array.isArray(value)) return value.map(copy);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+  }
+  return value;
+};
+
+// Dates survive the round trip through JSON as { $date: iso }
+const replacer = function(key, value) {
+  return this[key] instanceof Date ? { $date: this[key].toISOString() } : value;
+};
+const reviver = (key, value) => (value && typeof value.$date === 'string' ? new Date(value.$date) : value);
+
+export const createStore = ({ file } = {}) => {
+  const empty = () => Object.fromEntries(COLLECTIONS.map(name => [name, []]));
+  const store = { data: empty() };
+
+  store.load = () => {
+    if (!file || !fs.existsSync(file)) return;
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'), reviver);
+    store.data = { ...empty(), ...saved };
+  };
+
+  // Written to a temporary file first, so a crash never leaves half a file
+  store.save = () => {
+    if (!file) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(store.data, replacer));
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  store.clear = () => {
+    store.data = empty();
+    store.save();
+  };
+
+  return store;
+};
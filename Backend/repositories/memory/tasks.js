@@ -0,0 +1,333 @@
+import { matches, sortBy, compareValues } from './match.js';
+import { newId, copy } from './store.js';
+import { toTaskRecord } from '../common.js';
+import { PRIORITIES, isImportant } from '../../../shared/priorities.js';
+import { priorityRankOf, smartScoreOf } from '../../utils/priority.js';
+
+// Sort keys GET /api/tasks computes rather than stores (see
+// computedSortFields in utils/taskQuery.js), for a task record
+const COMPUTED_FIELDS = {
+  due: (task) => ({ hasDueDate: task.dueDate instanceof Date }),
+  priority: (task) => ({ priorityRank: priorityRankOf(task.priority) }),
+  important: (task) => ({ priorityRank: priorityRankOf(task.priority) }),
+  smart: (task, now) => ({ score: smartScoreOf(task, now) })
+};
+
+const newSubtask = (subtask) => ({
+  _id: subtask._id ? String(subtask._id) : newId(),
+  text: subtask.text.trim(),
+  completed: subtask.completed ?? false,
+  createdAt: subtask.createdAt || new Date()
+});
+
+const newAttachment = (attachment) => ({
+  _id: attachment._id ? String(attachment._id) : newId(),
+  ...attachment,
+  createdAt: attachment.createdAt || new Date()
+});
+
+// Field values as the Task model would store them
+const prepare = (fields) => {
+  const prepared = copy(fields);
+  if (typeof prepared.text === 'string') prepared.text = prepared.text.trim();
+  if (prepared.subtasks) prepared.subtasks = prepared.subtasks.map(newSubtask);
+  if (prepared.attachments) prepared.attachments = prepared.attachments.map(newAttachment);
+  if (prepared.recurrence) prepared.recurrence = { interval: 1, tzOffset: 0, ...prepared.recurrence };
+  return prepared;
+};
+
+const newTask = (fields) => {
+  const now = new Date();
+  const task = {
+    _id: newId(),
+    notes: '',
+    completed: false,
+    completedAt: null,
+    workspace: null,
+    assignee: null,
+    priority: 'none',
+    list: null,
+    dueDate: null,
+    hasDueTime: false,
+    reminderAt: null,
+    subtasks: [],
+    attachments: [],
+    commentCount: 0,
+    tags: [],
+    position: -now.getTime(),
+    recurrence: null,
+    nextOccurrence: null,
+    deletedAt: null,
+    createdAt: now,
+    updatedAt: now,
+    ...prepare(fields)
+  };
+  if (task.completed && fields.completedAt === undefined) task.completedAt = now;
+  return task;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Sets `fields` on `task`; true when anything changed
+const assign = (task, fields) => {
+  const changed = Object.entries(fields).some(([key, value]) => !sameValue(task[key], value));
+  Object.assign(task, fields);
+  return changed;
+};
+
+export const createTaskRepository = (store) => {
+  const all = () => store.data.tasks;
+  const select = (query) => all().filter(task => matches(task, query));
+  const toRecord = (task) => toTaskRecord(copy(task));
+
+  // The first task matching `query` whose `field` holds the item `itemId`
+  const findWithItem = (query, field, itemId) => all().find(candidate => matches(candidate, query) &&
+    candidate[field].some(item => item._id === String(itemId)));
+
+  // Applies `change` to every matching task, saving once
+  const updateEach = (query, change) => {
+    const matched = select(query);
+    const modified = matched.filter(change).length;
+    if (modified > 0) store.save();
+    return { matched: matched.length, modified };
+  };
+
+  const repository = {
+    async find(query, { sort } = {}) {
+      const found = select(query);
+      if (sort) found.sort(sortBy(sort));
+      return found.map(toRecord);
+    },
+
+    async findOne(query, { sort } = {}) {
+      const [task] = await repository.find(query, { sort });
+      return task || null;
+    },
+
+    async exists(query) {
+      return all().some(task => matches(task, query));
+    },
+
+    async count(query) {
+      return select(query).length;
+    },
+
+    async list(query, { sort, sortBy: sortName, now = new Date(), after, limit }) {
+      const computed = COMPUTED_FIELDS[sortName];
+      const compare = sortBy(sort);
+      let rows = select(query).map(task => ({ task, keys: { ...task, ...computed?.(task, now) } }));
+      if (after) rows = rows.filter(row => compare(row.keys, after) > 0);
+      rows.sort((a, b) => compare(a.keys, b.keys));
+
+      const hasMore = limit !== undefined && rows.length > limit;
+      if (hasMore) rows = rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      return {
+        tasks: rows.map(row => toRecord(row.task)),
+        hasMore,
+        last: last ? Object.fromEntries(Object.keys(sort).map(field => [field, last.keys[field] ?? null])) : null
+      };
+    },
+
+    async create(fields) {
+      const task = newTask(fields);
+      all().push(task);
+      store.save();
+      return toRecord(task);
+    },
+
+    async createMany(list) {
+      const tasks = list.map(newTask);
+      all().push(...tasks);
+      store.save();
+      return tasks.map(toRecord);
+    },
+
+    async updateOne(query, fields) {
+      const task = all().find(candidate => matches(candidate, query));
+      if (!task) return null;
+      assign(task, prepare(fields));
+      store.save();
+      return toRecord(task);
+    },
+
+    async updateMany(query, fields) {
+      const prepared = prepare(fields);
+      return updateEach(query, task => assign(task, prepared));
+    },
+
+    async setPositions(match, positions) {
+      const byId = new Map(positions.map(({ id, position }) => [String(id), position]));
+      updateEach(match, task => byId.has(task._id) && assign(task, { position: byId.get(task._id) }));
+    },
+
+    async renumberPositions(match, step) {
+      const tasks = select(match).sort(sortBy({ position: 1 }));
+      tasks.forEach((task, index) => {
+        task.position = (index + 1) * step;
+      });
+      store.save();
+    },
+
+    async addTag(query, tag) {
+      return updateEach(query, task => !task.tags.includes(tag) && task.tags.push(tag));
+    },
+
+    async pullTags(query, tags) {
+      return updateEach(query, task => assign(task, { tags: task.tags.filter(tag => !tags.includes(tag)) }));
+    },
+
+    async pushAttachment(query, attachment) {
+      const task = all().find(candidate => matches(candidate, query));
+      if (!task) return null;
+      assign(task, prepare({ attachments: [...task.attachments, attachment], updatedAt: new Date() }));
+      store.save();
+      return toRecord(task);
+    },
+
+    async pullAttachment(query, attachmentId) {
+      const task = findWithItem(query, 'attachments', attachmentId);
+      if (!task) return null;
+      assign(task, {
+        attachments: task.attachments.filter(attachment => attachment._id !== String(attachmentId)),
+        updatedAt: new Date()
+      });
+      store.save();
+      return toRecord(task);
+    },
+
+    async pushSubtask(query, subtask) {
+      const task = all().find(candidate => matches(candidate, query));
+      if (!task) return null;
+      assign(task, prepare({ subtasks: [...task.subtasks, subtask], updatedAt: new Date() }));
+      store.save();
+      return toRecord(task);
+    },
+
+    async setSubtask(query, subtaskId, fields) {
+      const task = findWithItem(query, 'subtasks', subtaskId);
+      if (!task) return null;
+      assign(task, {
+        subtasks: task.subtasks.map(subtask => subtask._id === String(subtaskId) ? { ...subtask, ...copy(fields) } : subtask),
+        updatedAt: new Date()
+      });
+      store.save();
+      return toRecord(task);
+    },
+
+    async pullSubtask(query, subtaskId) {
+      const task = findWithItem(query, 'subtasks', subtaskId);
+      if (!task) return null;
+      assign(task, {
+        subtasks: task.subtasks.filter(subtask => subtask._id !== String(subtaskId)),
+        updatedAt: new Date()
+      });
+      store.save();
+      return toRecord(task);
+    },
+
+    async deleteMany(query) {
+      const before = all().length;
+      store.data.tasks = all().filter(task => !matches(task, query));
+      const deleted = before - all().length;
+      if (deleted > 0) store.save();
+      return deleted;
+    },
+
+    async countByList(match) {
+      const counts = new Map();
+      for (const task of select({ ...match, deletedAt: null })) {
+        const count = counts.get(task.list) || { list: task.list, total: 0, pending: 0 };
+        count.total += 1;
+        if (!task.completed) count.pending += 1;
+        counts.set(task.list, count);
+      }
+      return [...counts.values()];
+    },
+
+    async tagCounts(match) {
+      const counts = new Map();
+      for (const task of select({ ...match, deletedAt: null })) {
+        for (const name of task.tags) {
+          const count = counts.get(name) || { name, count: 0, pending: 0 };
+          count.count += 1;
+          if (!task.completed) count.pending += 1;
+          counts.set(name, count);
+        }
+      }
+      return [...counts.values()].sort((a, b) => b.count - a.count || compareValues(a.name, b.name));
+    },
+
+    async stats(match, { now, startOfToday, startOfTomorrow }) {
+      const tasks = select({ ...match, deletedAt: null });
+      const pendingDue = tasks.filter(task => !task.completed && task.dueDate instanceof Date);
+      const subtasks = tasks.flatMap(task => task.subtasks);
+      const assignees = [...new Set(tasks.map(task => task.assignee ?? null))];
+      return {
+        total: tasks.length,
+        completed: tasks.filter(task => task.completed).length,
+        pending: tasks.filter(task => !task.completed).length,
+        important: tasks.filter(task => isImportant(task.priority)).length,
+        overdue: pendingDue.filter(task => task.dueDate < now).length,
+        dueToday: pendingDue.filter(task => task.dueDate >= startOfToday && task.dueDate < startOfTomorrow).length,
+        subtasksTotal: subtasks.length,
+        subtasksCompleted: subtasks.filter(subtask => subtask.completed).length,
+        byPriority: Object.fromEntries(PRIORITIES.map(level => [
+          level,
+          tasks.filter(task => task.priority === level).length
+        ])),
+        byAssignee: assignees.map(assignee => {
+          const assigned = tasks.filter(task => (task.assignee ?? null) === assignee);
+          return {
+            assignee,
+            total: assigned.length,
+            completed: assigned.filter(task => task.completed).length,
+            pending: assigned.filter(task => !task.completed).length,
+            overdue: assigned.filter(task => !task.completed && task.dueDate instanceof Date && task.dueDate < now).length
+          };
+        }).sort((a, b) => b.total - a.total || compareValues(a.assignee, b.assignee))
+      };
+    },
+
+    async activity(match, { boundaries, points, tzOffsetMs }) {
+      const tasks = select(match);
+      const periodOf = (date) => boundaries.findIndex((start, index) =>
+        index < boundaries.length - 1 && date >= start && date < boundaries[index + 1]);
+      const live = tasks.filter(task => task.deletedAt === null);
+
+      const created = boundaries.slice(1).map(() => 0);
+      const completed = boundaries.slice(1).map(() => ({ count: 0, totalTime: 0 }));
+      for (const task of live) {
+        const createdIn = periodOf(task.createdAt);
+        if (createdIn !== -1) created[createdIn] += 1;
+        const completedIn = task.completedAt ? periodOf(task.completedAt) : -1;
+        if (completedIn !== -1) {
+          completed[completedIn].count += 1;
+          // Imported tasks can have been completed before they were created here
+          completed[completedIn].totalTime += Math.max(0, task.completedAt - task.createdAt);
+        }
+      }
+
+      // A task is overdue at a point in time once its due date has passed,
+      // until it is completed or deleted
+      const overdue = points.map(point => tasks.filter(task =>
+        task.dueDate instanceof Date && task.dueDate < point &&
+        task.createdAt <= point &&
+        (task.completedAt === null || task.completedAt > point) &&
+        (task.deletedAt === null || task.deletedAt > point)).length);
+
+      const completionDays = [...new Set(live
+        .filter(task => task.completedAt)
+        .map(task => new Date(task.completedAt.getTime() - tzOffsetMs).toISOString().slice(0, 10)))].sort();
+
+      return {
+        created,
+        completed: completed.map(({ count, totalTime }) => ({ count, averageTime: count > 0 ? totalTime / count : null })),
+        overdue,
+        completionDays
+      };
+    }
+  };
+
+  return repository;
+};
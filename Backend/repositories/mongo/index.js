@@ -0,0 +1,319 @@
+import mongoose from 'mongoose';
+import User from '../../models/User.js';
+import List from '../../models/List.js';
+import View from '../../models/View.js';
+import TaskHistory from '../../models/TaskHistory.js';
+import Workspace from '../../models/Workspace.js';
+import Comment from '../../models/Comment.js';
+import Notification from '../../models/Notification.js';
+import { createTaskRepository } from './tasks.js';
+import { plain, rethrowDuplicate } from './records.js';
+import { resolveOwnedListId } from '../common.js';
+import { runMigrations } from '../../migrations.js';
+
+// Storage in MongoDB through the Mongoose models
+
+// Users without their password hash, which only findCredentials returns
+const publicUser = (user) => {
+  const record = plain(user);
+  delete record.passwordHash;
+  return record;
+};
+
+export const createMongoStorage = ({ uri } = {}) => {
+  const users = {
+    async findById(id) {
+      const user = mongoose.isValidObjectId(id) && await User.findById(id);
+      return user ? publicUser(user) : null;
+    },
+
+    async findByIds(ids) {
+      return (await User.find({ _id: { $in: ids } })).map(publicUser);
+    },
+
+    async findCredentials(username) {
+      const user = await User.findOne({ username });
+      return user && { user: publicUser(user), passwordHash: user.passwordHash };
+    },
+
+    async create({ username, passwordHash }) {
+      const user = await User.create({ username, passwordHash }).catch(rethrowDuplicate);
+      return publicUser(user);
+    }
+  };
+
+  // Lists and views are found by a match of their owner and workspace
+  // (see personalScope and workspaceScope in utils/workspaces.js)
+  const lists = {
+    async find(match, { sort = { createdAt: 1 } } = {}) {
+      return plain(await List.find(match).sort(sort));
+    },
+
+    async findOne(match, id) {
+      const list = await List.findOne({ ...match, _id: id });
+      return list && plain(list);
+    },
+
+    async exists(match, id) {
+      return Boolean(await List.exists({ ...match, _id: id }));
+    },
+
+    async create(match, name, createdBy) {
+      return plain(await List.create({ owner: createdBy, ...match, name }).catch(rethrowDuplicate));
+    },
+
+    async rename(match, id, name) {
+      const list = await List.findOneAndUpdate(
+        { ...match, _id: id },
+        { name: name.trim(), updatedAt: Date.now() },
+        { new: true, runValidators: true }
+      ).catch(rethrowDuplicate);
+      return list && plain(list);
+    },
+
+    async delete(match, id) {
+      await List.deleteOne({ ...match, _id: id });
+    },
+
+    async deleteMany(match) {
+      await List.deleteMany(match);
+    },
+
+    resolveOwnedId: (match, value) => resolveOwnedListId(lists, match, value)
+  };
+
+  const views = {
+    async find(match) {
+      return plain(await View.find(match).sort({ pinned: -1, createdAt: 1 }));
+    },
+
+    async findOne(match, id) {
+      const view = await View.findOne({ ...match, _id: id });
+      return view && plain(view);
+    },
+
+    async create(match, fields) {
+      return plain(await View.create({ ...match, ...fields }).catch(rethrowDuplicate));
+    },
+
+    async update(match, id, fields) {
+      const view = await View.findOneAndUpdate(
+        { ...match, _id: id },
+        { ...fields, updatedAt: Date.now() },
+        { new: true, runValidators: true }
+      ).catch(rethrowDuplicate);
+      return view && plain(view);
+    },
+
+    async delete(match, id) {
+      return Boolean(await View.findOneAndDelete({ ...match, _id: id }));
+    },
+
+    async deleteMany(match) {
+      await View.deleteMany(match);
+    },
+
+    // Views of a deleted list fall back to every list, whoever saved them
+    async resetList(listId) {
+      const { modifiedCount } = await View.updateMany(
+        { list: String(listId) },
+        { list: null, updatedAt: Date.now() }
+      );
+      return modifiedCount;
+    }
+  };
+
+  // Another owner of the workspace than `user`
+  const otherOwner = (user) => ({ members: { $elemMatch: { role: 'owner', user: { $ne: user } } } });
+
+  // Applies `update` to the workspace matching `query`; null when none does
+  const updateWorkspace = async (query, update, options = {}) => {
+    const workspace = mongoose.isValidObjectId(query._id) && await Workspace.findOneAndUpdate(
+      query,
+      { ...update, $set: { ...update.$set, updatedAt: Date.now() } },
+      { new: true, runValidators: true, ...options }
+    );
+    return workspace ? plain(workspace) : null;
+  };
+
+  const workspaces = {
+    // The workspaces the user is a member of, oldest first
+    async find(user) {
+      return plain(await Workspace.find({ 'members.user': user }).sort({ createdAt: 1 }));
+    },
+
+    async findById(id) {
+      const workspace = mongoose.isValidObjectId(id) && await Workspace.findById(id);
+      return workspace ? plain(workspace) : null;
+    },
+
+    async findByInvite(token) {
+      const workspace = await Workspace.findOne({ 'invites.token': String(token) });
+      return workspace && plain(workspace);
+    },
+
+    async create(fields) {
+      return plain(await Workspace.create(fields));
+    },
+
+    async update(id, fields) {
+      const workspace = await Workspace.findByIdAndUpdate(
+        id,
+        { ...fields, updatedAt: Date.now() },
+        { new: true, runValidators: true }
+      );
+      return workspace && plain(workspace);
+    },
+
+    // Members and invitations change in place rather than by writing the
+    // arrays back, so concurrent joins and changes cannot undo each other.
+    // null when the user is a member already.
+    async addMember(id, member) {
+      return updateWorkspace({ _id: id, 'members.user': { $ne: member.user } }, { $push: { members: member } });
+    },
+
+    // A workspace always keeps an owner: null when the user is not a member,
+    // or is its last owner and would stop being one
+    async setMemberRole(id, user, role) {
+      return updateWorkspace(
+        { _id: id, 'members.user': user, ...(role !== 'owner' && otherOwner(user)) },
+        { $set: { 'members.$[member].role': role } },
+        { arrayFilters: [{ 'member.user': user }] }
+      );
+    },
+
+    async removeMember(id, user) {
+      return updateWorkspace({ _id: id, 'members.user': user, ...otherOwner(user) }, { $pull: { members: { user } } });
+    },
+
+    // Invitations expired by `now` are dropped whenever one is added
+    async addInvite(id, invite, now = new Date()) {
+      await updateWorkspace({ _id: id }, { $pull: { invites: { expiresAt: { $lte: now } } } });
+      return updateWorkspace({ _id: id }, { $push: { invites: invite } });
+    },
+
+    // null when there is no such invitation
+    async removeInvite(id, token) {
+      return updateWorkspace({ _id: id, 'invites.token': String(token) }, { $pull: { invites: { token: String(token) } } });
+    },
+
+    async delete(id) {
+      await Workspace.deleteOne({ _id: id });
+    }
+  };
+
+  const history = {
+    async record(task, owner, changes) {
+      return plain(await TaskHistory.record(task, owner, changes));
+    },
+
+    async recordBulk(owner, entries) {
+      return plain(await TaskHistory.recordBulk(owner, entries));
+    },
+
+    async forTask(task) {
+      return plain(await TaskHistory.find({ task }).sort({ changedAt: 1, _id: 1 }));
+    },
+
+    async deleteForTasks(ids) {
+      await TaskHistory.deleteMany({ task: { $in: ids } });
+    }
+  };
+
+  const comments = {
+    async forTask(task) {
+      return plain(await Comment.find({ task }).sort({ createdAt: 1, _id: 1 }));
+    },
+
+    async findOne(task, id) {
+      const comment = mongoose.isValidObjectId(id) && await Comment.findOne({ task, _id: id });
+      return comment ? plain(comment) : null;
+    },
+
+    count: (task) => Comment.countDocuments({ task }),
+
+    async create(fields) {
+      return plain(await Comment.create(fields));
+    },
+
+    async update(id, fields) {
+      const comment = await Comment.findByIdAndUpdate(id, fields, { new: true, runValidators: true });
+      return comment && plain(comment);
+    },
+
+    // Deletes the comment and its replies; resolves to the ids deleted
+    async delete(id) {
+      const ids = (await Comment.find({ $or: [{ _id: id }, { parent: id }] }, '_id')).map(comment => String(comment._id));
+      await Comment.deleteMany({ _id: { $in: ids } });
+      return ids;
+    },
+
+    async deleteForTasks(ids) {
+      await Comment.deleteMany({ task: { $in: ids } });
+    }
+  };
+
+  const notifications = {
+    // The user's notifications, newest first
+    async find(user, { limit = 50 } = {}) {
+      return plain(await Notification.find({ user }).sort({ createdAt: -1, _id: -1 }).limit(limit));
+    },
+
+    countUnread: (user) => Notification.countDocuments({ user, readAt: null }),
+
+    async createMany(records) {
+      if (records.length === 0) return [];
+      return plain(await Notification.insertMany(records));
+    },
+
+    // Marks the user's unread notifications read, or only those in `ids`;
+    // resolves to how many changed
+    async markRead(user, ids) {
+      const { modifiedCount } = await Notification.updateMany(
+        { user, readAt: null, ...(ids && { _id: { $in: ids } }) },
+        { readAt: new Date() }
+      );
+      return modifiedCount;
+    },
+
+    async deleteForComments(ids) {
+      await Notification.deleteMany({ comment: { $in: ids } });
+    },
+
+    async deleteForTasks(ids) {
+      await Notification.deleteMany({ task: { $in: ids } });
+    }
+  };
+
+  return {
+    kind: 'mongo',
+
+    // Resolves once connected, with indexes built and data migrated
+    async connect(connectUri = uri) {
+      mongoose.connection.on('error', console.error.bind(console, 'connection error:'));
+      await mongoose.connect(connectUri);
+      console.log('Connected to MongoDB');
+      await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+      await runMigrations();
+    },
+
+    isReady: () => mongoose.connection.readyState === 1,
+
+    close: () => mongoose.disconnect(),
+
+    // Removes every record; for tests
+    async clear() {
+      const collections = await mongoose.connection.db.collections();
+      await Promise.all(collections.map(collection => collection.deleteMany({})));
+    },
+
+    users,
+    lists,
+    views,
+    workspaces,
+    history,
+    comments,
+    notifications,
+    tasks: createTaskRepository()
+  };
+};
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+import { DuplicateError } from '../../utils/errors.js';
+
+// Mongoose documents and raw aggregation results -> plain records: ObjectIds
+// become strings, dates stay Dates, and the version key is left out
+export const plain = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(plain);
+  if (value && typeof value === 'object') {
+    const source = typeof value.toObject === 'function' ? value.toObject() : value;
+    return Object.fromEntries(Object.entries(source)
+      .filter(([key]) => key !== '__v')
+      .map(([key, item]) => [key, plain(item)]));
+  }
+  return value;
+};
+
+export const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const ID_FIELDS = ['owner', 'workspace', 'list', 'assignee'];
+
+// Aggregations do not cast, so ids in their matches must be ObjectIds already
+export const castMatch = (match) => ({
+  ...match,
+  ...Object.fromEntries(ID_FIELDS
+    .filter(field => typeof match[field] === 'string')
+    .map(field => [field, toObjectId(match[field])]))
+});
+
+// For .catch() on writes: unique index violations become DuplicateError
+export const rethrowDuplicate = (error) => {
+  throw error.code === 11000 ? new DuplicateError() : error;
+};
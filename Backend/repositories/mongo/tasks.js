@@ -0,0 +1,395 @@
+import Task from '../../models/Task.js';
+import { plain, castMatch } from './records.js';
+import { toTaskRecord } from '../common.js';
+import { computedSortFields } from '../../utils/taskQuery.js';
+import { afterCursor } from '../../utils/cursor.js';
+import { PRIORITIES, IMPORTANT_PRIORITIES } from '../../../shared/priorities.js';
+
+// Latest date a Date can hold; stands in for "never" in comparisons
+const NEVER = new Date(8.64e15);
+
+const toRecord = (task) => toTaskRecord(plain(task));
+
+export const createTaskRepository = () => ({
+  async find(query, { sort } = {}) {
+    const tasks = await Task.find(query).sort(sort);
+    return tasks.map(toRecord);
+  },
+
+  async findOne(query, { sort } = {}) {
+    const task = await Task.findOne(query).sort(sort);
+    return task && toRecord(task);
+  },
+
+  async exists(query) {
+    return Boolean(await Task.exists(query));
+  },
+
+  count(query) {
+    return Task.countDocuments(query);
+  },
+
+  // One page of a listing: computed sort keys are added in the pipeline, and
+  // `after` holds the sort key values of the last task of the previous page
+  async list(query, { sort, sortBy, now = new Date(), after, limit }) {
+    const computed = computedSortFields(sortBy, now);
+
+    const pipeline = [{ $match: castMatch(query) }];
+    if (computed) pipeline.push({ $addFields: computed });
+    if (after) pipeline.push({ $match: afterCursor(sort, after, { computed: Boolean(computed) }) });
+    pipeline.push({ $sort: sort });
+    // One extra row tells whether there is a next page
+    if (limit) pipeline.push({ $limit: limit + 1 });
+
+    const docs = await Task.aggregate(pipeline);
+    const hasMore = limit !== undefined && docs.length > limit;
+    if (hasMore) docs.pop();
+
+    const last = docs[docs.length - 1];
+    return {
+      tasks: docs.map(doc => {
+        for (const field of Object.keys(computed || {})) delete doc[field];
+        return toRecord(Task.hydrate(doc));
+      }),
+      hasMore,
+      last: last ? Object.fromEntries(Object.keys(sort).map(field => [field, last[field] ?? null])) : null
+    };
+  },
+
+  async create(fields) {
+    return toRecord(await Task.create(fields));
+  },
+
+  async createMany(list) {
+    const tasks = await Task.insertMany(list);
+    return tasks.map(toRecord);
+  },
+
+  async updateOne(query, fields) {
+    const task = await Task.findOneAndUpdate(query, fields, { new: true, runValidators: true });
+    return task && toRecord(task);
+  },
+
+  async updateMany(query, fields) {
+    const { matchedCount, modifiedCount } = await Task.updateMany(query, fields);
+    return { matched: matchedCount, modified: modifiedCount };
+  },
+
+  async setPositions(match, positions) {
+    await Task.bulkWrite(positions.map(({ id, position }) => ({
+      updateOne: {
+        filter: { ...match, _id: id },
+        update: { $set: { position } }
+      }
+    })));
+  },
+
+  // Spreads the positions of the matching tasks evenly again once repeated
+  // halving has run out of floating point precision between two neighbours
+  async renumberPositions(match, step) {
+    const tasks = await Task.find(match).sort({ position: 1 }).select('_id');
+    await Task.bulkWrite(tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { position: (index + 1) * step } }
+      }
+    })));
+  },
+
+  async addTag(query, tag) {
+    const { matchedCount, modifiedCount } = await Task.updateMany(query, { $addToSet: { tags: tag } });
+    return { matched: matchedCount, modified: modifiedCount };
+  },
+
+  async pullTags(query, tags) {
+    const { matchedCount, modifiedCount } = await Task.updateMany(query, { $pull: { tags: { $in: tags } } });
+    return { matched: matchedCount, modified: modifiedCount };
+  },
+
+  // Attachments change in place rather than by writing the array back, so
+  // two uploads at once cannot lose one. Both are edits, so updatedAt moves.
+  async pushAttachment(query, attachment) {
+    const task = await Task.findOneAndUpdate(
+      query,
+      { $push: { attachments: attachment }, $set: { updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    return task && toRecord(task);
+  },
+
+  // null when no task matching `query` has the attachment (any more)
+  async pullAttachment(query, attachmentId) {
+    const task = await Task.findOneAndUpdate(
+      { ...query, 'attachments._id': attachmentId },
+      { $pull: { attachments: { _id: attachmentId } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    return task && toRecord(task);
+  },
+
+  // Subtasks change in place too, so two edits of one checklist at once
+  // both stay
+  async pushSubtask(query, subtask) {
+    const task = await Task.findOneAndUpdate(
+      query,
+      { $push: { subtasks: subtask }, $set: { updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    return task && toRecord(task);
+  },
+
+  // Sets `fields` (text, completed) of one subtask; null when no task
+  // matching `query` has it (any more)
+  async setSubtask(query, subtaskId, fields) {
+    const changes = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`subtasks.$.${field}`, value]));
+    const task = await Task.findOneAndUpdate(
+      { ...query, 'subtasks._id': subtaskId },
+      { $set: { ...changes, updatedAt: new Date() } },
+      { new: true, runValidators: true }
+    );
+    return task && toRecord(task);
+  },
+
+  async pullSubtask(query, subtaskId) {
+    const task = await Task.findOneAndUpdate(
+      { ...query, 'subtasks._id': subtaskId },
+      { $pull: { subtasks: { _id: subtaskId } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+    return task && toRecord(task);
+  },
+
+  async deleteMany(query) {
+    const { deletedCount } = await Task.deleteMany(query);
+    return deletedCount;
+  },
+
+  async countByList(match) {
+    const counts = await Task.aggregate([
+      { $match: { ...castMatch(match), deletedAt: null } },
+      {
+        $group: {
+          _id: '$list',
+          total: { $sum: 1 },
+          pending: {
+            $sum: { $cond: [{ $eq: ['$completed', false] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+    return counts.map(({ _id, total, pending }) => ({ list: plain(_id), total, pending }));
+  },
+
+  tagCounts(match) {
+    return Task.aggregate([
+      { $match: { ...castMatch(match), deletedAt: null } },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 },
+          pending: {
+            $sum: { $cond: [{ $eq: ['$completed', false] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, name: '$_id', count: 1, pending: 1 } }
+    ]);
+  },
+
+  async stats(match, { now, startOfToday, startOfTomorrow }) {
+    const isPendingWithDueDate = [
+      { $eq: ['$completed', false] },
+      { $eq: [{ $type: '$dueDate' }, 'date'] }
+    ];
+    const $match = { ...castMatch(match), deletedAt: null };
+
+    const [counts] = await Task.aggregate([
+      { $match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          completed: {
+            $sum: { $cond: [{ $eq: ['$completed', true] }, 1, 0] }
+          },
+          pending: {
+            $sum: { $cond: [{ $eq: ['$completed', false] }, 1, 0] }
+          },
+          important: {
+            $sum: { $cond: [{ $in: ['$priority', IMPORTANT_PRIORITIES] }, 1, 0] }
+          },
+          overdue: {
+            $sum: {
+              $cond: [{ $and: [...isPendingWithDueDate, { $lt: ['$dueDate', now] }] }, 1, 0]
+            }
+          },
+          dueToday: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  ...isPendingWithDueDate,
+                  { $gte: ['$dueDate', startOfToday] },
+                  { $lt: ['$dueDate', startOfTomorrow] }
+                ]
+              }, 1, 0]
+            }
+          },
+          subtasksTotal: {
+            $sum: { $size: { $ifNull: ['$subtasks', []] } }
+          },
+          subtasksCompleted: {
+            $sum: {
+              $size: {
+                $filter: {
+                  input: { $ifNull: ['$subtasks', []] },
+                  cond: { $eq: ['$$this.completed', true] }
+                }
+              }
+            }
+          }
+        }
+      },
+      { $project: { _id: 0 } }
+    ]);
+
+    const byPriority = await Task.aggregate([
+      { $match },
+      { $group: { _id: '$priority', count: { $sum: 1 } } }
+    ]);
+
+    const byAssignee = await Task.aggregate([
+      { $match },
+      {
+        $group: {
+          _id: { $ifNull: ['$assignee', null] },
+          total: { $sum: 1 },
+          completed: {
+            $sum: { $cond: [{ $eq: ['$completed', true] }, 1, 0] }
+          },
+          pending: {
+            $sum: { $cond: [{ $eq: ['$completed', false] }, 1, 0] }
+          },
+          overdue: {
+            $sum: {
+              $cond: [{ $and: [...isPendingWithDueDate, { $lt: ['$dueDate', now] }] }, 1, 0]
+            }
+          }
+        }
+      },
+      { $sort: { total: -1, _id: 1 } }
+    ]);
+
+    return {
+      total: 0,
+      completed: 0,
+      pending: 0,
+      important: 0,
+      overdue: 0,
+      dueToday: 0,
+      subtasksTotal: 0,
+      subtasksCompleted: 0,
+      ...counts,
+      byPriority: Object.fromEntries(PRIORITIES.map(level => [
+        level,
+        byPriority.find(group => group._id === level)?.count || 0
+      ])),
+      byAssignee: byAssignee.map(({ _id, ...counts }) => ({ assignee: plain(_id), ...counts }))
+    };
+  },
+
+  // Created and completed tasks per period between `boundaries`, tasks
+  // overdue at each of `points`, and the local days with a completion
+  async activity(match, { boundaries, points, tzOffsetMs }) {
+    const $match = castMatch(match);
+    const from = boundaries[0];
+    // Buckets by the time they start at; the "later" bucket is left out
+    const byStart = (buckets) => new Map(buckets
+      .filter(bucket => bucket._id instanceof Date)
+      .map(bucket => [bucket._id.getTime(), bucket]));
+
+    const [counts] = await Task.aggregate([
+      { $match: { ...$match, deletedAt: null, $or: [{ createdAt: { $gte: from } }, { completedAt: { $gte: from } }] } },
+      {
+        $facet: {
+          created: [
+            { $match: { createdAt: { $gte: from } } },
+            { $bucket: { groupBy: '$createdAt', boundaries, default: 'later', output: { count: { $sum: 1 } } } }
+          ],
+          completed: [
+            { $match: { completedAt: { $gte: from } } },
+            {
+              $bucket: {
+                groupBy: '$completedAt',
+                boundaries,
+                default: 'later',
+                output: {
+                  count: { $sum: 1 },
+                  // Imported tasks can have been completed before they were created here
+                  averageTime: { $avg: { $max: [0, { $subtract: ['$completedAt', '$createdAt'] }] } }
+                }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    // A task is overdue at a point in time once its due date has passed,
+    // until it is completed or deleted
+    const overdue = await Task.aggregate([
+      {
+        $match: {
+          ...$match,
+          dueDate: { $ne: null, $lt: points[points.length - 1] },
+          createdAt: { $lt: points[points.length - 1] },
+          $and: [
+            { $or: [{ completedAt: null }, { completedAt: { $gt: points[0] } }] },
+            { $or: [{ deletedAt: null }, { deletedAt: { $gt: points[0] } }] }
+          ]
+        }
+      },
+      {
+        $project: {
+          points: {
+            $filter: {
+              input: points,
+              as: 'point',
+              cond: {
+                $and: [
+                  { $lt: ['$dueDate', '$$point'] },
+                  { $lte: ['$createdAt', '$$point'] },
+                  { $gt: [{ $ifNull: ['$completedAt', NEVER] }, '$$point'] },
+                  { $gt: [{ $ifNull: ['$deletedAt', NEVER] }, '$$point'] }
+                ]
+              }
+            }
+          }
+        }
+      },
+      { $unwind: '$points' },
+      { $group: { _id: '$points', count: { $sum: 1 } } }
+    ]);
+
+    const completionDays = await Task.aggregate([
+      { $match: { ...$match, deletedAt: null, completedAt: { $ne: null } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: { $subtract: ['$completedAt', tzOffsetMs] } } } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const created = byStart(counts.created);
+    const completed = byStart(counts.completed);
+    const overdueAt = byStart(overdue);
+    const starts = boundaries.slice(0, -1);
+    return {
+      created: starts.map(start => created.get(start.getTime())?.count || 0),
+      completed: starts.map(start => ({
+        count: completed.get(start.getTime())?.count || 0,
+        averageTime: completed.get(start.getTime())?.averageTime ?? null
+      })),
+      overdue: points.map(point => overdueAt.get(point.getTime())?.count || 0),
+      completionDays: completionDays.map(day => day._id)
+    };
+  }
+});
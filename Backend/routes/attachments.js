@@ -0,0 +1,158 @@
+import express from 'express';
+import crypto from 'crypto';
+import multer from 'multer';
+import { tasks, history } from '../repositories/index.js';
+import files from '../fileStorage/index.js';
+import { broadcast } from '../realtime.js';
+import { requireRole } from '../middleware/workspace.js';
+import { sendError, validationError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import { MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS, isAllowedFile, cleanFileName } from '../utils/attachments.js';
+import * as schemas from '../schemas/attachments.js';
+
+// Mounted at /api/tasks/:id/attachments. Uploads are multipart forms with
+// the file in `file`; the contents go to file storage and the task keeps
+// the rest. Changes respond with the whole updated task, like subtasks.
+const router = express.Router({ mergeParams: true });
+
+// Browsers send file names as UTF-8 without saying so
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 },
+  defParamCharset: 'utf8'
+}).single('file');
+
+// Runs multer, answering its errors the way the API answers others
+const receiveFile = (req, res, next) => upload(req, res, (error) => {
+  if (!error) return next();
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return sendError(res, 413, `Files may be at most ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB`);
+  }
+  const message = ['LIMIT_UNEXPECTED_FILE', 'LIMIT_FILE_COUNT'].includes(error.code)
+    ? 'must be one file, sent in the "file" field'
+    : 'could not be read from the multipart form';
+  sendError(res, 400, validationError([{ field: 'file', in: 'body', message }]));
+});
+
+const findTask = (req) => tasks.findOne({ ...req.scope.match, _id: req.params.id, deletedAt: null });
+
+const findAttachment = (task, id) => task.attachments.find(attachment => String(attachment._id) === id);
+
+const recordChange = (req, task, field, oldValue, newValue) =>
+  history.record(task._id, req.user.id, [{ field, oldValue, newValue }]);
+
+router.post('/', requireRole('editor'), validate(schemas.addAttachment), receiveFile, async (req, res) => {
+  try {
+    const task = await findTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+    if (!req.file) {
+      return sendError(res, 400, validationError([{ field: 'file', in: 'body', message: 'is required' }]));
+    }
+    if (task.attachments.length >= MAX_ATTACHMENTS) {
+      return sendError(res, 400, `A task can have at most ${MAX_ATTACHMENTS} attachments`);
+    }
+
+    const { originalname, mimetype, buffer, size } = req.file;
+    const contentType = mimetype.toLowerCase();
+    if (!isAllowedFile(buffer, contentType)) {
+      return sendError(res, 415, `Files of type ${contentType} cannot be attached`);
+    }
+
+    const key = `${task._id}/${crypto.randomUUID()}`;
+    await files.save(key, buffer);
+
+    const attachment = {
+      name: cleanFileName(originalname),
+      contentType,
+      size,
+      key,
+      uploadedBy: req.user.id,
+      createdAt: new Date()
+    };
+    // The task may have gone to the trash meanwhile, or reached the limit
+    // through other uploads
+    let savedTask = null;
+    try {
+      savedTask = await tasks.pushAttachment(
+        { _id: task._id, deletedAt: null, [`attachments.${MAX_ATTACHMENTS - 1}`]: { $exists: false } },
+        attachment
+      );
+    } finally {
+      // A file no task lists would never be cleaned up
+      if (!savedTask) await files.delete([key]);
+    }
+    if (!savedTask) {
+      if (await tasks.exists({ _id: task._id, deletedAt: null })) {
+        return sendError(res, 400, `A task can have at most ${MAX_ATTACHMENTS} attachments`);
+      }
+      return sendError(res, 404, 'Task not found');
+    }
+    await recordChange(req, task, 'attachment.added', null, attachment.name);
+    broadcast(req, 'task.updated', { task: savedTask });
+    res.status(201).json(savedTask);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// Always a download rather than shown in the page, with the type it was
+// uploaded as and no sniffing, so a file can never run as part of the app
+router.get('/:attachmentId', validate(schemas.downloadAttachment), async (req, res) => {
+  try {
+    const task = await findTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    const attachment = findAttachment(task, req.params.attachmentId);
+    const stream = attachment && await files.read(attachment.key);
+    if (!stream) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+
+    res.attachment(attachment.name);
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'private, max-age=3600'
+    });
+    stream.on('error', (error) => {
+      console.error(error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.delete('/:attachmentId', requireRole('editor'), validate(schemas.deleteAttachment), async (req, res) => {
+  try {
+    const task = await findTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    const attachment = findAttachment(task, req.params.attachmentId);
+    if (!attachment) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+
+    // Only one of two deletions at once finds it still there
+    const savedTask = await tasks.pullAttachment({ _id: task._id }, attachment._id);
+    if (!savedTask) {
+      return sendError(res, 404, 'Attachment not found');
+    }
+    await files.delete([attachment.key]);
+    await recordChange(req, task, 'attachment.removed', attachment.name, null);
+    broadcast(req, 'task.updated', { task: savedTask });
+    res.json(savedTask);
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import { users } from '../repositories/index.js';
+import { signToken, requireAuth } from '../middleware/auth.js';
+import { sendError, DuplicateError } from '../utils/errors.js';
+import { hashPassword, checkPassword } from '../utils/passwords.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/auth.js';
+
+const router = express.Router();
+
+router.post('/register', validate(schemas.register), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await users.create({
+      username: username.trim().toLowerCase(),
+      passwordHash: await hashPassword(password)
+    });
+
+    res.status(201).json({ token: signToken(user), user });
+  } catch (error) {
+    if (error instanceof DuplicateError) {
+      return sendError(res, 409, 'Username is already taken');
+    }
+    sendError(res, 400, error);
+  }
+});
+
+router.post('/login', validate(schemas.login), async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const credentials = await users.findCredentials(username.trim().toLowerCase());
+    if (!credentials || !(await checkPassword(password, credentials.passwordHash))) {
+      return sendError(res, 401, 'Invalid username or password');
+    }
+
+    res.json({ token: signToken(credentials.user), user: credentials.user });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.get('/me', requireAuth, validate(schemas.me), async (req, res) => {
+  try {
+    const user = await users.findById(req.user.id);
+    if (!user) {
+      return sendError(res, 404, 'User not found');
+    }
+    res.json(user);
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
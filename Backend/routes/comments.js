@@ -0,0 +1,157 @@
+import express from 'express';
+import { tasks, comments, notifications, users } from '../repositories/index.js';
+import { broadcast } from '../realtime.js';
+import { requireRole } from '../middleware/workspace.js';
+import { sendError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import { extractMentions } from '../utils/mentions.js';
+import * as schemas from '../schemas/comments.js';
+
+// Mounted at /api/tasks/:id/comments. Anyone who sees a task reads its
+// comments; in a workspace only editors write them. Authors edit their own
+// comments, and they or an owner of the workspace delete them.
+const router = express.Router({ mergeParams: true });
+
+// Characters of the comment kept in a mention notification
+const EXCERPT_LENGTH = 140;
+
+const findTask = (req) => tasks.findOne({ ...req.scope.match, _id: req.params.id, deletedAt: null });
+
+// Comments with their authors as { _id, username }
+const present = async (list) => {
+  const accounts = await users.findByIds([...new Set(list.map(comment => comment.author))]);
+  const usernames = new Map(accounts.map(account => [account._id, account.username]));
+  return list.map(comment => ({
+    ...comment,
+    author: { _id: comment.author, username: usernames.get(comment.author) ?? null }
+  }));
+};
+
+// Ids of the users `text` mentions, among those who can see the task
+const resolveMentions = async (scope, text) => {
+  const names = extractMentions(text);
+  if (names.length === 0) return [];
+  const members = await users.findByIds(scope.members);
+  return members.filter(member => names.includes(member.username)).map(member => member._id);
+};
+
+// Notifies `mentioned` users other than the author
+const notifyMentions = async (req, task, comment, mentioned) => {
+  const recipients = mentioned.filter(user => user !== req.user.id);
+  if (recipients.length === 0) return;
+
+  await notifications.createMany(recipients.map(user => ({
+    user,
+    type: 'mention',
+    actor: req.user.id,
+    task: task._id,
+    comment: comment._id,
+    workspace: req.scope.workspace,
+    excerpt: comment.text.slice(0, EXCERPT_LENGTH)
+  })));
+  broadcast(req, 'notifications.changed', {}, recipients);
+};
+
+// Stores the task's comment count, which task lists show, and tells everyone
+// who sees the task that its comments changed
+const commentsChanged = async (req, task) => {
+  const savedTask = await tasks.updateOne({ _id: task._id }, { commentCount: await comments.count(task._id) });
+  broadcast(req, 'task.updated', { task: savedTask });
+  broadcast(req, 'comments.changed', { taskId: task._id });
+  return savedTask;
+};
+
+router.get('/', validate(schemas.listComments), async (req, res) => {
+  try {
+    const task = await findTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    res.json(await present(await comments.forTask(task._id)));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// POST { text, parent? }; a reply to a reply joins its parent's thread
+router.post('/', requireRole('editor'), validate(schemas.addComment), async (req, res) => {
+  try {
+    const task = await findTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    let parent = null;
+    if (req.body.parent) {
+      const replyTo = await comments.findOne(task._id, req.body.parent);
+      if (!replyTo) {
+        return sendError(res, 404, 'Comment not found');
+      }
+      parent = replyTo.parent || replyTo._id;
+    }
+
+    const mentions = await resolveMentions(req.scope, req.body.text);
+    const comment = await comments.create({
+      task: task._id,
+      author: req.user.id,
+      parent,
+      text: req.body.text,
+      mentions
+    });
+
+    await notifyMentions(req, task, comment, mentions);
+    await commentsChanged(req, task);
+    const [presented] = await present([comment]);
+    res.status(201).json(presented);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// Only people mentioned for the first time are notified of an edit
+router.put('/:commentId', requireRole('editor'), validate(schemas.updateComment), async (req, res) => {
+  try {
+    const task = await findTask(req);
+    const comment = task && await comments.findOne(task._id, req.params.commentId);
+    if (!comment) {
+      return sendError(res, 404, task ? 'Comment not found' : 'Task not found');
+    }
+    if (comment.author !== req.user.id) {
+      return sendError(res, 403, 'Only the author can edit a comment');
+    }
+
+    const mentions = await resolveMentions(req.scope, req.body.text);
+    const saved = await comments.update(comment._id, { text: req.body.text, mentions, editedAt: new Date() });
+
+    await notifyMentions(req, task, saved, mentions.filter(user => !comment.mentions.includes(user)));
+    broadcast(req, 'comments.changed', { taskId: task._id });
+    const [presented] = await present([saved]);
+    res.json(presented);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// Deletes the comment with its replies and the notifications they caused
+router.delete('/:commentId', requireRole('editor'), validate(schemas.deleteComment), async (req, res) => {
+  try {
+    const task = await findTask(req);
+    const comment = task && await comments.findOne(task._id, req.params.commentId);
+    if (!comment) {
+      return sendError(res, 404, task ? 'Comment not found' : 'Task not found');
+    }
+    if (comment.author !== req.user.id && req.scope.role !== 'owner') {
+      return sendError(res, 403, 'Only the author or an owner of the workspace can delete a comment');
+    }
+
+    const ids = await comments.delete(comment._id);
+    await notifications.deleteForComments(ids);
+    const savedTask = await commentsChanged(req, task);
+    res.json({ message: 'Comment deleted', deleted: ids.length, task: savedTask });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
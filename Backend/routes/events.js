@@ -0,0 +1,42 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { subscribe, unsubscribe } from '../realtime.js';
+import { validate } from '../middleware/validate.js';
+import { events } from '../schemas/system.js';
+
+// GET /api/events?token=<jwt> opens the user's live update stream
+const router = express.Router();
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL = 25 * 1000;
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_DELAY = 3000;
+
+// EventSource cannot set headers, so the token comes in the query string
+router.use((req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+}, requireAuth);
+
+router.get('/', validate(events), (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+  subscribe(req.user.id, res);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe(req.user.id, res);
+  });
+});
+
+export default router;
@@ -0,0 +1,130 @@
+import express from 'express';
+import { lists, tasks as taskStore, views, history } from '../repositories/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveScope, requireRole } from '../middleware/workspace.js';
+import { broadcast } from '../realtime.js';
+import { sendError, DuplicateError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/lists.js';
+
+const router = express.Router();
+
+router.use(requireAuth, resolveScope);
+
+router.get('/', validate(schemas.listLists), async (req, res) => {
+  try {
+    const ownLists = await lists.find(req.scope.match);
+
+    const counts = await taskStore.countByList(req.scope.match);
+    const countsByList = new Map(counts.map(count => [String(count.list), count]));
+
+    res.json(ownLists.map(list => {
+      const count = countsByList.get(String(list._id));
+      return {
+        ...list,
+        taskCount: count ? count.total : 0,
+        pendingCount: count ? count.pending : 0
+      };
+    }));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.post('/', requireRole('editor'), validate(schemas.createList), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const list = await lists.create(req.scope.match, name, req.user.id);
+    broadcast(req, 'lists.changed');
+    res.status(201).json({ ...list, taskCount: 0, pendingCount: 0 });
+  } catch (error) {
+    if (error instanceof DuplicateError) {
+      return sendError(res, 409, 'A list with that name already exists');
+    }
+    sendError(res, 400, error);
+  }
+});
+
+router.put('/:id', requireRole('editor'), validate(schemas.renameList), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const list = await lists.rename(req.scope.match, req.params.id, name);
+
+    if (!list) {
+      return sendError(res, 404, 'List not found');
+    }
+
+    broadcast(req, 'lists.changed');
+    res.json(list);
+  } catch (error) {
+    if (error instanceof DuplicateError) {
+      return sendError(res, 409, 'A list with that name already exists');
+    }
+    sendError(res, 400, error);
+  }
+});
+
+// DELETE /api/lists/:id?tasks=move&moveTo=<listId|none>  moves the list's tasks
+// DELETE /api/lists/:id?tasks=delete                     moves them to the trash
+router.delete('/:id', requireRole('editor'), validate(schemas.deleteList), async (req, res) => {
+  try {
+    const { tasks = 'move', moveTo = 'none' } = req.query;
+
+    const list = await lists.findOne(req.scope.match, req.params.id);
+    if (!list) {
+      return sendError(res, 404, 'List not found');
+    }
+
+    const taskQuery = { ...req.scope.match, list: list._id };
+    let affected;
+
+    if (tasks === 'delete') {
+      const activeQuery = { ...taskQuery, deletedAt: null };
+      const trashed = await taskStore.find(activeQuery);
+      const deletedAt = new Date();
+      ({ modified: affected } = await taskStore.updateMany(activeQuery, { deletedAt }));
+      // With the list gone, restored tasks come back to the Inbox
+      await taskStore.updateMany(taskQuery, { list: null });
+      await history.recordBulk(req.user.id, trashed.map(task => ({
+        task: task._id,
+        field: 'deleted',
+        oldValue: null,
+        newValue: deletedAt
+      })));
+    } else {
+      let target;
+      try {
+        target = await lists.resolveOwnedId(req.scope.match, moveTo);
+      } catch (error) {
+        return sendError(res, 400, error);
+      }
+      if (target && String(target) === String(list._id)) {
+        return sendError(res, 400, 'Cannot move tasks into the list being deleted');
+      }
+      const moved = await taskStore.find(taskQuery);
+      ({ modified: affected } = await taskStore.updateMany(taskQuery, {
+        list: target,
+        updatedAt: new Date()
+      }));
+      await history.recordBulk(req.user.id, moved.map(task => ({
+        task: task._id,
+        field: 'list',
+        oldValue: String(list._id),
+        newValue: target ? String(target) : null
+      })));
+    }
+
+    await lists.delete(req.scope.match, list._id);
+    // Views of the deleted list fall back to every list
+    const viewsReset = await views.resetList(list._id);
+    broadcast(req, 'tasks.changed');
+    if (viewsReset > 0) broadcast(req, 'views.changed');
+    res.json({ message: 'List deleted successfully', tasks, affected });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
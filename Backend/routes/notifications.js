@@ -0,0 +1,60 @@
+import express from 'express';
+import { notifications, tasks, users, workspaces } from '../repositories/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { broadcast } from '../realtime.js';
+import { sendError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/notifications.js';
+
+// The signed-in user's notifications, such as @mentions in comments. They
+// are not scoped to a workspace: each one names the workspace it came from.
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Notifications with who caused them and the text of their task, which is
+// null once the task is gone or `user` can no longer see it, such as after
+// leaving its workspace
+const present = async (user, list) => {
+  const memberOf = (await workspaces.find(user)).map(workspace => workspace._id);
+  const [actors, found] = await Promise.all([
+    users.findByIds([...new Set(list.map(notification => notification.actor))]),
+    tasks.find({
+      _id: { $in: [...new Set(list.map(notification => notification.task))] },
+      $or: [{ owner: user, workspace: null }, { workspace: { $in: memberOf } }]
+    })
+  ]);
+  const usernames = new Map(actors.map(actor => [actor._id, actor.username]));
+  const texts = new Map(found.map(task => [task._id, task.deletedAt ? null : task.text]));
+  return list.map(notification => ({
+    ...notification,
+    actor: { _id: notification.actor, username: usernames.get(notification.actor) ?? null },
+    taskText: texts.get(notification.task) ?? null
+  }));
+};
+
+router.get('/', validate(schemas.listNotifications), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    const [list, unread] = await Promise.all([
+      notifications.find(req.user.id, { limit }),
+      notifications.countUnread(req.user.id)
+    ]);
+    res.json({ notifications: await present(req.user.id, list), unread });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// POST { ids? } marks those notifications read, or every one without ids
+router.post('/read', validate(schemas.markRead), async (req, res) => {
+  try {
+    const updated = await notifications.markRead(req.user.id, req.body.ids);
+    if (updated > 0) broadcast(req, 'notifications.changed');
+    res.json({ updated, unread: await notifications.countUnread(req.user.id) });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,150 @@
+import express from 'express';
+import { tasks, history } from '../repositories/index.js';
+import { broadcast } from '../realtime.js';
+import { requireRole } from '../middleware/workspace.js';
+import { sendError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/subtasks.js';
+
+// Mounted at /api/tasks/:id/subtasks; every route responds with the whole
+// updated task so clients can replace it in place. Only editors change
+// checklists in a workspace.
+const router = express.Router({ mergeParams: true });
+
+router.use(requireRole('editor'));
+
+const findOwnedTask = (req) => tasks.findOne({ ...req.scope.match, _id: req.params.id, deletedAt: null });
+
+const findSubtask = (task, id) => task.subtasks.find(subtask => String(subtask._id) === id);
+
+const recordChange = (req, task, field, oldValue, newValue) =>
+  history.record(task._id, req.user.id, [{ field, oldValue, newValue }]);
+
+router.post('/', validate(schemas.addSubtask), async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    const task = await findOwnedTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    // The task may have gone to the trash meanwhile
+    const savedTask = await tasks.pushSubtask({ _id: task._id, deletedAt: null }, { text: text.trim() });
+    if (!savedTask) {
+      return sendError(res, 404, 'Task not found');
+    }
+    await recordChange(req, task, 'subtask.added', null, text.trim());
+    broadcast(req, 'task.updated', { task: savedTask });
+    res.status(201).json(savedTask);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// Takes { order: [subtaskId, ...] } listing every subtask in its new order
+router.patch('/reorder', validate(schemas.reorderSubtasks), async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    const task = await findOwnedTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    const currentIds = task.subtasks.map(subtask => String(subtask._id));
+    const isPermutation = Array.isArray(order) &&
+      order.length === currentIds.length &&
+      new Set(order).size === order.length &&
+      order.every(id => currentIds.includes(String(id)));
+
+    if (!isPermutation) {
+      return sendError(res, 400, 'order must list every subtask id exactly once');
+    }
+
+    // Matching on the version read above keeps a checklist changed meanwhile
+    // from being written over; that answers 409 with the current version
+    const oldOrder = task.subtasks.map(subtask => subtask.text);
+    const savedTask = await tasks.updateOne(
+      { _id: task._id, deletedAt: null, updatedAt: task.updatedAt },
+      { subtasks: order.map(id => findSubtask(task, String(id))), updatedAt: new Date() }
+    );
+    if (!savedTask) {
+      const latest = await findOwnedTask(req);
+      if (!latest) {
+        return sendError(res, 404, 'Task not found');
+      }
+      return sendError(res, 409, 'Task was changed elsewhere', { task: latest });
+    }
+    await recordChange(req, task, 'subtask.order', oldOrder, savedTask.subtasks.map(subtask => subtask.text));
+    broadcast(req, 'task.updated', { task: savedTask });
+    res.json(savedTask);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+router.put('/:subtaskId', validate(schemas.updateSubtask), async (req, res) => {
+  try {
+    const { text, completed } = req.body;
+
+    const task = await findOwnedTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    const before = findSubtask(task, req.params.subtaskId);
+    if (!before) {
+      return sendError(res, 404, 'Subtask not found');
+    }
+
+    const changes = {
+      ...(text !== undefined && { text: text.trim() }),
+      ...(completed !== undefined && { completed })
+    };
+    const subtask = { ...before, ...changes };
+
+    // Only the changed fields are written, so edits of other subtasks (or
+    // other fields of this one) made meanwhile stay
+    const savedTask = await tasks.setSubtask({ _id: task._id }, before._id, changes);
+    if (!savedTask) {
+      return sendError(res, 404, 'Subtask not found');
+    }
+    if (subtask.text !== before.text) {
+      await recordChange(req, task, 'subtask.text', before.text, subtask.text);
+    }
+    if (subtask.completed !== before.completed) {
+      await recordChange(req, task, subtask.completed ? 'subtask.completed' : 'subtask.reopened', null, subtask.text);
+    }
+    broadcast(req, 'task.updated', { task: savedTask });
+    res.json(savedTask);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+router.delete('/:subtaskId', validate(schemas.deleteSubtask), async (req, res) => {
+  try {
+    const task = await findOwnedTask(req);
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    const subtask = findSubtask(task, req.params.subtaskId);
+    if (!subtask) {
+      return sendError(res, 404, 'Subtask not found');
+    }
+
+    const savedTask = await tasks.pullSubtask({ _id: task._id }, subtask._id);
+    if (!savedTask) {
+      return sendError(res, 404, 'Subtask not found');
+    }
+    await recordChange(req, task, 'subtask.removed', subtask.text, null);
+    broadcast(req, 'task.updated', { task: savedTask });
+    res.json(savedTask);
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+import express from 'express';
+import { tasks, history } from '../repositories/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveScope, requireRole } from '../middleware/workspace.js';
+import { broadcast } from '../realtime.js';
+import { normalizeTag } from '../utils/tags.js';
+import { sendError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/tags.js';
+
+// Tags only exist on tasks, so every operation here rewrites the tags
+// arrays of the tasks in the request's scope
+const router = express.Router();
+
+router.use(requireAuth, resolveScope);
+
+// Records the tag change on every affected task; `change` maps old tags to new ones
+const recordTagChanges = (owner, affected, change) => history.recordBulk(owner, affected.map(task => ({
+  task: task._id,
+  field: 'tags',
+  oldValue: [...task.tags],
+  newValue: change([...task.tags])
+})));
+
+// Replaces each tag in `from` with `into` on every task of the scope that has it
+const retag = async (scope, from, into) => {
+  const affected = await tasks.find({ ...scope.match, tags: { $in: from } });
+
+  const { matched } = await tasks.addTag({ ...scope.match, tags: { $in: from } }, into);
+
+  const obsolete = from.filter(tag => tag !== into);
+  if (obsolete.length > 0) {
+    await tasks.pullTags({ ...scope.match, tags: { $in: obsolete } }, obsolete);
+  }
+
+  await recordTagChanges(scope.user, affected, tags => [
+    ...new Set(tags.map(tag => from.includes(tag) ? into : tag))
+  ]);
+  return matched;
+};
+
+router.get('/', validate(schemas.listTags), async (req, res) => {
+  try {
+    res.json(await tasks.tagCounts(req.scope.match));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// Renaming onto a tag that already exists merges the two
+router.put('/:tag', requireRole('editor'), validate(schemas.renameTag), async (req, res) => {
+  try {
+    const from = normalizeTag(req.params.tag);
+    const into = normalizeTag(req.body.name);
+
+    const exists = await tasks.exists({ ...req.scope.match, tags: from });
+    if (!exists) {
+      return sendError(res, 404, 'Tag not found');
+    }
+
+    const affected = from === into ? 0 : await retag(req.scope, [from], into);
+    broadcast(req, 'tasks.changed');
+    res.json({ name: into, affected });
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// POST /api/tags/merge { from: ['bug', 'bugs'], into: 'bugfix' }
+router.post('/merge', requireRole('editor'), validate(schemas.mergeTags), async (req, res) => {
+  try {
+    const { from } = req.body;
+    const into = normalizeTag(req.body.into);
+
+    const sources = [...new Set(from.map(normalizeTag))];
+    const affected = await retag(req.scope, sources, into);
+    broadcast(req, 'tasks.changed');
+    res.json({ name: into, affected });
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+router.delete('/:tag', requireRole('editor'), validate(schemas.deleteTag), async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const affected = await tasks.find({ ...req.scope.match, tags: tag });
+    const { modified } = await tasks.pullTags({ ...req.scope.match, tags: tag }, [tag]);
+
+    if (modified === 0) {
+      return sendError(res, 404, 'Tag not found');
+    }
+
+    await recordTagChanges(req.user.id, affected, tags => tags.filter(other => other !== tag));
+    broadcast(req, 'tasks.changed');
+    res.json({ message: 'Tag deleted successfully', affected: modified });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import { tasks, history } from '../repositories/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveScope, requireRole } from '../middleware/workspace.js';
+import { broadcast } from '../realtime.js';
+import { getPurgeDate, purgeTasks } from '../utils/trash.js';
+import { sendError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/trash.js';
+
+// Soft-deleted tasks. DELETE /api/tasks/:id moves a task here; it can be
+// restored until it is purged by hand or after the retention period.
+const router = express.Router();
+
+router.use(requireAuth, resolveScope);
+
+router.get('/', validate(schemas.listTrash), async (req, res) => {
+  try {
+    const trashed = await tasks.find({ ...req.scope.match, deletedAt: { $ne: null } }, { sort: { deletedAt: -1 } });
+    res.json(trashed.map(task => ({ ...task, purgeAt: getPurgeDate(task.deletedAt) })));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.post('/:id/restore', requireRole('editor'), validate(schemas.restoreTask), async (req, res) => {
+  try {
+    const task = await tasks.updateOne(
+      { ...req.scope.match, _id: req.params.id, deletedAt: { $ne: null } },
+      { deletedAt: null }
+    );
+
+    if (!task) {
+      return sendError(res, 404, 'Task not found in trash');
+    }
+
+    await history.record(task._id, req.user.id, [
+      { field: 'restored', oldValue: null, newValue: null }
+    ]);
+    broadcast(req, 'task.created', { task });
+    res.json(task);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+router.delete('/:id', requireRole('editor'), validate(schemas.purgeTask), async (req, res) => {
+  try {
+    const purged = await purgeTasks({ ...req.scope.match, _id: req.params.id });
+    if (purged === 0) {
+      return sendError(res, 404, 'Task not found in trash');
+    }
+    broadcast(req, 'trash.changed');
+    res.json({ message: 'Task deleted permanently' });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// Empties the whole trash
+router.delete('/', requireRole('editor'), validate(schemas.emptyTrash), async (req, res) => {
+  try {
+    const purged = await purgeTasks(req.scope.match);
+    broadcast(req, 'trash.changed');
+    res.json({ message: 'Trash emptied', purged });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import express from 'express';
+import { views, lists, tasks } from '../repositories/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { resolveScope } from '../middleware/workspace.js';
+import { broadcast } from '../realtime.js';
+import { parseTagList } from '../utils/tags.js';
+import { buildTaskQuery, viewToTaskQuery } from '../utils/taskQuery.js';
+import { sendError, DuplicateError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/views.js';
+
+// Saved views. Each view is returned with `count`, the number of tasks it
+// currently matches; pass ?tzOffset= so date filters use the client's days.
+// Views are personal, in a workspace too, so viewers can save their own.
+const router = express.Router();
+
+router.use(requireAuth, resolveScope);
+
+// The user's views in the request's workspace, or of their own tasks
+const viewMatch = (scope) => ({ owner: scope.user, workspace: scope.workspace });
+
+// The view fields present in a request body, ready to save. Throws on a
+// list outside the scope.
+const parseViewFields = async (scope, body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name.trim();
+  if (body.search !== undefined) fields.search = body.search.trim();
+  if (body.list !== undefined) {
+    if (body.list === null || body.list === '') {
+      fields.list = null;
+    } else {
+      fields.list = body.list === 'none' ? 'none' : await lists.resolveOwnedId(scope.match, body.list);
+    }
+  }
+  if (body.filter !== undefined) fields.filter = body.filter;
+  if (body.sort !== undefined) fields.sort = body.sort || null;
+  if (body.tags !== undefined) fields.tags = parseTagList(body.tags);
+  if (body.tagMode !== undefined) fields.tagMode = body.tagMode;
+  if (body.assignee !== undefined) fields.assignee = body.assignee || null;
+  if (body.pinned !== undefined) fields.pinned = Boolean(body.pinned);
+
+  return fields;
+};
+
+const withCount = async (scope, view, tzOffset) => ({
+  ...view,
+  count: await tasks.count(buildTaskQuery(scope, { ...viewToTaskQuery(view), tzOffset }))
+});
+
+// Pinned views first, then in the order they were saved
+router.get('/', validate(schemas.listViews), async (req, res) => {
+  try {
+    const saved = await views.find(viewMatch(req.scope));
+    res.json(await Promise.all(saved.map(view => withCount(req.scope, view, req.query.tzOffset))));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.post('/', validate(schemas.createView), async (req, res) => {
+  try {
+    const fields = await parseViewFields(req.scope, req.body);
+
+    // Rejects searches that do not parse before they are saved
+    buildTaskQuery(req.scope, viewToTaskQuery(fields));
+
+    const view = await views.create(viewMatch(req.scope), fields);
+    broadcast(req, 'views.changed', {}, [req.user.id]);
+    res.status(201).json(await withCount(req.scope, view, req.body.tzOffset));
+  } catch (error) {
+    if (error instanceof DuplicateError) {
+      return sendError(res, 409, 'A view with that name already exists');
+    }
+    sendError(res, 400, error);
+  }
+});
+
+router.put('/:id', validate(schemas.updateView), async (req, res) => {
+  try {
+    const fields = await parseViewFields(req.scope, req.body);
+
+    const view = await views.findOne(viewMatch(req.scope), req.params.id);
+    if (!view) {
+      return sendError(res, 404, 'View not found');
+    }
+
+    buildTaskQuery(req.scope, viewToTaskQuery({ ...view, ...fields }));
+
+    const savedView = await views.update(viewMatch(req.scope), view._id, fields);
+    broadcast(req, 'views.changed', {}, [req.user.id]);
+    res.json(await withCount(req.scope, savedView, req.body.tzOffset));
+  } catch (error) {
+    if (error instanceof DuplicateError) {
+      return sendError(res, 409, 'A view with that name already exists');
+    }
+    sendError(res, 400, error);
+  }
+});
+
+router.delete('/:id', validate(schemas.deleteView), async (req, res) => {
+  try {
+    const deleted = await views.delete(viewMatch(req.scope), req.params.id);
+    if (!deleted) {
+      return sendError(res, 404, 'View not found');
+    }
+
+    broadcast(req, 'views.changed', {}, [req.user.id]);
+    res.json({ message: 'View deleted successfully' });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,233 @@
+import express from 'express';
+import { workspaces, users, tasks, lists, views, history, comments, notifications } from '../repositories/index.js';
+import files from '../fileStorage/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { broadcast } from '../realtime.js';
+import { hasRole, newInvite, workspaceScope } from '../utils/workspaces.js';
+import { attachmentKeysOf } from '../utils/attachments.js';
+import { sendError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../schemas/workspaces.js';
+
+// Workspaces share tasks, lists and tags between their members. Requests
+// elsewhere pick one with the X-Workspace header (middleware/workspace.js);
+// these routes manage the workspaces themselves, their members and their
+// invitation links.
+const router = express.Router();
+
+router.use(requireAuth);
+
+const isOpen = (invite, now = new Date()) => invite.expiresAt > now;
+
+// Invitations as owners see them; who created them stays internal
+const presentInvite = ({ token, role, createdAt, expiresAt }) => ({ token, role, createdAt, expiresAt });
+
+// Why a change of `userId`'s membership did not go through, from the
+// workspace as it is now: they are no longer a member, or it would leave
+// the workspace without an owner
+const refuseMemberChange = async (res, id, userId) => {
+  const workspace = await workspaces.findById(id);
+  if (!workspace?.members.some(member => member.user === userId)) {
+    return sendError(res, 404, 'Member not found');
+  }
+  sendError(res, 409, 'A workspace needs at least one owner');
+};
+
+// The workspace as its members see it: members with their usernames, and
+// the open invitations for owners only
+const present = async (workspace, user) => {
+  const role = workspace.members.find(member => member.user === user)?.role;
+  const accounts = await users.findByIds(workspace.members.map(member => member.user));
+  const usernames = new Map(accounts.map(account => [account._id, account.username]));
+  return {
+    _id: workspace._id,
+    name: workspace.name,
+    role,
+    members: workspace.members.map(member => ({ ...member, username: usernames.get(member.user) ?? null })),
+    invites: role === 'owner' ? workspace.invites.filter(invite => isOpen(invite)).map(presentInvite) : [],
+    createdAt: workspace.createdAt,
+    updatedAt: workspace.updatedAt
+  };
+};
+
+// Loads the :id workspace into req.workspace and sets req.scope to it, so
+// broadcasts reach its members. Anyone without at least `role` gets a 404
+// when they are not a member, a 403 otherwise.
+const loadWorkspace = (role = 'viewer') => async (req, res, next) => {
+  try {
+    const workspace = await workspaces.findById(req.params.id);
+    if (!workspace || !workspace.members.some(member => member.user === req.user.id)) {
+      return sendError(res, 404, 'Workspace not found');
+    }
+    req.workspace = workspace;
+    req.scope = workspaceScope(req.user.id, workspace);
+    if (!hasRole(req.scope.role, role)) {
+      return sendError(res, 403, 'Only owners of the workspace can do this');
+    }
+    next();
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+};
+
+router.get('/', validate(schemas.listWorkspaces), async (req, res) => {
+  try {
+    const memberOf = await workspaces.find(req.user.id);
+    res.json(await Promise.all(memberOf.map(workspace => present(workspace, req.user.id))));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.post('/', validate(schemas.createWorkspace), async (req, res) => {
+  try {
+    const workspace = await workspaces.create({
+      name: req.body.name,
+      members: [{ user: req.user.id, role: 'owner', joinedAt: new Date() }]
+    });
+    broadcast(req, 'workspaces.changed');
+    res.status(201).json(await present(workspace, req.user.id));
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// POST /api/workspaces/join { token } with the token of an invitation link
+router.post('/join', validate(schemas.joinWorkspace), async (req, res) => {
+  try {
+    const workspace = await workspaces.findByInvite(req.body.token);
+    const invite = workspace?.invites.find(candidate => candidate.token === req.body.token);
+    if (!invite || !isOpen(invite)) {
+      return sendError(res, 404, 'Invitation not found or expired');
+    }
+
+    if (workspace.members.some(member => member.user === req.user.id)) {
+      return res.json(await present(workspace, req.user.id));
+    }
+
+    const saved = await workspaces.addMember(workspace._id, { user: req.user.id, role: invite.role, joinedAt: new Date() });
+    if (!saved) {
+      // Joined through another request meanwhile, or the workspace is gone
+      const current = await workspaces.findById(workspace._id);
+      if (!current) {
+        return sendError(res, 404, 'Invitation not found or expired');
+      }
+      return res.json(await present(current, req.user.id));
+    }
+    req.scope = workspaceScope(req.user.id, saved);
+    broadcast(req, 'workspaces.changed');
+    res.json(await present(saved, req.user.id));
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+router.get('/:id', validate(schemas.getWorkspace), loadWorkspace(), async (req, res) => {
+  try {
+    res.json(await present(req.workspace, req.user.id));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.put('/:id', validate(schemas.renameWorkspace), loadWorkspace('owner'), async (req, res) => {
+  try {
+    const saved = await workspaces.update(req.workspace._id, { name: req.body.name });
+    broadcast(req, 'workspaces.changed');
+    res.json(await present(saved, req.user.id));
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// Deletes the workspace with everything in it; there is no trash for this
+router.delete('/:id', validate(schemas.deleteWorkspace), loadWorkspace('owner'), async (req, res) => {
+  try {
+    const match = { workspace: req.workspace._id };
+    const workspaceTasks = await tasks.find(match);
+    const ids = workspaceTasks.map(task => task._id);
+    await tasks.deleteMany(match);
+    await history.deleteForTasks(ids);
+    await comments.deleteForTasks(ids);
+    await notifications.deleteForTasks(ids);
+    await files.delete(attachmentKeysOf(workspaceTasks));
+    await lists.deleteMany(match);
+    await views.deleteMany(match);
+    await workspaces.delete(req.workspace._id);
+
+    broadcast(req, 'workspaces.changed');
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// POST /api/workspaces/:id/invites { role, expiresInDays } creates a link
+// anyone can join with until it expires or is revoked
+router.post('/:id/invites', validate(schemas.createInvite), loadWorkspace('owner'), async (req, res) => {
+  try {
+    const { role = 'editor', expiresInDays } = req.body;
+    const invite = newInvite(role, req.user.id, expiresInDays);
+
+    if (!await workspaces.addInvite(req.workspace._id, invite)) {
+      return sendError(res, 404, 'Workspace not found');
+    }
+    broadcast(req, 'workspaces.changed');
+    res.status(201).json(presentInvite(invite));
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+router.delete('/:id/invites/:token', validate(schemas.revokeInvite), loadWorkspace('owner'), async (req, res) => {
+  try {
+    if (!await workspaces.removeInvite(req.workspace._id, req.params.token)) {
+      return sendError(res, 404, 'Invitation not found');
+    }
+
+    broadcast(req, 'workspaces.changed');
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+router.put('/:id/members/:userId', validate(schemas.updateMember), loadWorkspace('owner'), async (req, res) => {
+  try {
+    const saved = await workspaces.setMemberRole(req.workspace._id, req.params.userId, req.body.role);
+    if (!saved) {
+      return refuseMemberChange(res, req.workspace._id, req.params.userId);
+    }
+    broadcast(req, 'workspaces.changed');
+    res.json(await present(saved, req.user.id));
+  } catch (error) {
+    sendError(res, 400, error);
+  }
+});
+
+// Owners remove members; anyone can leave. The member's tasks stay in the
+// workspace, unassigned, and their saved views of it go.
+router.delete('/:id/members/:userId', validate(schemas.removeMember), loadWorkspace(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId !== req.user.id && req.scope.role !== 'owner') {
+      return sendError(res, 403, 'Only owners of the workspace can do this');
+    }
+
+    const saved = await workspaces.removeMember(req.workspace._id, userId);
+    if (!saved) {
+      return refuseMemberChange(res, req.workspace._id, userId);
+    }
+    await tasks.updateMany({ workspace: req.workspace._id, assignee: userId }, { assignee: null });
+    await views.deleteMany({ owner: userId, workspace: req.workspace._id });
+
+    // The member who left hears about it too, so their workspace list updates
+    broadcast(req, 'workspaces.changed');
+    broadcast(req, 'tasks.changed', {}, saved.members.map(member => member.user));
+    res.json({ message: userId === req.user.id ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+export default router;
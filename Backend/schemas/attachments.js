@@ -0,0 +1,35 @@
+import { objectId, idParams, editorOnly } from './common.js';
+import { Task } from './resources.js';
+import { MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS, ATTACHMENT_TYPES } from '../utils/attachments.js';
+
+// Request schemas of routes/attachments.js; uploads and deletions answer
+// with the task
+
+const attachmentParams = { ...idParams, attachmentId: { ...objectId, description: 'Id of the attachment' } };
+
+export const addAttachment = {
+  summary: 'Attach a file to a task',
+  description: `At most ${MAX_ATTACHMENT_SIZE / 1024 / 1024} MB per file and ${MAX_ATTACHMENTS} files per task. ` +
+    `Accepted types: ${ATTACHMENT_TYPES.join(', ')}.`,
+  params: idParams,
+  multipart: {
+    type: 'object',
+    required: ['file'],
+    properties: { file: { type: 'string', format: 'binary' } }
+  },
+  errors: { ...editorOnly, 413: 'The file is too large', 415: 'Files of that type cannot be attached' },
+  response: { status: 201, schema: Task }
+};
+
+export const downloadAttachment = {
+  summary: 'Download an attached file',
+  params: attachmentParams,
+  response: { description: 'The file, with the type it was uploaded as', contentTypes: ATTACHMENT_TYPES }
+};
+
+export const deleteAttachment = {
+  summary: 'Remove an attached file',
+  params: attachmentParams,
+  errors: editorOnly,
+  response: { schema: Task }
+};
@@ -0,0 +1,39 @@
+import { Session, User } from './resources.js';
+
+// Request schemas of routes/auth.js
+
+const credentials = (usernameSchema, passwordSchema) => ({
+  type: 'object',
+  required: ['username', 'password'],
+  properties: { username: usernameSchema, password: passwordSchema }
+});
+
+export const register = {
+  summary: 'Create an account',
+  public: true,
+  body: credentials(
+    {
+      type: 'string',
+      minLength: 3,
+      maxLength: 32,
+      pattern: '^\\s*[a-zA-Z0-9_.-]+\\s*$',
+      'x-pattern-message': 'may only contain letters, numbers, ".", "-" and "_"',
+      description: 'Stored lowercase'
+    },
+    { type: 'string', minLength: 8 }
+  ),
+  errors: { 409: 'The username is already taken' },
+  response: { status: 201, schema: Session }
+};
+
+export const login = {
+  summary: 'Sign in',
+  public: true,
+  body: credentials({ type: 'string', minLength: 1 }, { type: 'string', minLength: 1 }),
+  response: { schema: Session }
+};
+
+export const me = {
+  summary: 'The signed-in user',
+  response: { schema: User }
+};
@@ -0,0 +1,59 @@
+import { objectId, idParams, editorOnly } from './common.js';
+import { Comment, Message, Task } from './resources.js';
+
+// Request schemas of routes/comments.js
+
+const commentParams = { ...idParams, commentId: { ...objectId, description: 'Id of the comment' } };
+
+const text = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 5000,
+  description: '@username mentions of people who can see the task notify them'
+};
+
+export const listComments = {
+  summary: 'List the comments on a task',
+  description: 'Oldest first; replies carry the id of their thread in parent.',
+  params: idParams,
+  response: { schema: { type: 'array', items: Comment } }
+};
+
+export const addComment = {
+  summary: 'Comment on a task',
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text,
+      parent: { ...objectId, nullable: true, description: 'The comment this one replies to' }
+    }
+  },
+  errors: editorOnly,
+  response: { status: 201, schema: Comment }
+};
+
+export const updateComment = {
+  summary: 'Edit a comment',
+  params: commentParams,
+  body: { type: 'object', required: ['text'], properties: { text } },
+  errors: { 403: 'Only the author can edit a comment, and only while an editor' },
+  response: { schema: Comment }
+};
+
+export const deleteComment = {
+  summary: 'Delete a comment and its replies',
+  params: commentParams,
+  errors: { 403: 'Only the author or an owner of the workspace can delete a comment' },
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        ...Message.properties,
+        deleted: { type: 'integer', description: 'Comments deleted, replies included' },
+        task: Task
+      }
+    }
+  }
+};
@@ -0,0 +1,137 @@
+import { PRIORITIES } from '../../shared/priorities.js';
+import { FREQUENCIES, MAX_INTERVAL } from '../utils/recurrence.js';
+import { TASK_FILTERS } from '../utils/taskQuery.js';
+import { ERROR_CODES } from '../utils/errors.js';
+
+// Building blocks shared by the request schemas of every route; see
+// utils/schema.js for the keywords they may use
+
+export const objectId = { type: 'string', format: 'objectId' };
+
+export const idParams = { id: { ...objectId, description: 'Id of the task' } };
+
+export const dateTime = { type: 'string', format: 'date-time' };
+
+export const nullableDateTime = { ...dateTime, nullable: true };
+
+// Date#getTimezoneOffset of the client, in minutes; decides which local day
+// dates fall on
+const TZ_RANGE = { minimum: -840, maximum: 840 };
+
+export const tzOffsetParam = {
+  type: 'integer',
+  ...TZ_RANGE,
+  description: 'Date#getTimezoneOffset of the client, in minutes'
+};
+
+// Bodies may carry it as a number or, copied from query parameters, as text
+export const tzOffset = {
+  anyOf: [{ type: 'integer', ...TZ_RANGE }, { type: 'string', pattern: '^-?\\d{1,3}$' }],
+  description: 'Date#getTimezoneOffset of the client, in minutes'
+};
+
+// A list in query parameters: 'none' for the Inbox or a list id
+export const listParam = {
+  type: 'string',
+  pattern: '^(none|[0-9a-fA-F]{24})$',
+  'x-pattern-message': 'must be "none" or a list id',
+  description: '"none" for the Inbox, or a list id'
+};
+
+// A list in bodies, where null and '' also mean the Inbox
+export const listRef = {
+  type: 'string',
+  pattern: '^(|none|[0-9a-fA-F]{24})$',
+  'x-pattern-message': 'must be "none", null or a list id',
+  nullable: true,
+  description: 'A list id; null, "" or "none" for the Inbox'
+};
+
+// An assignee in bodies: a member's id, 'me', or null, '' or 'unassigned'
+// for nobody
+export const assigneeRef = {
+  type: 'string',
+  pattern: '^(|me|unassigned|[0-9a-fA-F]{24})$',
+  'x-pattern-message': 'must be "me", null or a user id',
+  nullable: true,
+  description: 'A member\'s id or "me"; null, "" or "unassigned" for nobody'
+};
+
+export const tag = {
+  type: 'string',
+  pattern: '^\\s*#?[\\p{L}\\p{N}_-]{1,40}\\s*$',
+  'x-pattern-message': 'must be a tag of letters, numbers, "-" or "_"'
+};
+
+export const tagList = { type: 'array', items: tag, maxItems: 100 };
+
+export const priority = { type: 'string', enum: PRIORITIES };
+
+export const recurrence = {
+  type: 'object',
+  nullable: true,
+  required: ['frequency'],
+  properties: {
+    frequency: { type: 'string', enum: FREQUENCIES },
+    interval: { type: 'integer', minimum: 1, maximum: MAX_INTERVAL, default: 1 },
+    daysOfWeek: {
+      type: 'array',
+      items: { type: 'integer', minimum: 0, maximum: 6 },
+      description: 'For weekly rules; 0 is Sunday'
+    },
+    dayOfMonth: { type: 'integer', minimum: 1, maximum: 31, nullable: true },
+    tzOffset: { type: 'integer', ...TZ_RANGE }
+  },
+  description: 'Repeat rule; null for none'
+};
+
+// Query parameters that pick the tasks of a view, shared by the task
+// listing, export and the bulk actions' `query`
+export const viewParams = {
+  filter: { type: 'string', enum: TASK_FILTERS },
+  search: {
+    type: 'string',
+    maxLength: 500,
+    description: 'Search syntax: words, "phrases", -exclusions and is:, tag:, priority:, due: filters'
+  },
+  list: listParam,
+  tags: { type: 'string', description: 'Comma-separated tags' },
+  tagMode: { type: 'string', enum: ['any', 'all'] },
+  priority: { type: 'string', description: 'Comma-separated priority levels' },
+  assignee: {
+    type: 'string',
+    pattern: '^(|me|unassigned|[0-9a-fA-F]{24})$',
+    'x-pattern-message': 'must be "me", "unassigned" or a user id',
+    description: '"me", "unassigned", or the id of a member'
+  }
+};
+
+// Changes in a workspace need the editor role (see middleware/workspace.js)
+export const editorOnly = { 403: 'Viewers of the workspace cannot make changes' };
+
+// The error response every route uses; see utils/errors.js
+export const errorResponse = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: ERROR_CODES },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              field: { type: 'string' },
+              in: { type: 'string', enum: ['body', 'query', 'params', 'header'] },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
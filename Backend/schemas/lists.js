@@ -0,0 +1,55 @@
+import { objectId, listParam, editorOnly } from './common.js';
+import { List } from './resources.js';
+
+// Request schemas of routes/lists.js
+
+const params = { id: { ...objectId, description: 'Id of the list' } };
+
+const listBody = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: 'string', minLength: 1, maxLength: 60 } }
+};
+
+const duplicate = { ...editorOnly, 409: 'A list with that name already exists' };
+
+export const listLists = {
+  summary: 'List the lists with their task counts',
+  response: { schema: { type: 'array', items: List } }
+};
+
+export const createList = {
+  summary: 'Create a list',
+  body: listBody,
+  errors: duplicate,
+  response: { status: 201, schema: List }
+};
+
+export const renameList = {
+  summary: 'Rename a list',
+  params,
+  body: listBody,
+  errors: duplicate,
+  response: { schema: List }
+};
+
+export const deleteList = {
+  summary: 'Delete a list',
+  description: 'Its tasks move to another list (tasks=move) or to the trash (tasks=delete).',
+  params,
+  errors: editorOnly,
+  query: {
+    tasks: { type: 'string', enum: ['move', 'delete'], default: 'move' },
+    moveTo: { ...listParam, default: 'none', description: 'Where tasks=move puts the tasks: a list id, or "none" for the Inbox' }
+  },
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        tasks: { type: 'string', enum: ['move', 'delete'] },
+        affected: { type: 'integer' }
+      }
+    }
+  }
+};
@@ -0,0 +1,37 @@
+import { objectId } from './common.js';
+import { Notification } from './resources.js';
+
+// Request schemas of routes/notifications.js
+
+export const listNotifications = {
+  summary: 'List your notifications, newest first',
+  query: { limit: { type: 'integer', minimum: 1, maximum: 100, description: 'At most this many (default 50)' } },
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        notifications: { type: 'array', items: Notification },
+        unread: { type: 'integer', description: 'Unread notifications in all' }
+      }
+    }
+  }
+};
+
+export const markRead = {
+  summary: 'Mark notifications read',
+  body: {
+    type: 'object',
+    properties: {
+      ids: { type: 'array', items: objectId, maxItems: 100, description: 'Without ids, every notification is marked read' }
+    }
+  },
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        updated: { type: 'integer' },
+        unread: { type: 'integer' }
+      }
+    }
+  }
+};
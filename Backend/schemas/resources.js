@@ -0,0 +1,198 @@
+import { PRIORITIES } from '../../shared/priorities.js';
+import { objectId, dateTime, nullableDateTime, recurrence } from './common.js';
+import { TASK_FILTERS } from '../utils/taskQuery.js';
+import { ROLES } from '../utils/workspaces.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+
+// Shapes of the resources routes respond with, for the API description
+
+export const Subtask = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    text: { type: 'string' },
+    completed: { type: 'boolean' },
+    createdAt: dateTime
+  }
+};
+
+export const Attachment = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    name: { type: 'string' },
+    contentType: { type: 'string' },
+    size: { type: 'integer', description: 'In bytes' },
+    key: { type: 'string', description: 'Where file storage keeps the contents' },
+    uploadedBy: objectId,
+    createdAt: dateTime
+  }
+};
+
+export const Task = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    text: { type: 'string' },
+    notes: { type: 'string', description: 'Markdown' },
+    owner: { ...objectId, description: 'Who created the task' },
+    workspace: { ...objectId, nullable: true, description: 'null for a personal task' },
+    assignee: { ...objectId, nullable: true },
+    completed: { type: 'boolean' },
+    completedAt: nullableDateTime,
+    priority: { type: 'string', enum: PRIORITIES },
+    important: { type: 'boolean', description: 'High or urgent priority' },
+    list: { ...objectId, nullable: true },
+    tags: { type: 'array', items: { type: 'string' } },
+    dueDate: nullableDateTime,
+    hasDueTime: { type: 'boolean' },
+    reminderAt: nullableDateTime,
+    recurrence,
+    subtasks: { type: 'array', items: Subtask },
+    attachments: { type: 'array', items: Attachment },
+    commentCount: { type: 'integer' },
+    position: { type: 'number' },
+    deletedAt: nullableDateTime,
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }
+};
+
+export const TaskList = { type: 'array', items: Task };
+
+export const List = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    name: { type: 'string' },
+    taskCount: { type: 'integer' },
+    pendingCount: { type: 'integer' },
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }
+};
+
+export const View = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    name: { type: 'string' },
+    filter: { type: 'string', enum: TASK_FILTERS },
+    search: { type: 'string' },
+    sort: { type: 'string', nullable: true },
+    list: { type: 'string', nullable: true },
+    tags: { type: 'array', items: { type: 'string' } },
+    tagMode: { type: 'string', enum: ['any', 'all'] },
+    assignee: { type: 'string', nullable: true },
+    pinned: { type: 'boolean' },
+    count: { type: 'integer', description: 'Tasks the view matches now' }
+  }
+};
+
+export const Tag = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    count: { type: 'integer' },
+    pending: { type: 'integer' }
+  }
+};
+
+export const User = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    username: { type: 'string' },
+    createdAt: dateTime
+  }
+};
+
+export const Workspace = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    name: { type: 'string' },
+    role: { type: 'string', enum: ROLES, description: 'Role of the requesting user' },
+    members: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          user: objectId,
+          username: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          joinedAt: dateTime
+        }
+      }
+    },
+    invites: {
+      type: 'array',
+      description: 'Open invitation links; only shown to owners',
+      items: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          createdAt: dateTime,
+          expiresAt: dateTime
+        }
+      }
+    },
+    createdAt: dateTime,
+    updatedAt: dateTime
+  }
+};
+
+// A user as other records refer to them
+const UserRef = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    username: { type: 'string', nullable: true, description: 'null once the account is gone' }
+  }
+};
+
+export const Comment = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    task: objectId,
+    author: UserRef,
+    parent: { ...objectId, nullable: true, description: 'The first comment of the thread, for replies' },
+    text: { type: 'string' },
+    mentions: { type: 'array', items: objectId, description: 'Users the text @mentions' },
+    createdAt: dateTime,
+    editedAt: nullableDateTime
+  }
+};
+
+export const Notification = {
+  type: 'object',
+  properties: {
+    _id: objectId,
+    type: { type: 'string', enum: NOTIFICATION_TYPES },
+    actor: UserRef,
+    task: objectId,
+    taskText: { type: 'string', nullable: true, description: 'null once the task is deleted' },
+    comment: { ...objectId, nullable: true },
+    workspace: { ...objectId, nullable: true },
+    excerpt: { type: 'string' },
+    readAt: nullableDateTime,
+    createdAt: dateTime
+  }
+};
+
+export const Session = {
+  type: 'object',
+  properties: {
+    token: { type: 'string', description: 'Bearer token for the Authorization header' },
+    user: User
+  }
+};
+
+export const Message = {
+  type: 'object',
+  properties: {
+    message: { type: 'string' }
+  }
+};
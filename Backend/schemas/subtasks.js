@@ -0,0 +1,45 @@
+import { objectId, idParams, editorOnly } from './common.js';
+import { Task } from './resources.js';
+
+// Request schemas of routes/subtasks.js; every route answers with the task
+
+const subtaskParams = { ...idParams, subtaskId: { ...objectId, description: 'Id of the subtask' } };
+
+const text = { type: 'string', minLength: 1 };
+
+export const addSubtask = {
+  summary: 'Add a subtask',
+  params: idParams,
+  body: { type: 'object', required: ['text'], properties: { text } },
+  errors: editorOnly,
+  response: { status: 201, schema: Task }
+};
+
+export const reorderSubtasks = {
+  summary: 'Reorder subtasks',
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['order'],
+    properties: {
+      order: { type: 'array', items: objectId, description: 'Every subtask id, in the new order' }
+    }
+  },
+  errors: { ...editorOnly, 409: 'The checklist changed since it was read; the response also carries the current `task`' },
+  response: { schema: Task }
+};
+
+export const updateSubtask = {
+  summary: 'Update a subtask',
+  params: subtaskParams,
+  body: { type: 'object', properties: { text, completed: { type: 'boolean' } } },
+  errors: editorOnly,
+  response: { schema: Task }
+};
+
+export const deleteSubtask = {
+  summary: 'Remove a subtask',
+  params: subtaskParams,
+  errors: editorOnly,
+  response: { schema: Task }
+};
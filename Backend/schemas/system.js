@@ -0,0 +1,34 @@
+import { STORAGE_KINDS } from '../repositories/index.js';
+
+// Request schemas of the routes outside the resources: health, the live
+// update stream and this API description
+
+export const health = {
+  summary: 'Check the server and its database connection',
+  public: true,
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        database: { type: 'string', enum: ['Connected', 'Disconnected'] },
+        storage: { type: 'string', enum: STORAGE_KINDS, description: 'The STORAGE the server runs with' }
+      }
+    }
+  }
+};
+
+export const docs = {
+  summary: 'This API description, as an OpenAPI 3 document',
+  public: true,
+  response: { schema: { type: 'object' } }
+};
+
+export const events = {
+  summary: 'Stream live updates',
+  description: 'Server-sent events for every change to the user\'s tasks, lists and views. ' +
+    'EventSource cannot send headers, so the token may come as ?token= instead.',
+  query: { token: { type: 'string', description: 'Bearer token, for clients that cannot set headers' } },
+  response: { description: 'An event stream', contentTypes: ['text/event-stream'] }
+};
@@ -0,0 +1,56 @@
+import { tag, editorOnly } from './common.js';
+import { Tag } from './resources.js';
+
+// Request schemas of routes/tags.js
+
+const params = { tag: { type: 'string', description: 'The tag, without "#"' } };
+
+const renamed = {
+  schema: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      affected: { type: 'integer', description: 'Tasks changed' }
+    }
+  }
+};
+
+export const listTags = {
+  summary: 'List tags with how many tasks have each',
+  response: { schema: { type: 'array', items: Tag } }
+};
+
+export const renameTag = {
+  summary: 'Rename a tag',
+  description: 'Renaming onto a tag that already exists merges the two.',
+  params,
+  body: { type: 'object', required: ['name'], properties: { name: tag } },
+  errors: editorOnly,
+  response: renamed
+};
+
+export const mergeTags = {
+  summary: 'Merge tags into one',
+  body: {
+    type: 'object',
+    required: ['from', 'into'],
+    properties: {
+      from: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      into: tag
+    }
+  },
+  errors: editorOnly,
+  response: renamed
+};
+
+export const deleteTag = {
+  summary: 'Remove a tag from every task',
+  params,
+  errors: editorOnly,
+  response: {
+    schema: {
+      type: 'object',
+      properties: { message: { type: 'string' }, affected: { type: 'integer' } }
+    }
+  }
+};
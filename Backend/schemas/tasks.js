@@ -0,0 +1,323 @@
+import {
+  objectId, idParams, dateTime, nullableDateTime, tzOffset, tzOffsetParam, listParam, listRef,
+  tagList, priority, recurrence, viewParams, assigneeRef, editorOnly
+} from './common.js';
+import { Task, TaskList, Message } from './resources.js';
+import { SORT_OPTIONS } from '../utils/taskQuery.js';
+import { EXPORT_FORMATS, IMPORT_FORMATS } from '../utils/taskFormats.js';
+import { GROUP_BY } from '../utils/analytics.js';
+
+// Request schemas of the /api/tasks routes in server.js
+
+// Largest page GET /api/tasks returns with ?limit=
+const MAX_PAGE_SIZE = 500;
+
+const notes = { type: 'string', maxLength: 20000, description: 'Longer description in Markdown' };
+
+const BULK_ACTION_NAMES = ['complete', 'uncomplete', 'star', 'unstar', 'priority', 'move', 'delete'];
+
+export const listTasks = {
+  summary: 'List the tasks in a view',
+  description: 'With limit, answers with one page ({ tasks, total, nextCursor }); without, with every matching task.',
+  query: {
+    ...viewParams,
+    tzOffset: tzOffsetParam,
+    sort: { type: 'string', enum: Object.keys(SORT_OPTIONS) },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+    cursor: { type: 'string', description: 'nextCursor of the previous page; requires limit' }
+  },
+  response: {
+    schema: {
+      anyOf: [
+        TaskList,
+        {
+          type: 'object',
+          properties: {
+            tasks: TaskList,
+            total: { type: 'integer' },
+            nextCursor: { type: 'string', nullable: true }
+          }
+        }
+      ]
+    }
+  }
+};
+
+export const createTask = {
+  summary: 'Create a task',
+  body: {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      notes,
+      parse: { type: 'boolean', description: 'Fill in unsent fields from phrases in the text, like "tomorrow 5pm !high"' },
+      tzOffset,
+      dueDate: nullableDateTime,
+      hasDueTime: { type: 'boolean' },
+      reminderAt: nullableDateTime,
+      recurrence,
+      priority,
+      important: { type: 'boolean', description: 'Older clients\' flag; true sets high priority' },
+      list: listRef,
+      tags: tagList,
+      assignee: assigneeRef
+    }
+  },
+  errors: editorOnly,
+  response: { status: 201, schema: Task }
+};
+
+export const reorderTasks = {
+  summary: 'Reorder tasks by hand',
+  description: 'Either { id, before } / { id, after } to move one task, or { order } to reorder a set of tasks among their positions.',
+  body: {
+    type: 'object',
+    properties: {
+      id: objectId,
+      before: objectId,
+      after: objectId,
+      order: { type: 'array', items: objectId, minItems: 1 }
+    }
+  },
+  errors: editorOnly,
+  response: { schema: { anyOf: [Task, TaskList] } }
+};
+
+export const exportTasks = {
+  summary: 'Download the tasks of a view as a file',
+  query: {
+    ...viewParams,
+    tzOffset: tzOffsetParam,
+    format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'json' }
+  },
+  response: {
+    description: 'The file',
+    contentTypes: Object.values(EXPORT_FORMATS).map(({ contentType }) => contentType.split(';')[0])
+  }
+};
+
+export const importTasks = {
+  summary: 'Import tasks from a file',
+  body: {
+    type: 'object',
+    required: ['format', 'content'],
+    properties: {
+      format: { type: 'string', enum: IMPORT_FORMATS },
+      content: { type: 'string', minLength: 1, description: 'The file contents' },
+      list: { ...listRef, description: 'List for tasks without one of their own' },
+      tzOffset,
+      dryRun: { type: 'boolean', description: 'Preview the import without saving anything' }
+    }
+  },
+  errors: editorOnly,
+  response: {
+    status: 201,
+    schema: {
+      type: 'object',
+      properties: {
+        source: { type: 'string' },
+        total: { type: 'integer' },
+        valid: { type: 'integer' },
+        imported: { type: 'integer' },
+        errors: { type: 'array', items: { type: 'object', properties: { row: { type: 'integer' }, error: { type: 'string' } } } },
+        newLists: { type: 'array', items: { type: 'string' } },
+        dryRun: { type: 'boolean' },
+        preview: { type: 'array', items: { type: 'object' }, description: 'With dryRun, the first tasks the import would create' }
+      }
+    }
+  }
+};
+
+export const bulkTasks = {
+  summary: 'Apply one action to many tasks',
+  description: 'Targets either the tasks in `ids`, or every task GET /api/tasks would return for `query`.',
+  body: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: BULK_ACTION_NAMES },
+      ids: { type: 'array', items: { type: 'string' }, maxItems: 5000 },
+      query: {
+        type: 'object',
+        properties: { ...viewParams, tzOffset }
+      },
+      list: { ...listRef, description: 'Target list of move' },
+      priority: { ...priority, description: 'Level set by priority' }
+    }
+  },
+  errors: editorOnly,
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        action: { type: 'string' },
+        matched: { type: 'integer' },
+        modified: { type: 'integer' },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              ok: { type: 'boolean' },
+              changed: { type: 'boolean' },
+              error: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+export const updateTask = {
+  summary: 'Update a task',
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      notes,
+      completed: { type: 'boolean' },
+      expectedUpdatedAt: {
+        ...dateTime,
+        description: 'updatedAt the client last saw; a task changed since answers 409 with the current version'
+      },
+      dueDate: nullableDateTime,
+      hasDueTime: { type: 'boolean' },
+      reminderAt: nullableDateTime,
+      recurrence,
+      priority,
+      important: { type: 'boolean' },
+      list: listRef,
+      tags: tagList,
+      assignee: assigneeRef
+    }
+  },
+  errors: { ...editorOnly, 409: 'The task changed since expectedUpdatedAt; the response also carries the current `task`' },
+  response: { schema: Task }
+};
+
+export const taskHistory = {
+  summary: 'List the changes made to a task',
+  params: idParams,
+  response: {
+    schema: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          // Whatever the field holds, null included
+          oldValue: { nullable: true },
+          newValue: { nullable: true },
+          changedAt: dateTime
+        }
+      }
+    }
+  }
+};
+
+export const deleteTask = {
+  summary: 'Move a task to the trash',
+  params: idParams,
+  errors: editorOnly,
+  response: {
+    schema: { type: 'object', properties: { ...Message.properties, task: Task } }
+  }
+};
+
+export const taskStats = {
+  summary: 'Count tasks by state',
+  query: { list: listParam, tzOffset: tzOffsetParam },
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        completed: { type: 'integer' },
+        pending: { type: 'integer' },
+        important: { type: 'integer' },
+        overdue: { type: 'integer' },
+        dueToday: { type: 'integer' },
+        subtasksTotal: { type: 'integer' },
+        subtasksCompleted: { type: 'integer' },
+        byPriority: { type: 'object', additionalProperties: { type: 'integer' } },
+        byAssignee: {
+          type: 'array',
+          description: 'Counts per assignee, most tasks first; assignee is null for unassigned tasks',
+          items: {
+            type: 'object',
+            properties: {
+              assignee: { ...objectId, nullable: true },
+              username: { type: 'string', nullable: true },
+              total: { type: 'integer' },
+              completed: { type: 'integer' },
+              pending: { type: 'integer' },
+              overdue: { type: 'integer' }
+            }
+          }
+        },
+        trashed: { type: 'integer' }
+      }
+    }
+  }
+};
+
+export const taskAnalytics = {
+  summary: 'Task trends over time',
+  query: {
+    range: {
+      type: 'string',
+      pattern: '^\\d+[dwm]$',
+      'x-pattern-message': 'must be a number of days, weeks or months, like 30d, 12w or 6m',
+      default: '30d'
+    },
+    groupBy: { type: 'string', enum: GROUP_BY, default: 'day' },
+    list: listParam,
+    tzOffset: tzOffsetParam
+  },
+  response: {
+    schema: {
+      type: 'object',
+      properties: {
+        groupBy: { type: 'string', enum: GROUP_BY },
+        from: dateTime,
+        to: dateTime,
+        series: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              period: { type: 'string', format: 'date' },
+              start: dateTime,
+              end: dateTime,
+              created: { type: 'integer' },
+              completed: { type: 'integer' },
+              averageCompletionHours: { type: 'number', nullable: true },
+              overdue: { type: 'integer' }
+            }
+          }
+        },
+        totals: {
+          type: 'object',
+          properties: {
+            created: { type: 'integer' },
+            completed: { type: 'integer' },
+            averageCompletionHours: { type: 'number', nullable: true },
+            overdue: { type: 'integer' }
+          }
+        },
+        streaks: {
+          type: 'object',
+          properties: {
+            current: { type: 'integer' },
+            longest: { type: 'integer' },
+            lastCompletedOn: { type: 'string', format: 'date', nullable: true }
+          }
+        }
+      }
+    }
+  }
+};
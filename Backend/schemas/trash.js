@@ -0,0 +1,39 @@
+import { idParams, dateTime, editorOnly } from './common.js';
+import { Task, Message } from './resources.js';
+
+// Request schemas of routes/trash.js
+
+export const listTrash = {
+  summary: 'List the tasks in the trash',
+  response: {
+    schema: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { ...Task.properties, purgeAt: { ...dateTime, description: 'When the task is deleted for good' } }
+      }
+    }
+  }
+};
+
+export const restoreTask = {
+  summary: 'Restore a task from the trash',
+  params: idParams,
+  errors: editorOnly,
+  response: { schema: Task }
+};
+
+export const purgeTask = {
+  summary: 'Delete a task in the trash for good',
+  params: idParams,
+  errors: editorOnly,
+  response: { schema: Message }
+};
+
+export const emptyTrash = {
+  summary: 'Empty the trash',
+  errors: editorOnly,
+  response: {
+    schema: { type: 'object', properties: { ...Message.properties, purged: { type: 'integer' } } }
+  }
+};
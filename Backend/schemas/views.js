@@ -0,0 +1,55 @@
+import { objectId, tzOffset, tzOffsetParam, tagList, viewParams } from './common.js';
+import { View, Message } from './resources.js';
+import { TASK_FILTERS, SORT_OPTIONS } from '../utils/taskQuery.js';
+
+// Request schemas of routes/views.js
+
+const params = { id: { ...objectId, description: 'Id of the view' } };
+
+const viewProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 60 },
+  filter: { type: 'string', enum: TASK_FILTERS },
+  search: { type: 'string', maxLength: 200 },
+  sort: { type: 'string', enum: [...Object.keys(SORT_OPTIONS), ''], nullable: true },
+  list: {
+    type: 'string',
+    pattern: '^(|none|[0-9a-fA-F]{24})$',
+    'x-pattern-message': 'must be "none", null or a list id',
+    nullable: true,
+    description: 'null or "" for every list, "none" for the Inbox, or a list id'
+  },
+  tags: tagList,
+  tagMode: { type: 'string', enum: ['any', 'all'] },
+  assignee: { ...viewParams.assignee, nullable: true },
+  pinned: { type: 'boolean' },
+  tzOffset: { ...tzOffset, description: 'For the count of the view in the response' }
+};
+
+const duplicate = { 409: 'A view with that name already exists' };
+
+export const listViews = {
+  summary: 'List saved views with their task counts',
+  query: { tzOffset: tzOffsetParam },
+  response: { schema: { type: 'array', items: View } }
+};
+
+export const createView = {
+  summary: 'Save a view',
+  body: { type: 'object', required: ['name'], properties: viewProperties },
+  errors: duplicate,
+  response: { status: 201, schema: View }
+};
+
+export const updateView = {
+  summary: 'Update a saved view',
+  params,
+  body: { type: 'object', properties: viewProperties },
+  errors: duplicate,
+  response: { schema: View }
+};
+
+export const deleteView = {
+  summary: 'Delete a saved view',
+  params,
+  response: { schema: Message }
+};
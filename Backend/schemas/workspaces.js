@@ -0,0 +1,104 @@
+import { objectId } from './common.js';
+import { Workspace, Message } from './resources.js';
+import { ROLES } from '../utils/workspaces.js';
+
+// Request schemas of routes/workspaces.js
+
+const params = { id: { ...objectId, description: 'Id of the workspace' } };
+
+const memberParams = { ...params, userId: { ...objectId, description: 'Id of the member' } };
+
+const role = { type: 'string', enum: ROLES };
+
+const nameBody = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: { type: 'string', minLength: 1, maxLength: 60 } }
+};
+
+const ownerOnly = { 403: 'Only owners of the workspace can do this' };
+
+const lastOwner = { 409: 'The workspace would be left without an owner' };
+
+export const listWorkspaces = {
+  summary: 'List the workspaces you are a member of',
+  response: { schema: { type: 'array', items: Workspace } }
+};
+
+export const createWorkspace = {
+  summary: 'Create a workspace',
+  description: 'You become its owner.',
+  body: nameBody,
+  response: { status: 201, schema: Workspace }
+};
+
+export const joinWorkspace = {
+  summary: 'Join a workspace with an invitation token',
+  description: 'Members who join again keep their role.',
+  body: {
+    type: 'object',
+    required: ['token'],
+    properties: { token: { type: 'string', minLength: 1, maxLength: 100 } }
+  },
+  errors: { 404: 'The invitation does not exist or has expired' },
+  response: { schema: Workspace }
+};
+
+export const getWorkspace = {
+  summary: 'Get a workspace',
+  params,
+  response: { schema: Workspace }
+};
+
+export const renameWorkspace = {
+  summary: 'Rename a workspace',
+  params,
+  body: nameBody,
+  errors: ownerOnly,
+  response: { schema: Workspace }
+};
+
+export const deleteWorkspace = {
+  summary: 'Delete a workspace',
+  description: 'Its tasks, lists and saved views are deleted with it, for good.',
+  params,
+  errors: ownerOnly,
+  response: { schema: Message }
+};
+
+export const createInvite = {
+  summary: 'Create an invitation link',
+  params,
+  body: {
+    type: 'object',
+    properties: {
+      role: { ...role, default: 'editor', description: 'Role of whoever joins with the link' },
+      expiresInDays: { type: 'integer', minimum: 1, maximum: 30, default: 7 }
+    }
+  },
+  errors: ownerOnly,
+  response: { status: 201, schema: Workspace.properties.invites.items }
+};
+
+export const revokeInvite = {
+  summary: 'Revoke an invitation link',
+  params: { ...params, token: { type: 'string', description: 'Token of the invitation' } },
+  errors: ownerOnly,
+  response: { schema: Message }
+};
+
+export const updateMember = {
+  summary: 'Change the role of a member',
+  params: memberParams,
+  body: { type: 'object', required: ['role'], properties: { role } },
+  errors: { ...ownerOnly, ...lastOwner },
+  response: { schema: Workspace }
+};
+
+export const removeMember = {
+  summary: 'Remove a member, or leave the workspace',
+  description: 'Owners can remove anyone; everyone can remove themselves. Tasks assigned to the member become unassigned.',
+  params: memberParams,
+  errors: { ...ownerOnly, ...lastOwner },
+  response: { schema: Message }
+};
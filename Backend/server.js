@@ -1,24 +1,62 @@
 /* eslint-env node */
 // server.js - Production ready version
+// Loaded first, so the storage below is configured from .env
+import 'dotenv/config';
 import express from 'express';
-import mongoose from 'mongoose';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import storage, { tasks as taskStore, lists, history, users } from './repositories/index.js';
+import authRoutes from './routes/auth.js';
+import listRoutes from './routes/lists.js';
+import subtaskRoutes from './routes/subtasks.js';
+import commentRoutes from './routes/comments.js';
+import attachmentRoutes from './routes/attachments.js';
+import notificationRoutes from './routes/notifications.js';
+import tagRoutes from './routes/tags.js';
+import trashRoutes from './routes/trash.js';
+import eventRoutes from './routes/events.js';
+import viewRoutes from './routes/views.js';
+import workspaceRoutes from './routes/workspaces.js';
+import { requireAuth } from './middleware/auth.js';
+import { requireDatabase } from './middleware/database.js';
+import { resolveScope, requireRole, WORKSPACE_HEADER } from './middleware/workspace.js';
+import { validate } from './middleware/validate.js';
+import { parseOptionalDate, getDayBounds } from './utils/dates.js';
+import { parseTagList, extractHashtags } from './utils/tags.js';
+import { diffTask } from './utils/history.js';
+import { parseRecurrence, nextOccurrenceOf } from './utils/recurrence.js';
+import { parsePriority } from './utils/priority.js';
+import { resolveAssignee } from './utils/workspaces.js';
+import { encodeCursor, decodeCursor } from './utils/cursor.js';
+import { buildListMatch, buildTaskQuery, SORT_OPTIONS } from './utils/taskQuery.js';
+import { EXPORT_FORMATS, serializeTasks, parseImport } from './utils/taskFormats.js';
+import { purgeExpiredTrash } from './utils/trash.js';
+import { sendError, errorHandler } from './utils/errors.js';
+import { parseAnalyticsOptions, computeAnalytics } from './utils/analytics.js';
+import { parseQuickAdd } from '../shared/quickAdd.js';
+import { PRIORITIES, isImportant } from '../shared/priorities.js';
+import { parseSearch, highlightRanges } from '../shared/searchQuery.js';
+import { broadcast } from './realtime.js';
+import { buildApiDocument } from './utils/openapi.js';
+import * as taskSchemas from './schemas/tasks.js';
+import * as systemSchemas from './schemas/system.js';
 
 // ES module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-dotenv.config();
-
 const app = express();
 // eslint-disable-next-line no-undef
 const PORT = process.env.PORT || 5000;
 
+// Largest request body accepted by POST /api/tasks/import
+const IMPORT_BODY_LIMIT = '5mb';
+
 // Middleware
 app.use(cors());
+// Imports carry whole files, so they get a larger body limit than other routes
+app.use('/api/tasks/import', express.json({ limit: IMPORT_BODY_LIMIT }));
 app.use(express.json());
 
 // Serve static files from React build (for production)
@@ -27,176 +65,628 @@ if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, 'dist')));
 }
 
-// MongoDB connection
-// eslint-disable-next-line no-undef
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/taskmanager', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-});
+// How often trash older than the retention period is purged
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+
+// Gap left between manually ordered tasks at the ends of the list
+const POSITION_STEP = 1024;
+
+// Ids the bulk route looks up; anything else cannot match a task
+const OBJECT_ID = /^[0-9a-f]{24}$/i;
+
+// Tasks returned by an import dry run for the preview
+const IMPORT_PREVIEW_SIZE = 50;
+
+// Completing a recurring task creates its next occurrence, once
+const createNextOccurrence = async (req, task) => {
+  if (!task.recurrence || task.nextOccurrence) return null;
+
+  const next = await taskStore.create(nextOccurrenceOf(task));
+  // Linking is bookkeeping rather than an edit, so updatedAt is left alone
+  await taskStore.updateMany({ _id: task._id }, { nextOccurrence: next._id });
+  await history.record(next._id, req.user.id, [
+    { field: 'created', oldValue: null, newValue: next.text }
+  ]);
+  broadcast(req, 'task.created', { task: next });
+  return next;
+};
+
+// API Routes
+app.use(['/api/auth', '/api/lists', '/api/tags', '/api/trash', '/api/views', '/api/workspaces', '/api/notifications', '/api/tasks'], requireDatabase);
+app.use('/api/auth', authRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/views', viewRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+
+// Every task route is scoped to the authenticated user's tasks, or to the
+// workspace the X-Workspace header names
+app.use('/api/tasks', requireAuth, resolveScope);
+app.use('/api/tasks/:id/subtasks', subtaskRoutes);
+app.use('/api/tasks/:id/comments', commentRoutes);
+app.use('/api/tasks/:id/attachments', attachmentRoutes);
+
+// Lists the tasks in a view. With ?limit=N the response is one page,
+//   { tasks, total, nextCursor }
+// and passing nextCursor back as ?cursor= returns the page after it; nextCursor
+// is null on the last page. Without a limit every matching task is returned
+// as a plain array, as before pagination existed. With ?search= each task
+// carries highlights: [[start, end], ...] ranges of its text that matched.
+app.get('/api/tasks', validate(taskSchemas.listTasks), async (req, res) => {
+  try {
+    const { filter, sort: sortBy, cursor } = req.query;
+
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (cursor !== undefined && limit === undefined) {
+      return sendError(res, 400, 'cursor requires a limit');
+    }
+
+    let query;
+    try {
+      query = buildTaskQuery(req.scope, req.query);
+    } catch (error) {
+      return sendError(res, 400, error);
+    }
 
-const db = mongoose.connection;
-db.on('error', console.error.bind(console, 'connection error:'));
-db.once('open', () => {
-  console.log('Connected to MongoDB');
+    let sort = { createdAt: -1 };
+
+    // Date-based views read best soonest-first
+    if (['overdue', 'today', 'upcoming'].includes(filter)) {
+      sort = { dueDate: 1, createdAt: -1 };
+    }
+
+    if (sortBy) {
+      sort = SORT_OPTIONS[sortBy];
+    }
+    // The id breaks ties, so every task has a distinct place for cursors
+    sort = { ...sort, _id: 1 };
+
+    let page;
+    try {
+      page = cursor === undefined ? null : decodeCursor(cursor, sort);
+    } catch (error) {
+      return sendError(res, 400, error);
+    }
+
+    // Later pages of a smart sort are scored as of the first page, or tasks
+    // would shift between pages as time passes
+    const now = Number.isFinite(page?.now) ? new Date(page.now) : new Date();
+    const { tasks: found, hasMore, last } = await taskStore.list(query, { sort, sortBy, now, after: page?.after, limit });
+
+    const nextCursor = hasMore
+      ? encodeCursor(last, sort, sortBy === 'smart' ? { now: now.getTime() } : {})
+      : null;
+    const search = req.query.search ? parseSearch(req.query.search) : null;
+    const tasks = search
+      ? found.map(task => ({ ...task, highlights: highlightRanges(task.text, search) }))
+      : found;
+
+    if (limit === undefined) {
+      return res.json(tasks);
+    }
+    res.json({ tasks, total: await taskStore.count(query), nextCursor });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
 });
 
-// Task Schema
-const taskSchema = new mongoose.Schema({
-  text: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  completed: {
-    type: Boolean,
-    default: false
-  },
-  important: {
-    type: Boolean,
-    default: false
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  },
-  updatedAt: {
-    type: Date,
-    default: Date.now
+app.post('/api/tasks', requireRole('editor'), validate(taskSchemas.createTask), async (req, res) => {
+  try {
+    const { text } = req.body;
+
+    // With parse: true, phrases in the text such as "tomorrow 5pm", "!high"
+    // and "every week" fill in whichever fields were not sent explicitly
+    const quick = req.body.parse ? parseQuickAdd(text, { tzOffset: req.body.tzOffset }) : null;
+
+    const explicitDue = req.body.dueDate !== undefined;
+    const dueDate = explicitDue ? parseOptionalDate(req.body.dueDate, 'dueDate') : quick?.dueDate;
+    const hasDueTime = explicitDue ? req.body.hasDueTime ?? false : quick?.hasDueTime;
+    const reminderAt = parseOptionalDate(req.body.reminderAt, 'reminderAt');
+    const recurrence = req.body.recurrence !== undefined ? parseRecurrence(req.body.recurrence) : quick?.recurrence;
+    const priority = parsePriority(req.body) ?? quick?.priority ?? 'none';
+    const list = await lists.resolveOwnedId(req.scope.match, req.body.list);
+    const assignee = resolveAssignee(req.scope, req.body.assignee);
+
+    // "#hashtags" typed into the text become tags; a text made only of
+    // hashtags is kept as-is so the task still has a title
+    const parsed = extractHashtags(quick ? quick.text : text);
+    const tags = [...new Set([...(quick?.tags || []), ...parsed.tags, ...(parseTagList(req.body.tags) || [])])];
+
+    const savedTask = await taskStore.create({
+      owner: req.user.id,
+      workspace: req.scope.workspace,
+      assignee: assignee || null,
+      text: parsed.text || (quick ? quick.text : text.trim()),
+      // Trailing blank lines are dropped; leading spaces may be Markdown
+      notes: req.body.notes?.trimEnd() || '',
+      tags,
+      priority,
+      list: list || null,
+      dueDate: dueDate || null,
+      hasDueTime: Boolean(dueDate) && hasDueTime,
+      reminderAt: reminderAt || null,
+      recurrence: recurrence || null
+    });
+    await history.record(savedTask._id, req.user.id, [
+      { field: 'created', oldValue: null, newValue: savedTask.text }
+    ]);
+    broadcast(req, 'task.created', { task: savedTask });
+    res.status(201).json(savedTask);
+  } catch (error) {
+    sendError(res, 400, error);
   }
 });
 
-taskSchema.pre('save', function(next) {
-  this.updatedAt = Date.now();
-  next();
+// Manual ordering. Accepts either
+//   { id, before: otherId } / { id, after: otherId }  to move one task, or
+//   { order: [id, ...] }  to reorder a set of tasks among the positions they
+//   already occupy, leaving every other task where it is.
+app.patch('/api/tasks/reorder', requireRole('editor'), validate(taskSchemas.reorderTasks), async (req, res) => {
+  try {
+    const { id, before, after, order } = req.body;
+    const { match } = req.scope;
+
+    if (Array.isArray(order)) {
+      const tasks = await taskStore.find({ ...match, _id: { $in: order }, deletedAt: null });
+      if (tasks.length !== order.length || new Set(order).size !== order.length) {
+        return sendError(res, 400, 'order must list distinct ids of existing tasks');
+      }
+
+      const positions = tasks.map(task => task.position).sort((a, b) => a - b);
+      await taskStore.setPositions(match, order.map((taskId, index) => ({ id: taskId, position: positions[index] })));
+
+      const reordered = await taskStore.find({ ...match, _id: { $in: order } }, { sort: { position: 1 } });
+      broadcast(req, 'tasks.changed');
+      return res.json(reordered);
+    }
+
+    const targetId = before || after;
+    if (!id || !targetId || (before && after) || id === targetId) {
+      return sendError(res, 400, 'Provide an order array, or an id with exactly one of before/after');
+    }
+
+    const [task, target] = await Promise.all([
+      taskStore.findOne({ ...match, _id: id, deletedAt: null }),
+      taskStore.findOne({ ...match, _id: targetId, deletedAt: null })
+    ]);
+    if (!task || !target) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    // Halfway between the target and its neighbour on the far side
+    const computePosition = async (targetPosition) => {
+      const neighbour = await taskStore.findOne({
+        ...match,
+        _id: { $ne: task._id },
+        deletedAt: null,
+        position: before ? { $lt: targetPosition } : { $gt: targetPosition }
+      }, { sort: { position: before ? -1 : 1 } });
+
+      if (!neighbour) return targetPosition + (before ? -POSITION_STEP : POSITION_STEP);
+
+      const midpoint = (neighbour.position + targetPosition) / 2;
+      const exhausted = midpoint === neighbour.position || midpoint === targetPosition;
+      return exhausted ? null : midpoint;
+    };
+
+    let position = await computePosition(target.position);
+    if (position === null) {
+      await taskStore.renumberPositions(match, POSITION_STEP);
+      const renumberedTarget = await taskStore.findOne({ _id: target._id });
+      position = await computePosition(renumberedTarget.position);
+    }
+
+    // Reordering is not an edit, so updatedAt is left alone
+    const savedTask = await taskStore.updateOne({ ...match, _id: task._id }, { position });
+    broadcast(req, 'tasks.changed');
+    res.json(savedTask);
+  } catch (error) {
+    sendError(res, 400, error);
+  }
 });
 
-const Task = mongoose.model('Task', taskSchema);
+// Downloads the tasks GET /api/tasks would return for the same view
+// parameters as a json, csv, md (checklist) or ics (iCalendar to-dos) file
+app.get('/api/tasks/export', validate(taskSchemas.exportTasks), async (req, res) => {
+  try {
+    const { format = 'json', tzOffset } = req.query;
 
-// API Routes
-app.get('/api/tasks', async (req, res) => {
+    let query;
+    try {
+      query = buildTaskQuery(req.scope, req.query);
+    } catch (error) {
+      return sendError(res, 400, error);
+    }
+
+    const [tasks, ownLists] = await Promise.all([
+      taskStore.find(query, { sort: { createdAt: -1 } }),
+      lists.find(req.scope.match, { sort: { name: 1 } })
+    ]);
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    res.set('Content-Type', contentType);
+    res.attachment(`tasks-${new Date().toISOString().slice(0, 10)}.${extension}`);
+    res.send(serializeTasks(format, tasks, { lists: ownLists, tzOffset }));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// Imports tasks from a file's contents: { format, content, list, tzOffset, dryRun }.
+// json also reads Todoist and Trello exports. Rows that fail validation are
+// reported by line or item number and skipped; lists named in the file are
+// matched by name and created when missing. With dryRun nothing is written
+// and a preview of the tasks is returned instead.
+app.post('/api/tasks/import', requireRole('editor'), validate(taskSchemas.importTasks), async (req, res) => {
   try {
-    const { filter, search } = req.query;
-    let query = {};
+    const { format, content, dryRun = false, tzOffset } = req.body;
+    const owner = req.user.id;
+    const { match, workspace } = req.scope;
+
+    // Tasks without a list of their own go to this one
+    const defaultList = await lists.resolveOwnedId(match, req.body.list) || null;
 
-    if (filter === 'completed') {
-      query.completed = true;
-    } else if (filter === 'pending') {
-      query.completed = false;
-    } else if (filter === 'important') {
-      query.important = true;
+    let parsed;
+    try {
+      parsed = parseImport(format, content, { tzOffset });
+    } catch (error) {
+      return sendError(res, 400, error);
     }
 
-    if (search) {
-      query.text = { $regex: search, $options: 'i' };
+    const valid = parsed.rows.filter(row => row.task);
+    const errors = parsed.rows.filter(row => row.error);
+
+    const existingLists = await lists.find(match);
+    const listIds = new Map(existingLists.map(list => [list.name.toLowerCase(), list._id]));
+    const newLists = [...new Map(valid
+      .map(({ task }) => task.list)
+      .filter(name => name && !listIds.has(name.toLowerCase()))
+      .map(name => [name.toLowerCase(), name])).values()];
+
+    const summary = {
+      source: parsed.source,
+      total: parsed.rows.length,
+      valid: valid.length,
+      errors,
+      newLists
+    };
+
+    if (dryRun) {
+      return res.json({ ...summary, dryRun: true, preview: valid.slice(0, IMPORT_PREVIEW_SIZE) });
     }
 
-    const tasks = await Task.find(query).sort({ createdAt: -1 });
-    res.json(tasks);
+    for (const name of newLists) {
+      const list = await lists.create(match, name, owner);
+      listIds.set(name.toLowerCase(), list._id);
+    }
+
+    // Keep the file's order, above the tasks already on the list
+    const topPosition = -Date.now();
+    const tasks = await taskStore.createMany(valid.map(({ task }, index) => ({
+      ...task,
+      owner,
+      workspace,
+      list: task.list ? listIds.get(task.list.toLowerCase()) : defaultList,
+      completedAt: task.completed ? task.completedAt || new Date() : null,
+      position: topPosition - valid.length + index
+    })));
+
+    await history.recordBulk(owner, tasks.map(task => ({
+      task: task._id,
+      field: 'created',
+      oldValue: null,
+      newValue: task.text
+    })));
+
+    if (newLists.length > 0) broadcast(req, 'lists.changed');
+    if (tasks.length > 0) broadcast(req, 'tasks.changed');
+    res.status(201).json({ ...summary, imported: tasks.length });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 400, error);
   }
 });
 
-app.post('/api/tasks', async (req, res) => {
+// Actions accepted by POST /api/tasks/bulk, mapped to the update each applies
+const BULK_ACTIONS = {
+  complete: () => ({ completed: true, completedAt: new Date() }),
+  uncomplete: () => ({ completed: false, completedAt: null }),
+  // Star and unstar are the important flag's actions, kept for older clients
+  star: () => ({ priority: 'high' }),
+  unstar: () => ({ priority: 'none' }),
+  priority: ({ priority }) => ({ priority }),
+  move: ({ list }) => ({ list }),
+  delete: () => ({ deletedAt: new Date() })
+};
+
+// Tasks an action leaves alone even though the update would change them:
+// starring keeps urgent tasks urgent, unstarring keeps low and medium ones
+const BULK_SKIPS = {
+  star: task => isImportant(task.priority),
+  unstar: task => !isImportant(task.priority)
+};
+
+// Applies one action to many tasks at once. Targets are either
+//   { ids: [id, ...] }  with one result per id, in the same order, or
+//   { query: { filter, search, list, tags, tagMode, tzOffset } }  for every
+//   task GET /api/tasks would return with those parameters.
+// `move` also takes { list: listId | 'none' }, `priority` takes
+// { priority: level }; `delete` moves to the trash.
+app.post('/api/tasks/bulk', requireRole('editor'), validate(taskSchemas.bulkTasks), async (req, res) => {
   try {
-    const { text, important = false } = req.body;
-    
-    if (!text || text.trim() === '') {
-      return res.status(400).json({ error: 'Task text is required' });
+    const { action, ids, query: viewQuery } = req.body;
+    const { match } = req.scope;
+
+    if (Array.isArray(ids) === Boolean(viewQuery)) {
+      return sendError(res, 400, 'Provide either an ids array or a query');
+    }
+    if (action === 'move' && req.body.list === undefined) {
+      return sendError(res, 400, 'A target list is required to move tasks');
     }
 
-    const task = new Task({
-      text: text.trim(),
-      important
-    });
+    if (action === 'priority' && !PRIORITIES.includes(req.body.priority)) {
+      return sendError(res, 400, `priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
 
-    const savedTask = await task.save();
-    res.status(201).json(savedTask);
+    const list = action === 'move' ? await lists.resolveOwnedId(match, req.body.list) : undefined;
+
+    let tasks;
+    if (Array.isArray(ids)) {
+      tasks = await taskStore.find({
+        ...match,
+        _id: { $in: ids.filter(id => OBJECT_ID.test(id)) },
+        deletedAt: null
+      });
+    } else {
+      try {
+        tasks = await taskStore.find(buildTaskQuery(req.scope, viewQuery));
+      } catch (error) {
+        return sendError(res, 400, error);
+      }
+    }
+
+    const update = BULK_ACTIONS[action]({ list, priority: req.body.priority });
+    const changesById = new Map(tasks.map(task => [
+      String(task._id),
+      BULK_SKIPS[action]?.(task)
+        ? []
+        : action === 'delete'
+          ? [{ field: 'deleted', oldValue: null, newValue: update.deletedAt }]
+          : diffTask(task, update, Object.keys(update))
+    ]));
+    // Tasks already in the requested state are left untouched
+    const changedIds = tasks
+      .filter(task => changesById.get(String(task._id)).length > 0)
+      .map(task => task._id);
+
+    if (changedIds.length > 0) {
+      await taskStore.updateMany(
+        { ...match, _id: { $in: changedIds } },
+        action === 'delete' ? update : { ...update, updatedAt: new Date() }
+      );
+      await history.recordBulk(req.user.id, changedIds.flatMap(id =>
+        changesById.get(String(id)).map(change => ({ task: id, ...change }))
+      ));
+
+      if (action === 'complete') {
+        for (const task of tasks) {
+          if (changesById.get(String(task._id)).length > 0) await createNextOccurrence(req, task);
+        }
+      }
+    }
+
+    const toResult = (id) => changesById.has(String(id))
+      ? { id: String(id), ok: true, changed: changesById.get(String(id)).length > 0 }
+      : { id, ok: false, error: 'Task not found' };
+
+    broadcast(req, 'tasks.changed');
+    res.json({
+      action,
+      matched: tasks.length,
+      modified: changedIds.length,
+      results: Array.isArray(ids) ? ids.map(toResult) : tasks.map(task => toResult(task._id))
+    });
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, 400, error);
   }
 });
 
-app.put('/api/tasks/:id', async (req, res) => {
+app.put('/api/tasks/:id', requireRole('editor'), validate(taskSchemas.updateTask), async (req, res) => {
   try {
-    const { text, completed, important } = req.body;
+    const { text, completed, hasDueTime } = req.body;
+    // The updatedAt the client last saw; if the task has changed since, the
+    // write is stale and is rejected with the current version
+    const expectedUpdatedAt = parseOptionalDate(req.body.expectedUpdatedAt, 'expectedUpdatedAt');
+    const dueDate = parseOptionalDate(req.body.dueDate, 'dueDate');
+    const reminderAt = parseOptionalDate(req.body.reminderAt, 'reminderAt');
+    const recurrence = parseRecurrence(req.body.recurrence);
+    const list = await lists.resolveOwnedId(req.scope.match, req.body.list);
+    const assignee = resolveAssignee(req.scope, req.body.assignee);
+    const tags = parseTagList(req.body.tags);
+
+    const existing = await taskStore.findOne({ ...req.scope.match, _id: req.params.id, deletedAt: null });
+    if (!existing) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    if (expectedUpdatedAt && existing.updatedAt.getTime() !== expectedUpdatedAt.getTime()) {
+      return sendError(res, 409, 'Task was changed elsewhere', { task: existing });
+    }
     
+    const priority = parsePriority(req.body, existing.priority);
+
     const updateData = {};
-    if (text !== undefined) updateData.text = text.trim();
+    if (text !== undefined) {
+      // Hashtags typed while editing are added to the task's tags
+      const parsed = extractHashtags(text);
+      updateData.text = parsed.text || text.trim();
+      if (parsed.tags.length > 0) {
+        updateData.tags = [...new Set([...(tags || existing.tags), ...parsed.tags])];
+      }
+    }
+    if (req.body.notes !== undefined) updateData.notes = req.body.notes.trimEnd();
     if (completed !== undefined) updateData.completed = completed;
-    if (important !== undefined) updateData.important = important;
-    updateData.updatedAt = Date.now();
+    if (completed !== undefined && Boolean(completed) !== existing.completed) {
+      updateData.completedAt = completed ? new Date() : null;
+    }
+    if (priority !== undefined) updateData.priority = priority;
+    if (dueDate !== undefined) updateData.dueDate = dueDate;
+    if (hasDueTime !== undefined) updateData.hasDueTime = hasDueTime;
+    if (reminderAt !== undefined) updateData.reminderAt = reminderAt;
+    if (list !== undefined) updateData.list = list;
+    if (tags !== undefined && !updateData.tags) updateData.tags = tags;
+    if (recurrence !== undefined) updateData.recurrence = recurrence;
+    if (assignee !== undefined) updateData.assignee = assignee;
+    // Clearing the due date also clears its time flag
+    if (dueDate === null) updateData.hasDueTime = false;
+    updateData.updatedAt = new Date();
 
-    const task = await Task.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
+    // Matching on the version read above keeps a concurrent write from
+    // slipping in between the check and the update
+    const task = await taskStore.updateOne(
+      { ...req.scope.match, _id: req.params.id, deletedAt: null, updatedAt: existing.updatedAt },
+      updateData
     );
-
     if (!task) {
-      return res.status(404).json({ error: 'Task not found' });
+      const latest = await taskStore.findOne({ ...req.scope.match, _id: req.params.id, deletedAt: null });
+      if (!latest) {
+        return sendError(res, 404, 'Task not found');
+      }
+      return sendError(res, 409, 'Task was changed elsewhere', { task: latest });
     }
 
+    await history.record(task._id, req.user.id, diffTask(existing, task, Object.keys(updateData)));
+    if (task.completed && !existing.completed) {
+      await createNextOccurrence(req, task);
+    }
+    broadcast(req, 'task.updated', { task });
     res.json(task);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, 400, error);
   }
 });
 
-app.delete('/api/tasks/:id', async (req, res) => {
+app.get('/api/tasks/:id/history', validate(taskSchemas.taskHistory), async (req, res) => {
   try {
-    const task = await Task.findByIdAndDelete(req.params.id);
+    const task = await taskStore.exists({ ...req.scope.match, _id: req.params.id });
     if (!task) {
-      return res.status(404).json({ error: 'Task not found' });
+      return sendError(res, 404, 'Task not found');
     }
-    res.json({ message: 'Task deleted successfully' });
+
+    res.json(await history.forTask(req.params.id));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error);
   }
 });
 
-app.get('/api/tasks/stats', async (req, res) => {
+// Moves the task to the trash; see routes/trash.js for restoring and purging
+app.delete('/api/tasks/:id', requireRole('editor'), validate(taskSchemas.deleteTask), async (req, res) => {
   try {
-    const stats = await Task.aggregate([
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          completed: {
-            $sum: { $cond: [{ $eq: ['$completed', true] }, 1, 0] }
-          },
-          pending: {
-            $sum: { $cond: [{ $eq: ['$completed', false] }, 1, 0] }
-          },
-          important: {
-            $sum: { $cond: [{ $eq: ['$important', true] }, 1, 0] }
-          }
-        }
-      }
+    const task = await taskStore.updateOne(
+      { ...req.scope.match, _id: req.params.id, deletedAt: null },
+      { deletedAt: new Date() }
+    );
+    if (!task) {
+      return sendError(res, 404, 'Task not found');
+    }
+
+    await history.record(task._id, req.user.id, [
+      { field: 'deleted', oldValue: null, newValue: task.deletedAt }
     ]);
+    broadcast(req, 'task.deleted', { id: String(task._id) });
+    res.json({ message: 'Task moved to trash', task });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
 
-    const result = stats[0] || {
-      total: 0,
-      completed: 0,
-      pending: 0,
-      important: 0
-    };
+app.get('/api/tasks/stats', validate(taskSchemas.taskStats), async (req, res) => {
+  try {
+    let listMatch;
+    try {
+      listMatch = buildListMatch(req.query.list);
+    } catch (error) {
+      return sendError(res, 400, error);
+    }
 
-    delete result._id;
+    const now = new Date();
+    const { startOfToday, startOfTomorrow } = getDayBounds(req.query.tzOffset, now);
+    const { match } = req.scope;
+    const result = await taskStore.stats({ ...match, ...listMatch }, { now, startOfToday, startOfTomorrow });
+    result.trashed = await taskStore.count({ ...match, deletedAt: { $ne: null } });
+
+    // Names for the per-assignee counts, so clients need not look them up
+    const assignees = await users.findByIds(result.byAssignee.map(group => group.assignee).filter(Boolean));
+    const usernames = new Map(assignees.map(user => [user._id, user.username]));
+    result.byAssignee = result.byAssignee.map(group => ({ ...group, username: usernames.get(group.assignee) ?? null }));
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 500, error);
   }
 });
 
-app.get('/api/health', (req, res) => {
+// Trends over time: ?range=30d|12w|6m (at most a year), groupBy=day|week|month,
+// tzOffset, and optionally list. See utils/analytics.js for the response.
+app.get('/api/tasks/analytics', validate(taskSchemas.taskAnalytics), async (req, res) => {
+  try {
+    let listMatch;
+    let options;
+    try {
+      listMatch = buildListMatch(req.query.list);
+      options = parseAnalyticsOptions(req.query);
+    } catch (error) {
+      return sendError(res, 400, error);
+    }
+
+    res.json(await computeAnalytics({ ...req.scope.match, ...listMatch }, options));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+app.get('/api/health', validate(systemSchemas.health), (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
-    database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected'
+    database: storage.isReady() ? 'Connected' : 'Disconnected',
+    storage: storage.kind
   });
 });
 
+// The OpenAPI description, built from the routes' request schemas on first
+// use, once every route is registered
+let apiDocument;
+app.get('/api/docs', validate(systemSchemas.docs), (req, res) => {
+  apiDocument ||= buildApiDocument({
+    title: 'Task Manager API',
+    version: '1.0.0',
+    description: 'Errors always answer { error: { code, message, details? } }.',
+    routers: [
+      ['', app._router],
+      ['/api/auth', authRoutes],
+      ['/api/lists', listRoutes],
+      ['/api/tags', tagRoutes],
+      ['/api/trash', trashRoutes],
+      ['/api/views', viewRoutes],
+      ['/api/workspaces', workspaceRoutes],
+      ['/api/notifications', notificationRoutes],
+      ['/api/events', eventRoutes],
+      ['/api/tasks/:id/subtasks', subtaskRoutes],
+      ['/api/tasks/:id/comments', commentRoutes],
+      ['/api/tasks/:id/attachments', attachmentRoutes]
+    ],
+    headers: [{
+      name: WORKSPACE_HEADER,
+      schema: { type: 'string', format: 'objectId' },
+      description: 'Id of the workspace to work in; without it, your own tasks',
+      paths: ['/api/tasks', '/api/lists', '/api/tags', '/api/trash', '/api/views']
+    }]
+  });
+  res.json(apiDocument);
+});
+
 // Handle React routing, return all requests to React app (for production)
 // eslint-disable-next-line no-undef
 if (process.env.NODE_ENV === 'production') {
@@ -205,9 +695,26 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
-  // eslint-disable-next-line no-undef
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
\ No newline at end of file
+app.use(errorHandler);
+
+// Tests import the app without starting it; run directly, the server
+// connects to its storage and listens
+// eslint-disable-next-line no-undef
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  storage.connect()
+    .then(() => {
+      purgeExpiredTrash();
+      setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL);
+    })
+    .catch(error => console.error('Storage unavailable:', error.message));
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/api/health`);
+    // eslint-disable-next-line no-undef
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`Storage: ${storage.kind}`);
+  });
+}
+
+export default app;
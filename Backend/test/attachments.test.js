@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { Buffer } from 'node:buffer';
+import * as schemas from '../schemas/attachments.js';
+import files from '../fileStorage/index.js';
+import { MAX_ATTACHMENT_SIZE, MAX_ATTACHMENTS } from '../utils/attachments.js';
+import { setupDatabase, signUp, setupTeam, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+const PNG = Buffer.concat([Buffer.from('89504e470d0a1a0a', 'hex'), Buffer.alloc(64, 1)]);
+
+const attach = (request, content, filename, contentType) => request.attach('file', content, { filename, contentType });
+
+describe('/api/tasks/:id/attachments', () => {
+  it('uploads, downloads and removes files', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Report' }).expect(201);
+    const path = `/api/tasks/${task._id}/attachments`;
+
+    const withImage = expectContract(await attach(client.post(path), PNG, 'chart.png', 'image/png'), schemas.addAttachment);
+    const withTwo = expectContract(
+      await attach(client.post(path), Buffer.from('Q3 numbers'), 'Résumé notes.txt', 'text/plain'),
+      schemas.addAttachment
+    );
+    const [image, notes] = withTwo.attachments;
+    assert.equal(withImage.attachments.length, 1);
+    assert.deepEqual([image.name, image.contentType, image.size], ['chart.png', 'image/png', PNG.length]);
+    assert.equal(notes.name, 'Résumé notes.txt');
+    assert.ok(withTwo.updatedAt > task.updatedAt);
+
+    const download = await client.get(`${path}/${image._id}`).buffer(true).expect(200);
+    assert.equal(download.headers['content-type'], 'image/png');
+    assert.equal(download.headers['x-content-type-options'], 'nosniff');
+    assert.match(download.headers['content-disposition'], /^attachment; filename="chart.png"/);
+    assert.deepEqual(download.body, PNG);
+
+    const removed = expectContract(await client.delete(`${path}/${image._id}`), schemas.deleteAttachment);
+    assert.deepEqual(removed.attachments.map(attachment => attachment.name), ['Résumé notes.txt']);
+    assert.equal(await files.read(image.key), null);
+    expectError(await client.get(`${path}/${image._id}`), 404, 'NOT_FOUND');
+
+    const history = (await client.get(`/api/tasks/${task._id}/history`)).body;
+    assert.deepEqual(history.slice(-3).map(change => change.field), ['attachment.added', 'attachment.added', 'attachment.removed']);
+  });
+
+  it('keeps every file when changes come at once', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Report' }).expect(201);
+    const path = `/api/tasks/${task._id}/attachments`;
+
+    await Promise.all(['a', 'b', 'c', 'd'].map(name => attach(client.post(path), PNG, `${name}.png`, 'image/png').expect(201)));
+    const { body: [withFour] } = await client.get('/api/tasks').expect(200);
+    assert.deepEqual(withFour.attachments.map(attachment => attachment.name).sort(), ['a.png', 'b.png', 'c.png', 'd.png']);
+
+    const [first] = withFour.attachments;
+    const statuses = await Promise.all([1, 2].map(async () => (await client.delete(`${path}/${first._id}`)).status));
+    assert.deepEqual(statuses.sort(), [200, 404]);
+    const { body: [withThree] } = await client.get('/api/tasks').expect(200);
+    assert.equal(withThree.attachments.length, 3);
+  });
+
+  it('holds to the limit of files when uploads come at once', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Report' }).expect(201);
+    const path = `/api/tasks/${task._id}/attachments`;
+
+    const names = Array.from({ length: MAX_ATTACHMENTS + 2 }, (_, index) => `${index}.png`);
+    const statuses = await Promise.all(names.map(async name => (await attach(client.post(path), PNG, name, 'image/png')).status));
+    assert.equal(statuses.filter(status => status === 201).length, MAX_ATTACHMENTS);
+    assert.equal(statuses.filter(status => status === 400).length, 2);
+    const { body: [full] } = await client.get('/api/tasks').expect(200);
+    assert.equal(full.attachments.length, MAX_ATTACHMENTS);
+  });
+
+  it('limits the size and type of files', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Report' }).expect(201);
+    const path = `/api/tasks/${task._id}/attachments`;
+
+    expectError(await attach(client.post(path), Buffer.from('<svg/>'), 'logo.svg', 'image/svg+xml'), 415, 'UNSUPPORTED_MEDIA_TYPE');
+    // Claiming to be an image is not enough
+    expectError(await attach(client.post(path), Buffer.from('<script>'), 'fake.png', 'image/png'), 415, 'UNSUPPORTED_MEDIA_TYPE');
+    expectError(
+      await attach(client.post(path), Buffer.alloc(MAX_ATTACHMENT_SIZE + 1), 'big.txt', 'text/plain'),
+      413,
+      'PAYLOAD_TOO_LARGE'
+    );
+    expectInvalid(await client.post(path).field('name', 'no file'), 'file');
+    expectInvalid(await client.post(path).attach('upload', PNG, { filename: 'chart.png', contentType: 'image/png' }), 'file');
+
+    const { body: unchanged } = await client.get('/api/tasks').expect(200);
+    assert.deepEqual(unchanged[0].attachments, []);
+  });
+
+  it('validates attachment requests', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Report' }).expect(201);
+
+    expectInvalid(await client.get(`/api/tasks/${task._id}/attachments/nope`), 'attachmentId', 'params');
+    expectError(await attach(client.post(`/api/tasks/${MISSING_ID}/attachments`), PNG, 'a.png', 'image/png'), 404, 'NOT_FOUND');
+    expectError(await client.get(`/api/tasks/${task._id}/attachments/${MISSING_ID}`), 404, 'NOT_FOUND');
+    expectError(await client.delete(`/api/tasks/${task._id}/attachments/${MISSING_ID}`), 404, 'NOT_FOUND');
+
+    const other = await signUp();
+    expectError(await attach(other.post(`/api/tasks/${task._id}/attachments`), PNG, 'a.png', 'image/png'), 404, 'NOT_FOUND');
+  });
+
+  it('lets viewers download but not upload in a workspace', async () => {
+    const { editor, viewer, within } = await setupTeam();
+    const { body: task } = await within(editor).post('/api/tasks').send({ text: 'Shared' }).expect(201);
+    const path = `/api/tasks/${task._id}/attachments`;
+
+    const { attachments: [attachment] } = expectContract(
+      await attach(within(editor).post(path), PNG, 'chart.png', 'image/png'),
+      schemas.addAttachment
+    );
+    await within(viewer).get(`${path}/${attachment._id}`).expect(200);
+    expectError(await attach(within(viewer).post(path), PNG, 'chart.png', 'image/png'), 403, 'FORBIDDEN');
+    expectError(await within(viewer).delete(`${path}/${attachment._id}`), 403, 'FORBIDDEN');
+  });
+
+  it('deletes the files of purged tasks', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Old' }).expect(201);
+    const { body: withFile } = await attach(client.post(`/api/tasks/${task._id}/attachments`), PNG, 'a.png', 'image/png').expect(201);
+    const [{ key }] = withFile.attachments;
+
+    await client.delete(`/api/tasks/${task._id}`).expect(200);
+    assert.ok(await files.read(key), 'trashed tasks keep their files');
+
+    await client.delete(`/api/trash/${task._id}`).expect(200);
+    assert.equal(await files.read(key), null);
+  });
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/auth.js';
+import { setupDatabase, api, expectContract, expectError, expectInvalid } from './helpers.js';
+
+setupDatabase();
+
+const credentials = { username: 'Alice', password: 'correct horse' };
+
+describe('/api/auth', () => {
+  it('registers, signs in and reads the user', async () => {
+    const session = expectContract(await api().post('/api/auth/register').send(credentials), schemas.register);
+    assert.equal(session.user.username, 'alice');
+    assert.equal(session.user.passwordHash, undefined);
+
+    const login = expectContract(await api().post('/api/auth/login').send(credentials), schemas.login);
+    const me = expectContract(
+      await api().get('/api/auth/me').set('Authorization', `Bearer ${login.token}`),
+      schemas.me
+    );
+    assert.equal(me._id, session.user._id);
+  });
+
+  it('rejects taken usernames', async () => {
+    await api().post('/api/auth/register').send(credentials).expect(201);
+    expectError(await api().post('/api/auth/register').send(credentials), 409, 'CONFLICT');
+  });
+
+  it('validates credentials', async () => {
+    expectInvalid(await api().post('/api/auth/register').send({ username: 'al', password: 'correct horse' }), 'username');
+    expectInvalid(await api().post('/api/auth/register').send({ username: 'a b c', password: 'correct horse' }), 'username');
+    expectInvalid(await api().post('/api/auth/register').send({ username: 'alice', password: 'short' }), 'password');
+    expectInvalid(await api().post('/api/auth/login').send({ username: 'alice' }), 'password');
+  });
+
+  it('rejects wrong passwords and tokens', async () => {
+    await api().post('/api/auth/register').send(credentials).expect(201);
+    expectError(await api().post('/api/auth/login').send({ ...credentials, password: 'wrong horse' }), 401, 'UNAUTHORIZED');
+    expectError(await api().get('/api/auth/me').set('Authorization', 'Bearer nonsense'), 401, 'UNAUTHORIZED');
+  });
+});
@@ -0,0 +1,122 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/comments.js';
+import * as notificationSchemas from '../schemas/notifications.js';
+import { extractMentions } from '../utils/mentions.js';
+import { setupDatabase, setupTeam, signUp, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+describe('/api/tasks/:id/comments', () => {
+  it('adds, threads, edits and deletes comments', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Launch' }).expect(201);
+    const path = `/api/tasks/${task._id}/comments`;
+
+    const first = expectContract(await client.post(path).send({ text: ' Ready? ' }), schemas.addComment);
+    assert.equal(first.text, 'Ready?');
+    assert.equal(first.author.username, client.user.username);
+    const reply = expectContract(await client.post(path).send({ text: 'Yes', parent: first._id }), schemas.addComment);
+    // Replies to replies join the thread
+    const nested = (await client.post(path).send({ text: 'Good', parent: reply._id }).expect(201)).body;
+    assert.equal(nested.parent, first._id);
+
+    const [listed] = (await client.get('/api/tasks')).body;
+    assert.equal(listed.commentCount, 3);
+
+    const edited = expectContract(await client.put(`${path}/${reply._id}`).send({ text: 'Yes!' }), schemas.updateComment);
+    assert.ok(edited.editedAt);
+    const comments = expectContract(await client.get(path), schemas.listComments);
+    assert.deepEqual(comments.map(comment => comment.text), ['Ready?', 'Yes!', 'Good']);
+
+    const deleted = expectContract(await client.delete(`${path}/${first._id}`), schemas.deleteComment);
+    assert.equal(deleted.deleted, 3);
+    assert.equal(deleted.task.commentCount, 0);
+    assert.deepEqual((await client.get(path)).body, []);
+  });
+
+  it('validates comment requests', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Launch' }).expect(201);
+    const path = `/api/tasks/${task._id}/comments`;
+
+    expectInvalid(await client.post(path).send({ text: ' ' }), 'text');
+    expectInvalid(await client.post(path).send({ text: 'x'.repeat(5001) }), 'text');
+    expectInvalid(await client.put(`${path}/nope`).send({ text: 'x' }), 'commentId', 'params');
+    expectError(await client.post(path).send({ text: 'x', parent: MISSING_ID }), 404, 'NOT_FOUND');
+    expectError(await client.put(`${path}/${MISSING_ID}`).send({ text: 'x' }), 404, 'NOT_FOUND');
+    expectError(await client.get(`/api/tasks/${MISSING_ID}/comments`), 404, 'NOT_FOUND');
+
+    // Other people's tasks are not found
+    const stranger = await signUp();
+    expectError(await stranger.post(path).send({ text: 'Hi' }), 404, 'NOT_FOUND');
+  });
+
+  it('lets authors edit and owners moderate in a workspace', async () => {
+    const { owner, editor, viewer, within } = await setupTeam();
+    const { body: task } = await within(editor).post('/api/tasks').send({ text: 'Plan' }).expect(201);
+    const path = `/api/tasks/${task._id}/comments`;
+
+    const comment = (await within(editor).post(path).send({ text: 'Draft attached' }).expect(201)).body;
+    assert.equal((await within(viewer).get(path)).body.length, 1);
+    expectError(await within(viewer).post(path).send({ text: 'Can I?' }), 403, 'FORBIDDEN');
+    expectError(await within(owner).put(`${path}/${comment._id}`).send({ text: 'Edited' }), 403, 'FORBIDDEN');
+    await within(owner).delete(`${path}/${comment._id}`).expect(200);
+  });
+});
+
+describe('@mentions', () => {
+  it('finds mentioned usernames', () => {
+    assert.deepEqual(extractMentions('@Ada and @bob, thanks @ada. (cc @c-d)'), ['ada', 'bob', 'c-d']);
+    assert.deepEqual(extractMentions('mail ada@example.com or @@x'), []);
+  });
+
+  it('notifies members mentioned in comments', async () => {
+    const { owner, editor, viewer, within } = await setupTeam();
+    const outsider = await signUp();
+    const { body: task } = await within(editor).post('/api/tasks').send({ text: 'Review' }).expect(201);
+    const path = `/api/tasks/${task._id}/comments`;
+
+    const text = `@${viewer.user.username} @${outsider.user.username} @${editor.user.username} please look`;
+    const comment = (await within(editor).post(path).send({ text }).expect(201)).body;
+    // Outsiders cannot see the task, and authors are not told about themselves
+    assert.deepEqual(comment.mentions.sort(), [viewer.user._id, editor.user._id].sort());
+    assert.equal((await outsider.get('/api/notifications')).body.unread, 0);
+    assert.equal((await editor.get('/api/notifications')).body.unread, 0);
+
+    const inbox = expectContract(await viewer.get('/api/notifications'), notificationSchemas.listNotifications);
+    assert.equal(inbox.unread, 1);
+    const [mention] = inbox.notifications;
+    assert.equal(mention.actor.username, editor.user.username);
+    assert.equal(mention.taskText, 'Review');
+    assert.equal(mention.workspace, task.workspace);
+
+    // Edits only notify people mentioned for the first time
+    await within(editor).put(`${path}/${comment._id}`).send({ text: `${text} and @${owner.user.username}` }).expect(200);
+    assert.equal((await viewer.get('/api/notifications')).body.unread, 1);
+    assert.equal((await owner.get('/api/notifications')).body.unread, 1);
+
+    const read = expectContract(
+      await viewer.post('/api/notifications/read').send({ ids: [mention._id] }),
+      notificationSchemas.markRead
+    );
+    assert.deepEqual(read, { updated: 1, unread: 0 });
+    expectInvalid(await viewer.post('/api/notifications/read').send({ ids: ['nope'] }), 'ids.0');
+
+    // Deleting the comment withdraws what it caused
+    await within(editor).delete(`${path}/${comment._id}`).expect(200);
+    assert.deepEqual((await owner.get('/api/notifications')).body, { notifications: [], unread: 0 });
+  });
+
+  it('stops showing the task to members who left its workspace', async () => {
+    const { workspace, owner, viewer, within } = await setupTeam();
+    const { body: task } = await within(owner).post('/api/tasks').send({ text: 'Plan' }).expect(201);
+    await within(owner).post(`/api/tasks/${task._id}/comments`).send({ text: `@${viewer.user.username} see this` }).expect(201);
+
+    await owner.delete(`/api/workspaces/${workspace._id}/members/${viewer.user._id}`).expect(200);
+    await within(owner).put(`/api/tasks/${task._id}`).send({ text: 'Secret plan after removal' }).expect(200);
+
+    const [mention] = expectContract(await viewer.get('/api/notifications'), notificationSchemas.listNotifications).notifications;
+    assert.equal(mention.taskText, null);
+  });
+});
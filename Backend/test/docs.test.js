@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { api, expectContract } from './helpers.js';
+import * as schemas from '../schemas/system.js';
+
+// These run without a database
+describe('/api/docs', () => {
+  it('describes every route', async () => {
+    const doc = expectContract(await api().get('/api/docs'), schemas.docs);
+    assert.equal(doc.openapi, '3.0.3');
+
+    const operations = Object.entries(doc.paths)
+      .flatMap(([path, item]) => Object.keys(item).map(method => `${method.toUpperCase()} ${path}`));
+    for (const route of [
+      'GET /api/tasks',
+      'PUT /api/tasks/{id}',
+      'PUT /api/tasks/{id}/subtasks/{subtaskId}',
+      'POST /api/auth/register',
+      'DELETE /api/lists/{id}',
+      'POST /api/tags/merge',
+      'POST /api/trash/{id}/restore',
+      'GET /api/views',
+      'POST /api/workspaces/join',
+      'PUT /api/tasks/{id}/comments/{commentId}',
+      'POST /api/tasks/{id}/attachments',
+      'POST /api/notifications/read',
+      'GET /api/events',
+      'GET /api/health'
+    ]) {
+      assert.ok(operations.includes(route), `${route} is not documented`);
+    }
+  });
+
+  it('documents errors with the shared envelope', async () => {
+    const { body: doc } = await api().get('/api/docs');
+    const create = doc.paths['/api/tasks'].post;
+    assert.deepEqual(create.responses[400].content['application/json'].schema, { $ref: '#/components/schemas/Error' });
+    assert.ok(doc.components.schemas.Error.properties.error);
+    assert.deepEqual(doc.paths['/api/auth/login'].post.security, []);
+    assert.ok(doc.paths['/api/tasks/{id}'].put.responses[403]);
+    assert.ok(doc.paths['/api/lists'].get.parameters.some(parameter => parameter.in === 'header'));
+  });
+
+  it('reports the health of the server', async () => {
+    expectContract(await api().get('/api/health'), schemas.health);
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { before, after, beforeEach } from 'node:test';
+import request from 'supertest';
+import app from '../server.js';
+import storage from '../repositories/index.js';
+import files from '../fileStorage/index.js';
+import { newId } from '../repositories/memory/store.js';
+import { validateValue } from '../utils/schema.js';
+import { errorResponse } from '../schemas/common.js';
+import * as workspaceSchemas from '../schemas/workspaces.js';
+
+// Shared setup of the contract tests. They run against the storage STORAGE
+// selects, emptied before every test: in memory by default (npm test), or
+// an in-memory MongoDB per test file with STORAGE=mongo (npm run test:mongo).
+export const setupDatabase = () => {
+  let server;
+
+  before(async () => {
+    if (storage.kind === 'mongo') {
+      const { MongoMemoryServer } = await import('mongodb-memory-server');
+      server = await MongoMemoryServer.create();
+      await storage.connect(server.getUri());
+    } else {
+      await storage.connect();
+    }
+  });
+
+  after(async () => {
+    await storage.close();
+    await server?.stop();
+  });
+
+  beforeEach(() => Promise.all([storage.clear(), files.clear()]));
+};
+
+export const api = () => request(app);
+
+let userCount = 0;
+
+// Registers a new user and returns a supertest agent for them, with the
+// Authorization header set on every request
+export const signUp = async () => {
+  userCount += 1;
+  const res = await api()
+    .post('/api/auth/register')
+    .send({ username: `user${userCount}`, password: 'correct horse' })
+    .expect(201);
+
+  const withToken = (method) => (path) => api()[method](path).set('Authorization', `Bearer ${res.body.token}`);
+  return {
+    token: res.body.token,
+    user: res.body.user,
+    get: withToken('get'),
+    post: withToken('post'),
+    put: withToken('put'),
+    patch: withToken('patch'),
+    delete: withToken('delete')
+  };
+};
+
+// An owner with a workspace, and an editor and a viewer who joined it.
+// within(client) makes that member's requests in the workspace.
+export const setupTeam = async () => {
+  const owner = await signUp();
+  const editor = await signUp();
+  const viewer = await signUp();
+
+  const workspace = expectContract(await owner.post('/api/workspaces').send({ name: 'Team' }), workspaceSchemas.createWorkspace);
+  for (const [member, role] of [[editor, 'editor'], [viewer, 'viewer']]) {
+    const invite = expectContract(
+      await owner.post(`/api/workspaces/${workspace._id}/invites`).send({ role }),
+      workspaceSchemas.createInvite
+    );
+    expectContract(await member.post('/api/workspaces/join').send({ token: invite.token }), workspaceSchemas.joinWorkspace);
+  }
+
+  // Requests of one member in the workspace
+  const within = (client) => Object.fromEntries(['get', 'post', 'put', 'patch', 'delete']
+    .map(method => [method, (path) => client[method](path).set('X-Workspace', workspace._id)]));
+  return { workspace, owner, editor, viewer, within };
+};
+
+const assertMatches = (schema, body) => {
+  const errors = validateValue(schema, JSON.parse(JSON.stringify(body)));
+  assert.deepEqual(errors, [], `response does not match its schema: ${JSON.stringify(errors)}`);
+};
+
+// Asserts a successful response has the status and body shape its route
+// documents; returns the body
+export const expectContract = (res, spec) => {
+  const { status = 200, schema } = spec.response;
+  assert.equal(res.status, status, `expected ${status}, got ${res.status}: ${JSON.stringify(res.body)}`);
+  if (schema) assertMatches(schema, res.body);
+  return res.body;
+};
+
+// Asserts an error response has the status, code and shape of the error
+// envelope; returns the error object
+export const expectError = (res, status, code) => {
+  assert.equal(res.status, status, `expected ${status}, got ${res.status}: ${JSON.stringify(res.body)}`);
+  assertMatches(errorResponse, res.body);
+  if (code) assert.equal(res.body.error.code, code);
+  return res.body.error;
+};
+
+// Asserts a 400 VALIDATION_FAILED naming `field`
+export const expectInvalid = (res, field, location = 'body') => {
+  const error = expectError(res, 400, 'VALIDATION_FAILED');
+  assert.ok(
+    error.details.some(detail => detail.field === field && detail.in === location),
+    `expected a detail for ${location} ${field}, got ${JSON.stringify(error.details)}`
+  );
+  return error;
+};
+
+export const MISSING_ID = newId();
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/lists.js';
+import { setupDatabase, signUp, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+describe('/api/lists', () => {
+  it('creates, renames and lists lists with counts', async () => {
+    const client = await signUp();
+    const list = expectContract(await client.post('/api/lists').send({ name: 'Work' }), schemas.createList);
+    await client.post('/api/tasks').send({ text: 'Report', list: list._id }).expect(201);
+
+    const renamed = expectContract(await client.put(`/api/lists/${list._id}`).send({ name: 'Office' }), schemas.renameList);
+    assert.equal(renamed.name, 'Office');
+
+    const lists = expectContract(await client.get('/api/lists'), schemas.listLists);
+    assert.equal(lists[0].taskCount, 1);
+  });
+
+  it('validates names', async () => {
+    const client = await signUp();
+    expectInvalid(await client.post('/api/lists').send({ name: ' ' }), 'name');
+    expectInvalid(await client.post('/api/lists').send({ name: 'x'.repeat(61) }), 'name');
+    await client.post('/api/lists').send({ name: 'Work' }).expect(201);
+    expectError(await client.post('/api/lists').send({ name: 'Work' }), 409, 'CONFLICT');
+    expectError(await client.put(`/api/lists/${MISSING_ID}`).send({ name: 'Home' }), 404, 'NOT_FOUND');
+  });
+
+  it('deletes lists, moving or trashing their tasks', async () => {
+    const client = await signUp();
+    const work = expectContract(await client.post('/api/lists').send({ name: 'Work' }), schemas.createList);
+    const home = expectContract(await client.post('/api/lists').send({ name: 'Home' }), schemas.createList);
+    await client.post('/api/tasks').send({ text: 'Report', list: work._id }).expect(201);
+
+    const moved = expectContract(
+      await client.delete(`/api/lists/${work._id}?tasks=move&moveTo=${home._id}`),
+      schemas.deleteList
+    );
+    assert.equal(moved.affected, 1);
+
+    const trashed = expectContract(await client.delete(`/api/lists/${home._id}?tasks=delete`), schemas.deleteList);
+    assert.equal(trashed.affected, 1);
+
+    expectInvalid(await client.delete(`/api/lists/${home._id}?tasks=keep`), 'tasks', 'query');
+    expectError(await client.delete(`/api/lists/${home._id}`), 404, 'NOT_FOUND');
+  });
+});
@@ -0,0 +1,36 @@
+import assert from 'node:assert/strict';
+import { describe, it, after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createMemoryStorage } from '../repositories/memory/index.js';
+import { DuplicateError } from '../utils/errors.js';
+import { personalScope } from '../utils/workspaces.js';
+
+// The file storage behind STORAGE=file, which the route tests do not cover
+describe('file storage', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'taskmanager-'));
+  const file = path.join(dir, 'data.json');
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('keeps records across restarts', async () => {
+    const first = createMemoryStorage({ file });
+    await first.connect();
+    const user = await first.users.create({ username: 'ada', passwordHash: 'hash' });
+    const { match } = personalScope(user._id);
+    const list = await first.lists.create(match, 'Work', user._id);
+    const dueDate = new Date('2026-03-01T12:00:00Z');
+    await first.tasks.create({ owner: user._id, text: ' Ship it ', list: list._id, dueDate });
+    await first.close();
+
+    const second = createMemoryStorage({ file });
+    await second.connect();
+    const [task] = await second.tasks.find({ owner: user._id, list: list._id });
+    assert.equal(task.text, 'Ship it');
+    assert.ok(task.dueDate instanceof Date);
+    assert.equal(task.dueDate.getTime(), dueDate.getTime());
+    assert.equal((await second.users.findCredentials('ada')).passwordHash, 'hash');
+    await assert.rejects(second.lists.create(match, 'Work', user._id), DuplicateError);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/subtasks.js';
+import { setupDatabase, signUp, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+describe('/api/tasks/:id/subtasks', () => {
+  it('adds, reorders, updates and removes subtasks', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Trip' }).expect(201);
+    const path = `/api/tasks/${task._id}/subtasks`;
+
+    await client.post(path).send({ text: 'Tickets' }).expect(201);
+    const withTwo = expectContract(await client.post(path).send({ text: 'Hotel' }), schemas.addSubtask);
+    const [tickets, hotel] = withTwo.subtasks;
+
+    const reordered = expectContract(
+      await client.patch(`${path}/reorder`).send({ order: [hotel._id, tickets._id] }),
+      schemas.reorderSubtasks
+    );
+    assert.deepEqual(reordered.subtasks.map(subtask => subtask.text), ['Hotel', 'Tickets']);
+
+    const updated = expectContract(
+      await client.put(`${path}/${hotel._id}`).send({ completed: true }),
+      schemas.updateSubtask
+    );
+    assert.equal(updated.subtasks[0].completed, true);
+
+    const removed = expectContract(await client.delete(`${path}/${hotel._id}`), schemas.deleteSubtask);
+    assert.equal(removed.subtasks.length, 1);
+  });
+
+  it('keeps every change when they come at once', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Trip' }).expect(201);
+    const path = `/api/tasks/${task._id}/subtasks`;
+    const texts = ['Bags', 'Camera', 'Hotel', 'Maps', 'Tickets', 'Visa'];
+
+    await Promise.all(texts.map(text => client.post(path).send({ text }).expect(201)));
+    const { body: [withAll] } = await client.get('/api/tasks').expect(200);
+    assert.deepEqual(withAll.subtasks.map(subtask => subtask.text).sort(), texts);
+
+    const [first, second] = withAll.subtasks;
+    await Promise.all([
+      client.put(`${path}/${first._id}`).send({ completed: true }).expect(200),
+      client.delete(`${path}/${second._id}`).expect(200)
+    ]);
+    const { body: [changed] } = await client.get('/api/tasks').expect(200);
+    assert.equal(changed.subtasks.length, texts.length - 1);
+    assert.equal(changed.subtasks.find(subtask => subtask._id === first._id).completed, true);
+  });
+
+  it('validates subtask requests', async () => {
+    const client = await signUp();
+    const { body: task } = await client.post('/api/tasks').send({ text: 'Trip' }).expect(201);
+    const path = `/api/tasks/${task._id}/subtasks`;
+
+    expectInvalid(await client.post(path).send({ text: '' }), 'text');
+    expectInvalid(await client.post('/api/tasks/nope/subtasks').send({ text: 'x' }), 'id', 'params');
+    expectInvalid(await client.put(`${path}/nope`).send({ completed: true }), 'subtaskId', 'params');
+    expectError(await client.patch(`${path}/reorder`).send({ order: [MISSING_ID] }), 400, 'BAD_REQUEST');
+    expectError(await client.put(`${path}/${MISSING_ID}`).send({ completed: true }), 404, 'NOT_FOUND');
+    expectError(await client.post(`/api/tasks/${MISSING_ID}/subtasks`).send({ text: 'x' }), 404, 'NOT_FOUND');
+  });
+});
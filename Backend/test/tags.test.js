@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/tags.js';
+import { setupDatabase, signUp, expectContract, expectError, expectInvalid } from './helpers.js';
+
+setupDatabase();
+
+describe('/api/tags', () => {
+  it('lists, renames, merges and deletes tags', async () => {
+    const client = await signUp();
+    await client.post('/api/tasks').send({ text: 'One', tags: ['bug', 'ui'] }).expect(201);
+    await client.post('/api/tasks').send({ text: 'Two', tags: ['bugs'] }).expect(201);
+
+    const tags = expectContract(await client.get('/api/tags'), schemas.listTags);
+    assert.deepEqual(tags.map(tag => tag.name).sort(), ['bug', 'bugs', 'ui']);
+
+    const renamed = expectContract(await client.put('/api/tags/ui').send({ name: '#design' }), schemas.renameTag);
+    assert.equal(renamed.name, 'design');
+
+    const merged = expectContract(
+      await client.post('/api/tags/merge').send({ from: ['bug', 'bugs'], into: 'bugfix' }),
+      schemas.mergeTags
+    );
+    assert.equal(merged.affected, 2);
+
+    const deleted = expectContract(await client.delete('/api/tags/bugfix'), schemas.deleteTag);
+    assert.equal(deleted.affected, 2);
+  });
+
+  it('validates tag requests', async () => {
+    const client = await signUp();
+    await client.post('/api/tasks').send({ text: 'One', tags: ['ui'] }).expect(201);
+
+    expectInvalid(await client.put('/api/tags/ui').send({ name: 'two words' }), 'name');
+    expectInvalid(await client.post('/api/tags/merge').send({ from: [], into: 'ui' }), 'from');
+    expectInvalid(await client.post('/api/tags/merge').send({ from: ['ui'] }), 'into');
+    expectError(await client.put('/api/tags/missing').send({ name: 'other' }), 404, 'NOT_FOUND');
+    expectError(await client.delete('/api/tags/missing'), 404, 'NOT_FOUND');
+  });
+});
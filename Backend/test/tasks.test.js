@@ -0,0 +1,253 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/tasks.js';
+import { setupDatabase, api, signUp, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+const createTask = async (client, body) =>
+  expectContract(await client.post('/api/tasks').send(body), schemas.createTask);
+
+describe('/api/tasks', () => {
+  it('requires a token', async () => {
+    expectError(await api().get('/api/tasks'), 401, 'UNAUTHORIZED');
+  });
+
+  it('creates and lists tasks', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'Pay rent #home', priority: 'high', dueDate: '2030-01-01T10:00:00Z' });
+    assert.equal(task.text, 'Pay rent');
+    assert.deepEqual(task.tags, ['home']);
+
+    const tasks = expectContract(await client.get('/api/tasks'), schemas.listTasks);
+    assert.deepEqual(tasks.map(other => other._id), [task._id]);
+  });
+
+  it('parses quick add phrases', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'Call mum tomorrow !urgent', parse: true, tzOffset: 0 });
+    assert.equal(task.text, 'Call mum');
+    assert.equal(task.priority, 'urgent');
+    assert.ok(task.dueDate);
+  });
+
+  it('rejects invalid task bodies', async () => {
+    const client = await signUp();
+    expectInvalid(await client.post('/api/tasks').send({}), 'text');
+    expectInvalid(await client.post('/api/tasks').send({ text: '   ' }), 'text');
+    expectInvalid(await client.post('/api/tasks').send({ text: 'x', priority: 'huge' }), 'priority');
+    expectInvalid(await client.post('/api/tasks').send({ text: 'x', tags: ['two words'] }), 'tags.0');
+    expectInvalid(await client.post('/api/tasks').send({ text: 'x', recurrence: { frequency: 'hourly' } }), 'recurrence.frequency');
+  });
+
+  it('reports malformed JSON', async () => {
+    const client = await signUp();
+    const res = await client.post('/api/tasks').set('Content-Type', 'application/json').send('{"text":');
+    expectError(res, 400, 'INVALID_JSON');
+  });
+
+  it('pages with cursors', async () => {
+    const client = await signUp();
+    for (const text of ['one', 'two', 'three']) await createTask(client, { text });
+
+    const first = expectContract(await client.get('/api/tasks?limit=2'), schemas.listTasks);
+    assert.equal(first.tasks.length, 2);
+    assert.equal(first.total, 3);
+    const second = expectContract(
+      await client.get(`/api/tasks?limit=2&cursor=${encodeURIComponent(first.nextCursor)}`),
+      schemas.listTasks
+    );
+    assert.equal(second.tasks.length, 1);
+    assert.equal(second.nextCursor, null);
+
+    expectInvalid(await client.get('/api/tasks?limit=0'), 'limit', 'query');
+    expectInvalid(await client.get('/api/tasks?sort=random'), 'sort', 'query');
+    expectError(await client.get('/api/tasks?cursor=abc'), 400, 'BAD_REQUEST');
+  });
+
+  it('highlights search matches', async () => {
+    const client = await signUp();
+    await createTask(client, { text: 'Buy milk' });
+    await createTask(client, { text: 'Walk dog' });
+
+    const tasks = expectContract(await client.get('/api/tasks?search=milk'), schemas.listTasks);
+    assert.equal(tasks.length, 1);
+    assert.deepEqual(tasks[0].highlights, [[4, 8]]);
+  });
+
+  it('keeps Markdown notes and searches them', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'Release', notes: '- [ ] Tag the build\n\n```\nnpm publish\n```\n\n' });
+    assert.equal(task.notes, '- [ ] Tag the build\n\n```\nnpm publish\n```');
+    assert.equal((await createTask(client, { text: 'Plain' })).notes, '');
+
+    const search = async (query) => (await client.get(`/api/tasks?search=${encodeURIComponent(query)}`)).body.map(found => found.text);
+    assert.deepEqual(await search('publish'), ['Release']);
+    assert.deepEqual(await search('"the build"'), ['Release']);
+    assert.deepEqual(await search('-publish'), ['Plain']);
+
+    const updated = expectContract(await client.put(`/api/tasks/${task._id}`).send({ notes: '' }), schemas.updateTask);
+    assert.equal(updated.notes, '');
+    const history = (await client.get(`/api/tasks/${task._id}/history`)).body;
+    assert.equal(history.at(-1).field, 'notes');
+    expectInvalid(await client.put(`/api/tasks/${task._id}`).send({ notes: 'x'.repeat(20001) }), 'notes');
+
+    const exported = (await client.get('/api/tasks/export?format=json')).body;
+    exported.tasks.find(portable => portable.text === 'Plain').notes = 'Imported **notes**';
+    await client.post('/api/tasks/import').send({ format: 'json', content: JSON.stringify(exported) }).expect(201);
+    assert.deepEqual(await search('imported'), ['Plain']);
+  });
+
+  it('updates tasks and rejects stale writes', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'Draft' });
+
+    const updated = expectContract(
+      await client.put(`/api/tasks/${task._id}`).send({ text: 'Final', completed: true, expectedUpdatedAt: task.updatedAt }),
+      schemas.updateTask
+    );
+    assert.equal(updated.text, 'Final');
+    assert.ok(updated.completedAt);
+
+    const res = await client.put(`/api/tasks/${task._id}`).send({ text: 'Other', expectedUpdatedAt: task.updatedAt });
+    expectError(res, 409, 'CONFLICT');
+    assert.equal(res.body.task.text, 'Final');
+
+    expectInvalid(await client.put(`/api/tasks/${task._id}`).send({ completed: 'yes' }), 'completed');
+    expectInvalid(await client.put('/api/tasks/not-an-id').send({}), 'id', 'params');
+    expectError(await client.put(`/api/tasks/${MISSING_ID}`).send({ text: 'x' }), 404, 'NOT_FOUND');
+  });
+
+  it('keeps tasks private to their owner', async () => {
+    const owner = await signUp();
+    const other = await signUp();
+    const task = await createTask(owner, { text: 'Mine' });
+
+    expectError(await other.put(`/api/tasks/${task._id}`).send({ text: 'Theirs' }), 404, 'NOT_FOUND');
+    assert.deepEqual(expectContract(await other.get('/api/tasks'), schemas.listTasks), []);
+  });
+
+  it('records history', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'Draft' });
+    await client.put(`/api/tasks/${task._id}`).send({ text: 'Final' }).expect(200);
+
+    const history = expectContract(await client.get(`/api/tasks/${task._id}/history`), schemas.taskHistory);
+    assert.deepEqual(history.map(change => change.field), ['created', 'text']);
+    expectError(await client.get(`/api/tasks/${MISSING_ID}/history`), 404, 'NOT_FOUND');
+  });
+
+  it('reorders tasks', async () => {
+    const client = await signUp();
+    const first = await createTask(client, { text: 'first' });
+    const second = await createTask(client, { text: 'second' });
+
+    expectContract(
+      await client.patch('/api/tasks/reorder').send({ id: first._id, before: second._id }),
+      schemas.reorderTasks
+    );
+    const reordered = expectContract(
+      await client.patch('/api/tasks/reorder').send({ order: [second._id, first._id] }),
+      schemas.reorderTasks
+    );
+    assert.deepEqual(reordered.map(task => task._id), [second._id, first._id]);
+
+    // Tasks in the trash are not neighbours: moving past the last open task
+    // puts the moved one a full step beyond it
+    const trashed = await createTask(client, { text: 'trashed' });
+    await client.patch('/api/tasks/reorder').send({ order: [second._id, first._id, trashed._id] }).expect(200);
+    await client.delete(`/api/tasks/${trashed._id}`).expect(200);
+    const { body: [, last] } = await client.get('/api/tasks?sort=manual').expect(200);
+    const moved = expectContract(
+      await client.patch('/api/tasks/reorder').send({ id: second._id, after: last._id }),
+      schemas.reorderTasks
+    );
+    assert.equal(moved.position, last.position + 1024);
+
+    expectInvalid(await client.patch('/api/tasks/reorder').send({ order: [] }), 'order');
+    expectError(await client.patch('/api/tasks/reorder').send({ id: first._id }), 400, 'BAD_REQUEST');
+  });
+
+  it('applies bulk actions', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'one' });
+
+    const result = expectContract(
+      await client.post('/api/tasks/bulk').send({ action: 'complete', ids: [task._id, MISSING_ID] }),
+      schemas.bulkTasks
+    );
+    assert.equal(result.modified, 1);
+    assert.deepEqual(result.results.map(entry => entry.ok), [true, false]);
+
+    const byQuery = expectContract(
+      await client.post('/api/tasks/bulk').send({ action: 'priority', priority: 'low', query: { filter: 'completed' } }),
+      schemas.bulkTasks
+    );
+    assert.equal(byQuery.matched, 1);
+
+    expectInvalid(await client.post('/api/tasks/bulk').send({ action: 'explode', ids: [] }), 'action');
+    expectError(await client.post('/api/tasks/bulk').send({ action: 'complete' }), 400, 'BAD_REQUEST');
+  });
+
+  it('exports and imports', async () => {
+    const client = await signUp();
+    await createTask(client, { text: 'Exported' });
+
+    const exported = await client.get('/api/tasks/export?format=csv').expect(200);
+    assert.match(exported.headers['content-type'], /text\/csv/);
+    assert.match(exported.text, /Exported/);
+    expectInvalid(await client.get('/api/tasks/export?format=pdf'), 'format', 'query');
+
+    const content = '- [ ] Imported one\n- [x] Imported two\n';
+    const preview = expectContract(
+      await client.post('/api/tasks/import').send({ format: 'md', content, dryRun: true }),
+      { response: { schema: schemas.importTasks.response.schema } }
+    );
+    assert.equal(preview.valid, 2);
+
+    const imported = expectContract(
+      await client.post('/api/tasks/import').send({ format: 'md', content }),
+      schemas.importTasks
+    );
+    assert.equal(imported.imported, 2);
+
+    expectInvalid(await client.post('/api/tasks/import').send({ format: 'xls', content }), 'format');
+    expectInvalid(await client.post('/api/tasks/import').send({ format: 'md', content: '' }), 'content');
+  });
+
+  it('moves tasks to the trash', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'Gone' });
+
+    const res = expectContract(await client.delete(`/api/tasks/${task._id}`), schemas.deleteTask);
+    assert.ok(res.task.deletedAt);
+    expectError(await client.delete(`/api/tasks/${task._id}`), 404, 'NOT_FOUND');
+  });
+
+  it('counts stats', async () => {
+    const client = await signUp();
+    await createTask(client, { text: 'late', dueDate: '2000-01-01T00:00:00Z' });
+
+    const stats = expectContract(await client.get('/api/tasks/stats?tzOffset=0'), schemas.taskStats);
+    assert.equal(stats.total, 1);
+    assert.equal(stats.overdue, 1);
+    expectInvalid(await client.get('/api/tasks/stats?list=inbox'), 'list', 'query');
+  });
+
+  it('reports analytics', async () => {
+    const client = await signUp();
+    const task = await createTask(client, { text: 'done' });
+    await client.put(`/api/tasks/${task._id}`).send({ completed: true }).expect(200);
+
+    const analytics = expectContract(
+      await client.get('/api/tasks/analytics?range=7d&groupBy=day&tzOffset=0'),
+      schemas.taskAnalytics
+    );
+    assert.equal(analytics.series.length, 7);
+    assert.equal(analytics.totals.completed, 1);
+    assert.equal(analytics.streaks.current, 1);
+
+    expectInvalid(await client.get('/api/tasks/analytics?range=forever'), 'range', 'query');
+    expectInvalid(await client.get('/api/tasks/analytics?groupBy=hour'), 'groupBy', 'query');
+  });
+});
@@ -0,0 +1,38 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/trash.js';
+import { setupDatabase, signUp, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+const trashTask = async (client, text) => {
+  const { body: task } = await client.post('/api/tasks').send({ text }).expect(201);
+  await client.delete(`/api/tasks/${task._id}`).expect(200);
+  return task;
+};
+
+describe('/api/trash', () => {
+  it('lists, restores and purges trashed tasks', async () => {
+    const client = await signUp();
+    const kept = await trashTask(client, 'Kept');
+    const purged = await trashTask(client, 'Purged');
+    await trashTask(client, 'Emptied');
+
+    const trash = expectContract(await client.get('/api/trash'), schemas.listTrash);
+    assert.equal(trash.length, 3);
+
+    const restored = expectContract(await client.post(`/api/trash/${kept._id}/restore`), schemas.restoreTask);
+    assert.equal(restored.deletedAt, null);
+
+    expectContract(await client.delete(`/api/trash/${purged._id}`), schemas.purgeTask);
+    const emptied = expectContract(await client.delete('/api/trash'), schemas.emptyTrash);
+    assert.equal(emptied.purged, 1);
+  });
+
+  it('validates trash requests', async () => {
+    const client = await signUp();
+    expectInvalid(await client.post('/api/trash/nope/restore'), 'id', 'params');
+    expectError(await client.post(`/api/trash/${MISSING_ID}/restore`), 404, 'NOT_FOUND');
+    expectError(await client.delete(`/api/trash/${MISSING_ID}`), 404, 'NOT_FOUND');
+  });
+});
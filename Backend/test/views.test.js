@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/views.js';
+import { setupDatabase, signUp, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+describe('/api/views', () => {
+  it('saves, lists, updates and deletes views', async () => {
+    const client = await signUp();
+    await client.post('/api/tasks').send({ text: 'Urgent thing', tags: ['work'] }).expect(201);
+
+    const view = expectContract(
+      await client.post('/api/views').send({ name: 'Work', tags: ['work'], sort: 'smart', tzOffset: 0 }),
+      schemas.createView
+    );
+    assert.equal(view.count, 1);
+
+    const updated = expectContract(
+      await client.put(`/api/views/${view._id}`).send({ pinned: true, filter: 'completed' }),
+      schemas.updateView
+    );
+    assert.equal(updated.count, 0);
+
+    const views = expectContract(await client.get('/api/views?tzOffset=0'), schemas.listViews);
+    assert.deepEqual(views.map(other => other.name), ['Work']);
+
+    expectContract(await client.delete(`/api/views/${view._id}`), schemas.deleteView);
+  });
+
+  it('validates view requests', async () => {
+    const client = await signUp();
+    expectInvalid(await client.post('/api/views').send({}), 'name');
+    expectInvalid(await client.post('/api/views').send({ name: 'x', filter: 'someday' }), 'filter');
+    expectInvalid(await client.post('/api/views').send({ name: 'x', list: 'inbox' }), 'list');
+    expectInvalid(await client.get('/api/views?tzOffset=noon'), 'tzOffset', 'query');
+    expectError(await client.post('/api/views').send({ name: 'x', search: 'due:someday' }), 400);
+
+    await client.post('/api/views').send({ name: 'Mine' }).expect(201);
+    expectError(await client.post('/api/views').send({ name: 'Mine' }), 409, 'CONFLICT');
+    expectError(await client.put(`/api/views/${MISSING_ID}`).send({ pinned: true }), 404, 'NOT_FOUND');
+  });
+});
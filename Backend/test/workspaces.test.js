@@ -0,0 +1,159 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as schemas from '../schemas/workspaces.js';
+import * as taskSchemas from '../schemas/tasks.js';
+import { setupDatabase, setupTeam, signUp, expectContract, expectError, expectInvalid, MISSING_ID } from './helpers.js';
+
+setupDatabase();
+
+describe('/api/workspaces', () => {
+  it('shares tasks between members with their roles', async () => {
+    const { workspace, owner, editor, viewer, within } = await setupTeam();
+
+    const shared = expectContract(await owner.get(`/api/workspaces/${workspace._id}`), schemas.getWorkspace);
+    assert.deepEqual(shared.members.map(member => member.role), ['owner', 'editor', 'viewer']);
+    assert.equal(shared.invites.length, 2);
+    const [seen] = expectContract(await viewer.get('/api/workspaces'), schemas.listWorkspaces);
+    assert.equal(seen.role, 'viewer');
+    assert.deepEqual(seen.invites, []);
+
+    const task = expectContract(await within(editor).post('/api/tasks').send({ text: 'Plan sprint' }), taskSchemas.createTask);
+    assert.equal(task.workspace, workspace._id);
+
+    // Workspace tasks stay out of personal task lists
+    assert.deepEqual((await editor.get('/api/tasks')).body, []);
+    const [listed] = (await within(viewer).get('/api/tasks')).body;
+    assert.equal(listed._id, task._id);
+
+    expectError(await within(viewer).put(`/api/tasks/${task._id}`).send({ completed: true }), 403, 'FORBIDDEN');
+    expectError(await within(viewer).delete(`/api/tasks/${task._id}`), 403, 'FORBIDDEN');
+    expectError(await within(viewer).post('/api/lists').send({ name: 'Ideas' }), 403, 'FORBIDDEN');
+    expectError(await within(viewer).post(`/api/tasks/${task._id}/subtasks`).send({ text: 'Agenda' }), 403, 'FORBIDDEN');
+    // Saved views are personal, so viewers keep them
+    await within(viewer).post('/api/views').send({ name: 'Mine', assignee: 'me' }).expect(201);
+
+    const outsider = await signUp();
+    expectError(await outsider.get('/api/tasks').set('X-Workspace', workspace._id), 404, 'NOT_FOUND');
+    expectError(await outsider.get(`/api/workspaces/${workspace._id}`), 404, 'NOT_FOUND');
+    const invalid = expectError(await owner.get('/api/tasks').set('X-Workspace', 'nope'), 400, 'VALIDATION_FAILED');
+    assert.equal(invalid.details[0].in, 'header');
+  });
+
+  it('assigns tasks and filters and counts them by assignee', async () => {
+    const { editor, viewer, within } = await setupTeam();
+
+    const mine = expectContract(
+      await within(editor).post('/api/tasks').send({ text: 'Write notes', assignee: 'me' }),
+      taskSchemas.createTask
+    );
+    assert.equal(mine.assignee, editor.user._id);
+    const theirs = expectContract(
+      await within(editor).post('/api/tasks').send({ text: 'Review notes', assignee: viewer.user._id }),
+      taskSchemas.createTask
+    );
+    await within(editor).post('/api/tasks').send({ text: 'Book room' }).expect(201);
+
+    const outsider = await signUp();
+    expectError(await within(editor).post('/api/tasks').send({ text: 'Nope', assignee: outsider.user._id }), 400);
+    expectInvalid(await within(editor).get('/api/tasks?assignee=someone'), 'assignee', 'query');
+
+    const texts = async (client, assignee) => (await within(client).get(`/api/tasks?assignee=${assignee}`)).body.map(task => task.text);
+    assert.deepEqual(await texts(editor, 'me'), ['Write notes']);
+    assert.deepEqual(await texts(viewer, 'me'), ['Review notes']);
+    assert.deepEqual(await texts(editor, 'unassigned'), ['Book room']);
+    assert.deepEqual(await texts(editor, viewer.user._id), ['Review notes']);
+
+    await within(editor).put(`/api/tasks/${theirs._id}`).send({ assignee: null, completed: true }).expect(200);
+    const history = (await within(viewer).get(`/api/tasks/${theirs._id}/history`)).body;
+    assert.ok(history.some(entry => entry.field === 'assignee' && entry.oldValue === viewer.user._id));
+
+    const stats = expectContract(await within(viewer).get('/api/tasks/stats'), taskSchemas.taskStats);
+    assert.deepEqual(
+      stats.byAssignee.map(({ username, total, completed }) => ({ username, total, completed })),
+      [
+        { username: null, total: 2, completed: 1 },
+        { username: editor.user.username, total: 1, completed: 0 }
+      ]
+    );
+  });
+
+  // Workspace queries match on workspace rather than owner, which the text
+  // index must allow for under npm run test:mongo
+  it('searches the tasks of a workspace', async () => {
+    const { editor, viewer, within } = await setupTeam();
+    await within(editor).post('/api/tasks').send({ text: 'Plan sprint review' }).expect(201);
+    await within(editor).post('/api/tasks').send({ text: 'Book room', notes: 'Ask about the **projector**' }).expect(201);
+    await editor.post('/api/tasks').send({ text: 'Plan holiday', notes: 'projector' }).expect(201);
+
+    const search = async (query) => expectContract(
+      await within(viewer).get(`/api/tasks?search=${encodeURIComponent(query)}`),
+      taskSchemas.listTasks
+    ).map(task => task.text);
+    assert.deepEqual(await search('plan'), ['Plan sprint review']);
+    assert.deepEqual(await search('"sprint review" -holiday'), ['Plan sprint review']);
+    assert.deepEqual(await search('-plan'), ['Book room']);
+    assert.deepEqual(await search('projector'), ['Book room']);
+  });
+
+  it('keeps every member when changes come at once', async () => {
+    const { workspace, owner, editor, viewer } = await setupTeam();
+    const path = `/api/workspaces/${workspace._id}`;
+
+    const { body: invite } = await owner.post(`${path}/invites`).send({ role: 'viewer' }).expect(201);
+    const joiners = await Promise.all([1, 2, 3].map(() => signUp()));
+    await Promise.all(joiners.map(joiner => joiner.post('/api/workspaces/join').send({ token: invite.token }).expect(200)));
+    const { body: joined } = await owner.get(path).expect(200);
+    assert.equal(joined.members.length, 6);
+
+    // A removal racing a role change stays removed
+    await Promise.all([
+      owner.put(`${path}/members/${editor.user._id}`).send({ role: 'viewer' }),
+      editor.delete(`${path}/members/${editor.user._id}`).expect(200)
+    ]);
+    // Two owners stepping down at once leave one of them owner
+    await owner.put(`${path}/members/${viewer.user._id}`).send({ role: 'owner' }).expect(200);
+    const statuses = await Promise.all([owner, viewer].map(async (client) =>
+      (await client.put(`${path}/members/${client.user._id}`).send({ role: 'editor' })).status));
+    assert.deepEqual(statuses.sort(), [200, 409]);
+
+    const { body: after } = await owner.get(path).expect(200);
+    assert.equal(after.members.length, 5);
+    assert.ok(!after.members.some(member => member.user === editor.user._id));
+    assert.equal(after.members.filter(member => member.role === 'owner').length, 1);
+  });
+
+  it('manages members, invitations and the workspace itself', async () => {
+    const { workspace, owner, editor, viewer, within } = await setupTeam();
+
+    expectError(await editor.post(`/api/workspaces/${workspace._id}/invites`).send({}), 403, 'FORBIDDEN');
+    expectError(await owner.post('/api/workspaces/join').send({ token: 'missing' }), 404, 'NOT_FOUND');
+    expectInvalid(await owner.post(`/api/workspaces/${workspace._id}/invites`).send({ role: 'admin' }), 'role');
+
+    const { invites: [invite] } = (await owner.get(`/api/workspaces/${workspace._id}`)).body;
+    await owner.delete(`/api/workspaces/${workspace._id}/invites/${invite.token}`).expect(200);
+    expectError(await (await signUp()).post('/api/workspaces/join').send({ token: invite.token }), 404, 'NOT_FOUND');
+
+    const promoted = expectContract(
+      await owner.put(`/api/workspaces/${workspace._id}/members/${viewer.user._id}`).send({ role: 'editor' }),
+      schemas.updateMember
+    );
+    assert.equal(promoted.members.find(member => member.user === viewer.user._id).role, 'editor');
+    await within(viewer).post('/api/tasks').send({ text: 'Now I can' }).expect(201);
+
+    // The last owner can neither step down nor leave
+    expectError(await owner.put(`/api/workspaces/${workspace._id}/members/${owner.user._id}`).send({ role: 'editor' }), 409);
+    expectError(await owner.delete(`/api/workspaces/${workspace._id}/members/${owner.user._id}`), 409);
+    expectError(await editor.delete(`/api/workspaces/${workspace._id}/members/${viewer.user._id}`), 403, 'FORBIDDEN');
+    expectError(await owner.delete(`/api/workspaces/${workspace._id}/members/${MISSING_ID}`), 404, 'NOT_FOUND');
+
+    const task = (await within(editor).post('/api/tasks').send({ text: 'Mine', assignee: 'me' })).body;
+    expectContract(await editor.delete(`/api/workspaces/${workspace._id}/members/${editor.user._id}`), schemas.removeMember);
+    assert.deepEqual(await editor.get('/api/workspaces').then(res => res.body), []);
+    const [unassigned] = (await within(owner).get(`/api/tasks?assignee=unassigned&search=Mine`)).body;
+    assert.equal(unassigned._id, task._id);
+
+    expectError(await viewer.delete(`/api/workspaces/${workspace._id}`), 403, 'FORBIDDEN');
+    expectContract(await owner.delete(`/api/workspaces/${workspace._id}`), schemas.deleteWorkspace);
+    expectError(await within(owner).get('/api/tasks'), 404, 'NOT_FOUND');
+  });
+});
@@ -0,0 +1,137 @@
+import { tasks } from '../repositories/index.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+export const GROUP_BY = ['day', 'week', 'month'];
+
+// range=30d, 12w or 6m: that many days, weeks or months up to today
+const RANGE_PATTERN = /^(\d+)([dwm])$/;
+const MAX_RANGE_DAYS = 366;
+
+// Days are counted in the client's time zone, given as tzOffset in the
+// Date#getTimezoneOffset convention. Local times are handled as Dates
+// shifted by the offset and read with the UTC getters.
+const toLocal = (date, offsetMs) => new Date(date.getTime() - offsetMs);
+const fromLocal = (local, offsetMs) => new Date(local.getTime() + offsetMs);
+const localDayStart = (local) => new Date(local.getTime() - (local.getTime() % MS_PER_DAY));
+const addLocalDays = (local, days) => new Date(local.getTime() + days * MS_PER_DAY);
+const addLocalMonths = (local, months) => new Date(Date.UTC(
+  local.getUTCFullYear(), local.getUTCMonth() + months, local.getUTCDate()
+));
+
+// Start of the day, week (from Monday) or month a local time falls in
+const periodStart = (local, groupBy) => {
+  const day = localDayStart(local);
+  if (groupBy === 'week') return addLocalDays(day, -((day.getUTCDay() + 6) % 7));
+  if (groupBy === 'month') return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  return day;
+};
+
+const nextPeriod = (local, groupBy) => {
+  if (groupBy === 'week') return addLocalDays(local, 7);
+  if (groupBy === 'month') return addLocalMonths(local, 1);
+  return addLocalDays(local, 1);
+};
+
+// Query parameters -> { range, groupBy, tzOffset }. Throws on invalid values.
+export const parseAnalyticsOptions = ({ range = '30d', groupBy = 'day', tzOffset } = {}) => {
+  const match = RANGE_PATTERN.exec(range);
+  if (!match || Number(match[1]) < 1) {
+    throw new Error('range must be a number of days, weeks or months, like 30d, 12w or 6m');
+  }
+  const amount = Number(match[1]);
+  const days = { d: amount, w: amount * 7, m: Math.ceil(amount * 30.44) }[match[2]];
+  if (days > MAX_RANGE_DAYS) {
+    throw new Error('range can cover at most one year');
+  }
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new Error(`groupBy must be one of: ${GROUP_BY.join(', ')}`);
+  }
+
+  return { range: { amount, unit: match[2] }, groupBy, tzOffset: Number(tzOffset) || 0 };
+};
+
+// The periods covering the range, oldest first, each { start, end } with the
+// last one holding today. The first period is extended back to its start,
+// so every period is a whole day, week or month.
+export const buildPeriods = ({ range, groupBy, tzOffset }, now = new Date()) => {
+  const offsetMs = tzOffset * MS_PER_MINUTE;
+  const today = localDayStart(toLocal(now, offsetMs));
+  const rangeStart = range.unit === 'm'
+    ? addLocalDays(addLocalMonths(today, -range.amount), 1)
+    : addLocalDays(today, 1 - range.amount * (range.unit === 'w' ? 7 : 1));
+
+  const periods = [];
+  for (let start = periodStart(rangeStart, groupBy); start <= today; start = nextPeriod(start, groupBy)) {
+    periods.push({
+      label: start.toISOString().slice(0, 10),
+      start: fromLocal(start, offsetMs),
+      end: fromLocal(nextPeriod(start, groupBy), offsetMs)
+    });
+  }
+  return periods;
+};
+
+// Sorted 'YYYY-MM-DD' days with a completion -> { current, longest } run of
+// consecutive days. The current streak still counts until today is over.
+export const computeStreaks = (days, today) => {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of days) {
+    const time = Date.parse(day);
+    run = previous !== null && time - previous === MS_PER_DAY ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  }
+
+  const last = days[days.length - 1];
+  const sinceLast = last ? (Date.parse(today) - Date.parse(last)) / MS_PER_DAY : Infinity;
+  return { current: sinceLast <= 1 ? run : 0, longest, lastCompletedOn: last || null };
+};
+
+const toHours = (ms) => (ms === null || ms === undefined ? null : Math.round((ms / MS_PER_HOUR) * 10) / 10);
+
+// Created and completed tasks per period, average time from creation to
+// completion, the number of tasks overdue at the end of each period and
+// completion streaks, for the tasks matching `match` (owner, list).
+export const computeAnalytics = async (match, options, now = new Date()) => {
+  const periods = buildPeriods(options, now);
+  const boundaries = [...periods.map(period => period.start), periods[periods.length - 1].end];
+  // Overdue counts are taken at the end of each period, or now for the last
+  const points = periods.map(period => (period.end < now ? period.end : now));
+  const offsetMs = options.tzOffset * MS_PER_MINUTE;
+
+  const activity = await tasks.activity(match, { boundaries, points, tzOffsetMs: offsetMs });
+
+  const series = periods.map((period, index) => ({
+    period: period.label,
+    start: period.start,
+    end: period.end,
+    created: activity.created[index],
+    completed: activity.completed[index].count,
+    averageCompletionHours: toHours(activity.completed[index].averageTime),
+    overdue: activity.overdue[index]
+  }));
+
+  const completedCount = series.reduce((sum, period) => sum + period.completed, 0);
+  const totalTime = activity.completed
+    .reduce((sum, bucket) => sum + (bucket.averageTime || 0) * bucket.count, 0);
+  const today = toLocal(now, offsetMs).toISOString().slice(0, 10);
+
+  return {
+    groupBy: options.groupBy,
+    from: periods[0].start,
+    to: now,
+    series,
+    totals: {
+      created: series.reduce((sum, period) => sum + period.created, 0),
+      completed: completedCount,
+      averageCompletionHours: completedCount > 0 ? toHours(totalTime / completedCount) : null,
+      overdue: series[series.length - 1].overdue
+    },
+    streaks: computeStreaks(activity.completionDays, today)
+  };
+};
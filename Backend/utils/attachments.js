@@ -0,0 +1,60 @@
+import path from 'path';
+
+// Limits and checks for files attached to tasks (routes/attachments.js)
+
+// Largest file accepted, in bytes
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+// Files one task may have
+export const MAX_ATTACHMENTS = 20;
+
+// Types that may be attached: images, PDFs, plain text formats and office
+// documents. SVG and HTML are left out, since they can carry scripts.
+export const ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ZIP = [{ at: 0, bytes: 'PK\x03\x04' }];
+
+// How files of the binary types start. An upload claiming one of them must
+// really be one, so nothing else is ever served back as, say, an image.
+const SIGNATURES = {
+  'image/png': [{ at: 0, bytes: '\x89PNG\r\n\x1a\n' }],
+  'image/jpeg': [{ at: 0, bytes: '\xff\xd8\xff' }],
+  'image/gif': [{ at: 0, bytes: 'GIF8' }],
+  'image/webp': [{ at: 0, bytes: 'RIFF' }, { at: 8, bytes: 'WEBP' }],
+  'application/pdf': [{ at: 0, bytes: '%PDF-' }],
+  'application/zip': ZIP,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ZIP,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ZIP,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': ZIP
+};
+
+// Whether `buffer` may be stored as `contentType`
+export const isAllowedFile = (buffer, contentType) => ATTACHMENT_TYPES.includes(contentType) &&
+  (SIGNATURES[contentType] || []).every(({ at, bytes }) =>
+    // eslint-disable-next-line no-undef
+    buffer.subarray(at, at + bytes.length).equals(Buffer.from(bytes, 'latin1')));
+
+// The name an upload is kept under: no folders, no control characters, at
+// most 255 characters
+export const cleanFileName = (name = '') => {
+  // eslint-disable-next-line no-control-regex
+  const cleaned = path.basename(name.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return cleaned.slice(0, 255) || 'file';
+};
+
+// Keys of the stored files of `tasks`, for deleting them with the tasks
+export const attachmentKeysOf = (tasks) => tasks.flatMap(task => (task.attachments || []).map(attachment => attachment.key));
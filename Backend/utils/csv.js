@@ -0,0 +1,64 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  let cell = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+// Rows of cell values -> CSV text with CRLF line endings
+export const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+// CSV text -> rows of strings, each with the line it starts on. Quoted cells
+// may span lines; a leading "'" added by toCsv to defuse a formula is dropped.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endCell = () => {
+    row.push(cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) rows.push({ line: rowLine, cells: row });
+    row = [];
+    rowLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Unterminated quoted cell starting on line ${rowLine}`);
+  if (cell !== '' || row.length > 0) endRow();
+  return rows;
+};
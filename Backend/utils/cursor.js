@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Keyset pagination for task listings. A cursor holds the sort key values of
+// the last task on a page, so the next page starts right after that task
+// however many tasks were inserted or deleted in between. Cursors are opaque
+// to clients: base64url JSON, tied to the sort order they were made for.
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: String(value) };
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      if (Number.isNaN(date.getTime())) throw new Error('Invalid date');
+      return date;
+    }
+    if (typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Invalid value');
+  }
+  return value;
+};
+
+// `extra` carries anything else the next page needs to rank tasks the same
+// way, such as the time the smart sort was scored at
+export const encodeCursor = (doc, sort, extra = {}) => {
+  const fields = Object.keys(sort);
+  const payload = { ...extra, k: fields, v: fields.map(field => encodeValue(doc[field] ?? null)) };
+  // eslint-disable-next-line no-undef
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Cursor -> { after: { field: value }, ...extra }. Throws on cursors that
+// are malformed or were made for a different sort order.
+export const decodeCursor = (cursor, sort) => {
+  const fields = Object.keys(sort);
+  try {
+    // eslint-disable-next-line no-undef
+    const { k, v, ...extra } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Array.isArray(k) || !Array.isArray(v) || k.join() !== fields.join() || v.length !== fields.length) {
+      throw new Error('Wrong sort');
+    }
+    return { after: Object.fromEntries(fields.map((field, index) => [field, decodeValue(v[index])])), ...extra };
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+};
+
+// Match condition for the documents that come after `after` in `sort` order.
+// Computed sort keys only exist inside the pipeline, so those comparisons go
+// through $expr; stored fields use plain operators, which indexes can serve.
+export const afterCursor = (sort, after, { computed = false } = {}) => {
+  const fields = Object.keys(sort);
+  const compare = (field, operator) => computed
+    ? { $expr: { [operator]: [`$${field}`, after[field]] } }
+    : { [field]: { [operator]: after[field] } };
+
+  return {
+    $or: fields.map((field, index) => ({
+      $and: [
+        ...fields.slice(0, index).map(previous => compare(previous, '$eq')),
+        compare(field, sort[field] === 1 ? '$gt' : '$lt')
+      ]
+    }))
+  };
+};
@@ -0,0 +1,26 @@
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+// Parses an optional date from a request body.
+// Returns undefined when absent, null when explicitly cleared, or a Date.
+export const parseOptionalDate = (value, field) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+// Start of "today" and "tomorrow" in the client's time zone.
+// tzOffset uses the sign convention of Date#getTimezoneOffset (minutes behind UTC).
+export const getDayBounds = (tzOffset = 0, now = new Date()) => {
+  const offsetMs = (Number(tzOffset) || 0) * MS_PER_MINUTE;
+  const localNow = now.getTime() - offsetMs;
+  const startOfToday = new Date(localNow - (localNow % MS_PER_DAY) + offsetMs);
+  const startOfTomorrow = new Date(startOfToday.getTime() + MS_PER_DAY);
+
+  return { startOfToday, startOfTomorrow };
+};
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+// Every error response has the same shape:
+//   { error: { code, message, details?: [{ field, message }] } }
+// plus, for a few responses, extra top-level fields (the current task on a
+// 409 edit conflict). `code` is stable for clients to branch on; `message`
+// is meant for people.
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+export const ERROR_CODES = [...Object.values(STATUS_CODES), 'VALIDATION_FAILED', 'INVALID_JSON'];
+
+// An error with its HTTP status and code, for helpers that know both
+export class ApiError extends Error {
+  constructor(status, message, { code = STATUS_CODES[status], details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Thrown by repositories when a write would break a uniqueness rule, such as
+// two lists with the same name; routes answer 409 with their own message
+export class DuplicateError extends Error {
+  constructor(message = 'That already exists') {
+    super(message);
+  }
+}
+
+// details: [{ field, in?, message }], where `in` is body, query, params or
+// header.
+// The message strings them together: "text must be a string; limit must be..."
+export const validationError = (details) => new ApiError(
+  400,
+  details.map(detail => `${detail.field || detail.in || 'request'} ${detail.message}`).join('; '),
+  { code: 'VALIDATION_FAILED', details }
+);
+
+// Mongoose's wording ("Path `name` is longer than...") reworded to match the
+// request validation messages
+const describeFieldError = (fieldError) => {
+  const { kind, properties = {} } = fieldError;
+  if (fieldError.name === 'CastError') return `must be a valid ${kind}`;
+  if (kind === 'required') return 'is required';
+  if (kind === 'maxlength') return `must be at most ${properties.maxlength} characters`;
+  if (kind === 'minlength') return `must be at least ${properties.minlength} characters`;
+  if (kind === 'enum') return `must be one of: ${properties.enumValues.join(', ')}`;
+  if (kind === 'min') return `must be at least ${properties.min}`;
+  if (kind === 'max') return `must be at most ${properties.max}`;
+  return fieldError.message;
+};
+
+// Error -> ApiError. Mongoose validation and cast errors are the client's
+// fault whatever status the route expected; other errors keep `status`, and
+// their message unless it is a server error, which is not shown to clients.
+const toApiError = (error, status) => {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return validationError(Object.values(error.errors).map(fieldError => ({
+      field: fieldError.path,
+      message: describeFieldError(fieldError)
+    })));
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return validationError([{ field: error.path, message: `must be a valid ${error.kind}` }]);
+  }
+  if (error instanceof DuplicateError || error.code === 11000) {
+    return new ApiError(409, 'That already exists');
+  }
+  if (status >= 500) {
+    return new ApiError(status, 'Something went wrong on the server');
+  }
+  return new ApiError(status, error.message);
+};
+
+// Sends an error response. `error` is a message or an Error; extra fields
+// are added next to the error object.
+export const sendError = (res, status, error, extra = {}) => {
+  const apiError = typeof error === 'string' ? new ApiError(status, error) : toApiError(error, status);
+  if (apiError.status >= 500 && typeof error !== 'string') {
+    console.error(error);
+  }
+
+  const body = { code: apiError.code, message: apiError.message };
+  if (apiError.details) body.details = apiError.details;
+  res.status(apiError.status).json({ error: body, ...extra });
+};
+
+// Last middleware: malformed JSON bodies and anything a route did not catch
+// eslint-disable-next-line no-unused-vars
+export const errorHandler = (error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, new ApiError(400, 'The request body is not valid JSON', { code: 'INVALID_JSON' }));
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'The request body is too large');
+  }
+  sendError(res, 500, error);
+};
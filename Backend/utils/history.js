@@ -0,0 +1,29 @@
+// Task fields whose edits are kept in the task history
+export const TRACKED_FIELDS = [
+  'text',
+  'notes',
+  'completed',
+  'priority',
+  'dueDate',
+  'hasDueTime',
+  'reminderAt',
+  'list',
+  'tags',
+  'recurrence',
+  'assignee'
+];
+
+// Plain JSON form of a field value: ObjectIds become strings, Dates ISO strings
+export const toHistoryValue = (value) => (
+  value === undefined ? null : JSON.parse(JSON.stringify(value))
+);
+
+// History entries for the tracked fields that differ between two versions of a task
+export const diffTask = (before, after, fields = TRACKED_FIELDS) => fields
+  .filter(field => TRACKED_FIELDS.includes(field))
+  .map(field => ({
+    field,
+    oldValue: toHistoryValue(before[field]),
+    newValue: toHistoryValue(after[field])
+  }))
+  .filter(change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue));
@@ -0,0 +1,120 @@
+// Just enough of iCalendar (RFC 5545) to write and read to-dos
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Content lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+export const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+export const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (
+  char === 'n' || char === 'N' ? '\n' : char
+));
+
+// Splits a long content line into continuation lines starting with a space,
+// without cutting a multi-byte character in half
+export const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    // eslint-disable-next-line no-undef
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 20261019T083000Z
+export const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261019, for the local day the instant falls on
+export const formatDate = (date, tzOffset = 0) => {
+  const local = new Date(date.getTime() - tzOffset * MS_PER_MINUTE);
+  return `${local.getUTCFullYear()}${pad(local.getUTCMonth() + 1)}${pad(local.getUTCDate())}`;
+};
+
+// DATE and DATE-TIME values -> ISO 8601 text: '2026-10-19' for a whole day,
+// '2026-10-19T08:30:00Z' in UTC, and without the Z for floating times and
+// times with a TZID, which are taken as the client's local time
+export const parseDateValue = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) throw new Error(`Invalid date "${value}"`);
+
+  const [, year, month, day, hours, minutes, seconds, utc = ''] = match;
+  const date = `${year}-${month}-${day}`;
+  return hours === undefined ? date : `${date}T${hours}:${minutes}:${seconds}${utc}`;
+};
+
+// -PT15M / P1D / -P1W -> signed milliseconds
+export const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) throw new Error(`Invalid duration "${value}"`);
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60
+    + Number(seconds)) * 1000;
+  return sign === '-' ? -total : total;
+};
+
+// Index of the colon between a property's name and value; colons inside
+// quoted parameter values do not count
+const findValueColon = (line) => {
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) return i;
+  }
+  return -1;
+};
+
+// Calendar text -> nested components:
+//   { name, properties: [{ name, params, value }], components: [...] }
+export const parseCalendar = (text) => {
+  const lines = text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const colon = findValueColon(line);
+    if (colon === -1) continue;
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const value = line.slice(colon + 1);
+    const upperName = name.toUpperCase();
+
+    if (upperName === 'BEGIN') {
+      const component = { name: value.trim().toUpperCase(), properties: [], components: [] };
+      stack[stack.length - 1].components.push(component);
+      stack.push(component);
+    } else if (upperName === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const params = Object.fromEntries(rawParams.map(param => {
+        const [key, ...rest] = param.split('=');
+        return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+      }));
+      stack[stack.length - 1].properties.push({ name: upperName, params, value });
+    }
+  }
+
+  return root;
+};
+
+// First property of a component with the given name
+export const getProperty = (component, name) => component.properties.find(property => property.name === name);
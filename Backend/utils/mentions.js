@@ -0,0 +1,12 @@
+// @username mentions in comment text. Usernames are lowercase letters,
+// digits, '_', '.' and '-' (see models/User.js). A mention must start the
+// text or follow something other than a word character, so e-mail addresses
+// do not count, and trailing dots and dashes are punctuation ("thanks @ada.").
+const MENTION = /(^|[^\w.@-])@([a-z0-9_.-]+)/gi;
+
+// The usernames mentioned in `text`, lowercased, without repeats
+export const extractMentions = (text) => [...new Set(
+  [...text.matchAll(MENTION)]
+    .map(match => match[2].toLowerCase().replace(/[.-]+$/, ''))
+    .filter(Boolean)
+)];
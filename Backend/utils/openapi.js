@@ -0,0 +1,105 @@
+import { errorResponse } from '../schemas/common.js';
+
+// Builds the OpenAPI 3.0 description of the API from the routes themselves:
+// every route that validates its requests (middleware/validate.js) carries
+// its spec, so the document and the checks cannot drift apart.
+
+const ERROR_REF = { $ref: '#/components/schemas/Error' };
+
+const errorResponseOf = (description) => ({
+  description,
+  content: { 'application/json': { schema: ERROR_REF } }
+});
+
+// '/api/tasks/:id/subtasks' -> '/api/tasks/{id}/subtasks'
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, '{$1}');
+
+// Routes are grouped by resource: the last fixed segment the router is
+// mounted at, or the segment after /api for routes on the app itself
+const tagFor = (prefix, fullPath) => {
+  const fixed = prefix.split('/').filter(segment => segment && !segment.startsWith(':'));
+  return fixed.length > 1 ? fixed[fixed.length - 1] : fullPath.split('/')[2];
+};
+
+// Descriptions live on the parameter rather than its schema
+const toParameter = (name, location, schema, required) => {
+  const { description, ...rest } = schema;
+  return { name, in: location, required, ...(description ? { description } : {}), schema: rest };
+};
+
+const buildResponses = (spec, fullPath) => {
+  const { status = 200, description = 'OK', schema, contentTypes = ['application/json'] } = spec.response || {};
+  const content = schema
+    ? { 'application/json': { schema } }
+    : Object.fromEntries(contentTypes.map(type => [type, { schema: { type: 'string' } }]));
+
+  const responses = { [status]: { description, content } };
+  if (spec.params || spec.query || spec.body || spec.multipart) responses[400] = errorResponseOf('Invalid request');
+  if (!spec.public) responses[401] = errorResponseOf('Missing or invalid token');
+  if (fullPath.includes(':')) responses[404] = errorResponseOf('Not found');
+  for (const [code, text] of Object.entries(spec.errors || {})) {
+    responses[code] = errorResponseOf(text);
+  }
+  responses[500] = errorResponseOf('Server error');
+  return responses;
+};
+
+const buildOperation = (spec, prefix, fullPath, headers) => {
+  const pathParams = [...fullPath.matchAll(/:(\w+)/g)].map(([, name]) => name);
+  const parameters = [
+    ...headers
+      .filter(({ paths }) => paths.some(path => fullPath.startsWith(path)))
+      .map(({ name, schema, description }) => toParameter(name, 'header', { ...schema, description }, false)),
+    ...pathParams.map(name => toParameter(name, 'path', spec.params?.[name] || { type: 'string' }, true)),
+    ...Object.entries(spec.query || {})
+      .map(([name, schema]) => toParameter(name, 'query', schema, (spec.requiredQuery || []).includes(name)))
+  ];
+
+  const operation = { tags: [tagFor(prefix, fullPath)], summary: spec.summary };
+  if (spec.description) operation.description = spec.description;
+  if (spec.public) operation.security = [];
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (spec.body) {
+    operation.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+  }
+  // File uploads describe their form in `multipart`; the route checks it itself
+  if (spec.multipart) {
+    operation.requestBody = { required: true, content: { 'multipart/form-data': { schema: spec.multipart } } };
+  }
+  operation.responses = buildResponses(spec, fullPath);
+  return operation;
+};
+
+// routers: [[mountPath, router]], with '' for the app's own router
+// headers: [{ name, schema, description, paths }], optional request headers
+// of the routes below any of `paths`
+export const buildApiDocument = ({ title, version, description, routers, headers = [] }) => {
+  const paths = {};
+  for (const [prefix, router] of routers) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+      const spec = layer.route.stack.map(routeLayer => routeLayer.handle.apiSpec).find(Boolean);
+      if (!spec) continue;
+
+      const fullPath = `${prefix}${layer.route.path === '/' && prefix ? '' : layer.route.path}`;
+      const pathItem = paths[toOpenApiPath(fullPath)] ||= {};
+      for (const method of Object.keys(layer.route.methods)) {
+        pathItem[method] = buildOperation(spec, prefix, fullPath, headers);
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version, description },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: { Error: errorResponse }
+    }
+  };
+};
@@ -0,0 +1,6 @@
+import bcrypt from 'bcryptjs';
+
+// Passwords are only ever stored as bcrypt hashes
+export const hashPassword = (password) => bcrypt.hash(password, 10);
+
+export const checkPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
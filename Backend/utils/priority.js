@@ -0,0 +1,77 @@
+import { PRIORITIES, priorityFromImportant } from '../../shared/priorities.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Validates a priority from a request body. Bodies from older clients may
+// send the important flag instead, read against the task's current level.
+// Returns undefined when neither is given.
+export const parsePriority = ({ priority, important }, current = 'none') => {
+  if (priority !== undefined) {
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+    return priority;
+  }
+  if (important !== undefined) return priorityFromImportant(Boolean(important), current);
+  return undefined;
+};
+
+// ?priority=high,urgent -> ['high', 'urgent']; throws on unknown levels
+export const parsePriorityQuery = (value) => {
+  if (!value) return [];
+  const levels = String(value).split(',').map(level => level.trim()).filter(Boolean);
+  const unknown = levels.find(level => !PRIORITIES.includes(level));
+  if (unknown) {
+    throw new Error(`priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  return [...new Set(levels)];
+};
+
+// Aggregation expression for a task's priority as a number, 0 (none) to 4
+export const priorityRank = { $indexOfArray: [PRIORITIES, { $ifNull: ['$priority', 'none'] }] };
+
+// Aggregation expression for the "smart" sort, higher first. Out of 90:
+//   priority  10 per level, up to 40
+//   due date  30 when due today, 2 less per day ahead (0 from 15 days out),
+//             30-40 when overdue, growing by 1 per day late
+//   age       up to 10, so old tasks slowly work their way up
+const smartDueScore = (now) => ({
+  $cond: [
+    { $ne: [{ $type: '$dueDate' }, 'date'] },
+    0,
+    {
+      $let: {
+        vars: { daysLeft: { $divide: [{ $subtract: ['$dueDate', now] }, MS_PER_DAY] } },
+        in: {
+          $cond: [
+            { $lt: ['$$daysLeft', 0] },
+            { $add: [30, { $min: [{ $multiply: ['$$daysLeft', -1] }, 10] }] },
+            { $max: [0, { $subtract: [30, { $multiply: ['$$daysLeft', 2] }] }] }
+          ]
+        }
+      }
+    }
+  ]
+});
+
+const smartAgeScore = (now) => ({
+  $divide: [{ $min: [{ $divide: [{ $subtract: [now, '$createdAt'] }, MS_PER_DAY] }, 30] }, 3]
+});
+
+export const smartScore = (now = new Date()) => ({
+  $add: [{ $multiply: [priorityRank, 10] }, smartDueScore(now), smartAgeScore(now)]
+});
+
+// The same rank and score computed for a task record, for storage without
+// aggregation pipelines
+export const priorityRankOf = (priority) => PRIORITIES.indexOf(priority ?? 'none');
+
+export const smartScoreOf = (task, now = new Date()) => {
+  let dueScore = 0;
+  if (task.dueDate instanceof Date) {
+    const daysLeft = (task.dueDate.getTime() - now.getTime()) / MS_PER_DAY;
+    dueScore = daysLeft < 0 ? 30 + Math.min(-daysLeft, 10) : Math.max(0, 30 - daysLeft * 2);
+  }
+  const ageScore = Math.min((now.getTime() - task.createdAt.getTime()) / MS_PER_DAY, 30) / 3;
+  return priorityRankOf(task.priority) * 10 + dueScore + ageScore;
+};
@@ -0,0 +1,152 @@
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+export const FREQUENCIES = ['daily', 'weekdays', 'weekly', 'monthly', 'afterCompletion'];
+
+export const MAX_INTERVAL = 365;
+
+// Upper bound on how far an overdue schedule is rolled forward
+const MAX_ROLL_FORWARD = 1000;
+
+// Validates a recurrence rule from a request body.
+// Returns undefined when absent, null when cleared, or a normalized rule:
+//   { frequency, interval, daysOfWeek?, dayOfMonth?, tzOffset }
+// daysOfWeek uses 0 for Sunday; tzOffset is the client's
+// Date#getTimezoneOffset, needed to tell which local day a due date falls on.
+export const parseRecurrence = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null) return null;
+
+  if (typeof value !== 'object' || !FREQUENCIES.includes(value.frequency)) {
+    throw new Error(`recurrence.frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = value.interval === undefined ? 1 : Number(value.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new Error(`recurrence.interval must be a whole number from 1 to ${MAX_INTERVAL}`);
+  }
+
+  const rule = {
+    frequency: value.frequency,
+    interval,
+    tzOffset: Number(value.tzOffset) || 0
+  };
+
+  if (rule.frequency === 'weekly') {
+    const days = value.daysOfWeek || [];
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw new Error('recurrence.daysOfWeek must be an array of days from 0 (Sunday) to 6');
+    }
+    rule.daysOfWeek = [...new Set(days)].sort((a, b) => a - b);
+  }
+
+  if (rule.frequency === 'monthly' && value.dayOfMonth != null) {
+    const day = Number(value.dayOfMonth);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      throw new Error('recurrence.dayOfMonth must be a day from 1 to 31');
+    }
+    rule.dayOfMonth = day;
+  }
+
+  return rule;
+};
+
+// The helpers below work on "local" dates: instants shifted by the client's
+// offset and read with the UTC getters, so day arithmetic follows its calendar
+const toLocal = (date, tzOffset) => new Date(date.getTime() - tzOffset * MS_PER_MINUTE);
+const fromLocal = (date, tzOffset) => new Date(date.getTime() + tzOffset * MS_PER_MINUTE);
+
+const addDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const isWeekend = (date) => date.getUTCDay() === 0 || date.getUTCDay() === 6;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// The chosen day of the given month, or its last day in shorter months
+const dayInMonth = (year, month, day) => {
+  const first = new Date(Date.UTC(year, month, 1));
+  const clamped = Math.min(day, daysInMonth(first.getUTCFullYear(), first.getUTCMonth()));
+  return new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), clamped));
+};
+
+// Next chosen weekday after `from`; past the last one, the first chosen day
+// `interval` weeks on. Without chosen days it repeats on from's own weekday.
+const nextWeekly = (from, daysOfWeek, interval) => {
+  const weekday = from.getUTCDay();
+  const days = daysOfWeek.length > 0 ? daysOfWeek : [weekday];
+  const later = days.find(day => day > weekday);
+  if (later !== undefined) return addDays(from, later - weekday);
+  return addDays(from, 7 * interval - weekday + days[0]);
+};
+
+const nextMonthly = (from, dayOfMonth, interval) => {
+  const day = dayOfMonth || from.getUTCDate();
+  const year = from.getUTCFullYear();
+  const month = from.getUTCMonth();
+  const sameMonth = dayInMonth(year, month, day);
+  return sameMonth > startOfDay(from) ? sameMonth : dayInMonth(year, month + interval, day);
+};
+
+const nextOccurrenceDay = (rule, from) => {
+  switch (rule.frequency) {
+    case 'weekdays': {
+      let next = addDays(from, 1);
+      while (isWeekend(next)) next = addDays(next, 1);
+      return next;
+    }
+    case 'weekly':
+      return nextWeekly(from, rule.daysOfWeek || [], rule.interval);
+    case 'monthly':
+      return nextMonthly(from, rule.dayOfMonth, rule.interval);
+    default:
+      return addDays(from, rule.interval);
+  }
+};
+
+// Due date of the occurrence after one due at `dueDate` and completed at
+// `completedAt`. Fixed schedules roll forward from the due date, skipping
+// occurrences that are already past; 'afterCompletion' counts from the day it
+// was done. The time of day is kept, and without a due date it is the end of
+// the local day like other all-day due dates.
+export const nextDueDate = (rule, dueDate, completedAt = new Date()) => {
+  const tzOffset = rule.tzOffset || 0;
+  const time = dueDate
+    ? toLocal(dueDate, tzOffset).getTime() - startOfDay(toLocal(dueDate, tzOffset)).getTime()
+    : MS_PER_DAY - 1;
+  const toDueDate = (day) => fromLocal(new Date(startOfDay(day).getTime() + time), tzOffset);
+
+  const fromCompletion = rule.frequency === 'afterCompletion' || !dueDate;
+  let next = nextOccurrenceDay(rule, toLocal(fromCompletion ? completedAt : dueDate, tzOffset));
+
+  for (let i = 0; !fromCompletion && toDueDate(next) <= completedAt && i < MAX_ROLL_FORWARD; i++) {
+    next = nextOccurrenceDay(rule, next);
+  }
+  return toDueDate(next);
+};
+
+// Fields of a recurring task's next occurrence: a fresh copy with the due
+// date (and reminder) rolled forward and the checklist unticked
+export const nextOccurrenceOf = (task, completedAt = new Date()) => {
+  const dueDate = nextDueDate(task.recurrence, task.dueDate, completedAt);
+  const reminderOffset = task.reminderAt && task.dueDate
+    ? task.reminderAt.getTime() - task.dueDate.getTime()
+    : null;
+
+  return {
+    owner: task.owner,
+    workspace: task.workspace ?? null,
+    assignee: task.assignee ?? null,
+    text: task.text,
+    notes: task.notes ?? '',
+    priority: task.priority,
+    list: task.list,
+    tags: task.tags,
+    subtasks: task.subtasks.map(subtask => ({ text: subtask.text })),
+    recurrence: task.recurrence,
+    dueDate,
+    hasDueTime: Boolean(task.dueDate) && task.hasDueTime,
+    reminderAt: reminderOffset === null ? null : new Date(dueDate.getTime() + reminderOffset)
+  };
+};
@@ -0,0 +1,137 @@
+// Checks values against request schemas. Schemas are written in the part of
+// JSON Schema that OpenAPI 3.0 uses, so the same objects are published as
+// the API description (see utils/openapi.js). Supported keywords:
+//   type (one of string, number, integer, boolean, array, object), nullable,
+//   enum, minLength, maxLength, pattern, format, minimum, maximum, items,
+//   minItems, maxItems, properties, required, additionalProperties, anyOf
+// Other keywords (description, default, example) are documentation only.
+// Unlike JSON Schema, minLength ignores surrounding whitespace, so a blank
+// name is as missing as an empty one, and x-pattern-message replaces the
+// generic message for a value that does not match `pattern`.
+
+const FORMATS = {
+  objectId: value => /^[0-9a-f]{24}$/i.test(value),
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+const FORMAT_NAMES = {
+  objectId: 'an id',
+  'date-time': 'a date and time',
+  date: 'a date (YYYY-MM-DD)'
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object'
+};
+
+const isType = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+// What a schema accepts, for messages: "a string or an array"
+const describe = (schema) => {
+  if (schema.anyOf) return schema.anyOf.map(describe).join(' or ');
+  if (schema.format && FORMAT_NAMES[schema.format]) return FORMAT_NAMES[schema.format];
+  return TYPE_NAMES[schema.type] || 'a valid value';
+};
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+// Errors for `value` as [{ field, message }], with fields as dotted paths
+// below `path`. An empty array means the value is valid.
+export const validateValue = (schema, value, path = '') => {
+  const fail = (message) => [{ field: path, message }];
+
+  if (value === null) {
+    return schema.nullable || schema.anyOf?.some(option => option.nullable) ? [] : fail(`must be ${describe(schema)}, not null`);
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => validateValue(option, value, path));
+    if (attempts.some(errors => errors.length === 0)) return [];
+    // Report the option of the matching type, if any, for a precise message
+    const typed = schema.anyOf.findIndex(option => isType[option.type]?.(value));
+    return typed === -1 ? fail(`must be ${describe(schema)}`) : attempts[typed];
+  }
+
+  if (schema.type && !isType[schema.type](value)) {
+    return fail(`must be ${describe(schema)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.filter(option => option !== null).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      return fail(`must be ${FORMAT_NAMES[schema.format]}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      return fail(schema['x-pattern-message'] || 'is not in the expected format');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return value.flatMap((item, index) => validateValue(schema.items, item, join(path, index)));
+    }
+  }
+
+  if (isType.object(value)) {
+    const properties = schema.properties || {};
+    const missing = (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .map(key => ({ field: join(path, key), message: 'is required' }));
+    const unknown = schema.additionalProperties === false
+      ? Object.keys(value)
+        .filter(key => !properties[key])
+        .map(key => ({ field: join(path, key), message: 'is not allowed' }))
+      : [];
+    const invalid = Object.entries(properties)
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, propertySchema]) => validateValue(propertySchema, value[key], join(path, key)));
+    return [...missing, ...unknown, ...invalid];
+  }
+
+  return [];
+};
+
+// Query strings and path segments are always text; numbers and booleans
+// declared in their schemas are read from it before checking
+export const coerceParameter = (schema, value) => {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
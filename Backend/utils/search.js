@@ -0,0 +1,82 @@
+import { parseSearch, termPattern } from '../../shared/searchQuery.js';
+import { IMPORTANT_PRIORITIES } from '../../shared/priorities.js';
+import { getDayBounds } from './dates.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+const WORD_SPLIT = /[^\p{L}\p{N}_]+/u;
+
+// Start of a day named in a due: filter, in the client's time zone
+const startOfDay = (day, tzOffset, now) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date) + (Number(tzOffset) || 0) * MS_PER_MINUTE);
+  }
+  const { startOfToday } = getDayBounds(tzOffset, now);
+  const shift = { yesterday: -1, today: 0, tomorrow: 1 }[day];
+  return new Date(startOfToday.getTime() + shift * MS_PER_DAY);
+};
+
+const filterCondition = (filter, { tzOffset, now }) => {
+  switch (filter.field) {
+    case 'is':
+      return {
+        done: { completed: true },
+        open: { completed: false },
+        starred: { priority: { $in: IMPORTANT_PRIORITIES } },
+        overdue: { completed: false, dueDate: { $lt: now } },
+        recurring: { recurrence: { $ne: null } }
+      }[filter.value];
+    case 'tag':
+      return { tags: filter.value };
+    case 'priority':
+      return { priority: filter.value };
+    default: {
+      if (filter.day === null) return { dueDate: null };
+      const start = startOfDay(filter.day, tzOffset, now);
+      const end = new Date(start.getTime() + MS_PER_DAY);
+      return {
+        '=': { dueDate: { $gte: start, $lt: end } },
+        '<': { dueDate: { $lt: start } },
+        '<=': { dueDate: { $lt: end } },
+        '>': { dueDate: { $gte: end } },
+        '>=': { dueDate: { $gte: start } }
+      }[filter.operator];
+    }
+  }
+};
+
+// Match conditions for the `search` parameter (syntax in shared/searchQuery.js).
+// Terms match a task's text or its notes, and an excluded term must be in
+// neither. Terms are matched with escaped regular expressions, so any
+// characters are safe to search for. Whole words also go to the text index
+// as a $text pre-filter, so only tasks containing at least one of them are
+// scanned; searches with no such word (only a word still being typed, or
+// only exclusions) fall back to the regular expressions alone.
+// Returns { $text?, $and } to merge into a task query. Throws on bad filters.
+export const buildSearchMatch = (input, { tzOffset, now = new Date() } = {}) => {
+  const search = parseSearch(input);
+  const conditions = [];
+
+  for (const term of search.terms) {
+    const regex = { $regex: termPattern(term), $options: 'i' };
+    conditions.push(term.negated
+      ? { text: { $not: regex }, notes: { $not: regex } }
+      : { $or: [{ text: regex }, { notes: regex }] });
+  }
+  for (const filter of search.filters) {
+    const condition = filterCondition(filter, { tzOffset, now });
+    conditions.push(filter.negated ? { $nor: [condition] } : condition);
+  }
+
+  const indexedWords = search.terms
+    .filter(term => !term.negated && !term.prefix)
+    .flatMap(term => term.text.split(WORD_SPLIT))
+    .filter(Boolean);
+
+  const match = {};
+  if (indexedWords.length > 0) match.$text = { $search: [...new Set(indexedWords)].join(' ') };
+  if (conditions.length > 0) match.$and = conditions;
+  return match;
+};
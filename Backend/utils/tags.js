@@ -0,0 +1,42 @@
+// Tags are stored lowercase without the leading '#'
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,40}$/u;
+const HASHTAG_PATTERN = /(^|\s)#([\p{L}\p{N}_-]{1,40})(?=\s|$)/gu;
+
+export const normalizeTag = (tag) => String(tag).trim().replace(/^#/, '').toLowerCase();
+
+export const isValidTag = (tag) => TAG_PATTERN.test(tag);
+
+// Validates and de-duplicates a tags array from a request body
+export const parseTagList = (tags) => {
+  if (tags === undefined) return undefined;
+  if (!Array.isArray(tags)) {
+    throw new Error('tags must be an array of strings');
+  }
+
+  const normalized = tags.map(normalizeTag);
+  const invalid = normalized.find(tag => !isValidTag(tag));
+  if (invalid !== undefined) {
+    throw new Error(`Invalid tag "${invalid}": use letters, numbers, "-" or "_"`);
+  }
+  return [...new Set(normalized)];
+};
+
+// Pulls #hashtags out of task text: "Pay rent #home" -> { text: 'Pay rent', tags: ['home'] }
+export const extractHashtags = (text) => {
+  const tags = [];
+  const cleaned = text.replace(HASHTAG_PATTERN, (match, leading, tag) => {
+    tags.push(tag.toLowerCase());
+    return leading;
+  });
+
+  return {
+    text: cleaned.replace(/\s{2,}/g, ' ').trim(),
+    tags: [...new Set(tags)]
+  };
+};
+
+// Parses the `tags=a,b` query parameter
+export const parseTagQuery = (value) => {
+  if (!value) return [];
+  return [...new Set(String(value).split(',').map(normalizeTag).filter(Boolean))];
+};
@@ -0,0 +1,677 @@
+import { toCsv, parseCsv } from './csv.js';
+import {
+  escapeText,
+  unescapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  parseDateValue,
+  parseDuration,
+  parseCalendar,
+  getProperty
+} from './ical.js';
+import { normalizeTag, isValidTag, extractHashtags } from './tags.js';
+import { parseRecurrence } from './recurrence.js';
+import { PRIORITIES } from '../../shared/priorities.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Largest number of tasks a single import may contain
+export const MAX_IMPORT_ROWS = 5000;
+
+// Same limits as List.name and Task.notes
+const MAX_LIST_NAME_LENGTH = 60;
+const MAX_NOTES_LENGTH = 20000;
+
+// Tasks leave and enter the app in a portable shape, with lists referred to
+// by name so an export can be imported into another account:
+//   { text, notes, completed, completedAt, priority, list, tags, dueDate,
+//     hasDueTime, reminderAt, recurrence, subtasks: [{ text, completed }],
+//     createdAt }
+const toPortableTask = (task, listNames) => ({
+  text: task.text,
+  notes: task.notes || '',
+  completed: task.completed,
+  completedAt: task.completedAt || null,
+  priority: task.priority || 'none',
+  list: task.list ? listNames.get(String(task.list)) || null : null,
+  tags: task.tags,
+  dueDate: task.dueDate,
+  hasDueTime: task.hasDueTime,
+  reminderAt: task.reminderAt,
+  recurrence: task.recurrence || null,
+  subtasks: task.subtasks.map(({ text, completed }) => ({ text, completed })),
+  createdAt: task.createdAt
+});
+
+// Due dates in the client's local time: '2026-10-19' for all-day ones,
+// '2026-10-19T08:30' when they have a time
+const formatLocalDue = (task, tzOffset) => {
+  const local = new Date(task.dueDate.getTime() - tzOffset * MS_PER_MINUTE).toISOString();
+  return task.hasDueTime ? local.slice(0, 16) : local.slice(0, 10);
+};
+
+const formatStep = (subtask) => `[${subtask.completed ? 'x' : ' '}] ${subtask.text}`;
+
+const CSV_COLUMNS = ['text', 'notes', 'completed', 'completedAt', 'priority', 'list', 'tags', 'dueDate', 'reminderAt', 'subtasks', 'createdAt'];
+
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// iCalendar PRIORITY runs from 1 (highest) to 9; 0 means undefined
+const ICS_PRIORITIES = { urgent: 1, high: 3, medium: 5, low: 7 };
+
+const fromIcsPriority = (value) => {
+  if (value === 1) return 'urgent';
+  if (value >= 2 && value <= 4) return 'high';
+  if (value === 5) return 'medium';
+  if (value >= 6 && value <= 9) return 'low';
+  return 'none';
+};
+
+const toRrule = (rule) => {
+  const interval = rule.interval > 1 ? `;INTERVAL=${rule.interval}` : '';
+  switch (rule.frequency) {
+    case 'daily':
+      return `FREQ=DAILY${interval}`;
+    case 'weekdays':
+      return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+    case 'weekly':
+      return `FREQ=WEEKLY${interval}${rule.daysOfWeek?.length ? `;BYDAY=${rule.daysOfWeek.map(day => ICS_DAYS[day]).join(',')}` : ''}`;
+    case 'monthly':
+      return `FREQ=MONTHLY${interval}${rule.dayOfMonth ? `;BYMONTHDAY=${rule.dayOfMonth}` : ''}`;
+    default:
+      // Repeating after completion has no RRULE equivalent
+      return null;
+  }
+};
+
+const serializeJson = (tasks, { listNames }) => JSON.stringify({
+  exportedAt: new Date(),
+  tasks: tasks.map(task => toPortableTask(task, listNames))
+}, null, 2);
+
+const serializeCsv = (tasks, { listNames, tzOffset }) => '\uFEFF' + toCsv([
+  CSV_COLUMNS,
+  ...tasks.map(task => {
+    const portable = toPortableTask(task, listNames);
+    return [
+      portable.text,
+      portable.notes,
+      portable.completed,
+      task.completed && task.completedAt ? task.completedAt.toISOString() : '',
+      portable.priority === 'none' ? '' : portable.priority,
+      portable.list || '',
+      portable.tags.join(' '),
+      task.dueDate ? formatLocalDue(task, tzOffset) : '',
+      task.reminderAt ? task.reminderAt.toISOString() : '',
+      portable.subtasks.map(formatStep).join('\n'),
+      task.createdAt.toISOString()
+    ];
+  })
+]);
+
+// One "## List" section per list, Inbox first:
+//   - [ ] Pay rent #home due:2026-10-19 !high
+//     - [x] Find the bank details
+const serializeMarkdown = (tasks, { lists, listNames, tzOffset }) => {
+  const sections = [null, ...lists.map(list => String(list._id))]
+    .map(listId => ({
+      name: listId ? listNames.get(listId) : 'Inbox',
+      tasks: tasks.filter(task => (task.list ? String(task.list) : null) === listId)
+    }))
+    .filter(section => section.tasks.length > 0);
+
+  const lines = ['# Tasks'];
+  for (const section of sections) {
+    lines.push('', `## ${section.name}`, '');
+    for (const task of section.tasks) {
+      const parts = [`- [${task.completed ? 'x' : ' '}] ${task.text}`];
+      parts.push(...task.tags.map(tag => `#${tag}`));
+      if (task.dueDate) parts.push(`due:${formatLocalDue(task, tzOffset)}`);
+      if (task.priority && task.priority !== 'none') parts.push(`!${task.priority}`);
+      lines.push(parts.join(' '));
+      lines.push(...task.subtasks.map(subtask => `  - ${formatStep(subtask)}`));
+    }
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Each task becomes a VTODO; checklist steps are child VTODOs linked with
+// RELATED-TO, which is how calendar apps represent subtasks
+const serializeIcs = (tasks, { tzOffset }) => {
+  const stamp = formatDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Task Manager Pro//Tasks//EN',
+    'CALSCALE:GREGORIAN'
+  ];
+
+  for (const task of tasks) {
+    const uid = `${task._id}@task-manager`;
+    const due = task.dueDate && (task.hasDueTime
+      ? `:${formatDateTime(task.dueDate)}`
+      : `;VALUE=DATE:${formatDate(task.dueDate, tzOffset)}`);
+    const rrule = task.recurrence && due && toRrule(task.recurrence);
+
+    lines.push(
+      'BEGIN:VTODO',
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      `CREATED:${formatDateTime(task.createdAt)}`,
+      `LAST-MODIFIED:${formatDateTime(task.updatedAt)}`,
+      `SUMMARY:${escapeText(task.text)}`,
+      `STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`
+    );
+    if (task.notes) lines.push(`DESCRIPTION:${escapeText(task.notes)}`);
+    if (task.completed && task.completedAt) lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+    if (ICS_PRIORITIES[task.priority]) lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+    if (task.tags.length > 0) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+    if (due) {
+      // RRULE counts from DTSTART
+      if (rrule) lines.push(`DTSTART${due}`, `RRULE:${rrule}`);
+      lines.push(`DUE${due}`);
+    }
+    if (task.reminderAt) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(task.text)}`,
+        `TRIGGER;VALUE=DATE-TIME:${formatDateTime(task.reminderAt)}`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VTODO');
+
+    for (const subtask of task.subtasks) {
+      lines.push(
+        'BEGIN:VTODO',
+        `UID:${task._id}-${subtask._id}@task-manager`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${escapeText(subtask.text)}`,
+        `STATUS:${subtask.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+        `RELATED-TO;RELTYPE=PARENT:${uid}`,
+        'END:VTODO'
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Formats accepted by GET /api/tasks/export
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8', serialize: serializeJson },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', serialize: serializeCsv },
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8', serialize: serializeMarkdown },
+  ics: { extension: 'ics', contentType: 'text/calendar; charset=utf-8', serialize: serializeIcs }
+};
+
+// Tasks (plain objects) -> file contents. `lists` are the owner's lists, used
+// to name them; tzOffset decides which local day an all-day due date is.
+export const serializeTasks = (format, tasks, { lists = [], tzOffset = 0 } = {}) => {
+  const listNames = new Map(lists.map(list => [String(list._id), list.name]));
+  return EXPORT_FORMATS[format].serialize(tasks, { lists, listNames, tzOffset: Number(tzOffset) || 0 });
+};
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', 'done', 'completed'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', ''];
+
+const toBoolean = (value, field) => {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  throw new Error(`${field} must be true or false, got "${value}"`);
+};
+
+// A priority level, or for files from before levels existed, the important
+// flag standing for high
+const toPriority = (raw) => {
+  if (raw.priority === undefined || raw.priority === null || raw.priority === '') {
+    return toBoolean(raw.important, 'important') ? 'high' : 'none';
+  }
+  const level = String(raw.priority).trim().toLowerCase();
+  if (!PRIORITIES.includes(level)) {
+    throw new Error(`priority must be one of ${PRIORITIES.join(', ')}, got "${raw.priority}"`);
+  }
+  return level;
+};
+
+// Labels from other tools may contain spaces or punctuation; they are turned
+// into valid tags ("Low Energy" -> "low-energy") and dropped when nothing is left
+const toTags = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const names = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return names
+    .map(name => normalizeTag(name).replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_-]/gu, '').slice(0, 40))
+    .filter(isValidTag);
+};
+
+// Due date text -> { dueDate, hasDueTime }. A plain day ('2026-10-19') is due
+// at the end of that local day like other all-day tasks, a time without a
+// zone ('2026-10-19T08:30') is local, and anything else is parsed as given.
+const parseDue = (value, tzOffset) => {
+  if (value === undefined || value === null || value === '') return { dueDate: null, hasDueTime: false };
+  if (value instanceof Date) return { dueDate: value, hasDueTime: true };
+
+  const text = String(value).trim();
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  let time;
+  if (day) {
+    time = Date.UTC(day[1], day[2] - 1, day[3], 23, 59, 59, 999);
+    if (new Date(time).getUTCDate() !== Number(day[3])) time = NaN;
+  } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+    time = Date.parse(`${text.replace(' ', 'T')}Z`);
+  }
+
+  if (time !== undefined) {
+    if (Number.isNaN(time)) throw new Error(`Invalid due date "${text}"`);
+    return { dueDate: new Date(time + tzOffset * MS_PER_MINUTE), hasDueTime: !day };
+  }
+
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid due date "${text}"`);
+  return { dueDate: date, hasDueTime: true };
+};
+
+const parseInstant = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${field} "${value}"`);
+  return date;
+};
+
+const parseSteps = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const steps = Array.isArray(value) ? value : String(value).split(/\r?\n/).filter(line => line.trim());
+
+  return steps.map((step, index) => {
+    if (typeof step === 'string') {
+      const match = /^\s*(?:[-*]\s*)?(?:\[([ xX])\]\s*)?(.*)$/.exec(step);
+      step = { text: match[2], completed: Boolean(match[1]?.trim()) };
+    }
+    const text = typeof step?.text === 'string' ? step.text.trim() : '';
+    if (!text) throw new Error(`Step ${index + 1} has no text`);
+    return { text, completed: toBoolean(step.completed, 'Step completed') };
+  });
+};
+
+// Validates one task read from an import and returns what would be created.
+// Besides the portable fields, `reminderOffset` (milliseconds from the due
+// date) is accepted for formats that state reminders relative to it.
+const normalizeImportedTask = (raw, tzOffset) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Expected a task object');
+  }
+
+  const rawText = typeof raw.text === 'string' ? raw.text : '';
+  const parsed = extractHashtags(rawText);
+  const text = parsed.text || rawText.trim();
+  if (!text) throw new Error('Task text is required');
+
+  const notes = typeof raw.notes === 'string' ? raw.notes.trimEnd() : '';
+  if (notes.length > MAX_NOTES_LENGTH) {
+    throw new Error(`Notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  }
+
+  const list = typeof raw.list === 'string' && raw.list.trim() ? raw.list.trim() : null;
+  if (list && list.length > MAX_LIST_NAME_LENGTH) {
+    throw new Error(`List name must be at most ${MAX_LIST_NAME_LENGTH} characters`);
+  }
+
+  const due = parseDue(raw.dueDate, tzOffset);
+  const hasDueTime = Boolean(due.dueDate) && (raw.hasDueTime === undefined
+    ? due.hasDueTime
+    : toBoolean(raw.hasDueTime, 'hasDueTime'));
+
+  let reminderAt = parseInstant(raw.reminderAt, 'reminder');
+  if (!reminderAt && Number.isFinite(raw.reminderOffset) && due.dueDate) {
+    reminderAt = new Date(due.dueDate.getTime() + raw.reminderOffset);
+  }
+
+  const recurrence = raw.recurrence ? parseRecurrence({ tzOffset, ...raw.recurrence }) : null;
+
+  const completed = toBoolean(raw.completed, 'completed');
+
+  return {
+    text,
+    notes,
+    completed,
+    // Unknown for most sources; the import then counts as the completion
+    completedAt: completed ? parseInstant(raw.completedAt, 'completion date') : null,
+    priority: toPriority(raw),
+    list,
+    tags: [...new Set([...parsed.tags, ...toTags(raw.tags)])],
+    dueDate: due.dueDate,
+    hasDueTime,
+    reminderAt,
+    recurrence,
+    subtasks: parseSteps(raw.subtasks)
+  };
+};
+
+// Each reader turns file contents into entries of { row, raw }, where row is
+// the line (CSV, Markdown) or item number (JSON, iCalendar) shown in errors
+
+// Header names accepted for each field, lowercase
+const CSV_HEADERS = {
+  text: ['text', 'title', 'task', 'name', 'content'],
+  notes: ['notes', 'note', 'description'],
+  completed: ['completed', 'done'],
+  completedAt: ['completedat', 'completed at', 'completed date'],
+  priority: ['priority'],
+  important: ['important', 'starred'],
+  list: ['list', 'project'],
+  tags: ['tags', 'labels'],
+  dueDate: ['duedate', 'due', 'due date'],
+  reminderAt: ['reminderat', 'reminder'],
+  subtasks: ['subtasks', 'checklist', 'steps']
+};
+
+const readCsv = (content) => {
+  const [header, ...rows] = parseCsv(content);
+  if (!header) throw new Error('The CSV file is empty');
+
+  const columns = header.cells.map(cell => {
+    const name = cell.trim().toLowerCase();
+    return Object.keys(CSV_HEADERS).find(field => CSV_HEADERS[field].includes(name));
+  });
+  if (!columns.includes('text')) {
+    throw new Error('The CSV file needs a "text" or "title" column');
+  }
+
+  return rows.map(({ line, cells }) => ({
+    row: line,
+    raw: Object.fromEntries(columns
+      .map((field, index) => [field, cells[index]])
+      .filter(([field]) => field))
+  }));
+};
+
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MARKDOWN_ITEM = /^(\s*)[-*+]\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const MARKDOWN_PRIORITY = /(^|\s)!(low|medium|high|urgent)(?=\s|$)/i;
+
+// Checklists as written by the Markdown export: "## List" headings, "- [ ]"
+// items with optional due:date and !priority (or ⭐ for high, as older
+// exports wrote it), and indented items as steps
+const readMarkdown = (content) => {
+  const entries = [];
+  let list = null;
+  let current = null;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const heading = MARKDOWN_HEADING.exec(line);
+    if (heading) {
+      // A single "#" heading is the document title
+      if (heading[1].length > 1) {
+        list = heading[2].toLowerCase() === 'inbox' ? null : heading[2];
+        current = null;
+      }
+      return;
+    }
+
+    const item = MARKDOWN_ITEM.exec(line);
+    if (!item) return;
+
+    const [, indent, box, body] = item;
+    const completed = Boolean(box?.trim());
+    if (indent.length > 0 && current) {
+      current.subtasks.push({ text: body.trim(), completed });
+      return;
+    }
+
+    let dueDate;
+    let priority = body.includes('⭐') ? 'high' : undefined;
+    const text = body
+      .replace(/(^|\s)due:(\S+)/, (match, leading, value) => {
+        dueDate = value;
+        return leading;
+      })
+      .replace(MARKDOWN_PRIORITY, (match, leading, level) => {
+        priority = level;
+        return leading;
+      })
+      .replace(/⭐/g, '');
+    current = { text, completed, priority, list, dueDate, subtasks: [] };
+    entries.push({ row: index + 1, raw: current });
+  });
+
+  return entries;
+};
+
+// RRULE -> recurrence rule, or null for rules the app cannot repeat on
+const fromRrule = (value) => {
+  const parts = Object.fromEntries(value.split(';').map(part => {
+    const [key, rest = ''] = part.split('=');
+    return [key.toUpperCase(), rest.toUpperCase()];
+  }));
+  const interval = Number(parts.INTERVAL || 1);
+  const days = parts.BYDAY ? parts.BYDAY.split(',').map(day => ICS_DAYS.indexOf(day.slice(-2))) : [];
+
+  switch (parts.FREQ) {
+    case 'DAILY':
+      return { frequency: 'daily', interval };
+    case 'WEEKLY':
+      if (days.includes(-1)) return null;
+      if (interval === 1 && [...days].sort().join() === '1,2,3,4,5') return { frequency: 'weekdays' };
+      return { frequency: 'weekly', interval, daysOfWeek: days };
+    case 'MONTHLY':
+      if (parts.BYDAY) return null;
+      if (!parts.BYMONTHDAY) return { frequency: 'monthly', interval };
+      return /^\d+$/.test(parts.BYMONTHDAY)
+        ? { frequency: 'monthly', interval, dayOfMonth: Number(parts.BYMONTHDAY) }
+        : null;
+    default:
+      return null;
+  }
+};
+
+const splitCategories = (value) => value.split(/(?<!\\),/).map(unescapeText);
+
+// VTODOs (and VEVENTs, using their start as the due date). Items linked to
+// another item in the file with RELATED-TO become its steps; repeat rules the
+// app has no equivalent for are left out rather than failing the row.
+const readIcs = (content) => {
+  const root = parseCalendar(content);
+  const calendars = root.components.filter(component => component.name === 'VCALENDAR');
+  if (calendars.length === 0) throw new Error('The file has no VCALENDAR');
+
+  const items = calendars
+    .flatMap(calendar => calendar.components)
+    .filter(component => component.name === 'VTODO' || component.name === 'VEVENT');
+  const uids = new Set(items.map(item => getProperty(item, 'UID')?.value).filter(Boolean));
+  const parentOf = (item) => {
+    const related = getProperty(item, 'RELATED-TO');
+    const isParent = !related?.params.RELTYPE || related.params.RELTYPE.toUpperCase() === 'PARENT';
+    return related && isParent && uids.has(related.value) ? related.value : null;
+  };
+
+  const entries = [];
+  const byUid = new Map();
+  items.forEach((item, index) => {
+    if (parentOf(item)) return;
+
+    const row = index + 1;
+    try {
+      const value = (name) => getProperty(item, name)?.value;
+      const status = value('STATUS')?.toUpperCase();
+      const priority = Number(value('PRIORITY'));
+      const due = value('DUE') || (item.name === 'VEVENT' ? value('DTSTART') : undefined);
+      const rrule = value('RRULE');
+      const trigger = item.components.find(component => component.name === 'VALARM')
+        ?.properties.find(property => property.name === 'TRIGGER');
+
+      const raw = {
+        text: unescapeText(value('SUMMARY') || ''),
+        notes: unescapeText(value('DESCRIPTION') || ''),
+        completed: status === 'COMPLETED' || Boolean(value('COMPLETED')),
+        completedAt: value('COMPLETED') && parseDateValue(value('COMPLETED')),
+        priority: fromIcsPriority(priority),
+        tags: item.properties
+          .filter(property => property.name === 'CATEGORIES')
+          .flatMap(property => splitCategories(property.value)),
+        dueDate: due && parseDateValue(due),
+        recurrence: rrule ? fromRrule(rrule) : null,
+        subtasks: []
+      };
+      if (trigger?.params.VALUE?.toUpperCase() === 'DATE-TIME') {
+        raw.reminderAt = parseDateValue(trigger.value);
+      } else if (trigger) {
+        raw.reminderOffset = parseDuration(trigger.value);
+      }
+
+      byUid.set(value('UID'), raw);
+      entries.push({ row, raw });
+    } catch (error) {
+      entries.push({ row, error: error.message });
+    }
+  });
+
+  for (const item of items) {
+    const parent = byUid.get(parentOf(item));
+    if (parent) {
+      parent.subtasks.push({
+        text: unescapeText(getProperty(item, 'SUMMARY')?.value || ''),
+        completed: getProperty(item, 'STATUS')?.value.toUpperCase() === 'COMPLETED'
+      });
+    }
+  }
+
+  return entries;
+};
+
+const TODOIST_PRIORITIES = { 4: 'urgent', 3: 'high', 2: 'medium' };
+
+// Todoist JSON: an array of tasks, or { projects, items | tasks } with
+// project names used as lists. Sub-tasks become steps of their top-level task.
+const readTodoist = (data) => {
+  const items = Array.isArray(data) ? data : data.items || data.tasks;
+  const projects = new Map((data.projects || []).map(project => [String(project.id), project]));
+  const byId = new Map(items.filter(item => item?.id !== undefined).map(item => [String(item.id), item]));
+
+  const topLevel = (item) => {
+    const seen = new Set();
+    let current = item;
+    while (current?.parent_id && byId.has(String(current.parent_id)) && !seen.has(current)) {
+      seen.add(current);
+      current = byId.get(String(current.parent_id));
+    }
+    return current;
+  };
+  const projectName = (id) => {
+    const project = projects.get(String(id));
+    return project && !project.inbox_project && !project.is_inbox_project ? project.name : null;
+  };
+  const isDone = (item) => Boolean(item.is_completed ?? item.checked);
+
+  const entries = [];
+  const rawById = new Map();
+  items.forEach((item, index) => {
+    if (item && topLevel(item) !== item) return;
+
+    const raw = item && typeof item === 'object' ? {
+      text: item.content,
+      notes: item.description,
+      completed: isDone(item),
+      // Todoist's API counts priority up, 4 being the p1 flag and 1 unset
+      priority: TODOIST_PRIORITIES[item.priority] || 'none',
+      list: projectName(item.project_id),
+      tags: item.labels,
+      dueDate: item.due ? item.due.datetime || item.due.date : null,
+      subtasks: []
+    } : item;
+    if (item?.id !== undefined) rawById.set(String(item.id), raw);
+    entries.push({ row: index + 1, raw });
+  });
+
+  for (const item of items) {
+    const parent = item && topLevel(item) !== item && rawById.get(String(topLevel(item).id));
+    if (parent) parent.subtasks.push({ text: item.content, completed: isDone(item) });
+  }
+
+  return entries;
+};
+
+// Trello board JSON: open cards become tasks in a list named after their
+// Trello list, with labels as tags and checklist items as steps
+const readTrello = (board) => {
+  const lists = new Map(board.lists.map(list => [list.id, list]));
+  const checklists = board.checklists || [];
+
+  return board.cards
+    .map((card, index) => ({ card, row: index + 1 }))
+    .filter(({ card }) => !card?.closed && !lists.get(card?.idList)?.closed)
+    .map(({ card, row }) => ({
+      row,
+      raw: card && typeof card === 'object' ? {
+        text: card.name,
+        notes: card.desc,
+        completed: Boolean(card.dueComplete),
+        list: lists.get(card.idList)?.name || null,
+        tags: (card.labels || []).map(label => label.name || label.color),
+        dueDate: card.due || null,
+        subtasks: checklists
+          .filter(checklist => checklist.idCard === card.id)
+          .flatMap(checklist => [...checklist.checkItems].sort((a, b) => a.pos - b.pos))
+          .map(item => ({ text: item.name, completed: item.state === 'complete' }))
+      } : card
+    }));
+};
+
+// Plain JSON is either this app's export, Todoist's or Trello's, told apart
+// by their shape
+const readJson = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (data && Array.isArray(data.cards) && Array.isArray(data.lists)) {
+    return { source: 'trello', entries: readTrello(data) };
+  }
+  const items = Array.isArray(data) ? data : data?.items || data?.tasks;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected an array of tasks or an object with a "tasks" array');
+  }
+  if (items.some(item => item && typeof item === 'object' && 'content' in item && !('text' in item))) {
+    return { source: 'todoist', entries: readTodoist(data) };
+  }
+  return { source: 'json', entries: items.map((raw, index) => ({ row: index + 1, raw })) };
+};
+
+const READERS = {
+  json: readJson,
+  csv: (content) => ({ source: 'csv', entries: readCsv(content) }),
+  md: (content) => ({ source: 'md', entries: readMarkdown(content) }),
+  ics: (content) => ({ source: 'ics', entries: readIcs(content) })
+};
+
+// Formats accepted by POST /api/tasks/import
+export const IMPORT_FORMATS = Object.keys(READERS);
+
+// File contents -> { source, rows: [{ row, task } | { row, error }] }, where
+// source names the detected flavour ('todoist', 'trello', or the format).
+// Throws when the file as a whole cannot be read.
+export const parseImport = (format, content, { tzOffset = 0 } = {}) => {
+  const { source, entries } = READERS[format](content.replace(/^\uFEFF/, ''));
+  if (entries.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} tasks`);
+  }
+
+  const offset = Number(tzOffset) || 0;
+  const rows = entries.map(({ row, raw, error }) => {
+    if (error) return { row, error };
+    try {
+      return { row, task: normalizeImportedTask(raw, offset) };
+    } catch (err) {
+      return { row, error: err.message };
+    }
+  });
+  return { source, rows };
+};
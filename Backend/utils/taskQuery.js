@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import { getDayBounds } from './dates.js';
+import { parseTagQuery } from './tags.js';
+import { parsePriorityQuery, priorityRank, smartScore } from './priority.js';
+import { buildSearchMatch } from './search.js';
+import { IMPORTANT_PRIORITIES } from '../../shared/priorities.js';
+
+// Values of the `filter` view parameter; 'all' applies no filter
+export const TASK_FILTERS = ['all', 'pending', 'completed', 'important', 'overdue', 'today', 'upcoming'];
+
+// Translates the `list` query parameter into a task match condition:
+// 'none' selects Inbox tasks, an id selects that list, absent selects all.
+export const buildListMatch = (list) => {
+  if (!list) return {};
+  if (list === 'none') return { list: null };
+  if (!mongoose.isValidObjectId(list)) {
+    throw new Error('Invalid list id');
+  }
+  return { list: new mongoose.Types.ObjectId(list) };
+};
+
+// Translates the `assignee` query parameter into a task match condition:
+// 'me' selects the user's tasks, 'unassigned' tasks without an assignee, an
+// id that member's tasks, absent selects all.
+export const buildAssigneeMatch = (assignee, user) => {
+  if (!assignee) return {};
+  if (assignee === 'unassigned') return { assignee: null };
+  if (assignee === 'me') return { assignee: user };
+  if (!mongoose.isValidObjectId(assignee)) {
+    throw new Error('Invalid assignee');
+  }
+  return { assignee: String(assignee) };
+};
+
+// Supported values of the `sort` query parameter on GET /api/tasks
+export const SORT_OPTIONS = {
+  manual: { position: 1 },
+  created: { createdAt: -1 },
+  updated: { updatedAt: -1 },
+  // hasDueDate is computed in the pipeline so undated tasks sort last
+  due: { hasDueDate: -1, dueDate: 1, createdAt: -1 },
+  priority: { priorityRank: -1, createdAt: -1 },
+  // Earlier name of the priority sort
+  important: { priorityRank: -1, createdAt: -1 },
+  // Open tasks ranked by priority, due date and age; see utils/priority.js
+  smart: { completed: 1, score: -1, createdAt: -1 }
+};
+
+// Sort keys that are not stored but computed in an aggregation pipeline
+export const computedSortFields = (sortBy, now) => ({
+  due: { hasDueDate: { $eq: [{ $type: '$dueDate' }, 'date'] } },
+  priority: { priorityRank },
+  important: { priorityRank },
+  smart: { score: smartScore(now) }
+})[sortBy];
+
+// Match condition for the view parameters shared by GET /api/tasks, bulk
+// operations and saved views (filter, search, list, tags, tagMode, priority,
+// assignee, tzOffset), within the tasks of `scope` (see utils/workspaces.js).
+// Throws on invalid values.
+export const buildTaskQuery = (scope, {
+  filter, search, tzOffset, list, tags: tagParam, tagMode = 'any', priority: priorityParam, assignee
+} = {}) => {
+  const query = {
+    ...scope.match,
+    deletedAt: null,
+    ...buildListMatch(list),
+    ...buildAssigneeMatch(assignee, scope.user)
+  };
+
+  const now = new Date();
+  const { startOfToday, startOfTomorrow } = getDayBounds(tzOffset, now);
+
+  if (filter === 'completed') {
+    query.completed = true;
+  } else if (filter === 'pending') {
+    query.completed = false;
+  } else if (filter === 'important') {
+    query.priority = { $in: IMPORTANT_PRIORITIES };
+  } else if (filter === 'overdue') {
+    query.completed = false;
+    query.dueDate = { $ne: null, $lt: now };
+  } else if (filter === 'today') {
+    query.dueDate = { $gte: startOfToday, $lt: startOfTomorrow };
+  } else if (filter === 'upcoming') {
+    query.completed = false;
+    query.dueDate = { $gte: startOfTomorrow };
+  }
+
+  if (search) {
+    Object.assign(query, buildSearchMatch(search, { tzOffset, now }));
+  }
+
+  // tags=a,b matches tasks with any of the tags, or all of them with tagMode=all
+  const tags = parseTagQuery(tagParam);
+  if (tags.length > 0) {
+    if (!['any', 'all'].includes(tagMode)) {
+      throw new Error('tagMode must be "any" or "all"');
+    }
+    query.tags = tagMode === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  // priority=high,urgent narrows to those levels, within the important
+  // filter too
+  const priorities = parsePriorityQuery(priorityParam);
+  if (priorities.length > 0) {
+    query.priority = query.priority
+      ? { $in: priorities.filter(level => query.priority.$in.includes(level)) }
+      : { $in: priorities };
+  }
+
+  return query;
+};
+
+// A saved view as GET /api/tasks query parameters
+export const viewToTaskQuery = (view) => ({
+  filter: view.filter,
+  search: view.search || undefined,
+  list: view.list || undefined,
+  tags: view.tags?.length > 0 ? view.tags.join(',') : undefined,
+  tagMode: view.tagMode,
+  assignee: view.assignee || undefined
+});
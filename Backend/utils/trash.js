@@ -0,0 +1,39 @@
+import { tasks, history, comments, notifications } from '../repositories/index.js';
+import files from '../fileStorage/index.js';
+import { attachmentKeysOf } from './attachments.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted task stays in the trash before it is removed for good
+// eslint-disable-next-line no-undef
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+export const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Permanently removes the trashed tasks matching `query`, along with their
+// history, comments, notifications and attached files. Tasks that are not
+// in the trash are never touched.
+export const purgeTasks = async (query) => {
+  const trashed = await tasks.find({ $and: [query, { deletedAt: { $ne: null } }] });
+  if (trashed.length === 0) return 0;
+
+  const ids = trashed.map(task => task._id);
+  await tasks.deleteMany({ _id: { $in: ids } });
+  await history.deleteForTasks(ids);
+  await comments.deleteForTasks(ids);
+  await notifications.deleteForTasks(ids);
+  await files.delete(attachmentKeysOf(trashed));
+  return ids.length;
+};
+
+export const purgeExpiredTrash = async (now = new Date()) => {
+  try {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+    const purged = await purgeTasks({ deletedAt: { $lte: cutoff } });
+    if (purged > 0) {
+      console.log(`Purged ${purged} tasks from the trash`);
+    }
+  } catch (error) {
+    console.error('Trash purge failed:', error.message);
+  }
+};
@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roles from least to most allowed: viewers read, editors also change tasks,
+// lists and tags, and owners also manage the workspace and its members
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+export const hasRole = (role, needed) => ROLES.indexOf(role) >= ROLES.indexOf(needed);
+
+// Days an invitation link stays valid unless the request says otherwise
+export const INVITE_DAYS = 7;
+
+export const newInvite = (role, createdBy, days = INVITE_DAYS, now = new Date()) => ({
+  token: crypto.randomBytes(18).toString('base64url'),
+  role,
+  createdBy,
+  createdAt: now,
+  expiresAt: new Date(now.getTime() + days * DAY_MS)
+});
+
+// Where a request's tasks, lists and tags live: the user's own, or a
+// workspace's. `match` selects them; new records get `workspace`; `members`
+// are the users who see changes to them.
+export const personalScope = (user) => ({
+  user,
+  workspace: null,
+  role: 'owner',
+  members: [user],
+  match: { owner: user, workspace: null }
+});
+
+export const workspaceScope = (user, workspace) => ({
+  user,
+  workspace: workspace._id,
+  role: workspace.members.find(member => member.user === user).role,
+  members: workspace.members.map(member => member.user),
+  match: { workspace: workspace._id }
+});
+
+// Resolves an assignee from a request body to a user id in the scope:
+// undefined when absent, null for nobody ('' / 'unassigned' / null), the
+// user for 'me'. Throws for anyone who is not a member.
+export const resolveAssignee = (scope, value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'unassigned') return null;
+  const user = value === 'me' ? scope.user : String(value);
+  if (!scope.members.includes(user)) {
+    throw new Error(scope.workspace ? 'The assignee must be a member of the workspace' : 'Only you can be assigned your own tasks');
+  }
+  return user;
+};
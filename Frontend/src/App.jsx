@@ -1,37 +1,255 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, Trash2, Check, Star, Filter, Search, RefreshCw } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Plus, Filter, Search, RefreshCw, LogOut, Calendar, Bell, ArrowUpDown, Wifi, WifiOff, CloudOff, Download, Upload, Pin, BarChart3, ListChecks, User, Eye } from 'lucide-react';
+import {
+  apiFetch, errorMessage, loadSession, saveSession, clearSession, loadWorkspace, WORKSPACE_HEADER
+} from './api';
+import AuthScreen from './components/AuthScreen';
+import DueDatePicker from './components/DueDatePicker';
+import ListSidebar from './components/ListSidebar';
+import TaskItem from './components/TaskItem';
+import TagPanel from './components/TagPanel';
+import ViewPanel from './components/ViewPanel';
+import WorkspacePanel from './components/WorkspacePanel';
+import TagChip from './components/TagChip';
+import TaskDetailPanel from './components/TaskDetailPanel';
+import NotificationBell from './components/NotificationBell';
+import TrashView from './components/TrashView';
+import UndoToast from './components/UndoToast';
+import BulkActionBar from './components/BulkActionBar';
+import ConflictDialog from './components/ConflictDialog';
+import ImportDialog from './components/ImportDialog';
+import QuickAddPreview from './components/QuickAddPreview';
+import VirtualList from './components/VirtualList';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import useLiveUpdates from './hooks/useLiveUpdates';
+import useOfflineSync from './hooks/useOfflineSync';
+import useWorkspaces from './hooks/useWorkspaces';
+import useComments from './hooks/useComments';
+import useNotifications from './hooks/useNotifications';
+import useAttachments from './hooks/useAttachments';
+import useLists from './hooks/useLists';
+import useTags from './hooks/useTags';
+import useSavedViews from './hooks/useSavedViews';
+import useSubtasks from './hooks/useSubtasks';
+import useTaskReorder from './hooks/useTaskReorder';
+import useTrash from './hooks/useTrash';
+import useBulkSelection from './hooks/useBulkSelection';
+import useImportExport from './hooks/useImportExport';
+import { clearOfflineData } from './offlineStore';
+import { conflictingFields } from './utils/fields';
+import { EMPTY_DUE, buildDuePayload, formatDueDate } from './utils/dates';
+import { EXPORT_FORMATS } from './utils/transfer';
+import { parseQuickAdd, toTaskFields } from './utils/quickAdd';
+import { PRIORITIES, PRIORITY_CLASSES, PRIORITY_OPTIONS } from './utils/priority';
+import { parseSearch, highlightRanges } from './utils/search';
+import {
+  TASK_FILTERS, SORT_OPTIONS, readViewParams, writeViewParams, fromSavedView, toSavedView
+} from './utils/viewParams';
 
-// API configuration - will work in both development and production
-const API_BASE_URL = 'http://localhost:5000/api';
+// How often open tasks are checked for reminders that have come due
+const REMINDER_CHECK_INTERVAL = 30 * 1000;
+
+// Pause in typing before the search box sends its search, in milliseconds
+const SEARCH_DELAY = 300;
+
+const SEARCH_HELP = [
+  'Words and "quoted phrases" match whole words; put - in front to exclude.',
+  'Filters: is:done, is:open, is:starred, is:overdue, is:recurring, tag:name,',
+  'priority:high, due:today, due:none, due:<2026-12-31 (also <=, >, >=)'
+].join('\n');
+
+// Tasks requested per page of the task list
+const PAGE_SIZE = 100;
+
+// GET /tasks answers with one page; the trash, and views cached before the
+// list was paginated, are plain arrays
+const toPage = (data) => Array.isArray(data)
+  ? { tasks: data, total: data.length, nextCursor: null }
+  : data;
+
+// Tasks of a later page that are not already in the list; tasks can move
+// between pages while they load
+const appendNew = (tasks, more) => {
+  const loaded = new Set(tasks.map(task => task._id));
+  return [...tasks, ...more.filter(task => !loaded.has(task._id))];
+};
 
 function App() {
   // State management
+  const [session, setSession] = useState(loadSession);
   const [tasks, setTasks] = useState([]);
+  // How many tasks match the view, and where the next page starts (null when
+  // every page is loaded)
+  const [page, setPage] = useState({ total: 0, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const loadedCount = useRef(0);
   const [newTask, setNewTask] = useState('');
-  const [filter, setFilter] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
+  const [newTaskDue, setNewTaskDue] = useState(EMPTY_DUE);
+  const [showNewTaskDue, setShowNewTaskDue] = useState(false);
+  const [reminders, setReminders] = useState([]);
+  // 'all', 'none' (the Inbox), 'trash' or a list id
+  // The view starts out as given in the URL, so bookmarked views reopen
+  const [initialView] = useState(readViewParams);
+  const [activeList, setActiveList] = useState(initialView.list);
+  const notifiedReminders = useRef(new Set());
+  const [filter, setFilter] = useState(initialView.filter);
+  // What is typed in the search box, and the search sent once typing pauses
+  const [searchInput, setSearchInput] = useState(initialView.search);
+  const [searchTerm, setSearchTerm] = useState(initialView.search);
+  const [sortBy, setSortBy] = useState(initialView.sort);
+  const [selectedTags, setSelectedTags] = useState(initialView.tags);
+  const [tagMode, setTagMode] = useState(initialView.tagMode);
+  // null for the user's own tasks, or the id of the shared workspace shown
+  const [workspaceId, setWorkspaceId] = useState(loadWorkspace);
+  const [assignee, setAssignee] = useState(initialView.assignee);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [detailTaskId, setDetailTaskId] = useState(null);
+  // The most recently deleted task, while its Undo toast is showing
+  const [undoTask, setUndoTask] = useState(null);
+  // Saves rejected as stale, waiting for the user to merge: { taskId, changes, server }
+  const [conflicts, setConflicts] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  // The request `tasks` was loaded from, so local changes can be cached under it
+  const tasksPath = useRef(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [stats, setStats] = useState({
     total: 0,
     completed: 0,
     pending: 0,
-    important: 0
+    important: 0,
+    overdue: 0,
+    dueToday: 0,
+    trashed: 0,
+    byPriority: {}
   });
 
+  // Session handling
+  const handleAuthenticated = (newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+  };
+
+  const logout = useCallback(() => {
+    clearSession();
+    clearOfflineData().catch(err => console.error('Error clearing offline data:', err));
+    tasksPath.current = null;
+    setSession(null);
+    setTasks([]);
+    setPage({ total: 0, nextCursor: null });
+  }, []);
+
+  // Every API call carries the session token, and the open workspace unless
+  // the request names its own; a 401 means the session expired
+  const authFetch = useCallback(async (path, options = {}) => {
+    const response = await apiFetch(path, session?.token, {
+      ...options,
+      headers: { [WORKSPACE_HEADER]: workspaceId, ...options.headers }
+    });
+    if (response.status === 401) logout();
+    return response;
+  }, [session, workspaceId, logout]);
+
+  // Queues a conflict for the merge prompt, unless the server already agrees
+  const addConflict = (taskId, changes, server) => {
+    setTasks(prev => prev.map(task => task._id === taskId ? server : task));
+    if (conflictingFields(changes, server).length > 0) {
+      setConflicts(prev => [...prev, { taskId, changes, server }]);
+    }
+  };
+
+  const { isOnline, pendingCount, fetchCached, cacheSnapshot, sendMutation, flush } = useOfflineSync(
+    authFetch,
+    session?.user._id,
+    workspaceId,
+    {
+      onConflict: (entry, server) => addConflict(entry.taskId, entry.body, server),
+      onRejected: (entry, message) => {
+        setError(`A change made offline could not be saved. ${message || ''}`);
+      },
+      onIdAssigned: (tempId, task) => {
+        setTasks(prev => prev.map(other => other._id === tempId ? task : other));
+      },
+      onSynced: () => {
+        fetchTasks({ quiet: true });
+        refreshCounts();
+      }
+    }
+  );
+
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchTerm(searchInput.trim() ? searchInput : ''), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  // The search parsed as the server will read it; invalid searches are not sent
+  const search = useMemo(() => {
+    try {
+      return parseSearch(searchTerm);
+    } catch (err) {
+      return { terms: [], filters: [], error: err.message };
+    }
+  }, [searchTerm]);
+
+  // View parameters shared by the task list and "all matching" bulk actions
+  const viewQuery = useMemo(() => {
+    const query = { tzOffset: String(new Date().getTimezoneOffset()) };
+    if (filter !== 'all') query.filter = filter;
+    if (searchTerm && !search.error) query.search = searchTerm;
+    if (activeList !== 'all') query.list = activeList;
+    if (selectedTags.length > 0) {
+      query.tags = selectedTags.join(',');
+      query.tagMode = tagMode;
+    }
+    if (assignee) query.assignee = assignee;
+    return query;
+  }, [filter, searchTerm, search, activeList, selectedTags, tagMode, assignee]);
+
+  // The view as shown in the URL and stored by saved views
+  const currentView = useMemo(() => ({
+    filter,
+    search: searchTerm,
+    sort: sortBy,
+    list: activeList,
+    tags: selectedTags,
+    tagMode,
+    assignee
+  }), [filter, searchTerm, sortBy, activeList, selectedTags, tagMode, assignee]);
+
+  useEffect(() => {
+    writeViewParams(currentView);
+  }, [currentView]);
+
+  const canSaveView = activeList !== 'trash' && !search.error;
+
   // API functions
-  const fetchTasks = async () => {
+  // In the trash view `tasks` holds the trashed tasks instead. A quiet fetch
+  // refreshes in the background without the loading spinner.
+  // The page of a task view that starts at `cursor`
+  const fetchNextPage = useCallback(async (path, cursor) => {
+    const response = await authFetch(`${path}&cursor=${encodeURIComponent(cursor)}`);
+    const data = await response.json();
+    if (!response.ok) throw new Error(errorMessage(data, 'Failed to load tasks'));
+    return data;
+  }, [authFetch]);
+
+  const fetchTasks = useCallback(async ({ quiet = false } = {}) => {
     try {
-      setLoading(true);
-      const params = new URLSearchParams();
-      if (filter !== 'all') params.append('filter', filter);
-      if (searchTerm) params.append('search', searchTerm);
-      
-      const response = await fetch(`${API_BASE_URL}/tasks?${params}`);
-      if (!response.ok) throw new Error('Failed to fetch tasks');
-      
-      const data = await response.json();
-      setTasks(data);
+      if (!quiet) setLoading(true);
+      const params = new URLSearchParams(viewQuery);
+      if (sortBy) params.append('sort', sortBy);
+      params.append('limit', PAGE_SIZE);
+      const path = activeList === 'trash' ? '/trash' : `/tasks?${params}`;
+
+      let data = toPage(await fetchCached(path));
+      // A quiet refresh keeps as many tasks loaded as were already there
+      while (quiet && data.nextCursor && data.tasks.length < loadedCount.current) {
+        const more = await fetchNextPage(path, data.nextCursor);
+        data = { ...more, tasks: appendNew(data.tasks, more.tasks) };
+      }
+      tasksPath.current = path;
+      setTasks(data.tasks);
+      setPage({ total: data.total, nextCursor: data.nextCursor });
       setError(null);
     } catch (err) {
       setError('Failed to load tasks. Please try again.');
@@ -39,35 +257,242 @@ function App() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [fetchCached, fetchNextPage, activeList, viewQuery, sortBy]);
+
+  // Infinite scrolling: appends the next page of the view
+  const loadMoreTasks = useCallback(async () => {
+    const path = tasksPath.current;
+    if (!page.nextCursor || loadingMore || !path) return;
 
-  const fetchStats = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/tasks/stats`);
-      if (!response.ok) throw new Error('Failed to fetch stats');
-      
-      const data = await response.json();
-      setStats(data);
+      setLoadingMore(true);
+      const data = await fetchNextPage(path, page.nextCursor);
+      // The view may have changed while the page was loading
+      if (tasksPath.current !== path) return;
+      setTasks(prev => appendNew(prev, data.tasks));
+      setPage({ total: data.total, nextCursor: data.nextCursor });
+    } catch (err) {
+      setError('Failed to load more tasks. Please try again.');
+      console.error('Error loading more tasks:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [fetchNextPage, page.nextCursor, loadingMore]);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      const params = new URLSearchParams();
+      if (activeList !== 'all' && activeList !== 'trash') params.append('list', activeList);
+      params.append('tzOffset', new Date().getTimezoneOffset());
+
+      setStats(await fetchCached(`/tasks/stats?${params}`));
     } catch (err) {
       console.error('Error fetching stats:', err);
     }
+  }, [fetchCached, activeList]);
+
+  const { lists, fetchLists, createList, renameList, deleteList } = useLists(authFetch, fetchCached, session?.user._id, {
+    // A bookmarked or shared link can name a list this account does not have
+    onLoaded: (loaded) => setActiveList(prev =>
+      ['all', 'none', 'trash'].includes(prev) || loaded.some(list => list._id === prev) ? prev : 'all'),
+    onCreated: (list) => setActiveList(list._id),
+    onDeleted: (id) => {
+      if (activeList === id) {
+        setActiveList('all');
+      } else {
+        fetchTasks();
+      }
+      refreshCounts();
+    },
+    onError: setError
+  });
+
+  const { tags, fetchTags, renameTag, deleteTag } = useTags(authFetch, fetchCached, session?.user._id, {
+    onRenamed: (tag, name) => {
+      setSelectedTags(prev => [...new Set(prev.map(selected => selected === tag ? name : selected))]);
+      fetchTasks();
+    },
+    onDeleted: (tag) => {
+      setSelectedTags(prev => prev.filter(selected => selected !== tag));
+      fetchTasks();
+    },
+    onError: setError
+  });
+
+  const { views, activeView, fetchViews, createView, updateView, deleteView } = useSavedViews(
+    authFetch,
+    fetchCached,
+    session?.user._id,
+    currentView,
+    { onError: setError }
+  );
+
+  // Lists, tags and members differ between workspaces, so switching starts
+  // from all tasks without list, tag or assignee filters
+  const switchWorkspace = useCallback((id) => {
+    setWorkspaceId(id);
+    setActiveList('all');
+    setSelectedTags([]);
+    setAssignee('');
+    setDetailTaskId(null);
+    setUndoTask(null);
+  }, []);
+
+  const {
+    workspaces,
+    currentWorkspace,
+    canEdit,
+    fetchWorkspaces,
+    createWorkspace,
+    renameWorkspace,
+    deleteWorkspace,
+    createInvite,
+    revokeInvite,
+    setMemberRole,
+    removeMember
+  } = useWorkspaces(authFetch, fetchCached, session?.user._id, workspaceId, {
+    onSwitch: switchWorkspace,
+    onError: setError
+  });
+
+  // Applies change(task) to a task's row, after a change the server made
+  const changeTaskRow = (taskId, change) => {
+    setTasks(prev => prev.map(task => task._id === taskId ? change(task) : task));
+  };
+
+  const {
+    revision: commentRevision,
+    reloadComments,
+    loadComments,
+    addComment,
+    editComment,
+    deleteComment
+  } = useComments(authFetch, {
+    onTaskChanged: changeTaskRow,
+    onError: setError
+  });
+
+  const { loadAttachment, uploadAttachment, deleteAttachment } = useAttachments(authFetch, {
+    onTaskChanged: changeTaskRow,
+    onError: setError
+  });
+
+  const { addSubtask, toggleSubtask, deleteSubtask, reorderSubtasks } = useSubtasks(authFetch, {
+    onTaskChanged: (taskId, change) => {
+      changeTaskRow(taskId, change);
+      fetchStats();
+    },
+    onError: setError
+  });
+
+  const { getReorderProps } = useTaskReorder(authFetch, tasks, {
+    onTasksChanged: setTasks,
+    onFailed: () => fetchTasks(),
+    onError: setError
+  });
+
+  const { notifications, fetchNotifications, markNotificationsRead } = useNotifications(authFetch, session?.user._id);
+
+  const loadAnalytics = useCallback(
+    (params) => fetchCached(`/tasks/analytics?${params}`),
+    [fetchCached]
+  );
+
+  const loadHistory = useCallback(async (id) => {
+    const response = await authFetch(`/tasks/${id}/history`);
+    if (!response.ok) throw new Error('Failed to fetch history');
+    return response.json();
+  }, [authFetch]);
+
+  // Stats and the list/tag/view counts in the sidebar change with every task mutation
+  const refreshCounts = () => {
+    fetchStats();
+    fetchLists();
+    fetchTags();
+    fetchViews();
   };
 
-  const createTask = async (taskText) => {
+  const { restoreTask, purgeTrash } = useTrash(authFetch, {
+    // Reload rather than insert so the task lands in its sorted place
+    onRestored: () => {
+      fetchTasks();
+      refreshCounts();
+    },
+    onPurged: (id) => {
+      setTasks(prev => id ? prev.filter(task => task._id !== id) : []);
+      fetchStats();
+    },
+    onError: setError
+  });
+
+  const {
+    selectedIds,
+    selectAllMatching,
+    selectTask,
+    selectAll,
+    selectEveryMatching,
+    deselect,
+    clearSelection,
+    runBulkAction
+  } = useBulkSelection(authFetch, tasks, viewQuery, {
+    onApplied: () => {
+      fetchTasks();
+      refreshCounts();
+    },
+    onError: setError
+  });
+
+  const { exportTasks, importTasks } = useImportExport(authFetch, viewQuery, {
+    onImported: () => {
+      fetchTasks({ quiet: true });
+      refreshCounts();
+    },
+    onError: setError
+  });
+
+  // Offline, the task is shown right away under a temporary "local-" id that
+  // is swapped for the real one when the queued request goes through
+  const createTask = async (taskText, fields = {}) => {
+    const tempId = `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
     try {
-      const response = await fetch(`${API_BASE_URL}/tasks`, {
+      const { response, queued } = await sendMutation({
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ text: taskText }),
+        path: '/tasks',
+        body: { text: taskText, ...fields },
+        taskId: tempId
       });
+
+      if (queued) {
+        const now = new Date().toISOString();
+        const { parse, tzOffset, ...explicit } = fields;
+        const draft = {
+          _id: tempId,
+          text: taskText,
+          completed: false,
+          priority: 'none',
+          list: null,
+          dueDate: null,
+          hasDueTime: false,
+          reminderAt: null,
+          subtasks: [],
+          subtaskProgress: { done: 0, total: 0 },
+          tags: [],
+          // The server parses the text once the task is sent
+          ...(parse && toTaskFields(parseQuickAdd(taskText, { tzOffset }))),
+          ...explicit,
+          createdAt: now,
+          updatedAt: now
+        };
+        setTasks(prev => [draft, ...prev]);
+        return draft;
+      }
       
       if (!response.ok) throw new Error('Failed to create task');
       
       const newTask = await response.json();
-      setTasks(prev => [newTask, ...prev]);
-      fetchStats();
+      // A live update may already have reloaded the list with this task in it
+      setTasks(prev => [newTask, ...prev.filter(task => task._id !== newTask._id)]);
+      refreshCounts();
       return newTask;
     } catch (err) {
       setError('Failed to create task. Please try again.');
@@ -75,62 +500,244 @@ function App() {
     }
   };
 
+  // The change shows immediately and is rolled back if the server refuses it.
+  // The updatedAt we last saw goes along so a stale write comes back as a 409.
   const updateTask = async (id, updates) => {
+    const current = tasks.find(task => task._id === id);
+    setTasks(prev => prev.map(task => task._id === id ? { ...task, ...updates } : task));
+
     try {
-      const response = await fetch(`${API_BASE_URL}/tasks/${id}`, {
+      const { response, queued } = await sendMutation({
         method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(updates),
+        path: `/tasks/${id}`,
+        body: { ...updates, expectedUpdatedAt: current?.updatedAt },
+        taskId: id
       });
+      if (queued) return { ...current, ...updates };
+
+      const data = await response.json();
+      if (response.status === 409) {
+        addConflict(id, updates, data.task);
+        return;
+      }
+      if (!response.ok) throw new Error(errorMessage(data, 'Failed to update task'));
       
-      if (!response.ok) throw new Error('Failed to update task');
-      
-      const updatedTask = await response.json();
       setTasks(prev => prev.map(task => 
-        task._id === id ? updatedTask : task
+        task._id === id ? data : task
       ));
-      fetchStats();
-      return updatedTask;
+      // Completing a recurring task created its next occurrence
+      if (data.nextOccurrence && !current?.nextOccurrence) fetchTasks({ quiet: true });
+      refreshCounts();
+      return data;
     } catch (err) {
+      if (current) {
+        setTasks(prev => prev.map(task => task._id === id ? current : task));
+      }
       setError('Failed to update task. Please try again.');
       console.error('Error updating task:', err);
     }
   };
 
   const deleteTask = async (id) => {
+    setTasks(prev => prev.filter(task => task._id !== id));
+    deselect(id);
+
     try {
-      const response = await fetch(`${API_BASE_URL}/tasks/${id}`, {
+      const { response, queued } = await sendMutation({
         method: 'DELETE',
+        path: `/tasks/${id}`,
+        taskId: id
       });
+      if (queued) return;
       
       if (!response.ok) throw new Error('Failed to delete task');
       
-      setTasks(prev => prev.filter(task => task._id !== id));
-      fetchStats();
+      const { task } = await response.json();
+      setUndoTask(task);
+      refreshCounts();
     } catch (err) {
+      // Bring the task back
+      fetchTasks({ quiet: true });
       setError('Failed to delete task. Please try again.');
       console.error('Error deleting task:', err);
     }
   };
 
-  // Load tasks on component mount and when filter/search changes
+  // Writes back the fields the user chose to keep from their own version
+  const resolveConflict = (changes) => {
+    const [conflict] = conflicts;
+    setConflicts(prev => prev.slice(1));
+    if (Object.keys(changes).length > 0) {
+      updateTask(conflict.taskId, changes);
+    }
+  };
+
+  // Shows a saved view. The search skips the typing delay.
+  const applyView = (view) => {
+    const next = fromSavedView(view);
+    setFilter(next.filter);
+    setSearchInput(next.search);
+    setSearchTerm(next.search);
+    setSortBy(next.sort);
+    setActiveList(next.list);
+    setSelectedTags(next.tags);
+    setTagMode(next.tagMode);
+    setAssignee(next.assignee);
+  };
+
+  // Opens the task a notification is about, in its workspace. The task is
+  // searched for as a phrase so it is loaded whatever view was open.
+  const openNotification = (notification) => {
+    if (!notification.readAt) markNotificationsRead([notification._id]);
+    if (!notification.taskText) return;
+    if ((notification.workspace ?? null) !== workspaceId) {
+      switchWorkspace(notification.workspace ?? null);
+    }
+    setShowDashboard(false);
+    setActiveList('all');
+    setFilter('all');
+    setSelectedTags([]);
+    setAssignee('');
+    const phrase = `"${notification.taskText.replace(/"/g, ' ')}"`;
+    setSearchInput(phrase);
+    setSearchTerm(phrase);
+    setDetailTaskId(notification.task);
+  };
+
+  // Load tasks on sign-in and when filter/search changes
   useEffect(() => {
+    if (!session) return;
     fetchTasks();
-  }, [filter, searchTerm]);
+  }, [session, fetchTasks]);
 
-  // Load stats on component mount
+  // Load stats on sign-in and when the active list changes
   useEffect(() => {
+    if (!session) return;
     fetchStats();
-  }, []);
+  }, [session, fetchStats]);
+
+  // Changes made in other tabs or by other devices arrive as live events.
+  // Whether a new task belongs in the view depends on filters and sort order
+  // the server applies, so those trigger a quiet reload instead of an insert.
+  // Events are tagged with the workspace they happened in; only those of the
+  // open one (or of the user's own tasks) touch the view.
+  const handleLiveEvent = (type, data) => {
+    if (type === 'workspaces.changed') {
+      fetchWorkspaces();
+      return;
+    }
+    if (type === 'notifications.changed') {
+      fetchNotifications();
+      return;
+    }
+    if ((data.workspace ?? null) !== workspaceId) return;
+
+    switch (type) {
+      case 'task.updated':
+        setTasks(prev => prev.map(task => task._id === data.task._id ? data.task : task));
+        break;
+      case 'task.deleted':
+        if (activeList === 'trash') {
+          fetchTasks({ quiet: true });
+        } else {
+          setTasks(prev => prev.filter(task => task._id !== data.id));
+        }
+        break;
+      case 'task.created':
+      case 'tasks.changed':
+        fetchTasks({ quiet: true });
+        break;
+      case 'trash.changed':
+        if (activeList === 'trash') fetchTasks({ quiet: true });
+        break;
+      case 'lists.changed':
+        fetchLists();
+        break;
+      case 'views.changed':
+        fetchViews();
+        break;
+      case 'comments.changed':
+        if (data.taskId === detailTaskId) reloadComments();
+        break;
+      case 'stats.changed':
+        refreshCounts();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const liveStatus = useLiveUpdates(session?.token, {
+    onEvent: handleLiveEvent,
+    onResync: () => {
+      flush();
+      fetchTasks({ quiet: true });
+      refreshCounts();
+      fetchNotifications();
+    }
+  });
+
+  // Keep the cached copy of the view in step with local changes, so edits
+  // made offline are still there after a reload
+  useEffect(() => {
+    loadedCount.current = tasks.length;
+    if (!tasksPath.current) return;
+    cacheSnapshot(tasksPath.current, tasksPath.current === '/trash' ? tasks : { ...page, tasks });
+  }, [tasks, page, cacheSnapshot]);
+
+  // Surface reminders that have come due while the app is open
+  useEffect(() => {
+    const checkReminders = () => {
+      const now = new Date();
+      const due = tasks.filter(task =>
+        task.reminderAt &&
+        !task.deletedAt &&
+        !task.completed &&
+        new Date(task.reminderAt) <= now &&
+        !notifiedReminders.current.has(`${task._id}:${task.reminderAt}`)
+      );
+      if (due.length === 0) return;
+
+      due.forEach(task => {
+        notifiedReminders.current.add(`${task._id}:${task.reminderAt}`);
+        if ('Notification' in window && Notification.permission === 'granted') {
+          new Notification('Task reminder', { body: `${task.text} (due ${formatDueDate(task)})` });
+        }
+      });
+      setReminders(prev => [...prev, ...due]);
+    };
+
+    checkReminders();
+    const interval = setInterval(checkReminders, REMINDER_CHECK_INTERVAL);
+    return () => clearInterval(interval);
+  }, [tasks]);
+
+  const requestNotificationPermission = (due) => {
+    if (due.reminder !== '' && 'Notification' in window && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+  };
+
+  // Live preview of what quick-add will read from the new task's text
+  const quickAdd = useMemo(() => parseQuickAdd(newTask), [newTask]);
 
   // Event handlers
   const addTask = async (e) => {
     e.preventDefault();
     if (newTask.trim()) {
-      await createTask(newTask.trim());
+      requestNotificationPermission(newTaskDue);
+      const due = buildDuePayload(newTaskDue);
+      await createTask(newTask.trim(), {
+        parse: true,
+        tzOffset: new Date().getTimezoneOffset(),
+        // Picked values win over ones typed into the text
+        ...(newTaskDue.date && { dueDate: due.dueDate, hasDueTime: due.hasDueTime, reminderAt: due.reminderAt }),
+        ...(newTaskDue.recurrence && { recurrence: due.recurrence }),
+        ...(activeList !== 'all' && { list: activeList })
+      });
       setNewTask('');
+      setNewTaskDue(EMPTY_DUE);
+      setShowNewTaskDue(false);
     }
   };
 
@@ -147,26 +754,75 @@ function App() {
     }
   };
 
-  const toggleImportant = (id) => {
-    const task = tasks.find(t => t._id === id);
-    if (task) {
-      updateTask(id, { important: !task.important });
-    }
+  const editTaskText = (id, text) => {
+    updateTask(id, { text });
+  };
+
+  const setTaskPriority = (id, priority) => {
+    updateTask(id, { priority });
   };
 
   const handleDeleteTask = (id) => {
     deleteTask(id);
   };
 
+  const saveDue = async (id, due) => {
+    requestNotificationPermission(due);
+    await updateTask(id, buildDuePayload(due));
+  };
+
+  // userId null unassigns the task
+  const assignTask = async (id, userId) => {
+    const updatedTask = await updateTask(id, { assignee: userId });
+    // Filtered by assignee, the task may no longer belong in the view
+    if (updatedTask && assignee) fetchTasks({ quiet: true });
+  };
+
+  const moveTask = async (id, listId) => {
+    const updatedTask = await updateTask(id, { list: listId === 'none' ? null : listId });
+    // The task no longer belongs in the list being viewed
+    if (updatedTask && activeList !== 'all') {
+      setTasks(prev => prev.filter(task => task._id !== id));
+    }
+  };
+
+  const toggleTagFilter = (tag) => {
+    setSelectedTags(prev => prev.includes(tag)
+      ? prev.filter(selected => selected !== tag)
+      : [...prev, tag]);
+  };
+
+  const dismissReminder = (id) => {
+    setReminders(prev => prev.filter(task => task._id !== id));
+  };
+
   const refreshTasks = () => {
     fetchTasks();
-    fetchStats();
+    refreshCounts();
+  };
+
+  const closeDetails = useCallback(() => setDetailTaskId(null), []);
+
+  const dismissUndo = useCallback(() => setUndoTask(null), []);
+
+  const undoDelete = () => {
+    restoreTask(undoTask._id);
+    setUndoTask(null);
   };
 
+  const detailTask = detailTaskId && tasks.find(task => task._id === detailTaskId);
+
+  const isFiltered = searchTerm || filter !== 'all' || selectedTags.length > 0 || assignee;
+  const members = currentWorkspace?.members ?? null;
+
+  if (!session) {
+    return <AuthScreen onAuthenticated={handleAuthenticated} />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-purple-50">
       <div className="container mx-auto px-4 py-8">
-        <div className="max-w-4xl mx-auto">
+        <div className="max-w-6xl mx-auto">
           {/* Header */}
           <div className="text-center mb-8">
             <h1 className="text-4xl font-bold bg-gradient-to-r from-blue-600 to-purple-600 bg-clip-text text-transparent mb-2">
@@ -184,6 +840,38 @@ function App() {
               >
                 <RefreshCw size={16} />
               </button>
+              <button
+                onClick={() => setShowDashboard(show => !show)}
+                className="p-1 text-gray-500 hover:text-blue-600 transition-colors"
+                title={showDashboard ? 'Back to tasks' : 'Productivity dashboard'}
+              >
+                {showDashboard ? <ListChecks size={16} /> : <BarChart3 size={16} />}
+              </button>
+              <span
+                className={`flex items-center gap-1 text-xs ${liveStatus === 'live' ? 'text-green-600' : 'text-gray-400'}`}
+                title={liveStatus === 'live' ? 'Changes from other tabs and devices show up instantly' : 'Live updates are reconnecting'}
+              >
+                {liveStatus === 'live' ? <Wifi size={14} /> : <WifiOff size={14} />}
+                {liveStatus === 'live' ? 'Live' : liveStatus === 'reconnecting' ? 'Reconnecting...' : 'Connecting...'}
+              </span>
+            </div>
+            <div className="mt-2 flex items-center justify-center gap-2 text-sm text-gray-500">
+              <span>
+                Signed in as <span className="font-medium text-gray-700">{session.user.username}</span>
+              </span>
+              <NotificationBell
+                notifications={notifications.notifications}
+                unread={notifications.unread}
+                onOpen={openNotification}
+                onMarkAllRead={() => markNotificationsRead()}
+              />
+              <button
+                onClick={logout}
+                className="p-1 text-gray-500 hover:text-red-600 transition-colors"
+                title="Sign out"
+              >
+                <LogOut size={16} />
+              </button>
             </div>
           </div>
 
@@ -200,13 +888,48 @@ function App() {
             </div>
           )}
 
+          {/* Offline Status */}
+          {(!isOnline || pendingCount > 0) && (
+            <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-xl text-gray-700 flex items-center gap-2">
+              <CloudOff size={16} />
+              <span className="flex-1">
+                {isOnline ? 'Syncing changes made offline...' : "You're offline. Showing your saved copy of the tasks."}
+                {pendingCount > 0 && ` ${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to sync.`}
+              </span>
+              {pendingCount > 0 && (
+                <button onClick={flush} className="text-sm text-blue-600 hover:text-blue-700">
+                  Retry now
+                </button>
+              )}
+            </div>
+          )}
+
+          {/* Reminders */}
+          {reminders.map(task => (
+            <div key={`${task._id}:${task.reminderAt}`} className="mb-4 p-4 bg-amber-50 border border-amber-200 rounded-xl text-amber-800 flex items-center gap-2">
+              <Bell size={16} />
+              <span className="flex-1">
+                Reminder: <span className="font-medium">{task.text}</span>
+                {task.dueDate && ` (due ${formatDueDate(task)})`}
+              </span>
+              <button
+                onClick={() => dismissReminder(task._id)}
+                className="ml-2 text-amber-600 hover:text-amber-800"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
           {/* Stats Cards */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-8">
             {[
               { label: 'Total', value: stats.total, color: 'blue', icon: '📋' },
               { label: 'Pending', value: stats.pending, color: 'yellow', icon: '⏳' },
               { label: 'Completed', value: stats.completed, color: 'green', icon: '✅' },
-              { label: 'Important', value: stats.important, color: 'red', icon: '⭐' }
+              { label: 'Important', value: stats.important, color: 'red', icon: '⭐' },
+              { label: 'Overdue', value: stats.overdue, color: 'red', icon: '⏰' },
+              { label: 'Due Today', value: stats.dueToday, color: 'orange', icon: '📅' }
             ].map((stat) => (
               <div key={stat.label} className="bg-white/70 backdrop-blur-sm rounded-xl p-4 border border-white/20 shadow-lg hover:shadow-xl transition-all duration-200">
                 <div className="flex items-center justify-between mb-2">
@@ -214,7 +937,8 @@ function App() {
                   <div className={`text-2xl font-bold ${
                     stat.color === 'blue' ? 'text-blue-600' :
                     stat.color === 'yellow' ? 'text-yellow-600' :
-                    stat.color === 'green' ? 'text-green-600' : 'text-red-600'
+                    stat.color === 'green' ? 'text-green-600' :
+                    stat.color === 'orange' ? 'text-orange-600' : 'text-red-600'
                   }`}>
                     {stat.value}
                   </div>
@@ -224,170 +948,406 @@ function App() {
             ))}
           </div>
 
-          {/* Main Task Interface */}
-          <div className="bg-white/80 backdrop-blur-sm rounded-2xl p-6 shadow-xl border border-white/20">
-            {/* Add Task Input */}
-            <div className="mb-6">
-              <div className="flex gap-2">
-                <div className="flex-1 relative">
-                  <input
-                    type="text"
-                    value={newTask}
-                    onChange={(e) => setNewTask(e.target.value)}
-                    onKeyPress={handleKeyPress}
-                    placeholder="Add a new task... (Press Enter or click Add)"
-                    className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200 text-gray-700"
-                    disabled={loading}
-                  />
-                </div>
+          {/* Tasks per priority level */}
+          {PRIORITIES.some(level => level !== 'none' && stats.byPriority?.[level] > 0) && (
+            <div className="-mt-4 mb-8 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+              <span className="font-medium">By priority:</span>
+              {PRIORITY_OPTIONS.map(({ value, label }) => (
+                <span
+                  key={value}
+                  className={`px-2 py-1 text-xs rounded-full font-medium ${PRIORITY_CLASSES[value] || 'bg-white/70 text-gray-500'}`}
+                >
+                  {label} {stats.byPriority?.[value] || 0}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {/* Tasks per member of the workspace */}
+          {currentWorkspace && stats.byAssignee?.length > 0 && (
+            <div className="-mt-4 mb-8 flex flex-wrap items-center gap-2 text-sm text-gray-600">
+              <span className="font-medium">By assignee:</span>
+              {stats.byAssignee.map(({ assignee: userId, username, pending, total }) => (
                 <button
-                  onClick={addTask}
-                  disabled={loading || !newTask.trim()}
-                  className="px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-500 text-white rounded-xl hover:from-blue-600 hover:to-purple-600 transition-all duration-200 flex items-center gap-2 font-medium shadow-lg hover:shadow-xl transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+                  key={userId || 'unassigned'}
+                  onClick={() => setAssignee(userId || 'unassigned')}
+                  className="px-2 py-1 text-xs rounded-full font-medium bg-white/70 text-gray-600 hover:bg-white flex items-center gap-1"
+                  title={`${pending} of ${total} still to do; show only these`}
                 >
-                  <Plus size={20} />
-                  Add
+                  <User size={12} />
+                  {userId ? username || 'Former member' : 'Unassigned'} {pending}/{total}
                 </button>
-              </div>
+              ))}
             </div>
+          )}
 
-            {/* Search and Filter */}
-            <div className="flex flex-col sm:flex-row gap-4 mb-6">
-              <div className="flex-1 relative">
-                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
-                <input
-                  type="text"
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  placeholder="Search tasks..."
-                  className="w-full pl-10 pr-4 py-2 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200"
-                />
-              </div>
-              
-              <div className="flex gap-2 flex-wrap">
-                {['all', 'pending', 'completed', 'important'].map((filterType) => (
-                  <button
-                    key={filterType}
-                    onClick={() => setFilter(filterType)}
-                    className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center gap-1 ${
-                      filter === filterType
-                        ? 'bg-blue-500 text-white shadow-lg transform scale-105'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 hover:scale-105'
-                    }`}
-                  >
-                    <Filter size={16} />
-                    {filterType.charAt(0).toUpperCase() + filterType.slice(1)}
-                  </button>
-                ))}
-              </div>
+          {/* Analytics */}
+          {showDashboard && (
+            <AnalyticsDashboard
+              load={loadAnalytics}
+              list={activeList === 'all' || activeList === 'trash' ? null : activeList}
+              refreshToken={stats}
+            />
+          )}
+
+          {/* The task view stays mounted behind the dashboard to keep its place */}
+          <div className={`flex flex-col md:flex-row gap-6 ${showDashboard ? 'hidden' : ''}`}>
+            <div className="md:w-64 md:self-start space-y-6">
+              {/* Workspaces */}
+              <WorkspacePanel
+                workspaces={workspaces}
+                activeId={workspaceId}
+                userId={session.user._id}
+                onSwitch={(id) => id !== workspaceId && switchWorkspace(id)}
+                onCreate={createWorkspace}
+                onRename={renameWorkspace}
+                onDelete={deleteWorkspace}
+                onInvite={createInvite}
+                onRevokeInvite={revokeInvite}
+                onSetRole={setMemberRole}
+                onRemoveMember={removeMember}
+              />
+
+              {/* Lists */}
+              <ListSidebar
+                lists={lists}
+                activeList={activeList}
+                trashCount={stats.trashed}
+                readOnly={!canEdit}
+                onSelect={setActiveList}
+                onCreate={createList}
+                onRename={renameList}
+                onDelete={deleteList}
+              />
+
+              {/* Saved views */}
+              <ViewPanel
+                views={views}
+                activeViewId={activeView?._id}
+                canSave={canSaveView}
+                onApply={applyView}
+                onSave={createView}
+                onUpdate={(id) => updateView(id, toSavedView(currentView))}
+                onRename={(id, name) => updateView(id, { name })}
+                onTogglePin={(view) => updateView(view._id, { pinned: !view.pinned })}
+                onDelete={deleteView}
+              />
+
+              {/* Tags */}
+              <TagPanel
+                tags={tags}
+                selectedTags={selectedTags}
+                readOnly={!canEdit}
+                onToggleTag={toggleTagFilter}
+                onRename={renameTag}
+                onDelete={deleteTag}
+              />
             </div>
 
-            {/* Loading State */}
-            {loading && (
-              <div className="text-center py-8">
-                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-4"></div>
-                <p className="text-gray-500">Loading tasks...</p>
-              </div>
-            )}
-
-            {/* Task List */}
-            {!loading && (
-              <div className="space-y-3">
-                {tasks.length === 0 ? (
-                  <div className="text-center py-12 text-gray-500">
-                    <div className="text-6xl mb-4">
-                      {searchTerm || filter !== 'all' ? '🔍' : '📝'}
-                    </div>
-                    <p className="text-lg font-medium mb-2">
-                      {searchTerm || filter !== 'all' 
-                        ? 'No tasks match your criteria' 
-                        : 'No tasks yet. Add your first task above!'}
-                    </p>
-                    <p className="text-sm text-gray-400">
-                      {searchTerm || filter !== 'all' 
-                        ? 'Try adjusting your search or filter' 
-                        : 'Start by adding a task to get organized'}
-                    </p>
+            {/* Main Task Interface */}
+            <div className="flex-1 min-w-0 bg-white/80 backdrop-blur-sm rounded-2xl p-6 shadow-xl border border-white/20">
+              {activeList === 'trash' ? (
+                loading ? (
+                  <div className="text-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-4"></div>
+                    <p className="text-gray-500">Loading trash...</p>
                   </div>
                 ) : (
-                  tasks.map((task, index) => (
-                    <div
-                      key={task._id}
-                      className={`group flex items-center gap-3 p-4 rounded-xl border transition-all duration-200 hover:shadow-md transform hover:scale-[1.02] ${
-                        task.completed
-                          ? 'bg-green-50 border-green-200'
-                          : task.important
-                          ? 'bg-red-50 border-red-200'
-                          : 'bg-white border-gray-200 hover:border-gray-300'
-                      }`}
-                      style={{
-                        animationDelay: `${index * 0.1}s`
-                      }}
-                    >
-                      {/* Checkbox */}
-                      <button
-                        onClick={() => toggleTask(task._id)}
-                        className={`w-6 h-6 rounded-full border-2 flex items-center justify-center transition-all duration-200 hover:scale-110 ${
-                          task.completed
-                            ? 'bg-green-500 border-green-500 text-white'
-                            : 'border-gray-300 hover:border-green-400'
-                        }`}
-                      >
-                        {task.completed && <Check size={16} />}
-                      </button>
-
-                      {/* Task Text */}
-                      <span
-                        className={`flex-1 transition-all duration-200 ${
-                          task.completed
-                            ? 'line-through text-gray-500'
-                            : 'text-gray-800'
-                        }`}
-                      >
-                        {task.text}
-                      </span>
-
-                      {/* Badges */}
+                  <TrashView
+                    tasks={tasks}
+                    lists={lists}
+                    readOnly={!canEdit}
+                    onRestore={restoreTask}
+                    onPurge={purgeTrash}
+                    onEmpty={() => purgeTrash()}
+                  />
+                )
+              ) : (
+                <>
+                  {/* Add Task Input */}
+                  {canEdit ? (
+                    <div className="mb-6">
                       <div className="flex gap-2">
-                        {task.important && (
-                          <span className="px-2 py-1 bg-red-100 text-red-600 text-xs rounded-full font-medium">
-                            Important
-                          </span>
-                        )}
-                        {task.completed && (
-                          <span className="px-2 py-1 bg-green-100 text-green-600 text-xs rounded-full font-medium">
-                            Done
-                          </span>
-                        )}
+                        <div className="flex-1 relative">
+                          <input
+                            type="text"
+                            value={newTask}
+                            onChange={(e) => setNewTask(e.target.value)}
+                            onKeyPress={handleKeyPress}
+                            placeholder="Add a task, e.g. Pay rent friday 9am !high #home every month"
+                            className="w-full px-4 py-3 rounded-xl border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200 text-gray-700"
+                            disabled={loading}
+                          />
+                        </div>
+                        <button
+                          onClick={() => setShowNewTaskDue(show => !show)}
+                          className={`px-3 py-3 rounded-xl border transition-all duration-200 ${
+                            showNewTaskDue || newTaskDue.date || newTaskDue.recurrence
+                              ? 'border-blue-300 bg-blue-50 text-blue-600'
+                              : 'border-gray-200 text-gray-500 hover:text-blue-600 hover:border-blue-300'
+                          }`}
+                          title="Set a due date"
+                        >
+                          <Calendar size={20} />
+                        </button>
+                        <button
+                          onClick={addTask}
+                          disabled={loading || !newTask.trim()}
+                          className="px-6 py-3 bg-gradient-to-r from-blue-500 to-purple-500 text-white rounded-xl hover:from-blue-600 hover:to-purple-600 transition-all duration-200 flex items-center gap-2 font-medium shadow-lg hover:shadow-xl transform hover:scale-105 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+                        >
+                          <Plus size={20} />
+                          Add
+                        </button>
                       </div>
+                      {newTask.trim() && (
+                        <QuickAddPreview
+                          result={quickAdd}
+                          dueOverridden={Boolean(newTaskDue.date)}
+                          repeatOverridden={Boolean(newTaskDue.recurrence)}
+                        />
+                      )}
+                      {showNewTaskDue && (
+                        <div className="mt-3">
+                          <DueDatePicker value={newTaskDue} onChange={setNewTaskDue} />
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="mb-6 p-3 rounded-xl bg-gray-50 border border-gray-200 text-sm text-gray-600 flex items-center gap-2">
+                      <Eye size={16} />
+                      You can view the tasks of {currentWorkspace.name}, but only its editors and owners can change them.
+                    </div>
+                  )}
 
-                      {/* Action Buttons */}
-                      <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
+                  {/* Pinned Views */}
+                  {views.some(view => view.pinned) && (
+                    <div className="flex flex-wrap items-center gap-2 mb-4">
+                      {views.filter(view => view.pinned).map(view => (
                         <button
-                          onClick={() => toggleImportant(task._id)}
-                          className={`p-2 rounded-lg transition-all duration-200 hover:scale-110 ${
-                            task.important
-                              ? 'text-red-500 bg-red-100'
-                              : 'text-gray-400 hover:text-red-500 hover:bg-red-50'
+                          key={view._id}
+                          onClick={() => applyView(view)}
+                          className={`px-3 py-1 rounded-full text-sm font-medium flex items-center gap-1 transition-all duration-200 ${
+                            activeView?._id === view._id
+                              ? 'bg-blue-500 text-white shadow'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
                           }`}
-                          title={task.important ? 'Remove from important' : 'Mark as important'}
                         >
-                          <Star size={16} fill={task.important ? 'currentColor' : 'none'} />
+                          <Pin size={14} />
+                          {view.name}
+                          <span className={activeView?._id === view._id ? 'text-blue-100' : 'text-gray-400'}>{view.count}</span>
                         </button>
-                        
+                      ))}
+                    </div>
+                  )}
+
+                  {/* Search and Filter */}
+                  <div className="flex flex-col sm:flex-row gap-4 mb-6">
+                    <div className="flex-1 relative">
+                      <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                      <input
+                        type="text"
+                        value={searchInput}
+                        onChange={(e) => setSearchInput(e.target.value)}
+                        placeholder='Search tasks, e.g. "olive oil" tag:home -is:done'
+                        title={SEARCH_HELP}
+                        aria-invalid={Boolean(search.error)}
+                        className="w-full pl-10 pr-4 py-2 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition-all duration-200"
+                      />
+                      {search.error && <p className="mt-1 text-sm text-red-600">{search.error}</p>}
+                    </div>
+            
+                    <div className="flex gap-2 flex-wrap">
+                      {TASK_FILTERS.map((filterType) => (
                         <button
-                          onClick={() => handleDeleteTask(task._id)}
-                          className="p-2 rounded-lg text-gray-400 hover:text-red-500 hover:bg-red-50 transition-all duration-200 hover:scale-110"
-                          title="Delete task"
+                          key={filterType}
+                          onClick={() => setFilter(filterType)}
+                          className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 flex items-center gap-1 ${
+                            filter === filterType
+                              ? 'bg-blue-500 text-white shadow-lg transform scale-105'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200 hover:scale-105'
+                          }`}
                         >
-                          <Trash2 size={16} />
+                          <Filter size={16} />
+                          {filterType.charAt(0).toUpperCase() + filterType.slice(1)}
                         </button>
-                      </div>
+                      ))}
                     </div>
-                  ))
-                )}
-              </div>
-            )}
+
+                    <label className="flex items-center gap-1 text-gray-500">
+                      <ArrowUpDown size={16} />
+                      <select
+                        value={sortBy}
+                        onChange={(e) => setSortBy(e.target.value)}
+                        className="px-2 py-2 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700"
+                        aria-label="Sort tasks"
+                      >
+                        {SORT_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </label>
+
+                    {members && (
+                      <label className="flex items-center gap-1 text-gray-500">
+                        <User size={16} />
+                        <select
+                          value={assignee}
+                          onChange={(e) => setAssignee(e.target.value)}
+                          className="px-2 py-2 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700"
+                          aria-label="Filter by assignee"
+                        >
+                          <option value="">Anyone</option>
+                          <option value="me">Assigned to me</option>
+                          <option value="unassigned">Unassigned</option>
+                          {members.filter(member => member.user !== session.user._id).map(member => (
+                            <option key={member.user} value={member.user}>{member.username}</option>
+                          ))}
+                        </select>
+                      </label>
+                    )}
+
+                    <div className="flex items-center gap-2">
+                      <label className="flex items-center gap-1 text-gray-500" title="Export the tasks in this view">
+                        <Download size={16} />
+                        <select
+                          value=""
+                          onChange={(e) => exportTasks(e.target.value)}
+                          className="px-2 py-2 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700"
+                          aria-label="Export tasks"
+                        >
+                          <option value="" disabled>Export</option>
+                          {EXPORT_FORMATS.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      {canEdit && (
+                        <button
+                          onClick={() => setShowImport(true)}
+                          className="px-3 py-2 rounded-lg border border-gray-200 text-sm text-gray-700 hover:bg-gray-50 flex items-center gap-1"
+                          title="Import tasks from a file"
+                        >
+                          <Upload size={16} />
+                          Import
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Active Tag Filters */}
+                  {selectedTags.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2 mb-6 text-sm text-gray-600">
+                      <span>Tagged</span>
+                      {selectedTags.map(tag => (
+                        <TagChip key={tag} tag={tag} onRemove={() => toggleTagFilter(tag)} />
+                      ))}
+                      {selectedTags.length > 1 && (
+                        <button
+                          onClick={() => setTagMode(mode => mode === 'any' ? 'all' : 'any')}
+                          className="px-2 py-1 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600"
+                          title="Switch between matching any or all of the tags"
+                        >
+                          Match {tagMode}
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setSelectedTags([])}
+                        className="text-blue-600 hover:text-blue-700"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  )}
+
+                  {/* Loading State */}
+                  {loading && (
+                    <div className="text-center py-8">
+                      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-4"></div>
+                      <p className="text-gray-500">Loading tasks...</p>
+                    </div>
+                  )}
+
+                  {/* Bulk Actions */}
+                  {!loading && canEdit && selectedIds.length > 0 && (
+                    <BulkActionBar
+                      count={selectAllMatching ? Math.max(page.total, tasks.length) : selectedIds.length}
+                      visibleCount={tasks.length}
+                      allMatching={selectAllMatching}
+                      lists={lists}
+                      onSelectAll={selectAll}
+                      onSelectAllMatching={selectEveryMatching}
+                      onClear={clearSelection}
+                      onAction={runBulkAction}
+                    />
+                  )}
+
+                  {/* Task List */}
+                  {!loading && (
+                    <div className="space-y-3">
+                      {tasks.length === 0 ? (
+                        <div className="text-center py-12 text-gray-500">
+                          <div className="text-6xl mb-4">
+                            {isFiltered ? '🔍' : '📝'}
+                          </div>
+                          <p className="text-lg font-medium mb-2">
+                            {isFiltered 
+                              ? 'No tasks match your criteria' 
+                              : 'No tasks yet. Add your first task above!'}
+                          </p>
+                          <p className="text-sm text-gray-400">
+                            {isFiltered 
+                              ? 'Try adjusting your search or filter' 
+                              : 'Start by adding a task to get organized'}
+                          </p>
+                        </div>
+                      ) : (
+                        <VirtualList
+                          items={tasks}
+                          getKey={task => task._id}
+                          onEndReached={loadMoreTasks}
+                          renderItem={(task, index) => (
+                            <TaskItem
+                              task={task}
+                              index={index}
+                              highlights={highlightRanges(task.text, search)}
+                              notesMatch={Boolean(task.notes) && highlightRanges(task.notes, search).length > 0}
+                              listName={activeList === 'all' && lists.find(list => list._id === task.list)?.name}
+                              lists={lists}
+                              members={members}
+                              readOnly={!canEdit}
+                              reorder={canEdit && sortBy === 'manual' ? getReorderProps(task, index) : null}
+                              selected={selectAllMatching || selectedIds.includes(task._id)}
+                              selecting={selectedIds.length > 0}
+                              onSelect={(extendRange) => selectTask(task._id, extendRange)}
+                              onToggle={() => toggleTask(task._id)}
+                              onEditText={(text) => editTaskText(task._id, text)}
+                              onOpenDetails={() => setDetailTaskId(task._id)}
+                              onSetPriority={(priority) => setTaskPriority(task._id, priority)}
+                              onDelete={() => handleDeleteTask(task._id)}
+                              onMove={(listId) => moveTask(task._id, listId)}
+                              onAssign={(userId) => assignTask(task._id, userId)}
+                              onTagClick={toggleTagFilter}
+                              onSaveDue={(due) => saveDue(task._id, due)}
+                              onAddSubtask={(text) => addSubtask(task._id, text)}
+                              onToggleSubtask={(subtask) => toggleSubtask(task._id, subtask)}
+                              onDeleteSubtask={(subtask) => deleteSubtask(task._id, subtask)}
+                              onReorderSubtasks={(order) => reorderSubtasks(task._id, order)}
+                            />
+                          )}
+                        />
+                      )}
+                      {page.nextCursor && (
+                        <p className="py-4 text-center text-sm text-gray-500">
+                          {loadingMore
+                            ? 'Loading more tasks...'
+                            : `Showing ${tasks.length} of ${Math.max(page.total, tasks.length)} tasks`}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
           </div>
 
           {/* Footer */}
@@ -403,6 +1363,64 @@ function App() {
           </div>
         </div>
       </div>
+
+      {/* Undo Delete */}
+      {undoTask && (
+        <UndoToast
+          key={undoTask._id}
+          message={`Deleted "${undoTask.text}"`}
+          onUndo={undoDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
+
+      {/* Conflicting Edits */}
+      {conflicts.length > 0 && (
+        <ConflictDialog
+          key={`${conflicts[0].taskId}:${conflicts[0].server.updatedAt}`}
+          conflict={conflicts[0]}
+          lists={lists}
+          members={members}
+          onResolve={resolveConflict}
+        />
+      )}
+
+      {/* Import */}
+      {showImport && (
+        <ImportDialog
+          lists={lists}
+          defaultList={['all', 'trash'].includes(activeList) ? null : activeList}
+          onImport={importTasks}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {/* Task Details */}
+      {detailTask && (
+        <TaskDetailPanel
+          task={detailTask}
+          lists={lists}
+          members={members}
+          readOnly={!canEdit}
+          attachments={{
+            loadFile: loadAttachment,
+            onUpload: uploadAttachment,
+            onDelete: deleteAttachment
+          }}
+          comments={{
+            revision: commentRevision,
+            userId: session.user._id,
+            canModerate: currentWorkspace?.role === 'owner',
+            loadComments,
+            onAdd: addComment,
+            onEdit: editComment,
+            onDelete: deleteComment
+          }}
+          onSaveNotes={(notes) => updateTask(detailTask._id, { notes })}
+          onClose={closeDetails}
+          loadHistory={loadHistory}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,54 @@
+// API configuration - will work in both development and production
+export const API_BASE_URL = 'http://localhost:5000/api';
+
+const SESSION_KEY = 'taskmanager.session';
+const WORKSPACE_KEY = 'taskmanager.workspace';
+
+// Requests with this header act on a shared workspace instead of the user's
+// own tasks
+export const WORKSPACE_HEADER = 'X-Workspace';
+
+// Identifies this tab to the server, which tags live update events with it
+// so a tab can ignore the echo of its own changes
+export const CLIENT_ID = Math.random().toString(36).slice(2);
+
+// Session persistence ({ token, user }) so a reload keeps the user signed in
+export const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+};
+
+// The workspace the user last worked in, or null for their own tasks
+export const loadWorkspace = () => localStorage.getItem(WORKSPACE_KEY);
+
+export const saveWorkspace = (workspaceId) => {
+  if (workspaceId) {
+    localStorage.setItem(WORKSPACE_KEY, workspaceId);
+  } else {
+    localStorage.removeItem(WORKSPACE_KEY);
+  }
+};
+
+// The message of an error response, { error: { code, message, details } }
+export const errorMessage = (data, fallback) => data?.error?.message || fallback;
+
+// fetch wrapper that prefixes the API base URL and attaches the bearer token.
+// Headers set to null are left out.
+export const apiFetch = (path, token, options = {}) => {
+  const headers = Object.fromEntries(
+    Object.entries({ 'X-Client-Id': CLIENT_ID, ...options.headers }).filter(([, value]) => value != null)
+  );
+  if (token) headers.Authorization = `Bearer ${token}`;
+  return fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+};
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { BarChart3, Clock, Flame, AlertTriangle } from 'lucide-react';
+import TrendChart from './TrendChart';
+
+const RANGES = [
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' },
+  { value: '12w', label: 'Last 12 weeks' },
+  { value: '6m', label: 'Last 6 months' },
+  { value: '12m', label: 'Last 12 months' }
+];
+
+const GROUPINGS = [
+  { value: 'day', label: 'Per day' },
+  { value: 'week', label: 'Per week' },
+  { value: 'month', label: 'Per month' }
+];
+
+const selectClass = 'px-2 py-2 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// '2026-10-19' -> 'Oct 19', or 'Oct 2026' for months
+const formatPeriod = (period, groupBy) => new Date(`${period}T00:00:00Z`).toLocaleDateString(undefined, groupBy === 'month'
+  ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+  : { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const formatCount = (value) => String(Math.round(value * 10) / 10);
+
+// 30 -> '30 min', 5.5 -> '5.5 h', 72 -> '3 days'
+const formatDuration = (hours) => {
+  if (hours === null || hours === undefined) return '–';
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${Math.round(hours * 10) / 10} h`;
+  return `${Math.round((hours / 24) * 10) / 10} days`;
+};
+
+const Card = ({ icon, label, value, detail }) => (
+  <div className="bg-white/70 rounded-xl p-4 border border-gray-100">
+    <div className="flex items-center gap-2 text-sm text-gray-500 font-medium">
+      {icon}
+      {label}
+    </div>
+    <div className="mt-1 text-2xl font-bold text-gray-800">{value}</div>
+    {detail && <div className="text-xs text-gray-400">{detail}</div>}
+  </div>
+);
+
+// Trends over time from GET /tasks/analytics for the active list.
+// load(params) fetches the analytics; refreshToken changes whenever the
+// tasks may have, so the charts stay current.
+function AnalyticsDashboard({ load, list, refreshToken }) {
+  const [range, setRange] = useState('30d');
+  const [groupBy, setGroupBy] = useState('day');
+  const [analytics, setAnalytics] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const params = new URLSearchParams({ range, groupBy, tzOffset: new Date().getTimezoneOffset() });
+    if (list) params.append('list', list);
+
+    load(params)
+      .then(data => {
+        if (cancelled) return;
+        setAnalytics(data);
+        setError(null);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError('Failed to load analytics. Please try again.');
+        console.error('Error fetching analytics:', err);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [load, list, range, groupBy, refreshToken]);
+
+  const points = analytics?.series.map(period => ({
+    ...period,
+    label: formatPeriod(period.period, analytics.groupBy)
+  })) || [];
+
+  return (
+    <section className="bg-white/80 backdrop-blur-sm rounded-2xl p-6 shadow-xl border border-white/20 space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <h2 className="flex-1 flex items-center gap-2 text-lg font-semibold text-gray-700">
+          <BarChart3 size={20} />
+          Productivity
+        </h2>
+        <select value={range} onChange={(e) => setRange(e.target.value)} className={selectClass} aria-label="Time range">
+          {RANGES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+        <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={selectClass} aria-label="Group by">
+          {GROUPINGS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {!analytics ? (
+        !error && (
+          <div className="text-center py-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500 mx-auto mb-4"></div>
+            <p className="text-gray-500">Loading analytics...</p>
+          </div>
+        )
+      ) : (
+        <>
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            <Card
+              icon={<BarChart3 size={16} />}
+              label="Completed"
+              value={analytics.totals.completed}
+              detail={`${analytics.totals.created} created`}
+            />
+            <Card
+              icon={<Clock size={16} />}
+              label="Time to complete"
+              value={formatDuration(analytics.totals.averageCompletionHours)}
+              detail="Average from creation"
+            />
+            <Card
+              icon={<Flame size={16} />}
+              label="Streak"
+              value={`${analytics.streaks.current} day${analytics.streaks.current === 1 ? '' : 's'}`}
+              detail={`Longest ${analytics.streaks.longest} day${analytics.streaks.longest === 1 ? '' : 's'}`}
+            />
+            <Card
+              icon={<AlertTriangle size={16} />}
+              label="Overdue now"
+              value={analytics.totals.overdue}
+            />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Created vs. completed</h3>
+            <TrendChart
+              points={points}
+              series={[
+                { key: 'created', label: 'Created', color: '#60a5fa' },
+                { key: 'completed', label: 'Completed', color: '#34d399' }
+              ]}
+              formatValue={formatCount}
+            />
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Overdue tasks</h3>
+              <TrendChart
+                type="line"
+                points={points}
+                series={[{ key: 'overdue', label: 'Overdue', color: '#f87171' }]}
+                formatValue={formatCount}
+              />
+            </div>
+            <div>
+              <h3 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-2">Average time to complete</h3>
+              <TrendChart
+                type="line"
+                points={points}
+                series={[{ key: 'averageCompletionHours', label: 'Hours', color: '#a78bfa' }]}
+                formatValue={formatDuration}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default AnalyticsDashboard;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Check, RotateCcw, Trash2, X } from 'lucide-react';
+import { PRIORITY_OPTIONS } from '../utils/priority';
+
+const buttonClass = 'px-3 py-1 rounded-lg text-sm flex items-center gap-1 transition-colors duration-200';
+
+// Shown above the task list while tasks are selected. With `allMatching` the
+// actions apply to every task matching the current view, not just the ids.
+function BulkActionBar({
+  count,
+  visibleCount,
+  allMatching,
+  lists,
+  onSelectAll,
+  onSelectAllMatching,
+  onClear,
+  onAction
+}) {
+  const allVisibleSelected = count === visibleCount;
+
+  return (
+    <div className="mb-4 p-3 rounded-xl border border-blue-200 bg-blue-50 flex flex-wrap items-center gap-2 text-sm">
+      <span className="font-medium text-blue-800">
+        {allMatching ? `All ${count} matching tasks selected` : `${count} selected`}
+      </span>
+
+      {!allVisibleSelected && (
+        <button onClick={onSelectAll} className="text-blue-600 hover:text-blue-700">
+          Select all {visibleCount}
+        </button>
+      )}
+      {allVisibleSelected && !allMatching && (
+        <button onClick={onSelectAllMatching} className="text-blue-600 hover:text-blue-700">
+          Select all matching this view
+        </button>
+      )}
+
+      <div className="flex flex-wrap items-center gap-1 ml-auto">
+        <button onClick={() => onAction('complete')} className={`${buttonClass} text-green-700 hover:bg-green-100`}>
+          <Check size={14} />
+          Complete
+        </button>
+        <button onClick={() => onAction('uncomplete')} className={`${buttonClass} text-gray-700 hover:bg-gray-100`}>
+          <RotateCcw size={14} />
+          Reopen
+        </button>
+        <select
+          value=""
+          onChange={(e) => onAction('priority', { priority: e.target.value })}
+          className="px-2 py-1 rounded-lg text-sm text-gray-700 bg-white border border-gray-200 outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label="Set priority of selected tasks"
+        >
+          <option value="" disabled>Priority...</option>
+          {PRIORITY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select
+          value=""
+          onChange={(e) => onAction('move', { list: e.target.value })}
+          className="px-2 py-1 rounded-lg text-sm text-gray-700 bg-white border border-gray-200 outline-none focus:ring-2 focus:ring-blue-500"
+          aria-label="Move selected tasks to list"
+        >
+          <option value="" disabled>Move to...</option>
+          <option value="none">Inbox</option>
+          {lists.map(list => (
+            <option key={list._id} value={list._id}>{list.name}</option>
+          ))}
+        </select>
+        <button onClick={() => onAction('delete')} className={`${buttonClass} text-red-600 hover:bg-red-100`}>
+          <Trash2 size={14} />
+          Delete
+        </button>
+        <button
+          onClick={onClear}
+          className="p-1 rounded-lg text-gray-500 hover:bg-gray-100"
+          title="Clear selection"
+        >
+          <X size={16} />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BulkActionBar;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { MessageSquare, Reply, Pencil, Trash2, Check, X } from 'lucide-react';
+import { formatDateTime } from '../utils/fields';
+
+const MENTION_PATTERN = /(^|[^\w.@-])(@[a-z0-9_.-]+)/gi;
+
+const inputClass = 'flex-1 min-w-0 px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// Comment text with the @mentions of members highlighted
+function CommentText({ text, usernames }) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const start = match.index + match[1].length;
+    const name = match[2].slice(1).replace(/[.-]+$/, '').toLowerCase();
+    if (!usernames.has(name)) continue;
+    parts.push(text.slice(last, start));
+    last = start + name.length + 1;
+    parts.push(<span key={start} className="font-medium text-blue-600">{text.slice(start, last)}</span>);
+  }
+  parts.push(text.slice(last));
+  return <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">{parts}</p>;
+}
+
+// Text box for a new comment, a reply or an edit. onSubmit resolves to
+// whether the comment was saved, and the box empties only then.
+function CommentForm({ initialText = '', placeholder, autoFocus = false, onSubmit, onCancel }) {
+  const [text, setText] = useState(initialText);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setSaving(true);
+    const saved = await onSubmit(text.trim());
+    setSaving(false);
+    if (saved && !onCancel) setText('');
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-start gap-1">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSubmit(e);
+          if (e.key === 'Escape' && onCancel) {
+            e.stopPropagation();
+            onCancel();
+          }
+        }}
+        placeholder={placeholder}
+        rows={2}
+        maxLength={5000}
+        className={`${inputClass} resize-y`}
+        aria-label={placeholder}
+        autoFocus={autoFocus}
+      />
+      <button
+        type="submit"
+        disabled={saving || !text.trim()}
+        className="p-2 rounded-lg text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+        title="Post (Ctrl+Enter)"
+      >
+        <Check size={16} />
+      </button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} className="p-2 rounded-lg text-gray-400 hover:bg-gray-100" title="Cancel">
+          <X size={16} />
+        </button>
+      )}
+    </form>
+  );
+}
+
+// A task's comments, one level of replies under each. The list reloads when
+// the task's comment count or `revision` changes, which the app bumps when
+// another tab or member edits a comment. Authors edit their own comments;
+// they and, with canModerate, owners of the workspace delete them.
+function CommentThread({ taskId, commentCount, revision, userId, members, readOnly, canModerate, loadComments, onAdd, onEdit, onDelete }) {
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [replyTo, setReplyTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const list = await loadComments(taskId);
+        if (!cancelled) {
+          setComments(list);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError('Failed to load comments.');
+        console.error('Error loading comments:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [taskId, commentCount, revision, reloads, loadComments]);
+
+  const reload = () => setReloads(count => count + 1);
+
+  const usernames = new Set((members ?? []).map(member => member.username?.toLowerCase()));
+
+  const add = async (text, parent) => {
+    const saved = await onAdd(taskId, text, parent);
+    if (saved) {
+      setReplyTo(null);
+      reload();
+    }
+    return saved;
+  };
+
+  const edit = async (comment, text) => {
+    const saved = await onEdit(taskId, comment._id, text);
+    if (saved) {
+      setEditingId(null);
+      reload();
+    }
+    return saved;
+  };
+
+  const remove = async (comment) => {
+    const hasReplies = comments.some(other => other.parent === comment._id);
+    const question = hasReplies ? 'Delete this comment and its replies?' : 'Delete this comment?';
+    if (window.confirm(question) && await onDelete(taskId, comment._id)) reload();
+  };
+
+  const renderComment = (comment) => (
+    <div className="group/comment">
+      <div className="flex items-baseline gap-2">
+        <span className="text-sm font-medium text-gray-800">{comment.author.username ?? 'A former user'}</span>
+        <time className="text-xs text-gray-400">{formatDateTime(comment.createdAt)}</time>
+        {comment.editedAt && <span className="text-xs text-gray-400" title={formatDateTime(comment.editedAt)}>(edited)</span>}
+        {!readOnly && editingId !== comment._id && (
+          <div className="ml-auto flex gap-1 opacity-0 group-hover/comment:opacity-100 focus-within:opacity-100 transition-opacity duration-200">
+            <button
+              onClick={() => setReplyTo(comment.parent || comment._id)}
+              className="p-1 text-gray-400 hover:text-blue-500"
+              title="Reply"
+            >
+              <Reply size={14} />
+            </button>
+            {comment.author._id === userId && (
+              <button onClick={() => setEditingId(comment._id)} className="p-1 text-gray-400 hover:text-blue-500" title="Edit comment">
+                <Pencil size={14} />
+              </button>
+            )}
+            {(comment.author._id === userId || canModerate) && (
+              <button onClick={() => remove(comment)} className="p-1 text-gray-400 hover:text-red-500" title="Delete comment">
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+      {editingId === comment._id ? (
+        <CommentForm
+          initialText={comment.text}
+          placeholder="Edit comment"
+          autoFocus
+          onSubmit={(text) => edit(comment, text)}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <CommentText text={comment.text} usernames={usernames} />
+      )}
+    </div>
+  );
+
+  const threads = comments.filter(comment => !comment.parent);
+
+  return (
+    <section className="mb-8">
+      <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-500 uppercase tracking-wide mb-4">
+        <MessageSquare size={16} />
+        Comments
+      </h3>
+
+      {loading && comments.length === 0 && <p className="text-sm text-gray-500">Loading comments...</p>}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {!loading && !error && comments.length === 0 && (
+        <p className="text-sm text-gray-500 mb-3">No comments yet.</p>
+      )}
+
+      <ul className="space-y-4 mb-4">
+        {threads.map(thread => (
+          <li key={thread._id}>
+            {renderComment(thread)}
+            <ul className="mt-2 ml-4 pl-3 border-l-2 border-gray-100 space-y-3">
+              {comments.filter(comment => comment.parent === thread._id).map(reply => (
+                <li key={reply._id}>{renderComment(reply)}</li>
+              ))}
+              {replyTo === thread._id && (
+                <li>
+                  <CommentForm
+                    placeholder="Write a reply..."
+                    autoFocus
+                    onSubmit={(text) => add(text, thread._id)}
+                    onCancel={() => setReplyTo(null)}
+                  />
+                </li>
+              )}
+            </ul>
+          </li>
+        ))}
+      </ul>
+
+      {!readOnly && (
+        <CommentForm
+          placeholder={members ? 'Add a comment... (@name to mention)' : 'Add a comment...'}
+          onSubmit={(text) => add(text, null)}
+        />
+      )}
+    </section>
+  );
+}
+
+export default CommentThread;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { GitMerge } from 'lucide-react';
+import { FIELD_LABELS, conflictingFields, formatFieldValue } from '../utils/fields';
+
+const optionClass = (chosen) => `flex-1 flex items-start gap-2 p-2 rounded-lg border cursor-pointer text-sm ${
+  chosen ? 'border-blue-400 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+}`;
+
+// Shown when a save was rejected because the task changed elsewhere first.
+// For each field that differs the user keeps either their value or the
+// server's; onResolve receives the fields to write again.
+function ConflictDialog({ conflict, lists, members, onResolve }) {
+  const { changes, server } = conflict;
+  const fields = conflictingFields(changes, server);
+  const [keepMine, setKeepMine] = useState(() => Object.fromEntries(fields.map(field => [field, true])));
+
+  const resolve = () => {
+    onResolve(Object.fromEntries(fields
+      .filter(field => keepMine[field])
+      .map(field => [field, changes[field]])));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div
+        className="w-full max-w-lg bg-white rounded-2xl shadow-2xl p-6"
+        role="dialog"
+        aria-label="Resolve conflicting changes"
+      >
+        <h2 className="flex items-center gap-2 text-lg font-bold text-gray-800 mb-1">
+          <GitMerge size={20} className="text-orange-500" />
+          This task was changed somewhere else
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          &ldquo;{server.text}&rdquo; was edited in another tab or device before your change was saved.
+          Choose which version of each field to keep.
+        </p>
+
+        <div className="space-y-3 mb-6">
+          {fields.map(field => (
+            <fieldset key={field}>
+              <legend className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-1">
+                {FIELD_LABELS[field]}
+              </legend>
+              <div className="flex gap-2">
+                <label className={optionClass(keepMine[field])}>
+                  <input
+                    type="radio"
+                    checked={keepMine[field]}
+                    onChange={() => setKeepMine(prev => ({ ...prev, [field]: true }))}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block text-xs text-gray-400">Yours</span>
+                    <span className="break-words text-gray-800">{formatFieldValue(field, changes[field], lists, members)}</span>
+                  </span>
+                </label>
+                <label className={optionClass(!keepMine[field])}>
+                  <input
+                    type="radio"
+                    checked={!keepMine[field]}
+                    onChange={() => setKeepMine(prev => ({ ...prev, [field]: false }))}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block text-xs text-gray-400">Theirs</span>
+                    <span className="break-words text-gray-800">{formatFieldValue(field, server[field], lists, members)}</span>
+                  </span>
+                </label>
+              </div>
+            </fieldset>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={() => onResolve({})}
+            className="px-4 py-2 rounded-lg text-gray-600 hover:bg-gray-100"
+          >
+            Use theirs
+          </button>
+          <button
+            onClick={resolve}
+            className="px-4 py-2 rounded-lg bg-blue-500 text-white hover:bg-blue-600"
+          >
+            Save selection
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ConflictDialog;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Calendar, Clock, Bell } from 'lucide-react';
+import RecurrencePicker from './RecurrencePicker';
+import { REMINDER_OPTIONS } from '../utils/dates';
+
+const inputClass = 'px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// Controlled date/time/reminder/repeat inputs; value is { date, time, reminder, recurrence }
+function DueDatePicker({ value, onChange }) {
+  const update = (field) => (e) => onChange({ ...value, [field]: e.target.value });
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <label className="flex items-center gap-1 text-gray-500">
+        <Calendar size={16} />
+        <input
+          type="date"
+          value={value.date}
+          onChange={update('date')}
+          className={inputClass}
+          aria-label="Due date"
+        />
+      </label>
+      <label className="flex items-center gap-1 text-gray-500">
+        <Clock size={16} />
+        <input
+          type="time"
+          value={value.time}
+          onChange={update('time')}
+          disabled={!value.date}
+          className={`${inputClass} disabled:opacity-50`}
+          aria-label="Due time (optional)"
+        />
+      </label>
+      <label className="flex items-center gap-1 text-gray-500">
+        <Bell size={16} />
+        <select
+          value={value.reminder}
+          onChange={update('reminder')}
+          disabled={!value.date}
+          className={`${inputClass} disabled:opacity-50`}
+          aria-label="Reminder"
+        >
+          {REMINDER_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <RecurrencePicker
+        value={value.recurrence}
+        date={value.date}
+        onChange={(recurrence) => onChange({ ...value, recurrence })}
+      />
+    </div>
+  );
+}
+
+export default DueDatePicker;
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// Text with the given [start, end) ranges marked, e.g. search matches
+function HighlightedText({ text, ranges }) {
+  if (!ranges || ranges.length === 0) return text;
+
+  const parts = [];
+  let position = 0;
+  for (const [start, end] of ranges) {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(
+      <mark key={start} className="bg-yellow-200 text-inherit rounded px-0.5 -mx-0.5">
+        {text.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  }
+  if (position < text.length) parts.push(text.slice(position));
+  return <>{parts}</>;
+}
+
+export default HighlightedText;
@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { Upload, X, AlertTriangle, CheckCircle } from 'lucide-react';
+import { IMPORT_FORMATS, MAX_IMPORT_FILE_SIZE, detectImportFormat } from '../utils/transfer';
+import { formatDueDate } from '../utils/dates';
+
+// Errors listed in the preview before the rest are summarized
+const SHOWN_ERRORS = 20;
+
+const SOURCE_LABELS = {
+  json: 'Task Manager JSON',
+  todoist: 'Todoist export',
+  trello: 'Trello board',
+  csv: 'CSV',
+  md: 'Markdown checklist',
+  ics: 'iCalendar'
+};
+
+const inputClass = 'px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// Picks a file, previews what it would create with a dry run, then imports.
+// onImport({ format, content, list, dryRun }) resolves with the server's summary.
+function ImportDialog({ lists, defaultList, onImport, onClose }) {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('json');
+  const [list, setList] = useState(defaultList || 'none');
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const run = async (dryRun) => {
+    if (file.size > MAX_IMPORT_FILE_SIZE) {
+      setError('That file is too large to import.');
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError(null);
+      const data = await onImport({ format, content: await file.text(), list, dryRun });
+      if (dryRun) setPreview(data);
+      else setResult(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chooseFile = (e) => {
+    const chosen = e.target.files[0] || null;
+    setFile(chosen);
+    setPreview(null);
+    setError(null);
+    if (chosen) setFormat(detectImportFormat(chosen.name) || format);
+  };
+
+  const listName = (name) => name || (list === 'none' ? 'Inbox' : lists.find(l => l._id === list)?.name);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 p-4">
+      <div
+        className="w-full max-w-2xl max-h-full overflow-y-auto bg-white rounded-2xl shadow-2xl p-6"
+        role="dialog"
+        aria-label="Import tasks"
+      >
+        <div className="flex items-start gap-3 mb-4">
+          <h2 className="flex-1 flex items-center gap-2 text-lg font-bold text-gray-800">
+            <Upload size={20} className="text-blue-500" />
+            Import tasks
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        {result ? (
+          <div className="space-y-4">
+            <p className="flex items-center gap-2 text-green-700">
+              <CheckCircle size={18} />
+              Imported {result.imported} {result.imported === 1 ? 'task' : 'tasks'}
+              {result.newLists.length > 0 && ` and created ${result.newLists.length} new ${result.newLists.length === 1 ? 'list' : 'lists'}`}.
+            </p>
+            {result.errors.length > 0 && (
+              <p className="text-sm text-gray-500">{result.errors.length} rows were skipped because of errors.</p>
+            )}
+            <div className="flex justify-end">
+              <button
+                onClick={onClose}
+                className="px-4 py-2 rounded-lg text-sm bg-blue-500 text-white hover:bg-blue-600"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        ) : (
+          <>
+            <p className="text-sm text-gray-500 mb-4">
+              Import a JSON, CSV, Markdown checklist or iCalendar file, including JSON exports from Todoist and Trello.
+              You will see a preview before anything is added.
+            </p>
+
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+              <input
+                type="file"
+                accept={IMPORT_FORMATS.flatMap(option => option.extensions).join(',')}
+                onChange={chooseFile}
+                className="text-sm text-gray-600 file:mr-2 file:px-3 file:py-1 file:rounded-lg file:border-0 file:bg-blue-50 file:text-blue-600"
+                aria-label="File to import"
+              />
+              <select
+                value={format}
+                onChange={(e) => {
+                  setFormat(e.target.value);
+                  setPreview(null);
+                }}
+                className={inputClass}
+                aria-label="File format"
+              >
+                {IMPORT_FORMATS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-1 text-sm text-gray-500">
+                Tasks without a list go to
+                <select
+                  value={list}
+                  onChange={(e) => {
+                    setList(e.target.value);
+                    setPreview(null);
+                  }}
+                  className={inputClass}
+                >
+                  <option value="none">Inbox</option>
+                  {lists.map(l => (
+                    <option key={l._id} value={l._id}>{l.name}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+            {preview && (
+              <div className="mb-4 space-y-3">
+                <p className="text-sm text-gray-700">
+                  Read as {SOURCE_LABELS[preview.source] || preview.source}:{' '}
+                  <span className="font-medium">{preview.valid}</span> of {preview.total} tasks can be imported
+                  {preview.newLists.length > 0 && <>, creating {preview.newLists.map(name => `"${name}"`).join(', ')}</>}.
+                </p>
+
+                {preview.errors.length > 0 && (
+                  <div className="p-3 rounded-xl bg-orange-50 border border-orange-200 text-sm text-orange-800">
+                    <p className="flex items-center gap-2 font-medium mb-1">
+                      <AlertTriangle size={16} />
+                      {preview.errors.length} {preview.errors.length === 1 ? 'row' : 'rows'} will be skipped
+                    </p>
+                    <ul className="space-y-0.5">
+                      {preview.errors.slice(0, SHOWN_ERRORS).map(({ row, error: message }) => (
+                        <li key={row}>Row {row}: {message}</li>
+                      ))}
+                      {preview.errors.length > SHOWN_ERRORS && (
+                        <li>...and {preview.errors.length - SHOWN_ERRORS} more</li>
+                      )}
+                    </ul>
+                  </div>
+                )}
+
+                {preview.preview.length > 0 && (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+                        <th className="py-1 pr-2">Row</th>
+                        <th className="py-1 pr-2">Task</th>
+                        <th className="py-1 pr-2">List</th>
+                        <th className="py-1">Due</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.preview.map(({ row, task }) => (
+                        <tr key={row} className="border-t border-gray-100 align-top">
+                          <td className="py-1 pr-2 text-gray-400">{row}</td>
+                          <td className={`py-1 pr-2 break-words ${task.completed ? 'line-through text-gray-400' : 'text-gray-800'}`}>
+                            {task.text}
+                            {task.tags.length > 0 && (
+                              <span className="text-blue-500"> {task.tags.map(tag => `#${tag}`).join(' ')}</span>
+                            )}
+                            {task.subtasks.length > 0 && (
+                              <span className="text-gray-400"> ({task.subtasks.length} steps)</span>
+                            )}
+                          </td>
+                          <td className="py-1 pr-2 text-gray-600">{listName(task.list)}</td>
+                          <td className="py-1 text-gray-600 whitespace-nowrap">{task.dueDate ? formatDueDate(task) : ''}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+                {preview.valid > preview.preview.length && (
+                  <p className="text-xs text-gray-400">Showing the first {preview.preview.length} tasks.</p>
+                )}
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => run(true)}
+                disabled={!file || busy}
+                className="px-4 py-2 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+              >
+                {busy && !preview ? 'Reading...' : 'Preview'}
+              </button>
+              <button
+                onClick={() => run(false)}
+                disabled={!preview || preview.valid === 0 || busy}
+                className="px-4 py-2 rounded-lg text-sm bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+              >
+                {preview ? `Import ${preview.valid} ${preview.valid === 1 ? 'task' : 'tasks'}` : 'Import'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ImportDialog;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { Inbox, Layers, List as ListIcon, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+
+const itemClass = (active) => `w-full flex items-center gap-2 px-3 py-2 rounded-lg text-left transition-all duration-200 ${
+  active
+    ? 'bg-blue-500 text-white shadow-lg'
+    : 'text-gray-700 hover:bg-gray-100'
+}`;
+
+const inputClass = 'flex-1 min-w-0 px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// readOnly hides everything but picking a list, for viewers of a workspace
+function ListSidebar({ lists, activeList, trashCount, readOnly = false, onSelect, onCreate, onRename, onDelete }) {
+  const [newListName, setNewListName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [deletingId, setDeletingId] = useState(null);
+  const [moveTo, setMoveTo] = useState('none');
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (newListName.trim()) {
+      await onCreate(newListName.trim());
+      setNewListName('');
+    }
+  };
+
+  const startRename = (list) => {
+    setRenamingId(list._id);
+    setRenameValue(list.name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (renameValue.trim()) {
+      await onRename(renamingId, renameValue.trim());
+    }
+    setRenamingId(null);
+  };
+
+  const startDelete = (list) => {
+    setDeletingId(list._id);
+    setMoveTo('none');
+  };
+
+  const confirmDelete = async (options) => {
+    await onDelete(deletingId, options);
+    setDeletingId(null);
+  };
+
+  return (
+    <aside className="bg-white/80 backdrop-blur-sm rounded-2xl p-4 shadow-xl border border-white/20">
+      <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">Lists</h2>
+
+      <div className="space-y-1">
+        <button onClick={() => onSelect('all')} className={itemClass(activeList === 'all')}>
+          <Layers size={16} />
+          <span className="flex-1">All tasks</span>
+        </button>
+        <button onClick={() => onSelect('none')} className={itemClass(activeList === 'none')}>
+          <Inbox size={16} />
+          <span className="flex-1">Inbox</span>
+        </button>
+
+        {lists.map(list => {
+          if (renamingId === list._id) {
+            return (
+              <form key={list._id} onSubmit={handleRename} className="flex items-center gap-1 px-1 py-1">
+                <input
+                  value={renameValue}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Escape' && setRenamingId(null)}
+                  className={inputClass}
+                  aria-label="List name"
+                  autoFocus
+                />
+                <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save">
+                  <Check size={16} />
+                </button>
+                <button type="button" onClick={() => setRenamingId(null)} className="p-1 text-gray-400 hover:bg-gray-100 rounded" title="Cancel">
+                  <X size={16} />
+                </button>
+              </form>
+            );
+          }
+
+          return (
+            <div key={list._id}>
+              <div className="group relative">
+                <button onClick={() => onSelect(list._id)} className={itemClass(activeList === list._id)}>
+                  <ListIcon size={16} />
+                  <span className="flex-1 truncate">{list.name}</span>
+                  {list.pendingCount > 0 && (
+                    <span className={`text-xs ${activeList === list._id ? 'text-blue-100' : 'text-gray-400'}`}>
+                      {list.pendingCount}
+                    </span>
+                  )}
+                </button>
+                {!readOnly && (
+                  <div className="absolute right-1 top-1/2 -translate-y-1/2 hidden group-hover:flex gap-1 bg-white rounded-lg shadow">
+                    <button
+                      onClick={() => startRename(list)}
+                      className="p-1 text-gray-400 hover:text-blue-500"
+                      title="Rename list"
+                    >
+                      <Pencil size={14} />
+                    </button>
+                    <button
+                      onClick={() => startDelete(list)}
+                      className="p-1 text-gray-400 hover:text-red-500"
+                      title="Delete list"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              {deletingId === list._id && (
+                <div className="mt-1 mb-2 p-3 rounded-xl border border-red-200 bg-red-50 text-sm text-gray-700 space-y-2">
+                  <p>
+                    Delete <span className="font-medium">{list.name}</span>
+                    {list.taskCount > 0 && ` and its ${list.taskCount} task${list.taskCount === 1 ? '' : 's'}`}?
+                  </p>
+                  {list.taskCount > 0 && (
+                    <>
+                      <label className="flex items-center gap-2">
+                        <span>Move tasks to</span>
+                        <select
+                          value={moveTo}
+                          onChange={(e) => setMoveTo(e.target.value)}
+                          className={inputClass}
+                        >
+                          <option value="none">Inbox</option>
+                          {lists.filter(other => other._id !== list._id).map(other => (
+                            <option key={other._id} value={other._id}>{other.name}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <div className="flex flex-wrap gap-2">
+                        <button
+                          onClick={() => confirmDelete({ tasks: 'move', moveTo })}
+                          className="px-3 py-1 rounded-lg bg-blue-500 text-white hover:bg-blue-600"
+                        >
+                          Move &amp; delete list
+                        </button>
+                        <button
+                          onClick={() => confirmDelete({ tasks: 'delete' })}
+                          className="px-3 py-1 rounded-lg bg-red-500 text-white hover:bg-red-600"
+                        >
+                          Move tasks to trash
+                        </button>
+                      </div>
+                    </>
+                  )}
+                  <div className="flex gap-2">
+                    {list.taskCount === 0 && (
+                      <button
+                        onClick={() => confirmDelete({ tasks: 'move' })}
+                        className="px-3 py-1 rounded-lg bg-red-500 text-white hover:bg-red-600"
+                      >
+                        Delete list
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setDeletingId(null)}
+                      className="px-3 py-1 rounded-lg text-gray-600 hover:bg-gray-100"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-1 pt-1 border-t border-gray-100">
+        <button onClick={() => onSelect('trash')} className={itemClass(activeList === 'trash')}>
+          <Trash2 size={16} />
+          <span className="flex-1">Trash</span>
+          {trashCount > 0 && (
+            <span className={`text-xs ${activeList === 'trash' ? 'text-blue-100' : 'text-gray-400'}`}>
+              {trashCount}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {!readOnly && (
+        <form onSubmit={handleCreate} className="mt-4 flex items-center gap-1">
+          <input
+            value={newListName}
+            onChange={(e) => setNewListName(e.target.value)}
+            placeholder="New list..."
+            className={inputClass}
+            aria-label="New list name"
+          />
+          <button
+            type="submit"
+            disabled={!newListName.trim()}
+            className="p-2 rounded-lg text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+            title="Create list"
+          >
+            <Plus size={16} />
+          </button>
+        </form>
+      )}
+    </aside>
+  );
+}
+
+export default ListSidebar;
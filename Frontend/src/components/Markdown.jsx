@@ -0,0 +1,101 @@
+import React, { useMemo } from 'react';
+import { parseMarkdown, parseInline } from '../utils/markdown';
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-bold',
+  2: 'text-base font-bold',
+  3: 'text-sm font-bold'
+};
+
+function Inline({ nodes }) {
+  return nodes.map((node, index) => {
+    switch (node.type) {
+      case 'code':
+        return <code key={index} className="px-1 py-0.5 rounded bg-gray-100 text-pink-700 text-[0.85em] font-mono">{node.text}</code>;
+      case 'break':
+        return <br key={index} />;
+      case 'strong':
+        return <strong key={index}><Inline nodes={node.children} /></strong>;
+      case 'em':
+        return <em key={index}><Inline nodes={node.children} /></em>;
+      case 'del':
+        return <del key={index}><Inline nodes={node.children} /></del>;
+      case 'link':
+        return (
+          <a key={index} href={node.href} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-600 underline hover:text-blue-700 break-words">
+            <Inline nodes={node.children} />
+          </a>
+        );
+      default:
+        return node.text;
+    }
+  });
+}
+
+function Blocks({ blocks, onToggle }) {
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${Math.min(block.level + 2, 6)}`;
+        return <Tag key={index} className={`${HEADING_CLASSES[block.level] || 'text-sm font-semibold'} text-gray-800 mt-3 mb-1 first:mt-0`}><Inline nodes={parseInline(block.text)} /></Tag>;
+      }
+      case 'code':
+        return (
+          <pre key={index} className="my-2 p-3 rounded-lg bg-gray-900 text-gray-100 text-xs font-mono overflow-x-auto">
+            <code>{block.text}</code>
+          </pre>
+        );
+      case 'quote':
+        return (
+          <blockquote key={index} className="my-2 pl-3 border-l-4 border-gray-200 text-gray-600">
+            <Blocks blocks={block.blocks} onToggle={onToggle} />
+          </blockquote>
+        );
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        const isChecklist = block.items.every(item => item.checked !== null);
+        return (
+          <List
+            key={index}
+            start={block.ordered && block.start !== 1 ? block.start : undefined}
+            className={`my-2 space-y-1 ${isChecklist ? 'list-none' : `pl-5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}`}
+          >
+            {block.items.map(item => (
+              <li key={item.line} className={item.checked === null ? '' : 'flex items-start gap-2'}>
+                {item.checked !== null && (
+                  <input
+                    type="checkbox"
+                    checked={item.checked}
+                    disabled={!onToggle}
+                    onChange={(e) => onToggle(item.line, e.target.checked)}
+                    className="mt-1 rounded"
+                  />
+                )}
+                <div className={item.checked ? 'line-through text-gray-400' : ''}>
+                  <Blocks blocks={item.blocks} onToggle={onToggle} />
+                </div>
+              </li>
+            ))}
+          </List>
+        );
+      }
+      case 'rule':
+        return <hr key={index} className="my-3 border-gray-200" />;
+      default:
+        return <p key={index} className="my-2 first:mt-0 last:mb-0"><Inline nodes={parseInline(block.text)} /></p>;
+    }
+  });
+}
+
+// Renders Markdown notes (see utils/markdown.js) without ever going through
+// HTML. onToggle(line, checked), when given, makes checklist boxes clickable.
+function Markdown({ text, onToggle }) {
+  const blocks = useMemo(() => parseMarkdown(text), [text]);
+  return (
+    <div className="text-sm text-gray-700 break-words">
+      <Blocks blocks={blocks} onToggle={onToggle} />
+    </div>
+  );
+}
+
+export default Markdown;
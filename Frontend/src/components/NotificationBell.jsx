@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { Bell, CheckCheck } from 'lucide-react';
+import { formatDateTime } from '../utils/fields';
+
+// Header button with the number of unread notifications, opening a list of
+// them. onOpen(notification) shows what the notification is about.
+function NotificationBell({ notifications, unread, onOpen, onMarkAllRead }) {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const open = (notification) => {
+    setIsOpen(false);
+    onOpen(notification);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(show => !show)}
+        className="relative p-1 text-gray-500 hover:text-blue-600 transition-colors"
+        title={unread > 0 ? `${unread} unread notification${unread === 1 ? '' : 's'}` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <Bell size={16} />
+        {unread > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-white text-[10px] leading-4 text-center">
+            {unread > 99 ? '99+' : unread}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 z-40 mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-xl shadow-2xl border border-gray-100 text-left">
+            <div className="flex items-center gap-2 px-4 py-2 border-b border-gray-100">
+              <span className="flex-1 text-sm font-semibold text-gray-700">Notifications</span>
+              {unread > 0 && (
+                <button
+                  onClick={onMarkAllRead}
+                  className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-700"
+                >
+                  <CheckCheck size={14} />
+                  Mark all read
+                </button>
+              )}
+            </div>
+
+            {notifications.length === 0 && (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">Nothing yet. Mentions in comments show up here.</p>
+            )}
+
+            <ul>
+              {notifications.map(notification => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => open(notification)}
+                    className={`w-full px-4 py-2 text-left hover:bg-gray-50 ${notification.readAt ? '' : 'bg-blue-50/60'}`}
+                  >
+                    <p className="text-sm text-gray-700">
+                      <span className="font-medium">{notification.actor.username ?? 'A former user'}</span> mentioned you
+                      {notification.taskText ? <> on <q className="font-medium">{notification.taskText}</q></> : ' on a deleted task'}
+                    </p>
+                    <p className="text-xs text-gray-500 truncate">{notification.excerpt}</p>
+                    <time className="text-xs text-gray-400">{formatDateTime(notification.createdAt)}</time>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
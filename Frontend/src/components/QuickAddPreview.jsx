@@ -0,0 +1,54 @@
+import React from 'react';
+import { Calendar, Repeat, Flag } from 'lucide-react';
+import TagChip from './TagChip';
+import { formatDueDate } from '../utils/dates';
+import { describeRecurrence } from '../utils/recurrence';
+import { PRIORITY_CLASSES, priorityLabel } from '../utils/priority';
+
+const chipClass = 'inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full font-medium';
+
+// The words each kind of token was read from, for chip tooltips
+const sourceOf = (tokens, ...types) => tokens
+  .filter(token => types.includes(token.type))
+  .map(token => `"${token.text}"`)
+  .join(' ');
+
+// What the quick-add parser recognised in the new task's text. Fields set
+// with the due date picker win over typed ones, so those are not shown.
+function QuickAddPreview({ result, dueOverridden, repeatOverridden }) {
+  const { tokens } = result;
+  const showDue = result.dueDate && !dueOverridden;
+  const showRepeat = result.recurrence && !repeatOverridden;
+
+  if (!showDue && !showRepeat && !result.priority && result.tags.length === 0) return null;
+
+  return (
+    <div className="mt-2 flex flex-wrap items-center gap-2 text-sm text-gray-500" aria-live="polite">
+      <span>
+        Adds <q className="font-medium text-gray-700">{result.text}</q>
+      </span>
+      {showDue && (
+        <span className={`${chipClass} bg-blue-100 text-blue-600`} title={`From ${sourceOf(tokens, 'due', 'time')}`}>
+          <Calendar size={12} />
+          {formatDueDate(result)}
+        </span>
+      )}
+      {showRepeat && (
+        <span className={`${chipClass} bg-indigo-100 text-indigo-600`} title={`From ${sourceOf(tokens, 'repeat')}`}>
+          <Repeat size={12} />
+          {describeRecurrence(result.recurrence)}
+        </span>
+      )}
+      {result.priority && (
+        <span className={`${chipClass} ${PRIORITY_CLASSES[result.priority]}`} title={`From ${sourceOf(tokens, 'priority')}`}>
+          <Flag size={12} />
+          {priorityLabel(result.priority)} priority
+        </span>
+      )}
+      {result.tags.map(tag => <TagChip key={tag} tag={tag} />)}
+      <span className="text-xs text-gray-400">Put words in &quot;quotes&quot; to keep them in the title.</span>
+    </div>
+  );
+}
+
+export default QuickAddPreview;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import { FREQUENCY_OPTIONS, INTERVAL_UNITS, WEEKDAY_LABELS, createRecurrence } from '../utils/recurrence';
+
+const inputClass = 'px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// Controlled repeat rule inputs; value is a recurrence rule or null.
+// `date` is the picked due date, used to preselect the weekday or day of month.
+function RecurrencePicker({ value, date, onChange }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (day) => {
+    const days = value.daysOfWeek || [];
+    const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day];
+    // Keep at least one day so the rule stays meaningful
+    if (next.length > 0) update({ daysOfWeek: next.sort((a, b) => a - b) });
+  };
+
+  const frequency = value?.frequency || '';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <label className="flex items-center gap-1 text-gray-500">
+        <Repeat size={16} />
+        <select
+          value={frequency}
+          onChange={(e) => onChange(createRecurrence(e.target.value, date))}
+          className={inputClass}
+          aria-label="Repeat"
+        >
+          {FREQUENCY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      {INTERVAL_UNITS[frequency] && (
+        <label className="flex items-center gap-1 text-sm text-gray-500">
+          every
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={value.interval}
+            onChange={(e) => update({ interval: Math.min(365, Math.max(1, Number(e.target.value) || 1)) })}
+            className={`${inputClass} w-16`}
+            aria-label="Repeat interval"
+          />
+          {INTERVAL_UNITS[frequency]}
+        </label>
+      )}
+
+      {frequency === 'weekly' && (
+        <div className="flex gap-1" role="group" aria-label="Repeat on">
+          {WEEKDAY_LABELS.map((label, day) => {
+            const active = value.daysOfWeek?.includes(day);
+            return (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleWeekday(day)}
+                className={`w-9 py-1 rounded-lg text-xs font-medium ${
+                  active ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+                aria-pressed={active}
+              >
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {frequency === 'monthly' && (
+        <label className="flex items-center gap-1 text-sm text-gray-500">
+          on day
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={value.dayOfMonth ?? ''}
+            onChange={(e) => update({ dayOfMonth: Math.min(31, Math.max(1, Number(e.target.value) || 1)) })}
+            className={`${inputClass} w-16`}
+            aria-label="Day of month"
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default RecurrencePicker;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Check, Plus, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+
+// Expandable checklist shown under a task row; readOnly only shows it
+function SubtaskList({ subtasks, readOnly = false, onAdd, onToggle, onDelete, onReorder }) {
+  const [newSubtask, setNewSubtask] = useState('');
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (newSubtask.trim()) {
+      await onAdd(newSubtask.trim());
+      setNewSubtask('');
+    }
+  };
+
+  const move = (index, offset) => {
+    const order = subtasks.map(subtask => subtask._id);
+    const [moved] = order.splice(index, 1);
+    order.splice(index + offset, 0, moved);
+    onReorder(order);
+  };
+
+  return (
+    <div className="space-y-1">
+      {subtasks.map((subtask, index) => (
+        <div key={subtask._id} className="group/subtask flex items-center gap-2 py-1">
+          <button
+            onClick={() => onToggle(subtask)}
+            disabled={readOnly}
+            className={`w-4 h-4 rounded border flex items-center justify-center transition-all duration-200 ${
+              subtask.completed
+                ? 'bg-green-500 border-green-500 text-white'
+                : 'border-gray-300 hover:border-green-400'
+            }`}
+            aria-label={subtask.completed ? 'Mark step as not done' : 'Mark step as done'}
+          >
+            {subtask.completed && <Check size={12} />}
+          </button>
+          <span className={`flex-1 text-sm ${subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+            {subtask.text}
+          </span>
+          {!readOnly && (
+            <div className="flex gap-1 opacity-0 group-hover/subtask:opacity-100 focus-within:opacity-100 transition-opacity duration-200">
+              <button
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30"
+                title="Move up"
+              >
+                <ChevronUp size={14} />
+              </button>
+              <button
+                onClick={() => move(index, 1)}
+                disabled={index === subtasks.length - 1}
+                className="p-1 text-gray-400 hover:text-blue-500 disabled:opacity-30"
+                title="Move down"
+              >
+                <ChevronDown size={14} />
+              </button>
+              <button
+                onClick={() => onDelete(subtask)}
+                className="p-1 text-gray-400 hover:text-red-500"
+                title="Remove step"
+              >
+                <Trash2 size={14} />
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {!readOnly && (
+        <form onSubmit={handleAdd} className="flex items-center gap-2 pt-1">
+          <input
+            value={newSubtask}
+            onChange={(e) => setNewSubtask(e.target.value)}
+            placeholder="Add a step..."
+            className="flex-1 px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700"
+            aria-label="New step"
+          />
+          <button
+            type="submit"
+            disabled={!newSubtask.trim()}
+            className="p-1 rounded-lg text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+            title="Add step"
+          >
+            <Plus size={16} />
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default SubtaskList;
@@ -0,0 +1,29 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { tagColor } from '../utils/tags';
+
+// Colored "#tag" chip; clickable when onClick is given, removable when onRemove is
+function TagChip({ tag, onClick, onRemove, active = false }) {
+  return (
+    <span
+      className={`inline-flex items-center gap-1 px-2 py-1 text-xs rounded-full font-medium transition-colors duration-200 ${tagColor(tag)} ${
+        active ? 'ring-2 ring-offset-1 ring-blue-400' : ''
+      }`}
+    >
+      {onClick ? (
+        <button onClick={onClick} title={`Filter by #${tag}`}>
+          #{tag}
+        </button>
+      ) : (
+        <span>#{tag}</span>
+      )}
+      {onRemove && (
+        <button onClick={onRemove} className="opacity-60 hover:opacity-100" aria-label={`Remove #${tag} filter`}>
+          <X size={12} />
+        </button>
+      )}
+    </span>
+  );
+}
+
+export default TagChip;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Pencil, Trash2, Check, X } from 'lucide-react';
+import TagChip from './TagChip';
+
+// Sidebar section listing every tag with its task count. Renaming a tag onto
+// an existing name merges the two. readOnly leaves only filtering.
+function TagPanel({ tags, selectedTags, readOnly = false, onToggleTag, onRename, onDelete }) {
+  const [renaming, setRenaming] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const startRename = (tag) => {
+    setRenaming(tag.name);
+    setRenameValue(tag.name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const name = renameValue.trim().replace(/^#/, '');
+    if (name && name !== renaming) {
+      await onRename(renaming, name);
+    }
+    setRenaming(null);
+  };
+
+  const handleDelete = (tag) => {
+    if (window.confirm(`Remove #${tag.name} from ${tag.count} task${tag.count === 1 ? '' : 's'}?`)) {
+      onDelete(tag.name);
+    }
+  };
+
+  if (tags.length === 0) return null;
+
+  return (
+    <section className="bg-white/80 backdrop-blur-sm rounded-2xl p-4 shadow-xl border border-white/20">
+      <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">Tags</h2>
+
+      <div className="space-y-1">
+        {tags.map(tag => (
+          renaming === tag.name ? (
+            <form key={tag.name} onSubmit={handleRename} className="flex items-center gap-1">
+              <input
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+                className="flex-1 min-w-0 px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700"
+                aria-label="Tag name"
+                title="Use an existing tag name to merge into it"
+                autoFocus
+              />
+              <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save">
+                <Check size={16} />
+              </button>
+              <button type="button" onClick={() => setRenaming(null)} className="p-1 text-gray-400 hover:bg-gray-100 rounded" title="Cancel">
+                <X size={16} />
+              </button>
+            </form>
+          ) : (
+            <div key={tag.name} className="group flex items-center gap-2">
+              <TagChip
+                tag={tag.name}
+                active={selectedTags.includes(tag.name)}
+                onClick={() => onToggleTag(tag.name)}
+              />
+              <span className="text-xs text-gray-400">{tag.count}</span>
+              {!readOnly && (
+                <div className="ml-auto hidden group-hover:flex group-focus-within:flex gap-1">
+                  <button
+                    onClick={() => startRename(tag)}
+                    className="p-1 text-gray-400 hover:text-blue-500"
+                    title="Rename or merge tag"
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(tag)}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                    title="Delete tag"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              )}
+            </div>
+          )
+        ))}
+      </div>
+    </section>
+  );
+}
+
+export default TagPanel;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Paperclip, Upload, Download, Trash2, FileText, Loader2 } from 'lucide-react';
+
+// What the server accepts (see Backend/utils/attachments.js), checked here
+// first so a refused file needs no upload
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const ACCEPTED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+// Browsers leave the type of some text files empty
+const EXTENSION_TYPES = { md: 'text/markdown', markdown: 'text/markdown', csv: 'text/csv' };
+
+const typeOf = (file) => file.type || EXTENSION_TYPES[file.name.split('.').pop().toLowerCase()] || '';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Files need the session token, which an <img> cannot send, so images are
+// fetched and shown from an object URL
+function Thumbnail({ taskId, attachmentId, name, loadFile }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+
+    loadFile(taskId, attachmentId)
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(err => console.error('Error loading thumbnail:', err));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [taskId, attachmentId, loadFile]);
+
+  return url
+    ? <img src={url} alt={name} className="w-12 h-12 rounded-lg object-cover border border-gray-200" />
+    : <div className="w-12 h-12 rounded-lg bg-gray-100 animate-pulse" />;
+}
+
+// A task's files in the detail panel. Files can be dropped anywhere on the
+// section or picked with the button; loadFile(taskId, attachmentId)
+// resolves to a Blob, onUpload(taskId, file) and onDelete(taskId,
+// attachment) to whether they went through.
+function TaskAttachments({ task, readOnly, loadFile, onUpload, onDelete }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [uploading, setUploading] = useState(0);
+  const [problems, setProblems] = useState([]);
+  const inputRef = useRef(null);
+  const attachments = task.attachments || [];
+
+  const upload = async (files) => {
+    const refused = [];
+    const accepted = [];
+    for (const file of files) {
+      const type = typeOf(file);
+      if (!ACCEPTED_TYPES.includes(type)) {
+        refused.push(`${file.name}: files of this type cannot be attached`);
+      } else if (file.size > MAX_FILE_SIZE) {
+        refused.push(`${file.name}: larger than ${formatSize(MAX_FILE_SIZE)}`);
+      } else {
+        accepted.push(type === file.type ? file : new File([file], file.name, { type }));
+      }
+    }
+    setProblems(refused);
+
+    // One at a time, so each upload answers with the task including the last
+    for (const file of accepted) {
+      setUploading(count => count + 1);
+      await onUpload(task._id, file);
+      setUploading(count => count - 1);
+    }
+  };
+
+  const download = async (attachment) => {
+    try {
+      const url = URL.createObjectURL(await loadFile(task._id, attachment._id));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (err) {
+      setProblems([`${attachment.name}: the download failed`]);
+      console.error('Error downloading attachment:', err);
+    }
+  };
+
+  const remove = (attachment) => {
+    if (window.confirm(`Remove "${attachment.name}" from this task?`)) onDelete(task._id, attachment);
+  };
+
+  const dropHandlers = readOnly ? {} : {
+    onDragOver: (e) => {
+      if (!e.dataTransfer.types.includes('Files')) return;
+      e.preventDefault();
+      setIsDragging(true);
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setIsDragging(false);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      setIsDragging(false);
+      upload([...e.dataTransfer.files]);
+    }
+  };
+
+  return (
+    <section
+      className={`mb-6 -mx-2 p-2 rounded-xl border-2 border-dashed transition-colors ${
+        isDragging ? 'border-blue-400 bg-blue-50' : 'border-transparent'
+      }`}
+      {...dropHandlers}
+    >
+      <div className="flex items-center gap-2 mb-3">
+        <h3 className="flex-1 flex items-center gap-2 text-sm font-semibold text-gray-500 uppercase tracking-wide">
+          <Paperclip size={16} />
+          Attachments
+          {attachments.length > 0 && <span className="text-xs font-normal normal-case">({attachments.length})</span>}
+        </h3>
+        {uploading > 0 && <Loader2 size={14} className="text-blue-500 animate-spin" aria-label="Uploading" />}
+        {!readOnly && (
+          <>
+            <button
+              onClick={() => inputRef.current.click()}
+              className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-gray-500 hover:bg-gray-100"
+            >
+              <Upload size={12} />
+              Add files
+            </button>
+            <input
+              ref={inputRef}
+              type="file"
+              multiple
+              accept={ACCEPTED_TYPES.join(',')}
+              onChange={(e) => {
+                upload([...e.target.files]);
+                e.target.value = '';
+              }}
+              className="hidden"
+            />
+          </>
+        )}
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="mb-2 text-xs text-red-600 space-y-0.5">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      {attachments.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {readOnly ? 'No files.' : `Drop files here: images, PDFs, text or office documents up to ${formatSize(MAX_FILE_SIZE)}.`}
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {attachments.map(attachment => (
+            <li key={attachment._id} className="group/attachment flex items-center gap-3">
+              {attachment.contentType.startsWith('image/') ? (
+                <Thumbnail taskId={task._id} attachmentId={attachment._id} name={attachment.name} loadFile={loadFile} />
+              ) : (
+                <div className="w-12 h-12 rounded-lg bg-gray-100 text-gray-400 flex items-center justify-center">
+                  <FileText size={20} />
+                </div>
+              )}
+              <button onClick={() => download(attachment)} className="flex-1 min-w-0 text-left" title={`Download ${attachment.name}`}>
+                <p className="text-sm text-gray-700 truncate hover:text-blue-600">{attachment.name}</p>
+                <p className="text-xs text-gray-400">{formatSize(attachment.size)}</p>
+              </button>
+              <div className="flex gap-1 opacity-0 group-hover/attachment:opacity-100 focus-within:opacity-100 transition-opacity duration-200">
+                <button onClick={() => download(attachment)} className="p-1 text-gray-400 hover:text-blue-500" title="Download">
+                  <Download size={14} />
+                </button>
+                {!readOnly && (
+                  <button onClick={() => remove(attachment)} className="p-1 text-gray-400 hover:text-red-500" title="Remove">
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default TaskAttachments;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { X, History } from 'lucide-react';
+import TagChip from './TagChip';
+import CommentThread from './CommentThread';
+import TaskNotes from './TaskNotes';
+import TaskAttachments from './TaskAttachments';
+import { formatDueDate } from '../utils/dates';
+import { describeRecurrence } from '../utils/recurrence';
+import { priorityLabel } from '../utils/priority';
+import { FIELD_LABELS, formatDateTime, formatFieldValue } from '../utils/fields';
+
+const describeEntry = (entry, lists, members) => {
+  switch (entry.field) {
+    case 'created':
+      return <>Created as <q className="font-medium">{entry.newValue}</q></>;
+    case 'subtask.added':
+      return <>Added step <q className="font-medium">{entry.newValue}</q></>;
+    case 'subtask.removed':
+      return <>Removed step <q className="font-medium">{entry.oldValue}</q></>;
+    case 'subtask.completed':
+      return <>Completed step <q className="font-medium">{entry.newValue}</q></>;
+    case 'subtask.reopened':
+      return <>Reopened step <q className="font-medium">{entry.newValue}</q></>;
+    case 'subtask.text':
+      return <>Renamed step <q>{entry.oldValue}</q> to <q className="font-medium">{entry.newValue}</q></>;
+    case 'subtask.order':
+      return <>Reordered steps</>;
+    case 'attachment.added':
+      return <>Attached <q className="font-medium">{entry.newValue}</q></>;
+    case 'attachment.removed':
+      return <>Removed the file <q className="font-medium">{entry.oldValue}</q></>;
+    case 'notes':
+      if (!entry.oldValue) return <>Added notes</>;
+      return entry.newValue ? <>Edited the notes</> : <>Removed the notes</>;
+    case 'deleted':
+      return <>Moved to the trash</>;
+    case 'restored':
+      return <>Restored from the trash</>;
+    default:
+      return (
+        <>
+          {FIELD_LABELS[entry.field] || entry.field} changed from{' '}
+          <span className="font-medium">{formatFieldValue(entry.field, entry.oldValue, lists, members)}</span> to{' '}
+          <span className="font-medium">{formatFieldValue(entry.field, entry.newValue, lists, members)}</span>
+        </>
+      );
+  }
+};
+
+// Slide-over panel with a task's details, notes, files, comments and change
+// history. `attachments` and `comments` hold what TaskAttachments and
+// CommentThread need besides the task.
+function TaskDetailPanel({ task, lists, members, readOnly, attachments, comments, onSaveNotes, onClose, loadHistory }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Reload whenever the task changes so new edits show up in the timeline
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        setLoading(true);
+        const entries = await loadHistory(task._id);
+        if (!cancelled) {
+          setHistory(entries);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError('Failed to load history.');
+        console.error('Error loading history:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [task._id, task.updatedAt, loadHistory]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const listName = task.list ? lists.find(list => list._id === task.list)?.name : 'Inbox';
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      <div className="absolute inset-0 bg-black/20" onClick={onClose} />
+      <aside
+        className="relative w-full max-w-md h-full overflow-y-auto bg-white shadow-2xl p-6"
+        role="dialog"
+        aria-label="Task details"
+      >
+        <div className="flex items-start gap-3 mb-6">
+          <h2 className={`flex-1 text-xl font-bold break-words ${task.completed ? 'line-through text-gray-500' : 'text-gray-800'}`}>
+            {task.text}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg text-gray-400 hover:text-gray-600 hover:bg-gray-100"
+            title="Close"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <dl className="grid grid-cols-3 gap-y-2 text-sm mb-8">
+          <dt className="text-gray-500">Status</dt>
+          <dd className="col-span-2 text-gray-800">{task.completed ? 'Done' : 'Pending'}</dd>
+          <dt className="text-gray-500">Priority</dt>
+          <dd className="col-span-2 text-gray-800">{priorityLabel(task.priority || 'none')}</dd>
+          <dt className="text-gray-500">List</dt>
+          <dd className="col-span-2 text-gray-800">{listName}</dd>
+          {members && (
+            <>
+              <dt className="text-gray-500">Assignee</dt>
+              <dd className="col-span-2 text-gray-800">{formatFieldValue('assignee', task.assignee, lists, members)}</dd>
+            </>
+          )}
+          {task.dueDate && (
+            <>
+              <dt className="text-gray-500">Due</dt>
+              <dd className="col-span-2 text-gray-800">{formatDueDate(task)}</dd>
+            </>
+          )}
+          {task.recurrence && (
+            <>
+              <dt className="text-gray-500">Repeats</dt>
+              <dd className="col-span-2 text-gray-800">{describeRecurrence(task.recurrence)}</dd>
+            </>
+          )}
+          {task.tags?.length > 0 && (
+            <>
+              <dt className="text-gray-500">Tags</dt>
+              <dd className="col-span-2 flex flex-wrap gap-1">
+                {task.tags.map(tag => <TagChip key={tag} tag={tag} />)}
+              </dd>
+            </>
+          )}
+          <dt className="text-gray-500">Created</dt>
+          <dd className="col-span-2 text-gray-800">{formatDateTime(task.createdAt)}</dd>
+          {task.completed && task.completedAt && (
+            <>
+              <dt className="text-gray-500">Completed</dt>
+              <dd className="col-span-2 text-gray-800">{formatDateTime(task.completedAt)}</dd>
+            </>
+          )}
+        </dl>
+
+        <TaskNotes notes={task.notes || ''} readOnly={readOnly} onSave={onSaveNotes} />
+
+        <TaskAttachments task={task} readOnly={readOnly} {...attachments} />
+
+        <CommentThread taskId={task._id} commentCount={task.commentCount} members={members} readOnly={readOnly} {...comments} />
+
+        <h3 className="flex items-center gap-2 text-sm font-semibold text-gray-500 uppercase tracking-wide mb-4">
+          <History size={16} />
+          History
+        </h3>
+
+        {loading && history.length === 0 && <p className="text-sm text-gray-500">Loading history...</p>}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        {!loading && !error && history.length === 0 && (
+          <p className="text-sm text-gray-500">No changes recorded yet.</p>
+        )}
+
+        <ol className="relative border-l-2 border-gray-100 ml-2 space-y-4">
+          {[...history].reverse().map(entry => (
+            <li key={entry._id} className="ml-4">
+              <span className="absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full bg-blue-400 border-2 border-white" />
+              <p className="text-sm text-gray-700 break-words">{describeEntry(entry, lists, members)}</p>
+              <time className="text-xs text-gray-400">{formatDateTime(entry.changedAt)}</time>
+            </li>
+          ))}
+        </ol>
+      </aside>
+    </div>
+  );
+}
+
+export default TaskDetailPanel;
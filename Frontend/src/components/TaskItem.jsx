@@ -0,0 +1,469 @@
+import React, { useState, useRef } from 'react';
+import { Trash2, Check, Flag, Calendar, Bell, ListChecks, GripVertical, ArrowUp, ArrowDown, PanelRight, CloudOff, Repeat, User, MessageSquare, StickyNote, Paperclip } from 'lucide-react';
+import DueDatePicker from './DueDatePicker';
+import SubtaskList from './SubtaskList';
+import TagChip from './TagChip';
+import HighlightedText from './HighlightedText';
+import { EMPTY_DUE, toPickerValue, getDueStatus, formatDueDate } from '../utils/dates';
+import { describeRecurrence } from '../utils/recurrence';
+import { PRIORITY_CLASSES, PRIORITY_OPTIONS, isImportant, priorityLabel } from '../utils/priority';
+
+const DUE_BADGE_CLASSES = {
+  overdue: 'bg-red-100 text-red-600',
+  today: 'bg-orange-100 text-orange-600',
+  upcoming: 'bg-blue-100 text-blue-600'
+};
+
+// A single row of the task list, plus its expandable checklist and due date editor.
+// `reorder` is only passed while the list is in manual order:
+// { canMoveUp, canMoveDown, onMoveUp, onMoveDown, dragProps, dropIndicator }
+// onSelect(extendRange) is called with true when shift is held; `highlights`
+// are [start, end) ranges of the text to mark as search matches, and
+// notesMatch marks a search that matched the task's notes.
+// `members` of the workspace ([{ user, username }]) are only passed inside
+// one; readOnly rows, for its viewers, can be looked at but not changed.
+function TaskItem({
+  task,
+  index,
+  highlights,
+  notesMatch = false,
+  listName,
+  lists,
+  members,
+  readOnly = false,
+  reorder,
+  selected,
+  selecting,
+  onSelect,
+  onToggle,
+  onEditText,
+  onOpenDetails,
+  onSetPriority,
+  onDelete,
+  onMove,
+  onAssign,
+  onTagClick,
+  onSaveDue,
+  onAddSubtask,
+  onToggleSubtask,
+  onDeleteSubtask,
+  onReorderSubtasks
+}) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [isEditingDue, setIsEditingDue] = useState(false);
+  const [dueDraft, setDueDraft] = useState(EMPTY_DUE);
+  const [isEditingText, setIsEditingText] = useState(false);
+  const [textDraft, setTextDraft] = useState('');
+  // Escape unmounts the input, which can still fire a blur; this keeps that from saving
+  const cancelTextEdit = useRef(false);
+
+  const dueStatus = getDueStatus(task);
+  const progress = task.subtaskProgress || { done: 0, total: 0 };
+  const assignee = task.assignee && members?.find(member => member.user === task.assignee);
+
+  const toggleDueEditor = () => {
+    if (!isEditingDue) setDueDraft(toPickerValue(task));
+    setIsEditingDue(editing => !editing);
+  };
+
+  const startEditingText = () => {
+    cancelTextEdit.current = false;
+    setTextDraft(task.text);
+    setIsEditingText(true);
+  };
+
+  const saveText = () => {
+    const text = textDraft.trim();
+    setIsEditingText(false);
+    if (!cancelTextEdit.current && text && text !== task.text) {
+      onEditText(text);
+    }
+  };
+
+  const handleTextKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      saveText();
+    } else if (e.key === 'Escape') {
+      cancelTextEdit.current = true;
+      setIsEditingText(false);
+    }
+  };
+
+  const saveDue = async (due) => {
+    await onSaveDue(due);
+    setIsEditingDue(false);
+  };
+
+  // Arrow keys on the focused drag handle move the task without a mouse
+  const handleHandleKeyDown = (e) => {
+    if (e.key === 'ArrowUp' && reorder.canMoveUp) {
+      e.preventDefault();
+      reorder.onMoveUp();
+    } else if (e.key === 'ArrowDown' && reorder.canMoveDown) {
+      e.preventDefault();
+      reorder.onMoveDown();
+    }
+  };
+
+  return (
+    <div {...reorder?.dragProps}>
+      {reorder?.dropIndicator === 'before' && <div className="h-1 -mt-2 mb-1 rounded-full bg-blue-400" />}
+      <div
+        className={`group flex items-center gap-3 p-4 rounded-xl border transition-all duration-200 hover:shadow-md transform hover:scale-[1.02] ${
+          task.completed
+            ? 'bg-green-50 border-green-200'
+            : isImportant(task.priority)
+            ? 'bg-red-50 border-red-200'
+            : 'bg-white border-gray-200 hover:border-gray-300'
+        } ${selected ? 'ring-2 ring-blue-400' : ''}`}
+        style={{
+          animationDelay: `${index * 0.1}s`
+        }}
+      >
+        {/* Selection */}
+        {!readOnly && (
+          <input
+            type="checkbox"
+            checked={selected}
+            onChange={(e) => onSelect(e.nativeEvent.shiftKey)}
+            className={`w-4 h-4 accent-blue-500 cursor-pointer transition-opacity duration-200 ${
+              selecting ? 'opacity-100' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'
+            }`}
+            title="Select (shift-click to select a range)"
+            aria-label={`Select "${task.text}"`}
+          />
+        )}
+
+        {/* Drag Handle */}
+        {reorder && (
+          <button
+            onKeyDown={handleHandleKeyDown}
+            className="-ml-2 p-1 text-gray-300 hover:text-gray-500 cursor-grab active:cursor-grabbing rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            title="Drag to reorder (or focus and use the arrow keys)"
+            aria-label={`Reorder "${task.text}"`}
+          >
+            <GripVertical size={16} />
+          </button>
+        )}
+
+        {/* Checkbox */}
+        <button
+          onClick={onToggle}
+          disabled={readOnly}
+          className={`w-6 h-6 rounded-full border-2 flex items-center justify-center transition-all duration-200 hover:scale-110 ${
+            task.completed
+              ? 'bg-green-500 border-green-500 text-white'
+              : 'border-gray-300 hover:border-green-400'
+          }`}
+        >
+          {task.completed && <Check size={16} />}
+        </button>
+
+        {/* Task Text */}
+        <div className="flex-1 min-w-0">
+          {isEditingText ? (
+            <input
+              value={textDraft}
+              onChange={(e) => setTextDraft(e.target.value)}
+              onKeyDown={handleTextKeyDown}
+              onBlur={saveText}
+              className="w-full px-2 py-1 -my-1 rounded-lg border border-blue-300 focus:ring-2 focus:ring-blue-500 outline-none text-gray-800"
+              aria-label="Task text"
+              autoFocus
+            />
+          ) : (
+            <span
+              tabIndex={0}
+              onDoubleClick={readOnly ? undefined : startEditingText}
+              onKeyDown={(e) => !readOnly && e.key === 'Enter' && startEditingText()}
+              className={`${readOnly ? '' : 'cursor-text '}rounded focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all duration-200 ${
+                task.completed
+                  ? 'line-through text-gray-500'
+                  : 'text-gray-800'
+              }`}
+              title={readOnly ? undefined : 'Double-click or press Enter to edit'}
+            >
+              <HighlightedText text={task.text} ranges={highlights} />
+            </span>
+          )}
+          {task.tags?.length > 0 && (
+            <div className="mt-1 flex flex-wrap gap-1">
+              {task.tags.map(tag => (
+                <TagChip key={tag} tag={tag} onClick={() => onTagClick(tag)} />
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Badges */}
+        <div className="flex gap-2">
+          {task._id.startsWith('local-') && (
+            <span
+              className="px-2 py-1 bg-gray-100 text-gray-500 text-xs rounded-full font-medium flex items-center gap-1"
+              title="Created offline; it will be saved when the connection is back"
+            >
+              <CloudOff size={12} />
+              Not synced
+            </span>
+          )}
+          {listName && (
+            <span className="px-2 py-1 bg-purple-100 text-purple-600 text-xs rounded-full font-medium">
+              {listName}
+            </span>
+          )}
+          {progress.total > 0 && (
+            <button
+              onClick={() => setIsExpanded(expanded => !expanded)}
+              className={`px-2 py-1 text-xs rounded-full font-medium flex items-center gap-1 ${
+                progress.done === progress.total
+                  ? 'bg-green-100 text-green-600'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+              title={isExpanded ? 'Hide checklist' : 'Show checklist'}
+              aria-expanded={isExpanded}
+            >
+              <ListChecks size={12} />
+              {progress.done}/{progress.total}
+            </button>
+          )}
+          {task.notes && (
+            <button
+              onClick={onOpenDetails}
+              className={`px-2 py-1 text-xs rounded-full font-medium flex items-center ${
+                notesMatch ? 'bg-yellow-100 text-yellow-700' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+              title={notesMatch ? 'The notes match the search' : 'Has notes'}
+              aria-label={notesMatch ? 'Notes, matching the search' : 'Notes'}
+            >
+              <StickyNote size={12} />
+            </button>
+          )}
+          {task.attachments?.length > 0 && (
+            <button
+              onClick={onOpenDetails}
+              className="px-2 py-1 bg-gray-100 text-gray-600 hover:bg-gray-200 text-xs rounded-full font-medium flex items-center gap-1"
+              title={`${task.attachments.length} attached file${task.attachments.length === 1 ? '' : 's'}`}
+            >
+              <Paperclip size={12} />
+              {task.attachments.length}
+            </button>
+          )}
+          {task.commentCount > 0 && (
+            <button
+              onClick={onOpenDetails}
+              className="px-2 py-1 bg-gray-100 text-gray-600 hover:bg-gray-200 text-xs rounded-full font-medium flex items-center gap-1"
+              title={`${task.commentCount} comment${task.commentCount === 1 ? '' : 's'}`}
+            >
+              <MessageSquare size={12} />
+              {task.commentCount}
+            </button>
+          )}
+          {assignee && (
+            <span
+              className="px-2 py-1 bg-teal-100 text-teal-700 text-xs rounded-full font-medium flex items-center gap-1"
+              title="Assigned to"
+            >
+              <User size={12} />
+              {assignee.username}
+            </span>
+          )}
+          {PRIORITY_CLASSES[task.priority] && (
+            <span className={`px-2 py-1 text-xs rounded-full font-medium flex items-center gap-1 ${PRIORITY_CLASSES[task.priority]}`}>
+              <Flag size={12} />
+              {priorityLabel(task.priority)}
+            </span>
+          )}
+          {task.dueDate && (
+            <span
+              className={`px-2 py-1 text-xs rounded-full font-medium flex items-center gap-1 ${
+                DUE_BADGE_CLASSES[dueStatus] || 'bg-gray-100 text-gray-600'
+              }`}
+              title={dueStatus === 'overdue' ? 'Overdue' : 'Due date'}
+            >
+              {task.reminderAt ? <Bell size={12} /> : <Calendar size={12} />}
+              {formatDueDate(task)}
+            </span>
+          )}
+          {task.recurrence && (
+            <span
+              className="px-2 py-1 bg-indigo-100 text-indigo-600 text-xs rounded-full font-medium flex items-center gap-1"
+              title={`Repeats: ${describeRecurrence(task.recurrence)}`}
+            >
+              <Repeat size={12} />
+              {describeRecurrence(task.recurrence)}
+            </span>
+          )}
+          {task.completed && (
+            <span className="px-2 py-1 bg-green-100 text-green-600 text-xs rounded-full font-medium">
+              Done
+            </span>
+          )}
+        </div>
+
+        {/* Action Buttons */}
+        <div className="flex gap-2 opacity-0 group-hover:opacity-100 group-focus-within:opacity-100 transition-opacity duration-200">
+          {reorder && (
+            <>
+              <button
+                onClick={reorder.onMoveUp}
+                disabled={!reorder.canMoveUp}
+                className="p-2 rounded-lg text-gray-400 hover:text-blue-500 hover:bg-blue-50 transition-all duration-200 hover:scale-110 disabled:opacity-30 disabled:hover:scale-100"
+                title="Move up"
+              >
+                <ArrowUp size={16} />
+              </button>
+              <button
+                onClick={reorder.onMoveDown}
+                disabled={!reorder.canMoveDown}
+                className="p-2 rounded-lg text-gray-400 hover:text-blue-500 hover:bg-blue-50 transition-all duration-200 hover:scale-110 disabled:opacity-30 disabled:hover:scale-100"
+                title="Move down"
+              >
+                <ArrowDown size={16} />
+              </button>
+            </>
+          )}
+
+          {!readOnly && (
+            <>
+              <select
+                value={task.priority || 'none'}
+                onChange={(e) => onSetPriority(e.target.value)}
+                className="px-2 py-1 rounded-lg text-sm text-gray-500 bg-transparent hover:bg-gray-100 outline-none focus:ring-2 focus:ring-blue-500"
+                title="Priority"
+                aria-label="Priority"
+              >
+                {PRIORITY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+
+              {members && (
+                <select
+                  value={task.assignee || ''}
+                  onChange={(e) => onAssign(e.target.value || null)}
+                  className="px-2 py-1 rounded-lg text-sm text-gray-500 bg-transparent hover:bg-gray-100 outline-none focus:ring-2 focus:ring-blue-500"
+                  title="Assign to"
+                  aria-label="Assign to"
+                >
+                  <option value="">Unassigned</option>
+                  {members.map(member => (
+                    <option key={member.user} value={member.user}>{member.username}</option>
+                  ))}
+                </select>
+              )}
+
+              <button
+                onClick={toggleDueEditor}
+                className={`p-2 rounded-lg transition-all duration-200 hover:scale-110 ${
+                  isEditingDue
+                    ? 'text-blue-500 bg-blue-100'
+                    : 'text-gray-400 hover:text-blue-500 hover:bg-blue-50'
+                }`}
+                title="Set due date"
+              >
+                <Calendar size={16} />
+              </button>
+            </>
+          )}
+
+          <button
+            onClick={() => setIsExpanded(expanded => !expanded)}
+            className={`p-2 rounded-lg transition-all duration-200 hover:scale-110 ${
+              isExpanded
+                ? 'text-blue-500 bg-blue-100'
+                : 'text-gray-400 hover:text-blue-500 hover:bg-blue-50'
+            }`}
+            title={isExpanded ? 'Hide checklist' : 'Show checklist'}
+          >
+            <ListChecks size={16} />
+          </button>
+
+          <button
+            onClick={onOpenDetails}
+            className="p-2 rounded-lg text-gray-400 hover:text-blue-500 hover:bg-blue-50 transition-all duration-200 hover:scale-110"
+            title="Details and history"
+          >
+            <PanelRight size={16} />
+          </button>
+
+          {!readOnly && (
+            <>
+              <select
+                value={task.list || 'none'}
+                onChange={(e) => onMove(e.target.value)}
+                className="px-2 py-1 rounded-lg text-sm text-gray-500 bg-transparent hover:bg-gray-100 outline-none focus:ring-2 focus:ring-blue-500"
+                title="Move to list"
+                aria-label="Move to list"
+              >
+                <option value="none">Inbox</option>
+                {lists.map(list => (
+                  <option key={list._id} value={list._id}>{list.name}</option>
+                ))}
+              </select>
+
+              <button
+                onClick={onDelete}
+                className="p-2 rounded-lg text-gray-400 hover:text-red-500 hover:bg-red-50 transition-all duration-200 hover:scale-110"
+                title="Delete task"
+              >
+                <Trash2 size={16} />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+      {reorder?.dropIndicator === 'after' && <div className="h-1 mt-1 -mb-2 rounded-full bg-blue-400" />}
+
+      {/* Checklist Progress */}
+      {progress.total > 0 && (
+        <div className="mx-4 -mt-1 h-1 rounded-full bg-gray-100 overflow-hidden">
+          <div
+            className="h-full bg-green-500 transition-all duration-300"
+            style={{ width: `${(progress.done / progress.total) * 100}%` }}
+          />
+        </div>
+      )}
+
+      {/* Checklist */}
+      {isExpanded && (
+        <div className="mt-2 ml-9 p-3 rounded-xl border border-gray-100 bg-gray-50/50">
+          <SubtaskList
+            subtasks={task.subtasks || []}
+            readOnly={readOnly}
+            onAdd={onAddSubtask}
+            onToggle={onToggleSubtask}
+            onDelete={onDeleteSubtask}
+            onReorder={onReorderSubtasks}
+          />
+        </div>
+      )}
+
+      {/* Due Date Editor */}
+      {isEditingDue && (
+        <div className="mt-2 ml-9 p-3 rounded-xl border border-blue-100 bg-blue-50/50 flex flex-wrap items-center gap-2">
+          <DueDatePicker value={dueDraft} onChange={setDueDraft} />
+          <div className="flex gap-2 ml-auto">
+            {(task.dueDate || task.recurrence) && (
+              <button
+                onClick={() => saveDue(EMPTY_DUE)}
+                className="px-3 py-1 rounded-lg text-sm text-gray-600 hover:bg-gray-100"
+              >
+                Clear
+              </button>
+            )}
+            <button
+              onClick={() => saveDue(dueDraft)}
+              disabled={!dueDraft.date && !dueDraft.recurrence}
+              className="px-3 py-1 rounded-lg text-sm bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskItem;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { StickyNote, Pencil, Eye, Check, X } from 'lucide-react';
+import Markdown from './Markdown';
+import { toggleCheckbox } from '../utils/markdown';
+
+const MAX_NOTES_LENGTH = 20000;
+
+const tabClass = (active) => `flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium ${
+  active ? 'bg-blue-100 text-blue-700' : 'text-gray-500 hover:bg-gray-100'
+}`;
+
+// A task's Markdown notes in the detail panel, edited in place with a
+// preview. onSave(notes) stores them; checklist boxes in the rendered notes
+// save straight away.
+function TaskNotes({ notes, readOnly, onSave }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState('');
+  const [showPreview, setShowPreview] = useState(false);
+
+  const startEditing = () => {
+    setDraft(notes);
+    setShowPreview(false);
+    setIsEditing(true);
+  };
+
+  const save = () => {
+    if (draft.trimEnd() !== notes) onSave(draft.trimEnd());
+    setIsEditing(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      setIsEditing(false);
+    }
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) save();
+  };
+
+  return (
+    <section className="mb-8">
+      <div className="flex items-center gap-2 mb-3">
+        <h3 className="flex-1 flex items-center gap-2 text-sm font-semibold text-gray-500 uppercase tracking-wide">
+          <StickyNote size={16} />
+          Notes
+        </h3>
+        {isEditing ? (
+          <>
+            <button onClick={() => setShowPreview(false)} className={tabClass(!showPreview)}>
+              <Pencil size={12} />
+              Write
+            </button>
+            <button onClick={() => setShowPreview(true)} className={tabClass(showPreview)}>
+              <Eye size={12} />
+              Preview
+            </button>
+          </>
+        ) : (
+          !readOnly && notes && (
+            <button onClick={startEditing} className="p-1 text-gray-400 hover:text-blue-500" title="Edit notes">
+              <Pencil size={14} />
+            </button>
+          )
+        )}
+      </div>
+
+      {isEditing ? (
+        <div className="space-y-2">
+          {showPreview ? (
+            <div className="min-h-[8rem] p-3 rounded-lg border border-gray-200">
+              {draft.trim() ? <Markdown text={draft} /> : <p className="text-sm text-gray-400">Nothing to preview.</p>}
+            </div>
+          ) : (
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onKeyDown={handleKeyDown}
+              rows={8}
+              maxLength={MAX_NOTES_LENGTH}
+              placeholder={'Markdown works: **bold**, [links](https://example.com), `code`, lists and - [ ] checklists'}
+              className="w-full px-3 py-2 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700 font-mono resize-y"
+              aria-label="Notes"
+              autoFocus
+            />
+          )}
+          <div className="flex items-center justify-end gap-2">
+            <span className="flex-1 text-xs text-gray-400">Ctrl+Enter to save, Esc to cancel</span>
+            <button
+              onClick={() => setIsEditing(false)}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm text-gray-600 hover:bg-gray-100"
+            >
+              <X size={14} />
+              Cancel
+            </button>
+            <button
+              onClick={save}
+              className="flex items-center gap-1 px-3 py-1 rounded-lg text-sm text-white bg-blue-500 hover:bg-blue-600"
+            >
+              <Check size={14} />
+              Save
+            </button>
+          </div>
+        </div>
+      ) : notes ? (
+        <Markdown
+          text={notes}
+          onToggle={readOnly ? undefined : (line, checked) => onSave(toggleCheckbox(notes, line, checked))}
+        />
+      ) : readOnly ? (
+        <p className="text-sm text-gray-500">No notes.</p>
+      ) : (
+        <button onClick={startEditing} className="text-sm text-gray-500 hover:text-blue-600">
+          Add notes: links, code, checklists...
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default TaskNotes;
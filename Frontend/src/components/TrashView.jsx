@@ -0,0 +1,89 @@
+import React from 'react';
+import { RotateCcw, Trash2 } from 'lucide-react';
+
+const formatDate = (value) => new Date(value).toLocaleDateString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+// Tasks that were deleted but not yet purged. Each one shows when it will
+// be removed for good, which the server works out from its retention period.
+function TrashView({ tasks, lists, readOnly = false, onRestore, onPurge, onEmpty }) {
+  const handlePurge = (task) => {
+    if (window.confirm(`Delete "${task.text}" forever? This cannot be undone.`)) {
+      onPurge(task._id);
+    }
+  };
+
+  const handleEmpty = () => {
+    if (window.confirm(`Delete all ${tasks.length} task${tasks.length === 1 ? '' : 's'} in the trash forever?`)) {
+      onEmpty();
+    }
+  };
+
+  if (tasks.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        <div className="text-6xl mb-4">🗑️</div>
+        <p className="text-lg font-medium mb-2">The trash is empty</p>
+        <p className="text-sm text-gray-400">Deleted tasks stay here for a while before they are removed</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-4">
+        <p className="text-sm text-gray-500">
+          Deleted tasks can be restored until they are removed automatically.
+        </p>
+        {!readOnly && (
+          <button
+            onClick={handleEmpty}
+            className="px-3 py-1 rounded-lg text-sm text-red-600 hover:bg-red-50"
+          >
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {tasks.map(task => {
+          const listName = task.list && lists.find(list => list._id === task.list)?.name;
+          return (
+            <div key={task._id} className="flex items-center gap-3 p-4 rounded-xl border border-gray-200 bg-gray-50">
+              <div className="flex-1 min-w-0">
+                <p className="text-gray-600 truncate">{task.text}</p>
+                <p className="text-xs text-gray-400">
+                  {listName && `${listName} · `}
+                  Deleted {formatDate(task.deletedAt)} · removed {formatDate(task.purgeAt)}
+                </p>
+              </div>
+              {!readOnly && (
+                <>
+                  <button
+                    onClick={() => onRestore(task._id)}
+                    className="p-2 rounded-lg text-gray-400 hover:text-blue-500 hover:bg-blue-50 transition-all duration-200 hover:scale-110"
+                    title="Restore task"
+                  >
+                    <RotateCcw size={16} />
+                  </button>
+                  <button
+                    onClick={() => handlePurge(task)}
+                    className="p-2 rounded-lg text-gray-400 hover:text-red-500 hover:bg-red-50 transition-all duration-200 hover:scale-110"
+                    title="Delete forever"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default TrashView;
@@ -0,0 +1,110 @@
+import React from 'react';
+
+const WIDTH = 640;
+const HEIGHT = 200;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 36 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+
+// A round number at or above `max` for the top of the y axis
+const niceMax = (max) => {
+  if (max <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(max));
+  const step = [1, 2, 5, 10].find(factor => factor * magnitude >= max);
+  return step * magnitude;
+};
+
+// At most `count` evenly spaced indexes of `length` items, always the last
+const labelIndexes = (length, count) => {
+  const every = Math.max(1, Math.ceil(length / count));
+  return new Set(Array.from({ length }, (_, index) => index)
+    .filter(index => (length - 1 - index) % every === 0));
+};
+
+// Small SVG chart of one value per period. Bars are drawn side by side for
+// each period; lines join the points and skip periods without a value (null).
+//   points: [{ label, ...values }]
+//   series: [{ key, label, color }]
+function TrendChart({ points, series, type = 'bar', formatValue = String }) {
+  const max = niceMax(Math.max(0, ...points.flatMap(point => series.map(({ key }) => point[key] ?? 0))));
+  const slot = PLOT_WIDTH / Math.max(points.length, 1);
+  const y = (value) => PADDING.top + PLOT_HEIGHT - (value / max) * PLOT_HEIGHT;
+  const x = (index) => PADDING.left + slot * (index + 0.5);
+  const labels = labelIndexes(points.length, 8);
+
+  return (
+    <figure>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img">
+        {[0, 0.5, 1].map(fraction => (
+          <g key={fraction}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(max * fraction)}
+              y2={y(max * fraction)}
+              className="stroke-gray-200"
+            />
+            <text x={PADDING.left - 6} y={y(max * fraction) + 4} textAnchor="end" className="fill-gray-400 text-[10px]">
+              {formatValue(max * fraction)}
+            </text>
+          </g>
+        ))}
+
+        {type === 'bar' && points.map((point, index) => {
+          const barWidth = Math.max(1, (slot * 0.8) / series.length);
+          return series.map(({ key, label, color }, position) => (
+            <rect
+              key={`${point.label}:${key}`}
+              x={PADDING.left + slot * index + slot * 0.1 + barWidth * position}
+              y={y(point[key] || 0)}
+              width={barWidth}
+              height={PADDING.top + PLOT_HEIGHT - y(point[key] || 0)}
+              fill={color}
+              rx={1}
+            >
+              <title>{`${point.label}: ${formatValue(point[key] || 0)} ${label.toLowerCase()}`}</title>
+            </rect>
+          ));
+        })}
+
+        {type === 'line' && series.map(({ key, label, color }) => {
+          const segments = [];
+          points.forEach((point, index) => {
+            if (point[key] === null || point[key] === undefined) return;
+            const previous = points[index - 1]?.[key];
+            const command = previous === null || previous === undefined ? 'M' : 'L';
+            segments.push(`${command}${x(index)},${y(point[key])}`);
+          });
+          return (
+            <g key={key}>
+              <path d={segments.join(' ')} fill="none" stroke={color} strokeWidth={2} strokeLinejoin="round" />
+              {points.map((point, index) => point[key] !== null && point[key] !== undefined && (
+                <circle key={point.label} cx={x(index)} cy={y(point[key])} r={points.length > 60 ? 1.5 : 3} fill={color}>
+                  <title>{`${point.label}: ${formatValue(point[key])} ${label.toLowerCase()}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+
+        {points.map((point, index) => labels.has(index) && (
+          <text key={point.label} x={x(index)} y={HEIGHT - 8} textAnchor="middle" className="fill-gray-400 text-[10px]">
+            {point.label}
+          </text>
+        ))}
+      </svg>
+      {series.length > 1 && (
+        <figcaption className="mt-1 flex flex-wrap gap-4 text-xs text-gray-500">
+          {series.map(({ key, label, color }) => (
+            <span key={key} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: color }} />
+              {label}
+            </span>
+          ))}
+        </figcaption>
+      )}
+    </figure>
+  );
+}
+
+export default TrendChart;
@@ -0,0 +1,37 @@
+import React, { useEffect } from 'react';
+
+// How long the toast stays up before the action becomes final
+const UNDO_TIMEOUT = 6000;
+
+// Floating "<message> · Undo" notice that dismisses itself. Give it a key per
+// action so a new action restarts the timer.
+function UndoToast({ message, onUndo, onDismiss }) {
+  useEffect(() => {
+    const timeout = setTimeout(onDismiss, UNDO_TIMEOUT);
+    return () => clearTimeout(timeout);
+  }, [onDismiss]);
+
+  return (
+    <div
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-30 flex items-center gap-4 px-4 py-3 rounded-xl bg-gray-800 text-white shadow-2xl"
+      role="status"
+    >
+      <span className="text-sm max-w-xs truncate">{message}</span>
+      <button
+        onClick={onUndo}
+        className="text-sm font-semibold text-blue-300 hover:text-blue-200"
+      >
+        Undo
+      </button>
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-gray-200"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default UndoToast;
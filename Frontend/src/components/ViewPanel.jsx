@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { Bookmark, Pin, PinOff, Save, Pencil, Trash2, Check, X } from 'lucide-react';
+
+const itemClass = (active) => `flex-1 min-w-0 flex items-center gap-2 px-3 py-2 rounded-lg text-left transition-all duration-200 ${
+  active
+    ? 'bg-blue-500 text-white shadow-lg'
+    : 'text-gray-700 hover:bg-gray-100'
+}`;
+
+const inputClass = 'flex-1 min-w-0 px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// Sidebar section listing saved views, pinned ones first, each with the
+// number of tasks it matches. canSave is false where the current view cannot
+// be saved (the trash, or an invalid search).
+function ViewPanel({ views, activeViewId, canSave, onApply, onSave, onUpdate, onRename, onTogglePin, onDelete }) {
+  const [newViewName, setNewViewName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (newViewName.trim()) {
+      await onSave(newViewName.trim());
+      setNewViewName('');
+    }
+  };
+
+  const startRename = (view) => {
+    setRenamingId(view._id);
+    setRenameValue(view.name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (renameValue.trim()) {
+      await onRename(renamingId, renameValue.trim());
+    }
+    setRenamingId(null);
+  };
+
+  const handleDelete = (view) => {
+    if (window.confirm(`Delete the view "${view.name}"? Its tasks are not affected.`)) {
+      onDelete(view._id);
+    }
+  };
+
+  return (
+    <section className="bg-white/80 backdrop-blur-sm rounded-2xl p-4 shadow-xl border border-white/20">
+      <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">Saved views</h2>
+
+      <div className="space-y-1">
+        {views.map(view => (
+          renamingId === view._id ? (
+            <form key={view._id} onSubmit={handleRename} className="flex items-center gap-1 px-1">
+              <input
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && setRenamingId(null)}
+                className={inputClass}
+                aria-label="View name"
+                autoFocus
+              />
+              <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save">
+                <Check size={16} />
+              </button>
+              <button type="button" onClick={() => setRenamingId(null)} className="p-1 text-gray-400 hover:bg-gray-100 rounded" title="Cancel">
+                <X size={16} />
+              </button>
+            </form>
+          ) : (
+            <div key={view._id} className="group flex items-center gap-1">
+              <button onClick={() => onApply(view)} className={itemClass(activeViewId === view._id)}>
+                {view.pinned ? <Pin size={16} /> : <Bookmark size={16} />}
+                <span className="flex-1 truncate">{view.name}</span>
+                <span className={`text-xs ${activeViewId === view._id ? 'text-blue-100' : 'text-gray-400'}`}>
+                  {view.count}
+                </span>
+              </button>
+              <div className="hidden group-hover:flex group-focus-within:flex">
+                <button
+                  onClick={() => onTogglePin(view)}
+                  className="p-1 text-gray-400 hover:text-blue-500"
+                  title={view.pinned ? 'Unpin view' : 'Pin view above the task list'}
+                >
+                  {view.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                </button>
+                {canSave && activeViewId !== view._id && (
+                  <button
+                    onClick={() => onUpdate(view._id)}
+                    className="p-1 text-gray-400 hover:text-blue-500"
+                    title="Replace with the current filters"
+                  >
+                    <Save size={14} />
+                  </button>
+                )}
+                <button
+                  onClick={() => startRename(view)}
+                  className="p-1 text-gray-400 hover:text-blue-500"
+                  title="Rename view"
+                >
+                  <Pencil size={14} />
+                </button>
+                <button
+                  onClick={() => handleDelete(view)}
+                  className="p-1 text-gray-400 hover:text-red-500"
+                  title="Delete view"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          )
+        ))}
+        {views.length === 0 && (
+          <p className="px-3 py-1 text-sm text-gray-400">Save the current filters, search and sort to reopen them later.</p>
+        )}
+      </div>
+
+      {canSave && !activeViewId && (
+        <form onSubmit={handleSave} className="mt-3 flex items-center gap-1">
+          <input
+            value={newViewName}
+            onChange={(e) => setNewViewName(e.target.value)}
+            placeholder="Save current view as..."
+            maxLength={60}
+            className={inputClass}
+            aria-label="New view name"
+          />
+          <button
+            type="submit"
+            disabled={!newViewName.trim()}
+            className="p-1 text-blue-600 hover:bg-blue-50 rounded disabled:opacity-50"
+            title="Save view"
+          >
+            <Save size={16} />
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+export default ViewPanel;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+// Extra height rendered above and below the viewport, in pixels
+const OVERSCAN = 800;
+
+// Last index whose start is at or before `offset`
+const findIndex = (starts, offset) => {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (starts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return low;
+};
+
+// A long list that scrolls with the page but only renders the rows near the
+// viewport, with spacers standing in for the rest. Rows are measured once
+// rendered; until then they count as `estimatedHeight`. onEndReached() is
+// called whenever the last row is rendered, to load the next page.
+function VirtualList({ items, getKey, renderItem, estimatedHeight = 96, onEndReached }) {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map());
+  const rowRefs = useRef(new Map());
+  const refCallbacks = useRef(new Map());
+  const layout = useRef({ starts: [], total: 0 });
+  const [range, setRange] = useState({ start: 0, end: -1 });
+  const [, setMeasured] = useState(0);
+
+  const heightOf = (item) => heights.current.get(String(getKey(item))) ?? estimatedHeight;
+
+  const starts = [];
+  let total = 0;
+  for (const item of items) {
+    starts.push(total);
+    total += heightOf(item);
+  }
+  layout.current = { starts, total };
+
+  // Works out which rows overlap the viewport, plus the overscan
+  const updateRange = useCallback(() => {
+    const container = containerRef.current;
+    const { starts: rowStarts } = layout.current;
+    if (!container || rowStarts.length === 0) {
+      setRange(prev => prev.end === -1 ? prev : { start: 0, end: -1 });
+      return;
+    }
+
+    const top = -container.getBoundingClientRect().top;
+    const start = findIndex(rowStarts, Math.max(0, top - OVERSCAN));
+    const end = findIndex(rowStarts, Math.max(0, top + window.innerHeight + OVERSCAN));
+    setRange(prev => prev.start === start && prev.end === end ? prev : { start, end });
+  }, []);
+
+  useEffect(() => {
+    window.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', updateRange);
+    return () => {
+      window.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', updateRange);
+    };
+  }, [updateRange]);
+
+  // Row heights and the list itself change as rows render and items load
+  useLayoutEffect(updateRange);
+
+  const observer = useRef(null);
+  useEffect(() => {
+    const resizeObserver = new ResizeObserver(entries => {
+      let changed = false;
+      for (const entry of entries) {
+        const key = entry.target.dataset.key;
+        const height = entry.target.offsetHeight;
+        if (height > 0 && heights.current.get(key) !== height) {
+          heights.current.set(key, height);
+          changed = true;
+        }
+      }
+      if (changed) setMeasured(version => version + 1);
+    });
+    observer.current = resizeObserver;
+    rowRefs.current.forEach(element => resizeObserver.observe(element));
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  // One stable ref callback per row, so rows are not re-observed on every render
+  const trackRow = (key) => {
+    if (!refCallbacks.current.has(key)) {
+      refCallbacks.current.set(key, (element) => {
+        const previous = rowRefs.current.get(key);
+        if (previous) observer.current?.unobserve(previous);
+        if (element) {
+          rowRefs.current.set(key, element);
+          observer.current?.observe(element);
+        } else {
+          rowRefs.current.delete(key);
+        }
+      });
+    }
+    return refCallbacks.current.get(key);
+  };
+
+  const end = Math.min(range.end, items.length - 1);
+  const lastRendered = end >= 0 && end === items.length - 1;
+
+  useEffect(() => {
+    if (lastRendered) onEndReached?.();
+  }, [lastRendered, items.length, onEndReached]);
+
+  const visible = end >= range.start ? items.slice(range.start, end + 1) : [];
+  const before = visible.length > 0 ? starts[range.start] : 0;
+  const after = visible.length > 0 ? total - (starts[end] + heightOf(items[end])) : total;
+
+  return (
+    <div ref={containerRef}>
+      <div style={{ height: before }} />
+      {visible.map((item, offset) => {
+        const key = String(getKey(item));
+        return (
+          <div key={key} ref={trackRow(key)} data-key={key} className="pb-3">
+            {renderItem(item, range.start + offset)}
+          </div>
+        );
+      })}
+      <div style={{ height: after }} />
+    </div>
+  );
+}
+
+export default VirtualList;
@@ -0,0 +1,269 @@
+import React, { useState } from 'react';
+import { User, Users, Plus, Pencil, Trash2, Check, X, Link, Copy, LogOut } from 'lucide-react';
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer'
+};
+
+const itemClass = (active) => `w-full flex items-center gap-2 px-3 py-2 rounded-lg text-left transition-all duration-200 ${
+  active
+    ? 'bg-blue-500 text-white shadow-lg'
+    : 'text-gray-700 hover:bg-gray-100'
+}`;
+
+const inputClass = 'flex-1 min-w-0 px-2 py-1 rounded-lg border border-gray-200 focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm text-gray-700';
+
+// The link that joins a workspace; the app picks up ?invite= after sign-in
+const inviteLink = (token) => `${window.location.origin}${window.location.pathname}?invite=${encodeURIComponent(token)}`;
+
+// Sidebar section to switch between the user's own tasks and the workspaces
+// they share with others. For the open workspace it lists the members, and
+// lets owners change roles, remove members and hand out invitation links.
+// onInvite resolves to the new invitation, or null when it failed.
+function WorkspacePanel({
+  workspaces,
+  activeId,
+  userId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDelete,
+  onInvite,
+  onRevokeInvite,
+  onSetRole,
+  onRemoveMember
+}) {
+  const [newWorkspaceName, setNewWorkspaceName] = useState('');
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [renameValue, setRenameValue] = useState('');
+  const [inviteRole, setInviteRole] = useState('editor');
+  const [copiedToken, setCopiedToken] = useState(null);
+
+  const active = workspaces.find(workspace => workspace._id === activeId);
+  const isOwner = active?.role === 'owner';
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (newWorkspaceName.trim()) {
+      await onCreate(newWorkspaceName.trim());
+      setNewWorkspaceName('');
+    }
+  };
+
+  const startRename = () => {
+    setIsRenaming(true);
+    setRenameValue(active.name);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (renameValue.trim()) {
+      await onRename(active._id, renameValue.trim());
+    }
+    setIsRenaming(false);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the workspace "${active.name}" with all of its tasks and lists for every member? This cannot be undone.`)) {
+      onDelete(active._id);
+    }
+  };
+
+  const handleRemove = (member) => {
+    const question = member.user === userId
+      ? `Leave "${active.name}"? You will need a new invitation to come back.`
+      : `Remove ${member.username} from "${active.name}"? Their tasks stay, unassigned.`;
+    if (window.confirm(question)) {
+      onRemoveMember(active._id, member.user);
+    }
+  };
+
+  const handleInvite = async () => {
+    const invite = await onInvite(active._id, inviteRole);
+    if (invite) copyLink(invite.token);
+  };
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(inviteLink(token));
+      setCopiedToken(token);
+    } catch {
+      // No clipboard access; the link is shown to copy by hand
+      setCopiedToken(null);
+    }
+  };
+
+  return (
+    <section className="bg-white/80 backdrop-blur-sm rounded-2xl p-4 shadow-xl border border-white/20">
+      <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">Workspace</h2>
+
+      <div className="space-y-1">
+        <button onClick={() => onSwitch(null)} className={itemClass(!activeId)}>
+          <User size={16} />
+          <span className="flex-1">Personal</span>
+        </button>
+        {workspaces.map(workspace => (
+          <button
+            key={workspace._id}
+            onClick={() => onSwitch(workspace._id)}
+            className={itemClass(workspace._id === activeId)}
+          >
+            <Users size={16} />
+            <span className="flex-1 truncate">{workspace.name}</span>
+            <span className={`text-xs ${workspace._id === activeId ? 'text-blue-100' : 'text-gray-400'}`}>
+              {ROLE_LABELS[workspace.role]}
+            </span>
+          </button>
+        ))}
+      </div>
+
+      <form onSubmit={handleCreate} className="mt-3 flex items-center gap-1">
+        <input
+          value={newWorkspaceName}
+          onChange={(e) => setNewWorkspaceName(e.target.value)}
+          placeholder="New workspace..."
+          maxLength={60}
+          className={inputClass}
+          aria-label="New workspace name"
+        />
+        <button
+          type="submit"
+          disabled={!newWorkspaceName.trim()}
+          className="p-2 rounded-lg text-blue-600 hover:bg-blue-50 disabled:opacity-50"
+          title="Create workspace"
+        >
+          <Plus size={16} />
+        </button>
+      </form>
+
+      {active && (
+        <div className="mt-4 pt-3 border-t border-gray-100 space-y-3 text-sm">
+          {isRenaming ? (
+            <form onSubmit={handleRename} className="flex items-center gap-1">
+              <input
+                value={renameValue}
+                onChange={(e) => setRenameValue(e.target.value)}
+                onKeyDown={(e) => e.key === 'Escape' && setIsRenaming(false)}
+                maxLength={60}
+                className={inputClass}
+                aria-label="Workspace name"
+                autoFocus
+              />
+              <button type="submit" className="p-1 text-green-600 hover:bg-green-50 rounded" title="Save">
+                <Check size={16} />
+              </button>
+              <button type="button" onClick={() => setIsRenaming(false)} className="p-1 text-gray-400 hover:bg-gray-100 rounded" title="Cancel">
+                <X size={16} />
+              </button>
+            </form>
+          ) : (
+            <div className="flex items-center gap-1">
+              <span className="flex-1 font-medium text-gray-700">Members</span>
+              {isOwner && (
+                <>
+                  <button onClick={startRename} className="p-1 text-gray-400 hover:text-blue-500" title="Rename workspace">
+                    <Pencil size={14} />
+                  </button>
+                  <button onClick={handleDelete} className="p-1 text-gray-400 hover:text-red-500" title="Delete workspace">
+                    <Trash2 size={14} />
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          <ul className="space-y-1">
+            {active.members.map(member => (
+              <li key={member.user} className="flex items-center gap-2">
+                <span className="flex-1 truncate text-gray-700">
+                  {member.username}
+                  {member.user === userId && <span className="text-gray-400"> (you)</span>}
+                </span>
+                {isOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => onSetRole(active._id, member.user, e.target.value)}
+                    className="px-1 py-0.5 rounded border border-gray-200 text-xs text-gray-600"
+                    aria-label={`Role of ${member.username}`}
+                  >
+                    {ROLES.map(role => <option key={role} value={role}>{ROLE_LABELS[role]}</option>)}
+                  </select>
+                ) : (
+                  <span className="text-xs text-gray-400">{ROLE_LABELS[member.role]}</span>
+                )}
+                {(isOwner || member.user === userId) && (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                    title={member.user === userId ? 'Leave workspace' : 'Remove member'}
+                  >
+                    {member.user === userId ? <LogOut size={14} /> : <X size={14} />}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+
+          {isOwner && (
+            <div className="space-y-2">
+              <div className="flex items-center gap-1">
+                <select
+                  value={inviteRole}
+                  onChange={(e) => setInviteRole(e.target.value)}
+                  className={inputClass}
+                  aria-label="Role for new members"
+                >
+                  {ROLES.map(role => <option key={role} value={role}>Invite as {ROLE_LABELS[role].toLowerCase()}</option>)}
+                </select>
+                <button
+                  onClick={handleInvite}
+                  className="p-2 rounded-lg text-blue-600 hover:bg-blue-50"
+                  title="Create an invitation link and copy it"
+                >
+                  <Link size={16} />
+                </button>
+              </div>
+
+              {active.invites.map(invite => (
+                <div key={invite.token} className="p-2 rounded-lg bg-gray-50 border border-gray-100">
+                  <div className="flex items-center gap-1">
+                    <span className="flex-1 text-xs text-gray-500">
+                      {ROLE_LABELS[invite.role]} link, expires {new Date(invite.expiresAt).toLocaleDateString()}
+                    </span>
+                    <button
+                      onClick={() => copyLink(invite.token)}
+                      className="p-1 text-gray-400 hover:text-blue-500"
+                      title="Copy link"
+                    >
+                      {copiedToken === invite.token ? <Check size={14} /> : <Copy size={14} />}
+                    </button>
+                    <button
+                      onClick={() => onRevokeInvite(active._id, invite.token)}
+                      className="p-1 text-gray-400 hover:text-red-500"
+                      title="Revoke link"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                  <input
+                    readOnly
+                    value={inviteLink(invite.token)}
+                    onFocus={(e) => e.target.select()}
+                    className="mt-1 w-full px-2 py-1 rounded border border-gray-200 bg-white text-xs text-gray-500"
+                    aria-label="Invitation link"
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default WorkspacePanel;
@@ -0,0 +1,44 @@
+import { useCallback } from 'react';
+import { errorMessage } from '../api';
+
+// Files attached to tasks. Uploads and removals respond with the updated
+// task and need a connection, so nothing is queued offline; they resolve to
+// whether they went through. Handlers: onTaskChanged(taskId, change) applies
+// change(task) to the task's row, and onError(message) shows a change that
+// failed.
+function useAttachments(authFetch, { onTaskChanged, onError }) {
+  const loadAttachment = useCallback(async (taskId, attachmentId) => {
+    const response = await authFetch(`/tasks/${taskId}/attachments/${attachmentId}`);
+    if (!response.ok) throw new Error('Failed to download file');
+    return response.blob();
+  }, [authFetch]);
+
+  const changeAttachment = async (taskId, path, options, failure) => {
+    try {
+      const response = await authFetch(`/tasks/${taskId}/attachments${path}`, options);
+      const data = await response.json();
+      if (!response.ok) throw new Error(errorMessage(data, 'Please try again.'));
+
+      onTaskChanged(taskId, () => data);
+      return true;
+    } catch (err) {
+      onError(`${failure} ${err.message}`);
+      console.error('Error changing attachments:', err);
+      return false;
+    }
+  };
+
+  // The browser sets the multipart Content-Type, boundary included
+  const uploadAttachment = (taskId, file) => {
+    const form = new FormData();
+    form.append('file', file);
+    return changeAttachment(taskId, '', { method: 'POST', body: form }, `Failed to attach ${file.name}.`);
+  };
+
+  const deleteAttachment = (taskId, attachment) =>
+    changeAttachment(taskId, `/${attachment._id}`, { method: 'DELETE' }, `Failed to remove ${attachment.name}.`);
+
+  return { loadAttachment, uploadAttachment, deleteAttachment };
+}
+
+export default useAttachments;
@@ -0,0 +1,92 @@
+import { useState, useEffect, useRef } from 'react';
+import { errorMessage } from '../api';
+
+// Multi-select in the task list and the bulk actions run on it. The
+// selection is either checked task ids or every task matching `viewQuery`,
+// and only makes sense within the view it was made in. Handlers:
+// onApplied() after a bulk action, and onError(message) when it failed in
+// whole or in part.
+function useBulkSelection(authFetch, tasks, viewQuery, { onApplied, onError }) {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const lastSelectedId = useRef(null);
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setSelectAllMatching(false);
+    lastSelectedId.current = null;
+  };
+
+  useEffect(() => {
+    setSelectedIds([]);
+    setSelectAllMatching(false);
+    lastSelectedId.current = null;
+  }, [viewQuery]);
+
+  // Shift-click selects every task between the last clicked one and this one
+  const selectTask = (id, extendRange) => {
+    setSelectAllMatching(false);
+    const anchorIndex = tasks.findIndex(task => task._id === lastSelectedId.current);
+    const index = tasks.findIndex(task => task._id === id);
+    lastSelectedId.current = id;
+
+    if (extendRange && anchorIndex !== -1 && anchorIndex !== index) {
+      const range = tasks
+        .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        .map(task => task._id);
+      setSelectedIds(prev => [...new Set([...prev, ...range])]);
+      return;
+    }
+
+    setSelectedIds(prev => prev.includes(id)
+      ? prev.filter(selected => selected !== id)
+      : [...prev, id]);
+  };
+
+  const selectAll = () => setSelectedIds(tasks.map(task => task._id));
+
+  const selectEveryMatching = () => setSelectAllMatching(true);
+
+  // Takes a task that went away out of the selection
+  const deselect = (id) => setSelectedIds(prev => prev.filter(selected => selected !== id));
+
+  // Applies a bulk action to the selection; `extra` carries e.g. the target list
+  const runBulkAction = async (action, extra = {}) => {
+    try {
+      const target = selectAllMatching ? { query: viewQuery } : { ids: selectedIds };
+      const response = await authFetch('/tasks/bulk', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ action, ...target, ...extra }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(errorMessage(data, 'Failed to update tasks'));
+
+      const failed = data.results.filter(result => !result.ok).length;
+      if (failed > 0) {
+        onError(`${failed} of ${data.results.length} tasks could not be updated.`);
+      }
+      clearSelection();
+      onApplied();
+    } catch (err) {
+      onError(`Failed to update tasks. ${err.message}`);
+      console.error('Error running bulk action:', err);
+    }
+  };
+
+  return {
+    selectedIds,
+    selectAllMatching,
+    selectTask,
+    selectAll,
+    selectEveryMatching,
+    deselect,
+    clearSelection,
+    runBulkAction
+  };
+}
+
+export default useBulkSelection;
@@ -0,0 +1,61 @@
+import { useState, useCallback } from 'react';
+import { errorMessage } from '../api';
+
+// Comments on tasks. Changes need a connection, so nothing is queued
+// offline; they resolve to whether they went through. Handlers:
+// onTaskChanged(taskId, change) applies change(task) to the task's row,
+// whose comment count follows the thread, and onError(message) shows a
+// change that failed. `revision` is bumped by reloadComments() when the
+// open thread changed elsewhere.
+function useComments(authFetch, { onTaskChanged, onError }) {
+  const [revision, setRevision] = useState(0);
+
+  const reloadComments = () => setRevision(current => current + 1);
+
+  const loadComments = useCallback(async (taskId) => {
+    const response = await authFetch(`/tasks/${taskId}/comments`);
+    if (!response.ok) throw new Error('Failed to fetch comments');
+    return response.json();
+  }, [authFetch]);
+
+  // Sends a change to a task's comments; resolves to the response, or null
+  // after showing `failure` with the reason
+  const changeComment = async (taskId, path, method, body, failure) => {
+    try {
+      const response = await authFetch(`/tasks/${taskId}/comments${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(errorMessage(data, 'Please try again.'));
+      return data;
+    } catch (err) {
+      onError(`${failure} ${err.message}`);
+      console.error('Error changing comment:', err);
+      return null;
+    }
+  };
+
+  const addComment = async (taskId, text, parent) => {
+    const data = await changeComment(taskId, '', 'POST', { text, parent }, 'Failed to add comment.');
+    if (data) onTaskChanged(taskId, task => ({ ...task, commentCount: (task.commentCount || 0) + 1 }));
+    return Boolean(data);
+  };
+
+  const editComment = async (taskId, commentId, text) =>
+    Boolean(await changeComment(taskId, `/${commentId}`, 'PUT', { text }, 'Failed to edit comment.'));
+
+  const deleteComment = async (taskId, commentId) => {
+    const data = await changeComment(taskId, `/${commentId}`, 'DELETE', undefined, 'Failed to delete comment.');
+    if (data) onTaskChanged(taskId, () => data.task);
+    return Boolean(data);
+  };
+
+  return { revision, reloadComments, loadComments, addComment, editComment, deleteComment };
+}
+
+export default useComments;
@@ -0,0 +1,48 @@
+import { errorMessage } from '../api';
+import { downloadBlob } from '../utils/transfer';
+
+// Exporting the tasks of the view given by `viewQuery`, and importing tasks
+// from a file. Handlers: onImported() after a real (not dry run) import,
+// and onError(message) when an export failed.
+function useImportExport(authFetch, viewQuery, { onImported, onError }) {
+  // Downloads the tasks in the current view
+  const exportTasks = async (format) => {
+    try {
+      const params = new URLSearchParams({ ...viewQuery, format });
+      const response = await authFetch(`/tasks/export?${params}`);
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(errorMessage(data, 'Failed to export tasks'));
+      }
+
+      const fileName = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition'))?.[1];
+      downloadBlob(await response.blob(), fileName || `tasks.${format}`);
+    } catch (err) {
+      onError(`Failed to export tasks. ${err.message}`);
+      console.error('Error exporting tasks:', err);
+    }
+  };
+
+  // Used by the import dialog for both the dry run and the real import;
+  // failures are thrown for the dialog to show
+  const importTasks = async ({ format, content, list, dryRun }) => {
+    const response = await authFetch('/tasks/import', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ format, content, list, dryRun, tzOffset: new Date().getTimezoneOffset() }),
+    });
+
+    if (response.status === 413) throw new Error('That file is too large to import.');
+    const data = await response.json();
+    if (!response.ok) throw new Error(errorMessage(data, 'Failed to import tasks'));
+
+    if (!dryRun) onImported();
+    return data;
+  };
+
+  return { exportTasks, importTasks };
+}
+
+export default useImportExport;
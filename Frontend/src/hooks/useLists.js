@@ -0,0 +1,95 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { errorMessage } from '../api';
+
+// The lists of the user, or of the open workspace, loaded once signed in.
+// Handlers: onLoaded(lists) after each load, onCreated(list),
+// onDeleted(id) and onError(message) for a change that failed.
+function useLists(authFetch, fetchCached, userKey, handlers) {
+  const [lists, setLists] = useState([]);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  const fetchLists = useCallback(async () => {
+    try {
+      const data = await fetchCached('/lists');
+      setLists(data);
+      handlersRef.current.onLoaded(data);
+    } catch (err) {
+      console.error('Error fetching lists:', err);
+    }
+  }, [fetchCached]);
+
+  useEffect(() => {
+    if (!userKey) {
+      setLists([]);
+      return;
+    }
+    fetchLists();
+  }, [userKey, fetchLists]);
+
+  const createList = async (name) => {
+    try {
+      const response = await authFetch('/lists', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(errorMessage(data, 'Failed to create list'));
+
+      setLists(prev => [...prev, data]);
+      handlers.onCreated(data);
+    } catch (err) {
+      handlers.onError(`Failed to create list. ${err.message}`);
+      console.error('Error creating list:', err);
+    }
+  };
+
+  const renameList = async (id, name) => {
+    try {
+      const response = await authFetch(`/lists/${id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(errorMessage(data, 'Failed to rename list'));
+
+      setLists(prev => prev.map(list => list._id === id ? { ...list, name: data.name } : list));
+    } catch (err) {
+      handlers.onError(`Failed to rename list. ${err.message}`);
+      console.error('Error renaming list:', err);
+    }
+  };
+
+  // options: { tasks: 'move', moveTo } or { tasks: 'delete' }
+  const deleteList = async (id, options) => {
+    try {
+      const params = new URLSearchParams(options);
+      const response = await authFetch(`/lists/${id}?${params}`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) throw new Error('Failed to delete list');
+
+      setLists(prev => prev.filter(list => list._id !== id));
+      handlers.onDeleted(id);
+    } catch (err) {
+      handlers.onError('Failed to delete list. Please try again.');
+      console.error('Error deleting list:', err);
+    }
+  };
+
+  return { lists, fetchLists, createList, renameList, deleteList };
+}
+
+export default useLists;
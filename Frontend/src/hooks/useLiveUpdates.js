@@ -0,0 +1,80 @@
+import { useState, useEffect, useRef } from 'react';
+import { API_BASE_URL, CLIENT_ID } from '../api';
+
+const EVENT_TYPES = [
+  'task.created',
+  'task.updated',
+  'task.deleted',
+  'tasks.changed',
+  'lists.changed',
+  'views.changed',
+  'trash.changed',
+  'stats.changed',
+  'workspaces.changed',
+  'comments.changed',
+  'notifications.changed'
+];
+
+const MAX_RECONNECT_DELAY = 30 * 1000;
+
+// Keeps the server's live update stream open while signed in. onEvent(type, data)
+// receives events caused by other tabs or devices; onResync() runs after a
+// dropped connection comes back, since events may have been missed meanwhile.
+// Returns 'connecting', 'live' or 'reconnecting'.
+function useLiveUpdates(token, { onEvent, onResync }) {
+  const [status, setStatus] = useState('connecting');
+  const handlers = useRef({ onEvent, onResync });
+
+  useEffect(() => {
+    handlers.current = { onEvent, onResync };
+  });
+
+  useEffect(() => {
+    if (!token) return;
+
+    let source;
+    let retryTimer;
+    let attempts = 0;
+    let connectedBefore = false;
+    let closed = false;
+
+    const connect = () => {
+      setStatus(connectedBefore ? 'reconnecting' : 'connecting');
+      source = new EventSource(`${API_BASE_URL}/events?token=${encodeURIComponent(token)}`);
+
+      source.onopen = () => {
+        setStatus('live');
+        if (connectedBefore) handlers.current.onResync();
+        connectedBefore = true;
+        attempts = 0;
+      };
+
+      // Reconnect ourselves instead of leaving it to the browser, so retries
+      // back off and a stream the server refused is retried too
+      source.onerror = () => {
+        source.close();
+        if (closed) return;
+        setStatus(connectedBefore ? 'reconnecting' : 'connecting');
+        retryTimer = setTimeout(connect, Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY));
+        attempts += 1;
+      };
+
+      EVENT_TYPES.forEach(type => source.addEventListener(type, (e) => {
+        const data = JSON.parse(e.data);
+        if (data.origin === CLIENT_ID) return;
+        handlers.current.onEvent(type, data);
+      }));
+    };
+
+    connect();
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      source.close();
+    };
+  }, [token]);
+
+  return status;
+}
+
+export default useLiveUpdates;
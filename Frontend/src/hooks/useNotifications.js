@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const NO_NOTIFICATIONS = { notifications: [], unread: 0 };
+
+// The signed-in user's notifications, whichever workspace is open, as
+// { notifications, unread }. They load on sign-in and are dropped on
+// sign-out.
+function useNotifications(authFetch, userKey) {
+  const [notifications, setNotifications] = useState(NO_NOTIFICATIONS);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await authFetch('/notifications');
+      if (!response.ok) throw new Error('Failed to fetch notifications');
+      setNotifications(await response.json());
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  }, [authFetch]);
+
+  useEffect(() => {
+    if (!userKey) {
+      setNotifications(NO_NOTIFICATIONS);
+      return;
+    }
+    fetchNotifications();
+  }, [userKey, fetchNotifications]);
+
+  // Marks the given notifications read, or all of them without ids
+  const markNotificationsRead = async (ids) => {
+    try {
+      const response = await authFetch('/notifications/read', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(ids ? { ids } : {}),
+      });
+
+      if (!response.ok) throw new Error('Failed to mark notifications read');
+      const { unread } = await response.json();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => ({
+        unread,
+        notifications: prev.notifications.map(notification =>
+          !ids || ids.includes(notification._id) ? { ...notification, readAt: notification.readAt || readAt } : notification
+        )
+      }));
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  return { notifications, fetchNotifications, markNotificationsRead };
+}
+
+export default useNotifications;
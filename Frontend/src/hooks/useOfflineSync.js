@@ -0,0 +1,199 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  readSnapshot,
+  writeSnapshot,
+  getOutbox,
+  addToOutbox,
+  updateOutboxEntry,
+  removeFromOutbox
+} from '../offlineStore';
+import { errorMessage, WORKSPACE_HEADER } from '../api';
+
+// How often queued changes are retried while the API is unreachable
+const RETRY_INTERVAL = 15 * 1000;
+
+// Gateway errors and 503s mean the API or its database is down, not that the
+// request itself was wrong
+const isUnavailable = (response) => [502, 503, 504].includes(response.status);
+
+// `workspace` is the one the change was made in; null for the user's own
+// tasks, whichever workspace is open when it is replayed
+const jsonRequest = (method, body, workspace) => ({
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    [WORKSPACE_HEADER]: workspace,
+  },
+  body: body && JSON.stringify(body),
+});
+
+// Offline support for the task list of the user, or of `workspace`.
+// - fetchCached(path) GETs and caches the response, falling back to the
+//   cached copy while the API is unreachable
+// - sendMutation({ method, path, body, taskId }) sends a task change, or
+//   queues it and resolves to { queued: true } when the API is unreachable or
+//   earlier changes are still waiting; otherwise it resolves to { response }
+// Queued changes are replayed in order once the API answers again. Handlers:
+// onConflict(entry, serverTask) for stale writes, onRejected(entry, message),
+// onIdAssigned(tempId, task) when a task created offline reaches the server,
+// and onSynced() after a replay.
+function useOfflineSync(authFetch, userKey, workspace, handlers) {
+  const [isOnline, setIsOnline] = useState(true);
+  const [pendingCount, setPendingCount] = useState(0);
+  const flushing = useRef(false);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  // Each workspace has its own cached copies
+  const cacheKey = workspace ? `${userKey}@${workspace}` : userKey;
+
+  const refreshPendingCount = useCallback(async () => {
+    setPendingCount((await getOutbox()).length);
+  }, []);
+
+  const cacheSnapshot = useCallback((path, data) => {
+    writeSnapshot(`${cacheKey}:${path}`, data).catch(err => console.error('Error caching data:', err));
+  }, [cacheKey]);
+
+  const fetchCached = useCallback(async (path) => {
+    let response = null;
+    try {
+      response = await authFetch(path);
+    } catch {
+      // Unreachable; fall back to the cache below
+    }
+
+    if (response && !isUnavailable(response)) {
+      setIsOnline(true);
+      if (!response.ok) throw new Error(`Request for ${path} failed`);
+      const data = await response.json();
+      cacheSnapshot(path, data);
+      return data;
+    }
+
+    setIsOnline(false);
+    const cached = await readSnapshot(`${cacheKey}:${path}`);
+    if (cached === undefined) throw new Error(`Offline with nothing cached for ${path}`);
+    return cached;
+  }, [authFetch, cacheKey, cacheSnapshot]);
+
+  const flush = useCallback(async () => {
+    if (flushing.current) return;
+    flushing.current = true;
+    let synced = false;
+
+    try {
+      const queue = await getOutbox();
+      const dropped = new Set();
+
+      for (const [index, entry] of queue.entries()) {
+        if (dropped.has(entry.id)) continue;
+
+        let response = null;
+        try {
+          response = await authFetch(entry.path, jsonRequest(entry.method, entry.body, entry.workspace ?? null));
+        } catch {
+          // Still unreachable; keep the rest for the next attempt
+        }
+        if (!response || isUnavailable(response)) {
+          setIsOnline(false);
+          return;
+        }
+        // Signed out; the queue is cleared along with the session
+        if (response.status === 401) return;
+        setIsOnline(true);
+
+        const data = await response.json().catch(() => null);
+        await removeFromOutbox(entry.id);
+        const later = queue.slice(index + 1).filter(other => other.taskId === entry.taskId);
+
+        if (response.status === 409) {
+          // Later edits of the task were based on the rejected one, so they
+          // join the same conflict instead of failing one by one
+          const changes = { ...entry.body };
+          for (const other of later) {
+            Object.assign(changes, other.body);
+            dropped.add(other.id);
+            await removeFromOutbox(other.id);
+          }
+          delete changes.expectedUpdatedAt;
+          handlersRef.current.onConflict({ ...entry, body: changes }, data.task);
+          continue;
+        }
+        if (!response.ok) {
+          handlersRef.current.onRejected(entry, errorMessage(data));
+          continue;
+        }
+
+        synced = true;
+        // DELETE responds with { message, task }
+        const task = data.task || data;
+        // Changes queued after this one were made on top of it, so they now
+        // target its real id and the version the server just wrote
+        for (const other of later) {
+          other.path = other.path.replace(entry.taskId, task._id);
+          other.taskId = task._id;
+          if (other.body?.expectedUpdatedAt !== undefined) {
+            other.body.expectedUpdatedAt = task.updatedAt;
+          }
+          await updateOutboxEntry(other);
+        }
+        if (task._id !== entry.taskId) {
+          handlersRef.current.onIdAssigned(entry.taskId, task);
+        }
+      }
+    } catch (err) {
+      console.error('Error replaying queued changes:', err);
+    } finally {
+      flushing.current = false;
+      refreshPendingCount();
+      if (synced) handlersRef.current.onSynced();
+    }
+  }, [authFetch, refreshPendingCount]);
+
+  const sendMutation = useCallback(async ({ method, path, body, taskId }) => {
+    const queue = await getOutbox();
+
+    // Anything sent while older changes wait would overtake them
+    if (queue.length === 0) {
+      try {
+        const response = await authFetch(path, jsonRequest(method, body, workspace));
+        if (!isUnavailable(response)) {
+          setIsOnline(true);
+          return { response };
+        }
+      } catch {
+        // Unreachable; queue it below
+      }
+      setIsOnline(false);
+    }
+
+    await addToOutbox({ method, path, body, taskId, workspace, queuedAt: Date.now() });
+    refreshPendingCount();
+    if (queue.length > 0) flush();
+    return { queued: true };
+  }, [authFetch, workspace, refreshPendingCount, flush]);
+
+  // Replay whatever an earlier session left behind, and again whenever the
+  // browser reports the network is back
+  useEffect(() => {
+    if (!userKey) return;
+    refreshPendingCount();
+    flush();
+    window.addEventListener('online', flush);
+    return () => window.removeEventListener('online', flush);
+  }, [userKey, refreshPendingCount, flush]);
+
+  useEffect(() => {
+    if (pendingCount === 0) return;
+    const interval = setInterval(flush, RETRY_INTERVAL);
+    return () => clearInterval(interval);
+  }, [pendingCount, flush]);
+
+  return { isOnline, pendingCount, fetchCached, cacheSnapshot, sendMutation, flush };
+}
+
+export default useOfflineSync;
@@ -0,0 +1,85 @@
+import { useState, useEffect, useCallback } from 'react';
+import { errorMessage } from '../api';
+import { fromSavedView, toSavedView, sameView } from '../utils/viewParams';
+
+// The user's saved views with their live counts, loaded once signed in.
+// `currentView` is what is on screen: new views save it, and activeView is
+// the saved view matching it, if any. onError(message) shows a change that
+// failed.
+function useSavedViews(authFetch, fetchCached, userKey, currentView, { onError }) {
+  const [views, setViews] = useState([]);
+
+  const activeView = views.find(view => sameView(fromSavedView(view), currentView));
+
+  const fetchViews = useCallback(async () => {
+    try {
+      setViews(await fetchCached(`/views?tzOffset=${new Date().getTimezoneOffset()}`));
+    } catch (err) {
+      console.error('Error fetching views:', err);
+    }
+  }, [fetchCached]);
+
+  useEffect(() => {
+    if (!userKey) {
+      setViews([]);
+      return;
+    }
+    fetchViews();
+  }, [userKey, fetchViews]);
+
+  // Sends a saved view change; the server answers with the view and its count
+  const saveView = async (path, method, fields) => {
+    const response = await authFetch(path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ...fields, tzOffset: new Date().getTimezoneOffset() }),
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(errorMessage(data, 'Failed to save view'));
+    return data;
+  };
+
+  const createView = async (name) => {
+    try {
+      const data = await saveView('/views', 'POST', { name, ...toSavedView(currentView) });
+      setViews(prev => [...prev, data]);
+    } catch (err) {
+      onError(`Failed to save view. ${err.message}`);
+      console.error('Error creating view:', err);
+    }
+  };
+
+  // fields: any of name, pinned, or the view's filters
+  const updateView = async (id, fields) => {
+    try {
+      const data = await saveView(`/views/${id}`, 'PUT', fields);
+      setViews(prev => prev.map(view => view._id === id ? data : view));
+      if ('pinned' in fields) fetchViews();
+    } catch (err) {
+      onError(`Failed to update view. ${err.message}`);
+      console.error('Error updating view:', err);
+    }
+  };
+
+  const deleteView = async (id) => {
+    try {
+      const response = await authFetch(`/views/${id}`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) throw new Error('Failed to delete view');
+
+      setViews(prev => prev.filter(view => view._id !== id));
+    } catch (err) {
+      onError('Failed to delete view. Please try again.');
+      console.error('Error deleting view:', err);
+    }
+  };
+
+  return { views, activeView, fetchViews, createView, updateView, deleteView };
+}
+
+export default useSavedViews;
@@ -0,0 +1,39 @@
+// Task checklists. The subtask routes all respond with the full updated
+// task and need a connection, so nothing is queued offline. Handlers:
+// onTaskChanged(taskId, change) applies change(task) to the task's row, and
+// onError(message) shows a change that failed.
+function useSubtasks(authFetch, { onTaskChanged, onError }) {
+  const requestSubtask = async (taskId, path, method, body) => {
+    try {
+      const response = await authFetch(`/tasks/${taskId}/subtasks${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      if (!response.ok) throw new Error('Failed to update checklist');
+
+      const updatedTask = await response.json();
+      onTaskChanged(taskId, () => updatedTask);
+      return updatedTask;
+    } catch (err) {
+      onError('Failed to update checklist. Please try again.');
+      console.error('Error updating subtasks:', err);
+    }
+  };
+
+  const addSubtask = (taskId, text) => requestSubtask(taskId, '', 'POST', { text });
+
+  const toggleSubtask = (taskId, subtask) =>
+    requestSubtask(taskId, `/${subtask._id}`, 'PUT', { completed: !subtask.completed });
+
+  const deleteSubtask = (taskId, subtask) => requestSubtask(taskId, `/${subtask._id}`, 'DELETE');
+
+  const reorderSubtasks = (taskId, order) => requestSubtask(taskId, '/reorder', 'PATCH', { order });
+
+  return { addSubtask, toggleSubtask, deleteSubtask, reorderSubtasks };
+}
+
+export default useSubtasks;
@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import { errorMessage } from '../api';
+
+// The tags in use with their counts, loaded once signed in. Renaming or
+// deleting one changes the tasks that have it. Handlers: onRenamed(tag,
+// name), onDeleted(tag) and onError(message) for a change that failed.
+function useTags(authFetch, fetchCached, userKey, { onRenamed, onDeleted, onError }) {
+  const [tags, setTags] = useState([]);
+
+  const fetchTags = useCallback(async () => {
+    try {
+      setTags(await fetchCached('/tags'));
+    } catch (err) {
+      console.error('Error fetching tags:', err);
+    }
+  }, [fetchCached]);
+
+  useEffect(() => {
+    if (!userKey) {
+      setTags([]);
+      return;
+    }
+    fetchTags();
+  }, [userKey, fetchTags]);
+
+  const renameTag = async (tag, name) => {
+    try {
+      const response = await authFetch(`/tags/${encodeURIComponent(tag)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(errorMessage(data, 'Failed to rename tag'));
+
+      onRenamed(tag, data.name);
+      fetchTags();
+    } catch (err) {
+      onError(`Failed to rename tag. ${err.message}`);
+      console.error('Error renaming tag:', err);
+    }
+  };
+
+  const deleteTag = async (tag) => {
+    try {
+      const response = await authFetch(`/tags/${encodeURIComponent(tag)}`, {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) throw new Error('Failed to delete tag');
+
+      onDeleted(tag);
+      fetchTags();
+    } catch (err) {
+      onError('Failed to delete tag. Please try again.');
+      console.error('Error deleting tag:', err);
+    }
+  };
+
+  return { tags, fetchTags, renameTag, deleteTag };
+}
+
+export default useTags;
@@ -0,0 +1,79 @@
+import { useState } from 'react';
+
+// Manual ordering of the task list, by drag-and-drop or the move buttons.
+// A move shows right away through onTasksChanged(change), which applies
+// change(tasks) to the list; onFailed() reloads it when the server refuses,
+// after onError(message).
+function useTaskReorder(authFetch, tasks, { onTasksChanged, onFailed, onError }) {
+  // Drag-and-drop state while reordering: { id, overId, placement }
+  const [drag, setDrag] = useState(null);
+
+  // Moves a task directly before or after another one
+  const reorderTask = async (id, targetId, placement) => {
+    onTasksChanged(prev => {
+      const moving = prev.find(task => task._id === id);
+      const rest = prev.filter(task => task._id !== id);
+      const targetIndex = rest.findIndex(task => task._id === targetId);
+      rest.splice(placement === 'before' ? targetIndex : targetIndex + 1, 0, moving);
+      return rest;
+    });
+
+    try {
+      const response = await authFetch('/tasks/reorder', {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ id, [placement]: targetId }),
+      });
+
+      if (!response.ok) throw new Error('Failed to reorder task');
+
+      const updatedTask = await response.json();
+      onTasksChanged(prev => prev.map(task =>
+        task._id === id ? updatedTask : task
+      ));
+    } catch (err) {
+      onError('Failed to reorder tasks. Please try again.');
+      console.error('Error reordering task:', err);
+      onFailed();
+    }
+  };
+
+  // Props that make a task row draggable and a drop target
+  const getReorderProps = (task, index) => ({
+    canMoveUp: index > 0,
+    canMoveDown: index < tasks.length - 1,
+    onMoveUp: () => reorderTask(task._id, tasks[index - 1]._id, 'before'),
+    onMoveDown: () => reorderTask(task._id, tasks[index + 1]._id, 'after'),
+    dropIndicator: drag && drag.overId === task._id && drag.id !== task._id ? drag.placement : null,
+    dragProps: {
+      draggable: true,
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        setDrag({ id: task._id, overId: null, placement: null });
+      },
+      onDragOver: (e) => {
+        if (!drag) return;
+        e.preventDefault();
+        const { top, height } = e.currentTarget.getBoundingClientRect();
+        const placement = e.clientY < top + height / 2 ? 'before' : 'after';
+        if (drag.overId !== task._id || drag.placement !== placement) {
+          setDrag(prev => ({ ...prev, overId: task._id, placement }));
+        }
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        if (drag && drag.id !== task._id && drag.placement) {
+          reorderTask(drag.id, task._id, drag.placement);
+        }
+        setDrag(null);
+      },
+      onDragEnd: () => setDrag(null)
+    }
+  });
+
+  return { getReorderProps };
+}
+
+export default useTaskReorder;
@@ -0,0 +1,39 @@
+// Restoring and purging trashed tasks. Handlers: onRestored() once a task
+// is back, onPurged(id) once one is gone for good (id undefined when the
+// whole trash was emptied), and onError(message) for a change that failed.
+function useTrash(authFetch, { onRestored, onPurged, onError }) {
+  const restoreTask = async (id) => {
+    try {
+      const response = await authFetch(`/trash/${id}/restore`, {
+        method: 'POST',
+      });
+
+      if (!response.ok) throw new Error('Failed to restore task');
+
+      onRestored();
+    } catch (err) {
+      onError('Failed to restore task. Please try again.');
+      console.error('Error restoring task:', err);
+    }
+  };
+
+  // Permanently deletes one trashed task, or the whole trash without an id
+  const purgeTrash = async (id) => {
+    try {
+      const response = await authFetch(id ? `/trash/${id}` : '/trash', {
+        method: 'DELETE',
+      });
+
+      if (!response.ok) throw new Error('Failed to empty trash');
+
+      onPurged(id);
+    } catch (err) {
+      onError('Failed to delete from the trash. Please try again.');
+      console.error('Error purging trash:', err);
+    }
+  };
+
+  return { restoreTask, purgeTrash };
+}
+
+export default useTrash;
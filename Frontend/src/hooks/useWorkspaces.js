@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { errorMessage, saveWorkspace } from '../api';
+
+// The shared workspaces of the signed-in user, and the changes made to them.
+// `workspaceId` is the open one, null for the user's own tasks; it is kept
+// across reloads. Handlers: onSwitch(id) opens another workspace (also when
+// the open one is deleted or the user removed from it), and onError(message)
+// shows a change that failed. Invitation links open the app with
+// ?invite=<token>, which is used once signed in and then taken out of the URL.
+function useWorkspaces(authFetch, fetchCached, userKey, workspaceId, handlers) {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [inviteToken, setInviteToken] = useState(() => new URLSearchParams(window.location.search).get('invite'));
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  const currentWorkspace = workspaces.find(workspace => workspace._id === workspaceId) || null;
+  // Viewers of a workspace can look but not change anything
+  const canEdit = currentWorkspace?.role !== 'viewer';
+
+  const fetchWorkspaces = useCallback(async () => {
+    try {
+      const data = await fetchCached('/workspaces');
+      setWorkspaces(data);
+      if (workspaceId && !data.some(workspace => workspace._id === workspaceId)) {
+        handlersRef.current.onSwitch(null);
+      }
+    } catch (err) {
+      console.error('Error fetching workspaces:', err);
+    }
+  }, [fetchCached, workspaceId]);
+
+  useEffect(() => {
+    if (!userKey) {
+      setWorkspaces([]);
+      return;
+    }
+    fetchWorkspaces();
+  }, [userKey, fetchWorkspaces]);
+
+  useEffect(() => {
+    saveWorkspace(workspaceId);
+  }, [workspaceId]);
+
+  useEffect(() => {
+    if (!userKey || !inviteToken) return;
+    setInviteToken(null);
+    const url = new URL(window.location.href);
+    url.searchParams.delete('invite');
+    window.history.replaceState(window.history.state, '', url);
+
+    const join = async () => {
+      try {
+        const response = await authFetch('/workspaces/join', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ token: inviteToken }),
+        });
+
+        const data = await response.json();
+        if (!response.ok) throw new Error(errorMessage(data, 'Please try again.'));
+        await fetchWorkspaces();
+        handlersRef.current.onSwitch(data._id);
+      } catch (err) {
+        handlersRef.current.onError(`Failed to join workspace. ${err.message}`);
+        console.error('Error joining workspace:', err);
+      }
+    };
+    join();
+  }, [userKey, inviteToken, authFetch, fetchWorkspaces]);
+
+  // Sends a change to /workspaces and reloads them; resolves to the
+  // response, or null after showing `failure` with the reason
+  const changeWorkspace = async (path, method, body, failure) => {
+    try {
+      const response = await authFetch(`/workspaces${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(errorMessage(data, 'Please try again.'));
+      fetchWorkspaces();
+      return data;
+    } catch (err) {
+      handlersRef.current.onError(`${failure} ${err.message}`);
+      console.error('Error changing workspace:', err);
+      return null;
+    }
+  };
+
+  const createWorkspace = async (name) => {
+    const data = await changeWorkspace('', 'POST', { name }, 'Failed to create workspace.');
+    if (data) handlersRef.current.onSwitch(data._id);
+  };
+
+  const renameWorkspace = (id, name) => changeWorkspace(`/${id}`, 'PUT', { name }, 'Failed to rename workspace.');
+
+  // Leaving or deleting the open workspace goes back to personal tasks once
+  // the workspaces reload
+  const deleteWorkspace = (id) => changeWorkspace(`/${id}`, 'DELETE', undefined, 'Failed to delete workspace.');
+
+  const createInvite = (id, role) => changeWorkspace(`/${id}/invites`, 'POST', { role }, 'Failed to create invitation.');
+
+  const revokeInvite = (id, token) =>
+    changeWorkspace(`/${id}/invites/${encodeURIComponent(token)}`, 'DELETE', undefined, 'Failed to revoke invitation.');
+
+  const setMemberRole = (id, userId, role) =>
+    changeWorkspace(`/${id}/members/${userId}`, 'PUT', { role }, 'Failed to change role.');
+
+  const removeMember = (id, userId) =>
+    changeWorkspace(`/${id}/members/${userId}`, 'DELETE', undefined, 'Failed to remove member.');
+
+  return {
+    workspaces,
+    currentWorkspace,
+    canEdit,
+    fetchWorkspaces,
+    createWorkspace,
+    renameWorkspace,
+    deleteWorkspace,
+    createInvite,
+    revokeInvite,
+    setMemberRole,
+    removeMember
+  };
+}
+
+export default useWorkspaces;
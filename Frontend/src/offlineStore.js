@@ -0,0 +1,56 @@
+// IndexedDB persistence for offline use:
+//   snapshots - the last response of each GET, so views still load offline
+//   outbox    - task mutations made while the API was unreachable, replayed
+//               in insertion order once it is back
+
+const DB_NAME = 'taskmanager';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('snapshots');
+        db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Runs one request against a store and resolves with its result once the
+// transaction has committed
+const withStore = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const readSnapshot = (key) => withStore('snapshots', 'readonly', store => store.get(key));
+
+export const writeSnapshot = (key, value) => withStore('snapshots', 'readwrite', store => store.put(value, key));
+
+// Outbox entries: { id, method, path, body, taskId, queuedAt }
+export const getOutbox = () => withStore('outbox', 'readonly', store => store.getAll());
+
+export const addToOutbox = (entry) => withStore('outbox', 'readwrite', store => store.add(entry));
+
+export const updateOutboxEntry = (entry) => withStore('outbox', 'readwrite', store => store.put(entry));
+
+export const removeFromOutbox = (id) => withStore('outbox', 'readwrite', store => store.delete(id));
+
+// Called on sign-out so the next user of the browser sees none of it
+export const clearOfflineData = async () => {
+  await withStore('snapshots', 'readwrite', store => store.clear());
+  await withStore('outbox', 'readwrite', store => store.clear());
+};
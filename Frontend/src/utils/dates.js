@@ -0,0 +1,108 @@
+const MS_PER_MINUTE = 60 * 1000;
+
+// Hour used as the reminder base for due dates without a time
+const ALL_DAY_REMINDER_HOUR = 9;
+
+// Picker state with no due date or repeat rule set
+export const EMPTY_DUE = { date: '', time: '', reminder: '', recurrence: null };
+
+export const REMINDER_OPTIONS = [
+  { value: '', label: 'No reminder' },
+  { value: '0', label: 'At due time' },
+  { value: '15', label: '15 minutes before' },
+  { value: '60', label: '1 hour before' },
+  { value: '1440', label: '1 day before' }
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const reminderBase = (dueDate, hasDueTime) => {
+  if (hasDueTime) return dueDate;
+  const base = startOfDay(dueDate);
+  base.setHours(ALL_DAY_REMINDER_HOUR);
+  return base;
+};
+
+// Picker state ({ date: 'YYYY-MM-DD', time: 'HH:mm', reminder, recurrence }) -> API fields.
+// Dates without a time are due at the very end of that local day. The repeat
+// rule carries the local timezone so the server rolls it forward on local days.
+export const buildDuePayload = ({ date, time, reminder, recurrence = null }) => {
+  const rule = recurrence && { ...recurrence, tzOffset: new Date().getTimezoneOffset() };
+  if (!date) {
+    return { dueDate: null, hasDueTime: false, reminderAt: null, recurrence: rule };
+  }
+
+  const [year, month, day] = date.split('-').map(Number);
+  const dueDate = time
+    ? new Date(year, month - 1, day, ...time.split(':').map(Number))
+    : new Date(year, month - 1, day, 23, 59, 59, 999);
+
+  const reminderAt = reminder === ''
+    ? null
+    : new Date(reminderBase(dueDate, Boolean(time)).getTime() - Number(reminder) * MS_PER_MINUTE);
+
+  return {
+    dueDate: dueDate.toISOString(),
+    hasDueTime: Boolean(time),
+    reminderAt: reminderAt && reminderAt.toISOString(),
+    recurrence: rule
+  };
+};
+
+// API fields -> picker state
+export const toPickerValue = (task) => {
+  if (!task || !task.dueDate) return { ...EMPTY_DUE, recurrence: task?.recurrence || null };
+
+  const due = new Date(task.dueDate);
+  const date = `${due.getFullYear()}-${pad(due.getMonth() + 1)}-${pad(due.getDate())}`;
+  const time = task.hasDueTime ? `${pad(due.getHours())}:${pad(due.getMinutes())}` : '';
+
+  let reminder = '';
+  if (task.reminderAt) {
+    const minutesBefore = Math.round(
+      (reminderBase(due, task.hasDueTime).getTime() - new Date(task.reminderAt).getTime()) / MS_PER_MINUTE
+    );
+    const match = REMINDER_OPTIONS.find(option => option.value === String(minutesBefore));
+    reminder = match ? match.value : '';
+  }
+
+  return { date, time, reminder, recurrence: task.recurrence || null };
+};
+
+// 'overdue' | 'today' | 'upcoming' | null, mirroring the server-side filters
+export const getDueStatus = (task, now = new Date()) => {
+  if (!task.dueDate) return null;
+
+  const due = new Date(task.dueDate);
+  const today = startOfDay(now);
+  const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+
+  if (!task.completed && due < now) return 'overdue';
+  if (due >= today && due < tomorrow) return 'today';
+  return due >= tomorrow ? 'upcoming' : null;
+};
+
+export const formatDueDate = (task, now = new Date()) => {
+  const due = new Date(task.dueDate);
+  const dayDiff = Math.round((startOfDay(due) - startOfDay(now)) / (24 * 60 * MS_PER_MINUTE));
+
+  let label;
+  if (dayDiff === 0) label = 'Today';
+  else if (dayDiff === 1) label = 'Tomorrow';
+  else if (dayDiff === -1) label = 'Yesterday';
+  else {
+    label = due.toLocaleDateString(undefined, {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      ...(due.getFullYear() !== now.getFullYear() && { year: 'numeric' })
+    });
+  }
+
+  if (task.hasDueTime) {
+    label += ` ${due.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+  }
+  return label;
+};
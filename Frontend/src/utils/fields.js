@@ -0,0 +1,69 @@
+import { describeRecurrence } from './recurrence';
+import { priorityLabel } from './priority';
+
+// Display names and formatting for task fields, shared by the history
+// timeline and the conflict prompt
+
+// Notes can be long; changes to them show their start
+const NOTES_EXCERPT_LENGTH = 80;
+
+export const FIELD_LABELS = {
+  text: 'Title',
+  notes: 'Notes',
+  completed: 'Status',
+  priority: 'Priority',
+  // History from before priority levels
+  important: 'Importance',
+  dueDate: 'Due date',
+  hasDueTime: 'Due time',
+  reminderAt: 'Reminder',
+  list: 'List',
+  tags: 'Tags',
+  recurrence: 'Repeat',
+  assignee: 'Assignee'
+};
+
+export const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Human readable form of a field value; `members` of the workspace name
+// assignees
+export const formatFieldValue = (field, value, lists, members) => {
+  if (value === null || value === undefined) {
+    if (field === 'list') return 'Inbox';
+    return field === 'assignee' ? 'nobody' : 'none';
+  }
+  switch (field) {
+    case 'completed':
+      return value ? 'done' : 'pending';
+    case 'priority':
+      return priorityLabel(value).toLowerCase();
+    case 'important':
+      return value ? 'important' : 'normal';
+    case 'hasDueTime':
+      return value ? 'set' : 'all day';
+    case 'dueDate':
+    case 'reminderAt':
+      return formatDateTime(value);
+    case 'list':
+      return lists.find(list => list._id === value)?.name || 'a deleted list';
+    case 'tags':
+      return value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : 'none';
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'assignee':
+      return members?.find(member => member.user === value)?.username || 'a former member';
+    case 'notes':
+      if (!value) return 'none';
+      return value.length > NOTES_EXCERPT_LENGTH ? `${value.slice(0, NOTES_EXCERPT_LENGTH)}...` : value;
+    default:
+      return String(value);
+  }
+};
+
+// Fields of a local change that disagree with the server's copy of the task
+export const conflictingFields = (changes, task) => Object.keys(changes)
+  .filter(field => field in FIELD_LABELS)
+  .filter(field => JSON.stringify(changes[field] ?? null) !== JSON.stringify(task[field] ?? null));
@@ -0,0 +1,253 @@
+// The Markdown task notes are written in, parsed into plain objects that
+// components/Markdown.jsx renders as React elements. Nothing is ever turned
+// into HTML, so markup typed into notes shows as text, and links keep only
+// http, https and mailto addresses.
+//
+// Blocks:
+//   { type: 'heading', level, text }
+//   { type: 'paragraph', text }         single line breaks are kept
+//   { type: 'code', language, text }    ``` or ~~~ fences
+//   { type: 'quote', blocks }
+//   { type: 'list', ordered, start, items: [{ checked, line, blocks }] }
+//     checked is true or false for "- [x]" / "- [ ]" items, else null, and
+//     line is the source line the item starts on
+//   { type: 'rule' }
+// Inline nodes (parseInline):
+//   { type: 'text', text }  { type: 'code', text }  { type: 'break' }
+//   { type: 'strong' | 'em' | 'del', children }  { type: 'link', href, children }
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/;
+const TASK_BOX = /^\[([ xX])\](?:\s+|$)/;
+const INDENTED = /^( {2,}|\t)/;
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// The address as a link may use it, or null for anything else, such as
+// javascript: URLs or relative paths
+export const safeHref = (href) => {
+  try {
+    const url = new URL(href);
+    return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+};
+
+const startsBlock = (text) => FENCE.test(text) || HEADING.test(text) || RULE.test(text) ||
+  QUOTE.test(text) || LIST_ITEM.test(text);
+
+const isOrdered = (marker) => /\d/.test(marker);
+
+// `lines` are { text, line } so list items know where they are in the source
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    const { text } = lines[index];
+    if (!text.trim()) {
+      index++;
+      continue;
+    }
+
+    const fence = FENCE.exec(text);
+    if (fence) {
+      const body = [];
+      index++;
+      while (index < lines.length && !lines[index].text.trim().startsWith(fence[1])) {
+        body.push(lines[index++].text);
+      }
+      index++;
+      blocks.push({ type: 'code', language: fence[2], text: body.join('\n') });
+      continue;
+    }
+
+    const heading = HEADING.exec(text);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      index++;
+      continue;
+    }
+
+    if (RULE.test(text)) {
+      blocks.push({ type: 'rule' });
+      index++;
+      continue;
+    }
+
+    if (QUOTE.test(text)) {
+      const body = [];
+      while (index < lines.length && QUOTE.test(lines[index].text)) {
+        body.push({ ...lines[index], text: QUOTE.exec(lines[index].text)[1] });
+        index++;
+      }
+      blocks.push({ type: 'quote', blocks: parseBlocks(body) });
+      continue;
+    }
+
+    const first = LIST_ITEM.exec(text);
+    if (first) {
+      const ordered = isOrdered(first[2]);
+      const list = { type: 'list', ordered, start: ordered ? parseInt(first[2], 10) : 1, items: [] };
+
+      while (index < lines.length) {
+        const item = LIST_ITEM.exec(lines[index].text);
+        if (!item || isOrdered(item[2]) !== ordered) break;
+
+        const { line } = lines[index];
+        const contentIndent = item[1].length + item[2].length + 1;
+        const body = [{ line, text: item[3] || '' }];
+        index++;
+
+        // Indented lines belong to the item, as do blank lines between them;
+        // an unindented line carries on the item's last paragraph
+        while (index < lines.length) {
+          const next = lines[index];
+          if (!next.text.trim()) {
+            if (!INDENTED.test(lines[index + 1]?.text ?? '')) break;
+            body.push(next);
+          } else if (INDENTED.test(next.text)) {
+            body.push({ ...next, text: next.text.replace(new RegExp(`^(\\t| {1,${contentIndent}})`), '') });
+          } else if (!startsBlock(next.text) && body[body.length - 1].text.trim()) {
+            body.push(next);
+          } else {
+            break;
+          }
+          index++;
+        }
+
+        const box = TASK_BOX.exec(body[0].text);
+        if (box) body[0] = { ...body[0], text: body[0].text.slice(box[0].length) };
+        list.items.push({
+          checked: box ? box[1] !== ' ' : null,
+          line,
+          blocks: parseBlocks(body)
+        });
+      }
+
+      blocks.push(list);
+      continue;
+    }
+
+    const paragraph = [];
+    while (index < lines.length && lines[index].text.trim() && (paragraph.length === 0 || !startsBlock(lines[index].text))) {
+      paragraph.push(lines[index++].text.trim());
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+};
+
+export const parseMarkdown = (source = '') => parseBlocks(
+  source.replace(/\r\n?/g, '\n').split('\n').map((text, line) => ({ text, line }))
+);
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+// Inline rules, tried in order wherever the text may start one. Each returns
+// [node, length] or null.
+const INLINE_RULES = [
+  // Backslash escapes
+  (text, at) => {
+    const match = /\\([\\`*_{}[\]()#+\-.!~>|])/y;
+    match.lastIndex = at;
+    const found = match.exec(text);
+    return found && [{ type: 'text', text: found[1] }, found[0].length];
+  },
+  (text, at) => {
+    const match = /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/y;
+    match.lastIndex = at;
+    const found = match.exec(text);
+    return found && [{ type: 'code', text: found[2].replace(/^ (.*) $/s, '$1') }, found[0].length];
+  },
+  (text, at) => {
+    const match = /\[((?:\\.|[^\\\]])*)\]\(\s*<?([^\s<>()]+)>?(?:\s+"[^"]*")?\s*\)/y;
+    match.lastIndex = at;
+    const found = match.exec(text);
+    if (!found) return null;
+    const href = safeHref(found[2]);
+    // Links to anything else are shown as they were written
+    const node = href ? { type: 'link', href, children: parseInline(found[1]) } : { type: 'text', text: found[0] };
+    return [node, found[0].length];
+  },
+  // Bare web addresses, without the punctuation that usually follows them
+  (text, at) => {
+    if (at > 0 && WORD_CHAR.test(text[at - 1])) return null;
+    const match = /<?(https?:\/\/[^\s<>]*[^\s<>.,:;"')\]!?*_~])>?/y;
+    match.lastIndex = at;
+    const found = match.exec(text);
+    const href = found && safeHref(found[1]);
+    return href && [{ type: 'link', href, children: [{ type: 'text', text: found[1] }] }, found[0].length];
+  },
+  (text, at) => emphasis(text, at, '**', 'strong') || emphasis(text, at, '__', 'strong'),
+  (text, at) => emphasis(text, at, '~~', 'del'),
+  (text, at) => emphasis(text, at, '*', 'em') || emphasis(text, at, '_', 'em'),
+  (text, at) => (text[at] === '\n' ? [{ type: 'break' }, 1] : null)
+];
+
+// *text*, **text**, ~~text~~ and the like. Underscores only count at word
+// edges, so snake_case names stay as they are.
+const emphasis = (text, at, marker, type) => {
+  if (!text.startsWith(marker, at)) return null;
+  const underscore = marker[0] === '_';
+  if (underscore && at > 0 && WORD_CHAR.test(text[at - 1])) return null;
+
+  const start = at + marker.length;
+  if (!text[start] || /\s/.test(text[start])) return null;
+  for (let end = text.indexOf(marker, start + 1); end !== -1; end = text.indexOf(marker, end + 1)) {
+    const after = text[end + marker.length];
+    if (/\s/.test(text[end - 1])) continue;
+    // A single marker must not be half of a double one
+    if (marker.length === 1 && (after === marker || text[end - 1] === marker)) continue;
+    if (underscore && after && WORD_CHAR.test(after)) continue;
+    return [{ type, children: parseInline(text.slice(start, end)) }, end + marker.length - at];
+  }
+  return null;
+};
+
+const MAY_START = /[\\`[h<*_~\n]/;
+
+export const parseInline = (text = '') => {
+  const nodes = [];
+  let plain = '';
+  let at = 0;
+
+  while (at < text.length) {
+    let found = null;
+    if (MAY_START.test(text[at])) {
+      for (const rule of INLINE_RULES) {
+        found = rule(text, at);
+        if (found) break;
+      }
+    }
+    if (!found) {
+      plain += text[at++];
+      continue;
+    }
+
+    const [node, length] = found;
+    if (node.type === 'text') {
+      plain += node.text;
+    } else {
+      if (plain) nodes.push({ type: 'text', text: plain });
+      plain = '';
+      nodes.push(node);
+    }
+    at += length;
+  }
+
+  if (plain) nodes.push({ type: 'text', text: plain });
+  return nodes;
+};
+
+// The source with the checklist box on `line` ticked or cleared
+export const toggleCheckbox = (source, line, checked) => {
+  const lines = source.split('\n');
+  lines[line] = lines[line].replace(/^(\s*(?:>\s*)*(?:[-*+]|\d{1,9}[.)])\s+)\[[ xX]\]/, `$1[${checked ? 'x' : ' '}]`);
+  return lines.join('\n');
+};
@@ -0,0 +1,18 @@
+import { PRIORITIES, isImportant } from '../../../shared/priorities';
+
+export { PRIORITIES, isImportant };
+
+// Badge colours per level; tasks without a priority show no badge
+export const PRIORITY_CLASSES = {
+  low: 'bg-gray-100 text-gray-600',
+  medium: 'bg-yellow-100 text-yellow-700',
+  high: 'bg-orange-100 text-orange-700',
+  urgent: 'bg-red-100 text-red-600'
+};
+
+export const priorityLabel = (level) => level === 'none'
+  ? 'No priority'
+  : level.charAt(0).toUpperCase() + level.slice(1);
+
+// Highest first, as pickers list them
+export const PRIORITY_OPTIONS = [...PRIORITIES].reverse().map(level => ({ value: level, label: priorityLabel(level) }));
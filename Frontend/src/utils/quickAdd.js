@@ -0,0 +1,14 @@
+import { parseQuickAdd } from '../../../shared/quickAdd';
+
+export { parseQuickAdd };
+
+// Parse result -> the task fields the server will fill in from it, used for
+// the offline draft of a task that is still waiting to be sent
+export const toTaskFields = (result) => ({
+  text: result.text,
+  dueDate: result.dueDate && result.dueDate.toISOString(),
+  hasDueTime: result.hasDueTime,
+  recurrence: result.recurrence,
+  priority: result.priority || 'none',
+  tags: result.tags
+});
@@ -0,0 +1,65 @@
+// Recurrence rules mirror the server's ({ frequency, interval, daysOfWeek,
+// dayOfMonth, tzOffset }); daysOfWeek uses 0 for Sunday
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const FREQUENCY_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekdays', label: 'Every weekday' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'afterCompletion', label: 'After completion' }
+];
+
+// Unit shown next to the interval input
+export const INTERVAL_UNITS = {
+  daily: 'days',
+  weekly: 'weeks',
+  monthly: 'months',
+  afterCompletion: 'days after done'
+};
+
+// A new rule of the given frequency, anchored on the picked due date
+// ('YYYY-MM-DD') or today
+export const createRecurrence = (frequency, date) => {
+  if (!frequency) return null;
+
+  const anchor = date ? new Date(`${date}T00:00`) : new Date();
+  return {
+    frequency,
+    interval: 1,
+    ...(frequency === 'weekly' && { daysOfWeek: [anchor.getDay()] }),
+    ...(frequency === 'monthly' && { dayOfMonth: anchor.getDate() })
+  };
+};
+
+const every = (interval, singular, plural) => (
+  interval > 1 ? `Every ${interval} ${plural}` : singular
+);
+
+// Short description such as "Weekly on Mon, Thu" or "Every 3 months on day 15"
+export const describeRecurrence = (rule) => {
+  if (!rule) return '';
+
+  const interval = rule.interval || 1;
+  switch (rule.frequency) {
+    case 'daily':
+      return every(interval, 'Daily', 'days');
+    case 'weekdays':
+      return 'Every weekday';
+    case 'weekly': {
+      const days = (rule.daysOfWeek || []).map(day => WEEKDAY_LABELS[day]).join(', ');
+      const label = every(interval, 'Weekly', 'weeks');
+      return days ? `${label} on ${days}` : label;
+    }
+    case 'monthly': {
+      const label = every(interval, 'Monthly', 'months');
+      return rule.dayOfMonth ? `${label} on day ${rule.dayOfMonth}` : label;
+    }
+    case 'afterCompletion':
+      return `${interval} ${interval === 1 ? 'day' : 'days'} after completion`;
+    default:
+      return '';
+  }
+};
@@ -0,0 +1,4 @@
+import { parseSearch, highlightRanges } from '../../../shared/searchQuery';
+
+// The search box syntax is parsed the same way here and on the server
+export { parseSearch, highlightRanges };
@@ -0,0 +1,19 @@
+// Chip colors; each tag keeps the same color wherever it appears
+const TAG_COLORS = [
+  'bg-blue-100 text-blue-700 hover:bg-blue-200',
+  'bg-green-100 text-green-700 hover:bg-green-200',
+  'bg-yellow-100 text-yellow-700 hover:bg-yellow-200',
+  'bg-purple-100 text-purple-700 hover:bg-purple-200',
+  'bg-pink-100 text-pink-700 hover:bg-pink-200',
+  'bg-indigo-100 text-indigo-700 hover:bg-indigo-200',
+  'bg-teal-100 text-teal-700 hover:bg-teal-200',
+  'bg-orange-100 text-orange-700 hover:bg-orange-200'
+];
+
+export const tagColor = (tag) => {
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return TAG_COLORS[hash % TAG_COLORS.length];
+};
@@ -0,0 +1,36 @@
+// File formats for importing and exporting tasks
+
+export const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON' },
+  { value: 'csv', label: 'CSV (spreadsheet)' },
+  { value: 'md', label: 'Markdown checklist' },
+  { value: 'ics', label: 'iCalendar (.ics)' }
+];
+
+export const IMPORT_FORMATS = [
+  { value: 'json', label: 'JSON / Todoist / Trello', extensions: ['.json'] },
+  { value: 'csv', label: 'CSV', extensions: ['.csv'] },
+  { value: 'md', label: 'Markdown checklist', extensions: ['.md', '.markdown', '.txt'] },
+  { value: 'ics', label: 'iCalendar', extensions: ['.ics'] }
+];
+
+// The server accepts import bodies up to 5 MB; leave room for JSON escaping
+export const MAX_IMPORT_FILE_SIZE = 4 * 1024 * 1024;
+
+// Import format for a file name, from its extension
+export const detectImportFormat = (fileName) => {
+  const name = fileName.toLowerCase();
+  return IMPORT_FORMATS.find(format => format.extensions.some(extension => name.endsWith(extension)))?.value;
+};
+
+// Saves a Blob through a temporary download link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
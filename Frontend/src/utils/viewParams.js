@@ -0,0 +1,108 @@
+// The task list's view (filter, search, sort, list, tags and, in a
+// workspace, assignee) as it appears in the page URL and in saved views, so a
+// view can be bookmarked or shared:
+//
+//   ?filter=pending&q=tag%3Ahome&sort=due&list=<id>&tags=home,errand&tagMode=all&assignee=me
+
+export const TASK_FILTERS = ['all', 'pending', 'completed', 'important', 'overdue', 'today', 'upcoming'];
+
+export const SORT_OPTIONS = [
+  { value: '', label: 'Default order' },
+  { value: 'manual', label: 'Manual' },
+  { value: 'created', label: 'Newest first' },
+  { value: 'updated', label: 'Recently updated' },
+  { value: 'due', label: 'Due date' },
+  { value: 'priority', label: 'Priority' },
+  { value: 'smart', label: 'Smart (priority, due date, age)' }
+];
+
+export const DEFAULT_VIEW = {
+  filter: 'all',
+  search: '',
+  sort: '',
+  list: 'all',
+  tags: [],
+  tagMode: 'any',
+  // '' for anyone, 'me', 'unassigned' or a member's user id
+  assignee: ''
+};
+
+const ASSIGNEE_PATTERN = /^(me|unassigned|[0-9a-f]{24})$/i;
+
+// Query string -> view, ignoring values the app does not know
+export const readViewParams = (queryString = window.location.search) => {
+  const params = new URLSearchParams(queryString);
+  const filter = params.get('filter');
+  const sort = params.get('sort');
+  const tags = params.get('tags');
+  const assignee = params.get('assignee');
+
+  return {
+    filter: TASK_FILTERS.includes(filter) ? filter : DEFAULT_VIEW.filter,
+    search: params.get('q') || DEFAULT_VIEW.search,
+    sort: SORT_OPTIONS.some(option => option.value === sort) ? sort : DEFAULT_VIEW.sort,
+    list: params.get('list') || DEFAULT_VIEW.list,
+    tags: tags ? [...new Set(tags.split(',').filter(Boolean))] : DEFAULT_VIEW.tags,
+    tagMode: params.get('tagMode') === 'all' ? 'all' : DEFAULT_VIEW.tagMode,
+    assignee: assignee && ASSIGNEE_PATTERN.test(assignee) ? assignee : DEFAULT_VIEW.assignee
+  };
+};
+
+// Replaces the current URL's view parameters, leaving out defaults and
+// keeping any other parameters. Uses replaceState, so changing the filters
+// does not fill up the back button history.
+export const writeViewParams = (view) => {
+  const url = new URL(window.location.href);
+  const set = (name, value, defaultValue) => {
+    if (value && value !== defaultValue) url.searchParams.set(name, value);
+    else url.searchParams.delete(name);
+  };
+
+  set('filter', view.filter, DEFAULT_VIEW.filter);
+  set('q', view.search.trim(), DEFAULT_VIEW.search);
+  set('sort', view.sort, DEFAULT_VIEW.sort);
+  set('list', view.list, DEFAULT_VIEW.list);
+  set('tags', view.tags.join(','), '');
+  set('tagMode', view.tags.length > 1 ? view.tagMode : null, DEFAULT_VIEW.tagMode);
+  set('assignee', view.assignee, DEFAULT_VIEW.assignee);
+
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+};
+
+// A saved view (as stored by the server) -> the app's view
+export const fromSavedView = (saved) => ({
+  filter: saved.filter,
+  search: saved.search,
+  sort: saved.sort || '',
+  list: saved.list || 'all',
+  tags: saved.tags,
+  tagMode: saved.tagMode,
+  assignee: saved.assignee || ''
+});
+
+// The app's view -> fields of a saved view
+export const toSavedView = (view) => ({
+  filter: view.filter,
+  search: view.search.trim(),
+  sort: view.sort || null,
+  list: view.list === 'all' ? null : view.list,
+  tags: view.tags,
+  tagMode: view.tagMode,
+  assignee: view.assignee || null
+});
+
+// Whether two views show the same tasks in the same order. Tag order and,
+// with fewer than two tags, the tag mode make no difference.
+export const sameView = (a, b) => {
+  const tagsA = [...a.tags].sort().join(',');
+  const tagsB = [...b.tags].sort().join(',');
+  return a.filter === b.filter &&
+    a.search.trim() === b.search.trim() &&
+    a.sort === b.sort &&
+    a.list === b.list &&
+    tagsA === tagsB &&
+    (a.tags.length < 2 || a.tagMode === b.tagMode) &&
+    a.assignee === b.assignee;
+};
@@ -0,0 +1,14 @@
+// Task priority levels, lowest first. Shared by the server and the UI.
+export const PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Levels that count as "important", the single flag tasks had before levels
+export const IMPORTANT_PRIORITIES = ['high', 'urgent'];
+
+export const isImportant = (priority) => IMPORTANT_PRIORITIES.includes(priority);
+
+// The priority a legacy important flag stands for: setting it keeps an
+// existing high or urgent level, clearing it drops only those levels
+export const priorityFromImportant = (important, current = 'none') => {
+  if (important) return isImportant(current) ? current : 'high';
+  return isImportant(current) ? 'none' : current;
+};
@@ -0,0 +1,319 @@
+// Quick-add parsing, shared by the server (POST /api/tasks with parse: true)
+// and the add-task preview in the UI. Picks due dates and times, priorities,
+// #tags and repeat rules out of a task's text and leaves the rest as the title:
+//
+//   parseQuickAdd('Send invoice tomorrow 5pm !high #billing every month')
+//   -> { text: 'Send invoice', dueDate, hasDueTime: true, priority: 'high',
+//        tags: ['billing'], recurrence: { frequency: 'monthly', ... }, tokens }
+//
+// Days are worked out in the user's time zone, given as tzOffset (minutes, as
+// returned by Date#getTimezoneOffset). Text in double quotes is left alone.
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+const PRIORITY_ALIASES = { med: 'medium' };
+
+// Time of day assumed for "tonight", in minutes
+const TONIGHT = 20 * 60;
+
+const MAX_INTERVAL = 365;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const WEEKDAY = 'monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun';
+const WEEKDAY_NAME = 'monday|tuesday|wednesday|thursday|friday|saturday|sunday';
+const MONTH = 'january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept|sep|october|oct|november|nov|december|dec';
+const DAY_LIST = `(?:${WEEKDAY})(?:\\s*(?:,|&|and)\\s*(?:and\\s+)?(?:${WEEKDAY}))*`;
+const COUNT = '\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten';
+const ORDINAL = '(\\d{1,2})(?:st|nd|rd|th)?';
+const DUE_PREFIX = '(?:(?:on|by|due)\\s+)?';
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, other: 2
+};
+
+const toCount = (word) => (word === undefined ? 1 : NUMBER_WORDS[word.toLowerCase()] ?? Number(word));
+const weekdayIndex = (name) => WEEKDAYS.findIndex(day => day.startsWith(name.slice(0, 3).toLowerCase()));
+const monthIndex = (name) => MONTHS.findIndex(month => month.startsWith(name.slice(0, 3).toLowerCase()));
+const parseDayList = (text) => [...new Set(
+  text.match(new RegExp(WEEKDAY, 'giu')).map(weekdayIndex)
+)].sort((a, b) => a - b);
+
+// A whole phrase: not glued to the word, tag or priority before or after it
+// ("tomorrow's" is left alone too)
+const phrase = (source) => new RegExp(`(?<![\\p{L}\\p{N}_#!])(?:${source})(?![\\p{L}\\p{N}_'’])`, 'giu');
+
+// Local calendar arithmetic: days are local midnights as UTC timestamps
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+const dayOf = (year, month, day) => Date.UTC(year, month, Math.min(day, daysInMonth(year, month)));
+const parts = (day) => {
+  const date = new Date(day);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth(), date: date.getUTCDate(), weekday: date.getUTCDay() };
+};
+const addDays = (day, days) => day + days * MS_PER_DAY;
+const addMonths = (day, months) => {
+  const { year, month, date } = parts(day);
+  return dayOf(year, month + months, date);
+};
+
+const withinInterval = (interval) => interval >= 1 && interval <= MAX_INTERVAL;
+
+// A day of a given month; without a year, the next time that date comes round
+const calendarDay = ({ today }, year, month, day) => {
+  if (month < 0 || day < 1) return null;
+  const { year: thisYear } = parts(today);
+  const chosenYear = year ? Number(year) : thisYear;
+  if (day > daysInMonth(chosenYear, month)) return null;
+
+  const date = Date.UTC(chosenYear, month, day);
+  return { day: !year && date < today ? Date.UTC(chosenYear + 1, month, day) : date };
+};
+
+// Each rule turns a match into a value, or null to leave the words in the
+// title. Rules run in order and, except for tags, only their first usable
+// match counts, so "every monday" is read as a repeat before "monday" can be
+// read as a date.
+const RULES = [
+  {
+    type: 'tag',
+    pattern: /(?<!\S)#([\p{L}\p{N}_-]{1,40})(?=\s|$)/gu,
+    read: ([, tag]) => tag.toLowerCase()
+  },
+  {
+    type: 'priority',
+    pattern: phrase('!(low|medium|med|high|urgent)'),
+    read: ([, level]) => PRIORITY_ALIASES[level.toLowerCase()] || level.toLowerCase()
+  },
+  {
+    type: 'repeat',
+    pattern: phrase(`(?:every\\s+)?(${COUNT})\\s+(days?|weeks?)\\s+after\\s+(?:completion|completing|done|finishing)`),
+    read: ([, count, unit]) => {
+      const interval = toCount(count) * (unit.toLowerCase().startsWith('week') ? 7 : 1);
+      return withinInterval(interval) ? { frequency: 'afterCompletion', interval } : null;
+    }
+  },
+  {
+    type: 'repeat',
+    pattern: phrase('(?:every|each)\\s+(?:weekday|work\\s?day)s?|on\\s+weekdays'),
+    read: () => ({ frequency: 'weekdays', interval: 1 })
+  },
+  {
+    type: 'repeat',
+    pattern: phrase(`(?:every|each)\\s+(?:(${COUNT}|other)\\s+)?weeks?(?:\\s+on\\s+(${DAY_LIST}))?`),
+    read: ([, count, days]) => {
+      const interval = toCount(count);
+      if (!withinInterval(interval)) return null;
+      return { frequency: 'weekly', interval, ...(days && { daysOfWeek: parseDayList(days) }) };
+    }
+  },
+  {
+    type: 'repeat',
+    pattern: phrase(`(?:every|each)\\s+(${DAY_LIST})`),
+    read: ([, days]) => ({ frequency: 'weekly', interval: 1, daysOfWeek: parseDayList(days) })
+  },
+  {
+    type: 'repeat',
+    pattern: phrase(`(?:every|each)\\s+(?:(${COUNT}|other)\\s+)?months?(?:\\s+on\\s+(?:the\\s+)?${ORDINAL})?`),
+    read: ([, count, day]) => {
+      const interval = toCount(count);
+      if (!withinInterval(interval) || (day && (day < 1 || day > 31))) return null;
+      return { frequency: 'monthly', interval, ...(day && { dayOfMonth: Number(day) }) };
+    }
+  },
+  {
+    type: 'repeat',
+    pattern: phrase(`(?:every|each)\\s+(\\d{1,2})(?:st|nd|rd|th)(?:\\s+of\\s+(?:the|each|every)\\s+month)?`),
+    read: ([, day]) => (day >= 1 && day <= 31 ? { frequency: 'monthly', interval: 1, dayOfMonth: Number(day) } : null)
+  },
+  {
+    type: 'repeat',
+    pattern: phrase(`(?:every|each)\\s+(?:(${COUNT}|other)\\s+)?days?`),
+    read: ([, count]) => {
+      const interval = toCount(count);
+      return withinInterval(interval) ? { frequency: 'daily', interval } : null;
+    }
+  },
+  {
+    type: 'due',
+    pattern: phrase(`${DUE_PREFIX}(today|tonight|tomorrow|tmrw|tmr)`),
+    read: ([, word], { today }) => {
+      const name = word.toLowerCase();
+      if (name === 'today') return { day: today };
+      if (name === 'tonight') return { day: today, defaultTime: TONIGHT };
+      return { day: addDays(today, 1) };
+    }
+  },
+  {
+    // Short names like "sun" and "sat" only count after on/by/due
+    type: 'due',
+    pattern: phrase(`${DUE_PREFIX}(next\\s+)?(${WEEKDAY_NAME})|(?:on|by|due)\\s+(next\\s+)?(${WEEKDAY})`),
+    read: ([, next, name, shortNext, shortName], { today }) => comingWeekday(today, next || shortNext, name || shortName)
+  },
+  {
+    type: 'due',
+    pattern: phrase('next\\s+(week|month)'),
+    read: ([, unit], { today }) => {
+      const { year, month, weekday } = parts(today);
+      if (unit.toLowerCase() === 'month') return { day: dayOf(year, month + 1, 1) };
+      // The coming Monday
+      return { day: addDays(today, (8 - weekday) % 7 || 7) };
+    }
+  },
+  {
+    type: 'due',
+    pattern: phrase(`in\\s+(${COUNT})\\s+(days?|weeks?|months?)`),
+    read: ([, count, unit], { today }) => {
+      const amount = toCount(count);
+      const name = unit.toLowerCase();
+      if (name.startsWith('month')) return { day: addMonths(today, amount) };
+      return { day: addDays(today, amount * (name.startsWith('week') ? 7 : 1)) };
+    }
+  },
+  {
+    type: 'due',
+    pattern: phrase(`${DUE_PREFIX}(${MONTH})\\.?\\s+${ORDINAL}(?:,?\\s+(\\d{4}))?`),
+    read: ([, month, day, year], context) => calendarDay(context, year, monthIndex(month), Number(day))
+  },
+  {
+    type: 'due',
+    pattern: phrase(`${DUE_PREFIX}${ORDINAL}\\s+(?:of\\s+)?(${MONTH})\\.?(?:,?\\s+(\\d{4}))?`),
+    read: ([, day, month, year], context) => calendarDay(context, year, monthIndex(month), Number(day))
+  },
+  {
+    type: 'due',
+    pattern: phrase(`${DUE_PREFIX}(\\d{4})-(\\d{2})-(\\d{2})`),
+    read: ([, year, month, day], context) => calendarDay(context, year, Number(month) - 1, Number(day))
+  },
+  {
+    type: 'time',
+    pattern: phrase('(?:at\\s+)?(\\d{1,2})(?::([0-5]\\d))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)'),
+    read: ([, hours, minutes = 0, meridiem]) => {
+      const hour = Number(hours);
+      if (hour < 1 || hour > 12) return null;
+      const pm = meridiem.toLowerCase().startsWith('p');
+      return ((hour % 12) + (pm ? 12 : 0)) * 60 + Number(minutes);
+    }
+  },
+  {
+    type: 'time',
+    pattern: phrase('(?:at\\s+)?([01]?\\d|2[0-3]):([0-5]\\d)'),
+    read: ([, hours, minutes]) => Number(hours) * 60 + Number(minutes)
+  },
+  {
+    type: 'time',
+    pattern: phrase('(?:at\\s+)?noon'),
+    read: () => 12 * 60
+  }
+];
+
+// The coming weekday, never today; "next" skips to the following week when
+// the coming one is still in this (Monday to Sunday) week
+const comingWeekday = (today, next, name) => {
+  const { weekday } = parts(today);
+  let ahead = (weekdayIndex(name) - weekday + 7) % 7 || 7;
+  if (next && ahead <= (7 - weekday) % 7) ahead += 7;
+  return { day: addDays(today, ahead) };
+};
+
+// First day on or after `from` that a repeat rule lands on
+const firstOccurrence = (rule, from) => {
+  if (rule.frequency === 'weekdays' || rule.daysOfWeek) {
+    let day = from;
+    const matches = (weekday) => (rule.daysOfWeek
+      ? rule.daysOfWeek.includes(weekday)
+      : weekday !== 0 && weekday !== 6);
+    while (!matches(parts(day).weekday)) day = addDays(day, 1);
+    return day;
+  }
+  if (rule.dayOfMonth) {
+    const { year, month, date } = parts(from);
+    return rule.dayOfMonth >= date
+      ? dayOf(year, month, rule.dayOfMonth)
+      : dayOf(year, month + 1, rule.dayOfMonth);
+  }
+  return from;
+};
+
+const isQuoted = (quotes, start, end) => quotes.some(([from, to]) => start < to && end > from);
+
+export const parseQuickAdd = (input, { now = new Date(), tzOffset = now.getTimezoneOffset() } = {}) => {
+  const source = String(input);
+  const offset = Number(tzOffset) || 0;
+  const localNow = now.getTime() - offset * MS_PER_MINUTE;
+  const today = localNow - (((localNow % MS_PER_DAY) + MS_PER_DAY) % MS_PER_DAY);
+  const context = { today };
+
+  const quotes = [...source.matchAll(/"[^"]*"/g)].map(match => [match.index, match.index + match[0].length]);
+  const taken = [];
+  const tokens = [];
+  const found = { tag: [] };
+
+  for (const rule of RULES) {
+    for (const match of source.matchAll(rule.pattern)) {
+      if (rule.type !== 'tag' && found[rule.type] !== undefined) break;
+
+      const start = match.index;
+      const end = start + match[0].length;
+      if (isQuoted(quotes, start, end) || isQuoted(taken, start, end)) continue;
+
+      const value = rule.read(match, context);
+      if (value === null || value === undefined) continue;
+
+      if (rule.type === 'tag') found.tag.push(value);
+      else found[rule.type] = value;
+      taken.push([start, end]);
+      tokens.push({ type: rule.type, text: match[0], start, end });
+    }
+  }
+
+  const time = found.time;
+  let due = found.due;
+  let recurrence = found.repeat || null;
+  const defaultTime = time ?? due?.defaultTime;
+  const nowMinutes = Math.floor((localNow - today) / MS_PER_MINUTE);
+  // A time that has already passed today means the next day
+  const from = time !== undefined && time <= nowMinutes ? addDays(today, 1) : today;
+
+  if (!due && recurrence) due = { day: firstOccurrence(recurrence, from) };
+  if (!due && time !== undefined) due = { day: from };
+
+  if (recurrence && due) {
+    const { weekday, date } = parts(due.day);
+    if (recurrence.frequency === 'weekly' && !recurrence.daysOfWeek) recurrence.daysOfWeek = [weekday];
+    if (recurrence.frequency === 'monthly' && !recurrence.dayOfMonth) recurrence.dayOfMonth = date;
+  }
+  if (recurrence) recurrence = { ...recurrence, tzOffset: offset };
+
+  const dueDate = due
+    ? new Date(due.day + (defaultTime !== undefined ? defaultTime * MS_PER_MINUTE : MS_PER_DAY - 1) + offset * MS_PER_MINUTE)
+    : null;
+
+  // What is left once the recognised phrases are cut out becomes the title
+  let text = '';
+  let position = 0;
+  for (const [start, end] of [...taken].sort((a, b) => a[0] - b[0])) {
+    text += `${source.slice(position, start)} `;
+    position = end;
+  }
+  text = (text + source.slice(position))
+    .replace(/\s+([,;:.!?])/g, '$1')
+    .replace(/[,;:]+([.!?]|$)/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+
+  return {
+    text: text || source.trim(),
+    dueDate,
+    hasDueTime: Boolean(due) && defaultTime !== undefined,
+    priority: found.priority || null,
+    tags: [...new Set(found.tag)],
+    recurrence,
+    tokens: tokens.sort((a, b) => a.start - b.start)
+  };
+};
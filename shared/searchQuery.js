@@ -0,0 +1,125 @@
+// Search box syntax, shared by the server (the `search` parameter of task
+// listings) and the UI (highlighting matches in task rows):
+//
+//   groceries "olive oil" -milk tag:home -is:done due:<2026-11-01
+//
+// Words and "quoted phrases" match whole words, except a last word still
+// being typed (no space after it yet), which matches the start of a word.
+// A leading "-" excludes matches. Field operators:
+//   is:done  is:open  is:starred  is:overdue  is:recurring
+//   tag:name
+//   priority:none|low|medium|high|urgent
+//   due:none  due:today  due:<2026-11-01  (also <=, >, >= and =, with dates
+//   written as YYYY-MM-DD, yesterday, today or tomorrow)
+// Matching is case-insensitive.
+
+import { PRIORITIES } from './priorities.js';
+
+const IS_VALUES = {
+  done: 'done',
+  completed: 'done',
+  open: 'open',
+  pending: 'open',
+  todo: 'open',
+  starred: 'starred',
+  important: 'starred',
+  overdue: 'overdue',
+  recurring: 'recurring'
+};
+
+const DUE_DAYS = ['yesterday', 'today', 'tomorrow'];
+
+const TOKEN = /(-?)(?:"([^"]*)"?|(\S+))/g;
+const FIELD = /^(is|tag|due|priority):(.+)$/i;
+const DUE_VALUE = /^(<=|>=|<|>|=)?(.+)$/;
+const WORD = /^[\p{L}\p{N}_]+$/u;
+const WORD_CHAR = /[\p{L}\p{N}_]/u;
+const NOT_AFTER_WORD = '(?<![\\p{L}\\p{N}_])';
+const NOT_BEFORE_WORD = '(?![\\p{L}\\p{N}_])';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readFilter = (field, value) => {
+  switch (field) {
+    case 'is': {
+      const state = IS_VALUES[value];
+      if (!state) throw new Error(`Unknown search filter "is:${value}"; use is:done, open, starred, overdue or recurring`);
+      return { field, value: state };
+    }
+    case 'tag': {
+      const tag = value.replace(/^#/, '');
+      if (!WORD.test(tag.replace(/-/g, '_'))) throw new Error(`Invalid tag "${value}" in search`);
+      return { field, value: tag };
+    }
+    case 'priority':
+      if (!PRIORITIES.includes(value)) {
+        throw new Error(`Unknown search filter "priority:${value}"; use ${PRIORITIES.join(', ')}`);
+      }
+      return { field, value };
+    default: {
+      const [, operator = '=', day] = DUE_VALUE.exec(value);
+      if (day === 'none' && operator === '=') return { field, operator, day: null };
+      if (!DUE_DAYS.includes(day) && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+        throw new Error(`Invalid date in search filter "due:${value}"; use YYYY-MM-DD, today, tomorrow or none`);
+      }
+      return { field, operator, day };
+    }
+  }
+};
+
+// Search text -> { terms: [{ text, prefix, negated }], filters: [{ field, ..., negated }] }
+// Throws on malformed filters.
+export const parseSearch = (input = '') => {
+  const source = String(input);
+  const terms = [];
+  const filters = [];
+
+  for (const match of source.matchAll(TOKEN)) {
+    const [raw, minus, quoted, bare] = match;
+    const negated = minus === '-';
+
+    if (quoted !== undefined) {
+      if (quoted.trim()) terms.push({ text: quoted.trim().toLowerCase(), prefix: false, negated });
+      continue;
+    }
+    const field = FIELD.exec(bare);
+    if (field) {
+      filters.push({ ...readFilter(field[1].toLowerCase(), field[2].toLowerCase()), negated });
+      continue;
+    }
+
+    const isLast = match.index + raw.length === source.length;
+    terms.push({ text: bare.toLowerCase(), prefix: isLast && !negated, negated });
+  }
+
+  return { terms, filters };
+};
+
+// Regular expression source matching a term, usable both in JavaScript (with
+// the u flag) and in MongoDB $regex. Word boundaries only apply at ends of
+// the term that are letters or digits, so "(draft)" and "c++" work too.
+export const termPattern = ({ text, prefix }) => {
+  const start = WORD_CHAR.test(text[0]) ? NOT_AFTER_WORD : '';
+  const end = !prefix && WORD_CHAR.test(text[text.length - 1]) ? NOT_BEFORE_WORD : '';
+  return `${start}${escapeRegex(text)}${end}`;
+};
+
+// [start, end) ranges of `text` matched by a parsed search's terms, in order
+// and merged where they overlap
+export const highlightRanges = (text, { terms }) => {
+  const ranges = [];
+  for (const term of terms) {
+    if (term.negated) continue;
+    for (const match of text.matchAll(new RegExp(termPattern(term), 'giu'))) {
+      if (match[0].length > 0) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push(range);
+    return merged;
+  }, []);
+};